@@ -50,7 +50,88 @@ const config = {
   scraper: {
     executablePath: process.env.CHROME_EXECUTABLE_PATH,
     headless: process.env.HEADLESS_MODE === 'true',
-    timeout: parseInt(process.env.SCRAPE_TIMEOUT || '60000')
+    timeout: parseInt(process.env.SCRAPE_TIMEOUT || '60000'),
+    // live: portal real | record: graba fixtures | replay: reproduce fixtures sin conexión
+    mode: process.env.SCRAPER_MODE || 'live',
+    fixturesDir: process.env.SCRAPER_FIXTURES_DIR || 'storage/fixtures/seace',
+    // Capturas (HTML y screenshot) cuando el canario detecta cambios en el portal
+    snapshotsDir: process.env.SCRAPER_SNAPSHOTS_DIR || 'storage/dom-snapshots',
+    // Pool de navegadores para búsquedas particionadas
+    pool: {
+      concurrency: parseInt(process.env.SCRAPER_POOL_CONCURRENCY || '2'),
+      maxConcurrency: parseInt(process.env.SCRAPER_POOL_MAX_CONCURRENCY || '4'),
+      shareBrowser: process.env.SCRAPER_POOL_SHARE_BROWSER !== 'false',
+      maxRetries: parseInt(process.env.SCRAPER_POOL_MAX_RETRIES || '1')
+    },
+    // Reintentos por paso, intervalo mínimo entre peticiones y circuit breaker (ver scraper/RetryPolicy.js)
+    retry: {
+      maxRetries: parseInt(process.env.SCRAPER_MAX_RETRIES || '3'),
+      backoffBaseMs: parseInt(process.env.SCRAPER_BACKOFF_BASE_MS || '2000'),
+      backoffMaxMs: parseInt(process.env.SCRAPER_BACKOFF_MAX_MS || '30000'),
+      minDelayMs: parseInt(process.env.SCRAPER_MIN_DELAY_MS || '1000'),
+      breakerThreshold: parseInt(process.env.SCRAPER_BREAKER_THRESHOLD || '5'),
+      breakerPauseMs: parseInt(process.env.SCRAPER_BREAKER_PAUSE_MS || '60000'),
+      breakerMaxPauses: parseInt(process.env.SCRAPER_BREAKER_MAX_PAUSES || '3')
+    }
+  },
+
+  // Cola persistente de operaciones ETL (ver services/jobQueueService.js)
+  queue: {
+    enabled: process.env.JOB_QUEUE_ENABLED !== 'false',
+    // Trabajos simultáneos en este proceso y límite global de trabajos con navegador (scraping y sync)
+    concurrency: parseInt(process.env.JOB_QUEUE_CONCURRENCY || '2'),
+    scrapingConcurrency: parseInt(process.env.JOB_QUEUE_SCRAPING_CONCURRENCY || '1'),
+    pollIntervalMs: parseInt(process.env.JOB_QUEUE_POLL_INTERVAL_MS || '5000'),
+    heartbeatMs: parseInt(process.env.JOB_QUEUE_HEARTBEAT_MS || '15000'),
+    // Sin heartbeat durante este tiempo el trabajo se considera huérfano
+    staleMs: parseInt(process.env.JOB_QUEUE_STALE_MS || '120000'),
+    // Ejecuciones de un scraping interrumpido (se reencola desde su checkpoint)
+    maxAttempts: parseInt(process.env.JOB_QUEUE_MAX_ATTEMPTS || '3')
+  },
+
+  // Sincronización de procesos ya guardados (POST /etl/sync)
+  sync: {
+    // Procesos no extraídos en este tiempo se vuelven a consultar aunque estén cerrados
+    staleHours: parseInt(process.env.SYNC_STALE_HOURS || '24'),
+    // Procesos revisados por operación (los más antiguos primero)
+    maxProcesses: parseInt(process.env.SYNC_MAX_PROCESSES || '200')
+  },
+
+  // Embeddings de procesos en pgvector (ver embeddings/index.js)
+  embeddings: {
+    // hashing (sin modelo ni conexión), ollama (modelo local) o gemini
+    provider: process.env.EMBEDDINGS_PROVIDER || 'hashing',
+    // Encolar la generación para procesos nuevos o modificados al terminar cada operación ETL
+    afterEtl: process.env.EMBEDDINGS_AFTER_ETL !== 'false',
+    batchSize: parseInt(process.env.EMBEDDINGS_BATCH_SIZE || '50'),
+    ollama: {
+      url: process.env.OLLAMA_URL || 'http://localhost:11434',
+      model: process.env.OLLAMA_EMBEDDING_MODEL || 'nomic-embed-text',
+      timeout: parseInt(process.env.OLLAMA_TIMEOUT_MS || '60000')
+    },
+    gemini: {
+      model: process.env.GEMINI_EMBEDDING_MODEL || 'text-embedding-004'
+    }
+  },
+
+  // Scheduler de programaciones de scraping (cron en la hora local del servidor, variable TZ)
+  scheduler: {
+    enabled: process.env.SCHEDULER_ENABLED !== 'false',
+    intervalMs: parseInt(process.env.SCHEDULER_INTERVAL_MS || '30000')
+  },
+
+  // Importación de paquetes OCDS (releases o records)
+  ocds: {
+    importDir: process.env.OCDS_IMPORT_DIR || 'storage/ocds'
+  },
+
+  // Anexos (bases y documentos descargados de SEACE)
+  anexos: {
+    storageDir: process.env.ANEXOS_DIR || 'storage/anexos',
+    maxFileSizeMb: parseInt(process.env.ANEXOS_MAX_FILE_MB || '25'),
+    maxTextLength: parseInt(process.env.ANEXOS_MAX_TEXT_LENGTH || '500000'),
+    // Tras este número de fallos el anexo deja de seleccionarse como pendiente
+    maxAttempts: parseInt(process.env.ANEXOS_MAX_ATTEMPTS || '3')
   },
   
   // API
@@ -2,6 +2,7 @@
  * Controlador de Dashboard
  */
 const dashboardService = require('../services/dashboardService');
+const tiposCambioService = require('../services/tiposCambioService');
 const logger = require('../config/logger');
 
 class DashboardController {
@@ -27,7 +28,7 @@ class DashboardController {
   async getProcesosByDepartamento(req, res, next) {
     try {
       const data = await dashboardService.getProcesosByDepartamento();
-      res.json({ success: true, data });
+      res.json({ success: true, data, moneda: tiposCambioService.monedaBase });
     } catch (error) {
       next(error);
     }
@@ -36,7 +37,7 @@ class DashboardController {
   async getMonthlyTrends(req, res, next) {
     try {
       const data = await dashboardService.getMonthlyTrends();
-      res.json({ success: true, data });
+      res.json({ success: true, data, moneda: tiposCambioService.monedaBase });
     } catch (error) {
       next(error);
     }
@@ -45,7 +46,7 @@ class DashboardController {
   async getTopRubros(req, res, next) {
     try {
       const data = await dashboardService.getTopRubros();
-      res.json({ success: true, data });
+      res.json({ success: true, data, moneda: tiposCambioService.monedaBase });
     } catch (error) {
       next(error);
     }
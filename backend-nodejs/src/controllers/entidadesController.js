@@ -0,0 +1,114 @@
+/**
+ * Controlador del catálogo de entidades
+ */
+const entidadesService = require('../services/entidadesService');
+const logger = require('../config/logger');
+
+class EntidadesController {
+  /**
+   * Listar entidades con búsqueda por nombre, alias o RUC
+   */
+  async getEntidades(req, res, next) {
+    try {
+      const result = await entidadesService.getEntidades({
+        q: req.query.q,
+        nivel_gobierno: req.query.nivel_gobierno,
+        page: parseInt(req.query.page) || 1,
+        size: Math.min(parseInt(req.query.size) || 20, 100)
+      });
+
+      res.json({
+        success: true,
+        data: result
+      });
+    } catch (error) {
+      logger.error(`Error en getEntidades: ${error.message}`);
+      next(error);
+    }
+  }
+
+  /**
+   * Obtener una entidad con sus alias
+   */
+  async getEntidad(req, res, next) {
+    try {
+      const entidad = await entidadesService.getEntidadById(req.params.entidad_id);
+
+      if (!entidad) {
+        return res.status(404).json({
+          success: false,
+          message: 'Entidad no encontrada'
+        });
+      }
+
+      res.json({
+        success: true,
+        data: entidad
+      });
+    } catch (error) {
+      logger.error(`Error en getEntidad: ${error.message}`);
+      next(error);
+    }
+  }
+
+  /**
+   * Corregir los datos de una entidad
+   */
+  async updateEntidad(req, res, next) {
+    try {
+      const entidad = await entidadesService.updateEntidad(req.params.entidad_id, req.body || {});
+
+      if (!entidad) {
+        return res.status(404).json({
+          success: false,
+          message: 'Entidad no encontrada'
+        });
+      }
+
+      res.json({
+        success: true,
+        message: 'Entidad actualizada',
+        data: entidad
+      });
+    } catch (error) {
+      logger.error(`Error en updateEntidad: ${error.message}`);
+      next(error);
+    }
+  }
+
+  /**
+   * Fusionar una entidad duplicada en otra
+   */
+  async mergeEntidades(req, res, next) {
+    try {
+      const { origen_id } = req.body || {};
+
+      if (!origen_id) {
+        return res.status(400).json({
+          success: false,
+          message: 'origen_id es requerido'
+        });
+      }
+
+      const result = await entidadesService.mergeEntidades(req.params.entidad_id, origen_id);
+
+      if (!result) {
+        return res.status(404).json({
+          success: false,
+          message: 'Entidad no encontrada'
+        });
+      }
+
+      res.json({
+        success: true,
+        message: `Entidades fusionadas: ${result.procesos_reasignados} procesos reasignados`,
+        data: result
+      });
+    } catch (error) {
+      logger.error(`Error en mergeEntidades: ${error.message}`);
+      next(error);
+    }
+  }
+}
+
+module.exports = new EntidadesController();
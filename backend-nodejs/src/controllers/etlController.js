@@ -2,6 +2,11 @@
  * Controlador de ETL
  */
 const etlService = require('../services/etlService');
+const schedulerService = require('../services/schedulerService');
+const dataQualityService = require('../services/dataQualityService');
+const revisionesService = require('../services/revisionesService');
+const deadLetterService = require('../services/deadLetterService');
+const etlEventsService = require('../services/etlEventsService');
 const logger = require('../config/logger');
 
 class ETLController {
@@ -110,6 +115,27 @@ class ETLController {
     }
   }
 
+  /**
+   * Tendencia de calidad de datos en las últimas operaciones
+   */
+  async getQualityTrend(req, res, next) {
+    try {
+      const trend = await dataQualityService.getTrend({
+        operation_type: req.query.operation_type || null,
+        limit: Math.min(parseInt(req.query.limit) || 30, 200)
+      });
+
+      res.set('Cache-Control', 'no-store, no-cache, must-revalidate, proxy-revalidate');
+      res.json({
+        success: true,
+        data: { items: trend }
+      });
+    } catch (error) {
+      logger.error(`Error en getQualityTrend: ${error.message}`);
+      next(error);
+    }
+  }
+
   async getETLStats(req, res, next) {
     try {
       const stats = await etlService.getETLStats();
@@ -132,16 +158,59 @@ class ETLController {
       const result = await etlService.syncProcesses(params);
       res.json(result);
     } catch (error) {
+      logger.error(`Error en syncProcesses: ${error.message}`);
       next(error);
     }
   }
 
   async generateEmbeddings(req, res, next) {
+    try {
+      const { proceso_id, force } = req.body;
+      const result = await etlService.generateEmbeddings(proceso_id || null, { force: force === true });
+      res.json(result);
+    } catch (error) {
+      logger.error(`Error en generateEmbeddings: ${error.message}`);
+      next(error);
+    }
+  }
+
+  /**
+   * Encolar la descarga de anexos pendientes y la extracción de su texto
+   */
+  async processAnexos(req, res, next) {
     try {
       const { proceso_id } = req.body;
-      const result = await etlService.generateEmbeddings(proceso_id);
+      const limit = parseInt(req.body.limit) || 20;
+
+      const result = await etlService.startAnexosProcessing({
+        procesoId: proceso_id || null,
+        limit
+      });
+
+      res.json({
+        success: true,
+        data: result
+      });
+    } catch (error) {
+      logger.error(`Error en processAnexos: ${error.message}`);
+      next(error);
+    }
+  }
+
+  /**
+   * Importar un paquete OCDS subido o los paquetes del directorio de importación
+   */
+  async importOcds(req, res, next) {
+    try {
+      const fromDirectory = req.body?.source === 'directory';
+      const result = await etlService.startOcdsImport({
+        paquete: fromDirectory ? null : req.body,
+        fromDirectory
+      });
+
       res.json(result);
     } catch (error) {
+      logger.error(`Error en importOcds: ${error.message}`);
       next(error);
     }
   }
@@ -176,6 +245,38 @@ class ETLController {
     }
   }
 
+  /**
+   * Diff por campo de una operación ETL (procesos creados, actualizados y sin cambios)
+   */
+  async getOperationChanges(req, res, next) {
+    try {
+      const { operation_id } = req.params;
+      const changes = await revisionesService.getOperationChanges(operation_id, {
+        resultado: req.query.resultado || null,
+        campo: req.query.campo || null,
+        search: req.query.search || null,
+        page: parseInt(req.query.page) || 1,
+        size: Math.min(parseInt(req.query.size) || 50, 200)
+      });
+
+      if (!changes) {
+        return res.status(404).json({
+          success: false,
+          message: 'Operación no encontrada'
+        });
+      }
+
+      res.set('Cache-Control', 'no-store, no-cache, must-revalidate, proxy-revalidate');
+      res.json({
+        success: true,
+        data: changes
+      });
+    } catch (error) {
+      logger.error(`Error en getOperationChanges: ${error.message}`);
+      next(error);
+    }
+  }
+
   /**
    * Obtener progreso en tiempo real de una operación ETL
    */
@@ -199,6 +300,318 @@ class ETLController {
     }
   }
 
+  /**
+   * Canal SSE de eventos en vivo de las operaciones ETL.
+   * Con operation_id se envía primero el progreso guardado y luego solo los eventos de esa operación.
+   */
+  async streamEvents(req, res, next) {
+    try {
+      const operationId = req.query.operation_id || null;
+      const inicial = operationId ? await etlService.getOperationProgress(operationId) : null;
+
+      etlEventsService.subscribe(req, res, { operationId });
+      if (inicial) etlEventsService.sendTo(res, 'progress', { ...inicial, operation_id: operationId });
+    } catch (error) {
+      logger.error(`Error en streamEvents: ${error.message}`);
+      next(error);
+    }
+  }
+
+  /**
+   * Emitir un ticket de un solo uso para abrir el canal de eventos
+   */
+  async createStreamTicket(req, res, next) {
+    try {
+      res.json({
+        success: true,
+        data: etlEventsService.issueTicket(req.user.id)
+      });
+    } catch (error) {
+      logger.error(`Error en createStreamTicket: ${error.message}`);
+      next(error);
+    }
+  }
+
+  /**
+   * Reanudar una operación de scraping desde su último checkpoint
+   */
+  async resumeOperation(req, res, next) {
+    try {
+      const { operation_id } = req.params;
+      const result = await etlService.resumeScraping(operation_id);
+
+      res.json({
+        success: true,
+        data: result
+      });
+    } catch (error) {
+      if (error.message.includes('no encontrad')) {
+        return res.status(404).json({
+          success: false,
+          message: error.message
+        });
+      }
+      logger.error(`Error en resumeOperation: ${error.message}`);
+      next(error);
+    }
+  }
+
+  /**
+   * Cancelar una operación ETL encolada o en ejecución
+   */
+  async cancelOperation(req, res, next) {
+    try {
+      const { operation_id } = req.params;
+      const result = await etlService.cancelOperation(operation_id);
+
+      res.json({
+        success: true,
+        data: result
+      });
+    } catch (error) {
+      if (error.message.includes('no encontrad')) {
+        return res.status(404).json({
+          success: false,
+          message: error.message
+        });
+      }
+      logger.error(`Error en cancelOperation: ${error.message}`);
+      next(error);
+    }
+  }
+
+  /**
+   * Listar filas que no se pudieron importar
+   */
+  async getDeadLetters(req, res, next) {
+    try {
+      const result = await deadLetterService.list({
+        status: req.query.status || null,
+        operation_id: req.query.operation_id || null,
+        operation_type: req.query.operation_type || null,
+        search: req.query.search || null,
+        page: parseInt(req.query.page) || 1,
+        size: Math.min(parseInt(req.query.size) || 50, 200)
+      });
+
+      res.set('Cache-Control', 'no-store, no-cache, must-revalidate, proxy-revalidate');
+      res.json({
+        success: true,
+        data: result
+      });
+    } catch (error) {
+      logger.error(`Error en getDeadLetters: ${error.message}`);
+      next(error);
+    }
+  }
+
+  /**
+   * Obtener una fila fallida con sus datos originales
+   */
+  async getDeadLetter(req, res, next) {
+    try {
+      const deadLetter = await deadLetterService.get(req.params.dead_letter_id);
+
+      if (!deadLetter) {
+        return res.status(404).json({
+          success: false,
+          message: 'Fila fallida no encontrada'
+        });
+      }
+
+      res.json({
+        success: true,
+        data: deadLetter
+      });
+    } catch (error) {
+      logger.error(`Error en getDeadLetter: ${error.message}`);
+      next(error);
+    }
+  }
+
+  /**
+   * Corregir los datos de una fila fallida o descartarla
+   */
+  async updateDeadLetter(req, res, next) {
+    try {
+      const deadLetter = await deadLetterService.update(req.params.dead_letter_id, req.body || {});
+
+      if (!deadLetter) {
+        return res.status(404).json({
+          success: false,
+          message: 'Fila fallida no encontrada'
+        });
+      }
+
+      res.json({
+        success: true,
+        message: 'Fila fallida actualizada',
+        data: deadLetter
+      });
+    } catch (error) {
+      logger.error(`Error en updateDeadLetter: ${error.message}`);
+      next(error);
+    }
+  }
+
+  /**
+   * Reintentar la importación de una fila fallida
+   */
+  async retryDeadLetter(req, res, next) {
+    try {
+      const deadLetter = await deadLetterService.retry(req.params.dead_letter_id);
+
+      if (!deadLetter) {
+        return res.status(404).json({
+          success: false,
+          message: 'Fila fallida no encontrada'
+        });
+      }
+
+      res.json({
+        success: true,
+        message: deadLetter.status === 'resolved' ? 'Fila importada' : `La fila sigue fallando: ${deadLetter.error}`,
+        data: deadLetter
+      });
+    } catch (error) {
+      logger.error(`Error en retryDeadLetter: ${error.message}`);
+      next(error);
+    }
+  }
+
+  /**
+   * Reintentar en lote filas fallidas pendientes
+   */
+  async retryDeadLetters(req, res, next) {
+    try {
+      const { ids, operation_id } = req.body || {};
+      const result = await deadLetterService.retryMany({ ids, operation_id });
+
+      res.json({
+        success: true,
+        message: `${result.resolved} filas importadas, ${result.failed} siguen fallando`,
+        data: result
+      });
+    } catch (error) {
+      logger.error(`Error en retryDeadLetters: ${error.message}`);
+      next(error);
+    }
+  }
+
+  /**
+   * Listar programaciones de scraping
+   */
+  async getSchedules(req, res, next) {
+    try {
+      const result = await schedulerService.getSchedules({
+        page: parseInt(req.query.page) || 1,
+        size: Math.min(parseInt(req.query.size) || 50, 200)
+      });
+
+      res.json({
+        success: true,
+        data: result
+      });
+    } catch (error) {
+      logger.error(`Error en getSchedules: ${error.message}`);
+      next(error);
+    }
+  }
+
+  /**
+   * Crear una programación de scraping
+   */
+  async createSchedule(req, res, next) {
+    try {
+      const schedule = await schedulerService.createSchedule(req.body || {}, req.user?.id);
+
+      res.status(201).json({
+        success: true,
+        message: 'Programación creada',
+        data: schedule
+      });
+    } catch (error) {
+      logger.error(`Error en createSchedule: ${error.message}`);
+      next(error);
+    }
+  }
+
+  /**
+   * Modificar, habilitar o deshabilitar una programación
+   */
+  async updateSchedule(req, res, next) {
+    try {
+      const schedule = await schedulerService.updateSchedule(req.params.schedule_id, req.body || {});
+
+      if (!schedule) {
+        return res.status(404).json({
+          success: false,
+          message: 'Programación no encontrada'
+        });
+      }
+
+      res.json({
+        success: true,
+        message: 'Programación actualizada',
+        data: schedule
+      });
+    } catch (error) {
+      logger.error(`Error en updateSchedule: ${error.message}`);
+      next(error);
+    }
+  }
+
+  /**
+   * Eliminar una programación
+   */
+  async deleteSchedule(req, res, next) {
+    try {
+      const eliminada = await schedulerService.deleteSchedule(req.params.schedule_id);
+
+      if (!eliminada) {
+        return res.status(404).json({
+          success: false,
+          message: 'Programación no encontrada'
+        });
+      }
+
+      res.json({
+        success: true,
+        message: 'Programación eliminada'
+      });
+    } catch (error) {
+      logger.error(`Error en deleteSchedule: ${error.message}`);
+      next(error);
+    }
+  }
+
+  /**
+   * Ejecutar una programación sin esperar a su próxima ejecución
+   */
+  async runSchedule(req, res, next) {
+    try {
+      const schedule = await schedulerService.runScheduleNow(req.params.schedule_id);
+
+      if (!schedule) {
+        return res.status(404).json({
+          success: false,
+          message: 'Programación no encontrada'
+        });
+      }
+
+      res.json({
+        success: true,
+        message: schedule.last_status === 'running'
+          ? `Scraping iniciado: ${schedule.last_operation_id}`
+          : schedule.last_message,
+        data: schedule
+      });
+    } catch (error) {
+      logger.error(`Error en runSchedule: ${error.message}`);
+      next(error);
+    }
+  }
+
   /**
    * Listar archivos de exportación
    */
@@ -3,6 +3,10 @@
  */
 const procesosService = require('../services/procesosService');
 const interactionService = require('../services/interactionService');
+const anexosService = require('../services/anexosService');
+const revisionesService = require('../services/revisionesService');
+const linajeService = require('../services/linajeService');
+const importService = require('../services/importService');
 const logger = require('../config/logger');
 
 class ProcesosController {
@@ -19,12 +23,15 @@ class ProcesosController {
         objeto_contratacion: req.query.objeto_contratacion,
         rubro: req.query.rubro,
         departamento: req.query.departamento,
+        ubigeo: req.query.ubigeo,
         entidad_nombre: req.query.entidad_nombre,
+        entidad_id: req.query.entidad_id,
         monto_min: req.query.monto_min ? parseFloat(req.query.monto_min) : null,
         monto_max: req.query.monto_max ? parseFloat(req.query.monto_max) : null,
         fecha_desde: req.query.fecha_desde,
         fecha_hasta: req.query.fecha_hasta,
         search_text: req.query.search_text,
+        colapsar_linaje: req.query.colapsar_linaje === 'true',
         sort_by: req.query.sort_by || 'fecha_publicacion',
         sort_order: req.query.sort_order || 'desc'
       };
@@ -81,6 +88,108 @@ class ProcesosController {
     }
   }
 
+  /**
+   * Obtener anexos de un proceso
+   */
+  async getProcesoAnexos(req, res, next) {
+    try {
+      const { proceso_id } = req.params;
+      const anexos = await anexosService.getAnexosByProceso(proceso_id);
+
+      // Evitar cache
+      res.set('Cache-Control', 'no-store, no-cache, must-revalidate, proxy-revalidate');
+      res.set('Pragma', 'no-cache');
+      res.set('Expires', '0');
+
+      res.json({
+        success: true,
+        data: anexos
+      });
+    } catch (error) {
+      logger.error(`Error en getProcesoAnexos: ${error.message}`);
+      next(error);
+    }
+  }
+
+  /**
+   * Obtener historial de cambios de un proceso
+   */
+  async getProcesoHistory(req, res, next) {
+    try {
+      const { proceso_id } = req.params;
+      const page = parseInt(req.query.page) || 1;
+      const size = Math.min(parseInt(req.query.size) || 50, 200);
+
+      const history = await revisionesService.getHistory(proceso_id, { page, size });
+
+      if (!history) {
+        return res.status(404).json({
+          success: false,
+          message: 'Proceso no encontrado'
+        });
+      }
+
+      // Evitar cache
+      res.set('Cache-Control', 'no-store, no-cache, must-revalidate, proxy-revalidate');
+      res.set('Pragma', 'no-cache');
+      res.set('Expires', '0');
+
+      res.json({
+        success: true,
+        data: history
+      });
+    } catch (error) {
+      logger.error(`Error en getProcesoHistory: ${error.message}`);
+      next(error);
+    }
+  }
+
+  /**
+   * Obtener la cadena de reinicios de un proceso
+   */
+  async getProcesoLinaje(req, res, next) {
+    try {
+      const linaje = await linajeService.getLinaje(req.params.proceso_id);
+
+      if (!linaje) {
+        return res.status(404).json({
+          success: false,
+          message: 'Proceso no encontrado'
+        });
+      }
+
+      res.json({
+        success: true,
+        data: linaje
+      });
+    } catch (error) {
+      logger.error(`Error en getProcesoLinaje: ${error.message}`);
+      next(error);
+    }
+  }
+
+  /**
+   * Descargar la copia local de un anexo
+   */
+  async downloadProcesoAnexo(req, res, next) {
+    try {
+      const { proceso_id, anexo_id } = req.params;
+      const file = await anexosService.getAnexoFile(proceso_id, anexo_id);
+
+      if (!file) {
+        return res.status(404).json({
+          success: false,
+          message: 'Anexo no encontrado o no descargado'
+        });
+      }
+
+      res.download(file.filePath, file.anexo.nombre_archivo || undefined);
+    } catch (error) {
+      logger.error(`Error en downloadProcesoAnexo: ${error.message}`);
+      next(error);
+    }
+  }
+
   /**
    * Buscar procesos por texto
    */
@@ -173,6 +282,32 @@ class ProcesosController {
     }
   }
 
+  /**
+   * Encolar la importación de procesos desde un archivo CSV o JSON (formato de exportService)
+   */
+  async importProcesos(req, res, next) {
+    try {
+      const { content, format, filename } = req.body;
+
+      if (!content) {
+        return res.status(400).json({
+          success: false,
+          message: 'Se requiere el contenido del archivo (content)'
+        });
+      }
+
+      const result = await importService.importProcesos(content, { format, filename });
+
+      res.json({
+        success: true,
+        data: result
+      });
+    } catch (error) {
+      logger.error(`Error en importProcesos: ${error.message}`);
+      next(error);
+    }
+  }
+
   /**
    * Actualizar proceso
    */
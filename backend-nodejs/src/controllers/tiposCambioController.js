@@ -0,0 +1,118 @@
+/**
+ * Controlador de tipos de cambio
+ */
+const tiposCambioService = require('../services/tiposCambioService');
+const logger = require('../config/logger');
+
+class TiposCambioController {
+  /**
+   * Listar tipos de cambio registrados
+   */
+  async getTiposCambio(req, res, next) {
+    try {
+      const result = await tiposCambioService.getTiposCambio({
+        moneda: req.query.moneda,
+        page: parseInt(req.query.page) || 1,
+        size: Math.min(parseInt(req.query.size) || 50, 200)
+      });
+
+      res.json({
+        success: true,
+        data: result
+      });
+    } catch (error) {
+      logger.error(`Error en getTiposCambio: ${error.message}`);
+      next(error);
+    }
+  }
+
+  /**
+   * Registrar o corregir el tipo de cambio de una moneda en una fecha
+   */
+  async saveTipoCambio(req, res, next) {
+    try {
+      const result = await tiposCambioService.saveTipoCambio(req.body || {});
+
+      res.status(result.created ? 201 : 200).json({
+        success: true,
+        message: result.created ? 'Tipo de cambio registrado' : 'Tipo de cambio actualizado',
+        data: result
+      });
+    } catch (error) {
+      logger.error(`Error en saveTipoCambio: ${error.message}`);
+      next(error);
+    }
+  }
+
+  /**
+   * Eliminar un tipo de cambio
+   */
+  async deleteTipoCambio(req, res, next) {
+    try {
+      const result = await tiposCambioService.deleteTipoCambio(req.params.tipo_cambio_id);
+
+      if (!result) {
+        return res.status(404).json({
+          success: false,
+          message: 'Tipo de cambio no encontrado'
+        });
+      }
+
+      res.json({
+        success: true,
+        message: 'Tipo de cambio eliminado',
+        data: result
+      });
+    } catch (error) {
+      logger.error(`Error en deleteTipoCambio: ${error.message}`);
+      next(error);
+    }
+  }
+
+  /**
+   * Importar tipos de cambio desde un CSV
+   */
+  async importTiposCambio(req, res, next) {
+    try {
+      const { content } = req.body || {};
+
+      if (!content) {
+        return res.status(400).json({
+          success: false,
+          message: 'content es requerido'
+        });
+      }
+
+      const result = await tiposCambioService.importCsv(content);
+
+      res.json({
+        success: true,
+        message: `Importación completada: ${result.created} nuevos, ${result.updated} actualizados, ${result.rejected} rechazados`,
+        data: result
+      });
+    } catch (error) {
+      logger.error(`Error en importTiposCambio: ${error.message}`);
+      next(error);
+    }
+  }
+
+  /**
+   * Recalcular monto_pen de todos los procesos
+   */
+  async recalcularMontos(req, res, next) {
+    try {
+      const procesosActualizados = await tiposCambioService.recalcularMontosPen();
+
+      res.json({
+        success: true,
+        message: `monto_pen recalculado: ${procesosActualizados} procesos actualizados`,
+        data: { procesos_actualizados: procesosActualizados }
+      });
+    } catch (error) {
+      logger.error(`Error en recalcularMontos: ${error.message}`);
+      next(error);
+    }
+  }
+}
+
+module.exports = new TiposCambioController();
@@ -0,0 +1,45 @@
+/**
+ * GeminiEmbeddingProvider - Embeddings con la API de Google (text-embedding-004, 768 dimensiones)
+ */
+const { GoogleGenerativeAI } = require('@google/generative-ai');
+
+// Límite de textos por llamada a batchEmbedContents
+const LOTE_MAXIMO = 100;
+
+class GeminiEmbeddingProvider {
+  constructor({ dimensions, model }) {
+    this.name = `gemini:${model}`;
+    this.dimensions = dimensions;
+    this.model = model;
+  }
+
+  getModel() {
+    const apiKey = process.env.GOOGLE_API_KEY || process.env.GEMINI_API_KEY;
+    if (!apiKey) {
+      throw new Error('Falta la API key de Google Gemini (GOOGLE_API_KEY)');
+    }
+    return new GoogleGenerativeAI(apiKey).getGenerativeModel({ model: this.model });
+  }
+
+  async embed(texts) {
+    const model = this.getModel();
+    const pendientes = texts.map((text, idx) => ({ text: String(text || '').trim(), idx }))
+      .filter(({ text }) => text.length > 0);
+    const vectores = new Array(texts.length).fill(null);
+
+    for (let inicio = 0; inicio < pendientes.length; inicio += LOTE_MAXIMO) {
+      const lote = pendientes.slice(inicio, inicio + LOTE_MAXIMO);
+      const result = await model.batchEmbedContents({
+        requests: lote.map(({ text }) => ({ content: { role: 'user', parts: [{ text }] } }))
+      });
+
+      lote.forEach(({ idx }, posicion) => {
+        vectores[idx] = result.embeddings[posicion]?.values || null;
+      });
+    }
+
+    return vectores;
+  }
+}
+
+module.exports = GeminiEmbeddingProvider;
@@ -0,0 +1,75 @@
+/**
+ * HashingEmbeddingProvider - Embeddings deterministas sin modelo ni conexión
+ *
+ * Cada término (palabra o par de palabras consecutivas, sin tildes ni stopwords) se
+ * proyecta con un hash a una de las dimensiones del vector, con signo también derivado
+ * del hash. El peso es la frecuencia logarítmica del término y el vector se normaliza,
+ * así que la similitud coseno mide el vocabulario compartido entre dos textos.
+ */
+
+// Palabras frecuentes en las descripciones de SEACE que no distinguen un proceso de otro
+const STOPWORDS = new Set([
+  'a', 'al', 'con', 'de', 'del', 'e', 'el', 'en', 'es', 'la', 'las', 'lo', 'los', 'o', 'para',
+  'por', 'que', 'se', 'sin', 'su', 'sus', 'u', 'un', 'una', 'y'
+]);
+
+class HashingEmbeddingProvider {
+  constructor({ dimensions }) {
+    this.name = `hashing-${dimensions}`;
+    this.dimensions = dimensions;
+  }
+
+  async embed(texts) {
+    return texts.map(text => this.embedText(text));
+  }
+
+  /**
+   * @returns {Array|null} Vector normalizado, o null si el texto no tiene términos
+   */
+  embedText(text) {
+    const terminos = this.tokenize(text);
+    if (terminos.length === 0) return null;
+
+    const frecuencias = new Map();
+    terminos.forEach((termino, idx) => {
+      frecuencias.set(termino, (frecuencias.get(termino) || 0) + 1);
+      if (idx > 0) {
+        const par = `${terminos[idx - 1]}_${termino}`;
+        frecuencias.set(par, (frecuencias.get(par) || 0) + 1);
+      }
+    });
+
+    const vector = new Array(this.dimensions).fill(0);
+    frecuencias.forEach((frecuencia, termino) => {
+      const hash = this.hash(termino);
+      const signo = (hash >>> 31) === 0 ? 1 : -1;
+      vector[hash % this.dimensions] += signo * (1 + Math.log(frecuencia));
+    });
+
+    const norma = Math.sqrt(vector.reduce((suma, valor) => suma + valor * valor, 0));
+    return norma > 0 ? vector.map(valor => valor / norma) : null;
+  }
+
+  tokenize(text) {
+    return String(text || '')
+      .toLowerCase()
+      .normalize('NFD')
+      .replace(/[\u0300-\u036f]/g, '')
+      .split(/[^a-z0-9]+/)
+      .filter(palabra => palabra.length > 1 && !STOPWORDS.has(palabra));
+  }
+
+  /**
+   * FNV-1a de 32 bits (sin signo)
+   */
+  hash(texto) {
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < texto.length; i++) {
+      hash ^= texto.charCodeAt(i);
+      hash = Math.imul(hash, 0x01000193);
+    }
+    return hash >>> 0;
+  }
+}
+
+module.exports = HashingEmbeddingProvider;
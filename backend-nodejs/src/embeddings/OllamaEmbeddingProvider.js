@@ -0,0 +1,44 @@
+/**
+ * OllamaEmbeddingProvider - Embeddings con un modelo local servido por Ollama
+ * (por defecto nomic-embed-text, de 768 dimensiones). No necesita conexión a internet.
+ */
+const axios = require('axios');
+
+class OllamaEmbeddingProvider {
+  constructor({ dimensions, url, model, timeout }) {
+    this.name = `ollama:${model}`;
+    this.dimensions = dimensions;
+    this.url = url.replace(/\/+$/, '');
+    this.model = model;
+    this.timeout = timeout;
+  }
+
+  async embed(texts) {
+    const pendientes = texts.map((text, idx) => ({ text: String(text || '').trim(), idx }))
+      .filter(({ text }) => text.length > 0);
+    const vectores = new Array(texts.length).fill(null);
+    if (pendientes.length === 0) return vectores;
+
+    let response;
+    try {
+      response = await axios.post(`${this.url}/api/embed`, {
+        model: this.model,
+        input: pendientes.map(({ text }) => text)
+      }, { timeout: this.timeout });
+    } catch (error) {
+      throw new Error(`Ollama no respondió en ${this.url}: ${error.response?.data?.error || error.message}`);
+    }
+
+    const embeddings = response.data?.embeddings || [];
+    if (embeddings.length !== pendientes.length) {
+      throw new Error(`Ollama devolvió ${embeddings.length} embeddings para ${pendientes.length} textos`);
+    }
+
+    pendientes.forEach(({ idx }, posicion) => {
+      vectores[idx] = embeddings[posicion];
+    });
+    return vectores;
+  }
+}
+
+module.exports = OllamaEmbeddingProvider;
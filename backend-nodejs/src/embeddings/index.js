@@ -0,0 +1,35 @@
+/**
+ * Proveedores de embeddings
+ * Todos devuelven vectores de DIMENSIONES valores (columnas vector(768) de proceso_embeddings).
+ * - hashing: determinista y sin conexión (por defecto)
+ * - ollama: modelo local servido por Ollama
+ * - gemini: API de Google
+ */
+const config = require('../config/index');
+const HashingEmbeddingProvider = require('./HashingEmbeddingProvider');
+const OllamaEmbeddingProvider = require('./OllamaEmbeddingProvider');
+const GeminiEmbeddingProvider = require('./GeminiEmbeddingProvider');
+
+const DIMENSIONES = 768;
+
+/**
+ * Crear el proveedor configurado en EMBEDDINGS_PROVIDER
+ * @returns {Object} { name, dimensions, embed(texts) => Promise<Array<Array|null>> }
+ */
+function createEmbeddingProvider(options = config.embeddings) {
+  switch (options.provider) {
+    case 'hashing':
+      return new HashingEmbeddingProvider({ dimensions: DIMENSIONES });
+    case 'ollama':
+      return new OllamaEmbeddingProvider({ dimensions: DIMENSIONES, ...options.ollama });
+    case 'gemini':
+      return new GeminiEmbeddingProvider({ dimensions: DIMENSIONES, ...options.gemini });
+    default:
+      throw new Error(`Proveedor de embeddings desconocido: ${options.provider} (hashing, ollama o gemini)`);
+  }
+}
+
+module.exports = {
+  DIMENSIONES,
+  createEmbeddingProvider
+};
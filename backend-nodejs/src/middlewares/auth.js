@@ -4,6 +4,7 @@
 const jwt = require('jsonwebtoken');
 const config = require('../config');
 const { User } = require('../models');
+const etlEventsService = require('../services/etlEventsService');
 
 /**
  * Middleware para verificar el token JWT
@@ -87,7 +88,45 @@ const isAdmin = (req, res, next) => {
   next();
 };
 
+/**
+ * Middleware para autenticar el canal de eventos ETL con un ticket de un solo uso (?ticket=)
+ * emitido por POST /etl/stream/ticket. Solo se usa en GET /etl/stream: EventSource no envía
+ * encabezados y el JWT no debe quedar en la URL (logs de morgan y de los proxies).
+ * @param {Object} req - Objeto de solicitud Express
+ * @param {Object} res - Objeto de respuesta Express
+ * @param {Function} next - Función next de Express
+ */
+const verifyStreamTicket = async (req, res, next) => {
+  try {
+    const userId = etlEventsService.consumeTicket(req.query.ticket);
+    if (!userId) {
+      return res.status(401).json({
+        success: false,
+        message: 'Ticket del canal ausente, usado o vencido'
+      });
+    }
+
+    const user = await User.findOne({ where: { id: userId } });
+    if (!user) {
+      return res.status(401).json({
+        success: false,
+        message: 'Usuario no encontrado'
+      });
+    }
+
+    req.user = user;
+    next();
+  } catch (error) {
+    console.error('Error en la autenticación del canal de eventos:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Error interno de servidor'
+    });
+  }
+};
+
 module.exports = {
   verifyToken,
-  isAdmin
+  isAdmin,
+  verifyStreamTicket
 };
\ No newline at end of file
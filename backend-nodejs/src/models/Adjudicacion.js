@@ -0,0 +1,96 @@
+/**
+ * Modelo de Adjudicacion
+ * Resultado de la buena pro de un proceso (o de cada ítem): ganador, monto adjudicado y postores
+ */
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+const { v4: uuidv4 } = require('uuid');
+const Proceso = require('./Proceso');
+const Proveedor = require('./Proveedor');
+
+const Adjudicacion = sequelize.define('Adjudicacion', {
+  id: {
+    type: DataTypes.UUID,
+    primaryKey: true,
+    defaultValue: () => uuidv4()
+  },
+  proceso_id: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: Proceso,
+      key: 'id'
+    },
+    onDelete: 'CASCADE'
+  },
+  proveedor_id: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    references: {
+      model: Proveedor,
+      key: 'id'
+    },
+    onDelete: 'SET NULL'
+  },
+  numero_item: {
+    type: DataTypes.INTEGER,
+    allowNull: true
+  },
+  descripcion_item: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  },
+  ganador_ruc: {
+    type: DataTypes.STRING(11),
+    allowNull: true
+  },
+  ganador_nombre: {
+    type: DataTypes.STRING(500),
+    allowNull: true
+  },
+  monto_adjudicado: {
+    type: DataTypes.DECIMAL(15, 2),
+    allowNull: true
+  },
+  moneda: {
+    type: DataTypes.STRING(10),
+    allowNull: true
+  },
+  numero_postores: {
+    type: DataTypes.INTEGER,
+    allowNull: true
+  },
+  fecha_buena_pro: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  created_at: {
+    type: DataTypes.DATE,
+    defaultValue: DataTypes.NOW
+  },
+  updated_at: {
+    type: DataTypes.DATE,
+    defaultValue: DataTypes.NOW
+  }
+}, {
+  tableName: 'adjudicaciones',
+  timestamps: false,
+  indexes: [
+    {
+      name: 'idx_adjudicaciones_proceso',
+      fields: ['proceso_id']
+    },
+    {
+      name: 'idx_adjudicaciones_proveedor',
+      fields: ['proveedor_id']
+    },
+    {
+      name: 'idx_adjudicaciones_ganador_ruc',
+      fields: ['ganador_ruc']
+    }
+  ]
+});
+
+// Las relaciones se definen en models/index.js para evitar dependencias circulares
+
+module.exports = Adjudicacion;
@@ -49,6 +49,20 @@ const Anexo = sequelize.define('Anexo', {
     type: DataTypes.TEXT,
     allowNull: true
   },
+  ruta_local: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  },
+  intentos: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0,
+    comment: 'Intentos fallidos de descarga o extracción'
+  },
+  ultimo_error: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  },
   created_at: {
     type: DataTypes.DATE,
     defaultValue: DataTypes.NOW
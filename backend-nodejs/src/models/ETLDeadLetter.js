@@ -0,0 +1,83 @@
+/**
+ * Modelo de ETLDeadLetter
+ * Fila que una operación ETL no pudo guardar, con sus datos originales para corregirla y reintentarla
+ */
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+const { v4: uuidv4 } = require('uuid');
+
+const ETLDeadLetter = sequelize.define('ETLDeadLetter', {
+  id: {
+    type: DataTypes.UUID,
+    primaryKey: true,
+    defaultValue: () => uuidv4()
+  },
+  operation_id: {
+    type: DataTypes.STRING(255),
+    allowNull: false
+  },
+  operation_type: {
+    type: DataTypes.STRING(50),
+    allowNull: false,
+    comment: 'scraping, sync, ocds_import o bulk_import'
+  },
+  id_proceso: {
+    type: DataTypes.STRING(255),
+    allowNull: true
+  },
+  // Datos tal como llegaron del scraper (o el release OCDS sin mapear)
+  payload: {
+    type: DataTypes.JSONB,
+    allowNull: false
+  },
+  error: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  },
+  status: {
+    type: DataTypes.STRING(20),
+    allowNull: false,
+    defaultValue: 'pending',
+    comment: 'pending, resolved o discarded'
+  },
+  attempts: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0,
+    comment: 'Reintentos manuales realizados'
+  },
+  edited: {
+    type: DataTypes.BOOLEAN,
+    allowNull: false,
+    defaultValue: false
+  },
+  resolved_at: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  created_at: {
+    type: DataTypes.DATE,
+    defaultValue: DataTypes.NOW
+  },
+  updated_at: {
+    type: DataTypes.DATE,
+    defaultValue: DataTypes.NOW
+  }
+}, {
+  tableName: 'etl_dead_letters',
+  timestamps: false,
+  indexes: [
+    {
+      name: 'idx_etl_dead_letters_operation',
+      fields: ['operation_id', 'status']
+    },
+    {
+      name: 'idx_etl_dead_letters_status',
+      fields: ['status', 'created_at']
+    }
+  ]
+});
+
+// Las relaciones se definen en models/index.js para evitar dependencias circulares
+
+module.exports = ETLDeadLetter;
@@ -0,0 +1,102 @@
+/**
+ * Modelo de ETLJob
+ * Trabajo de la cola persistente de operaciones ETL (una fila por operación de etl_logs)
+ */
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+const { v4: uuidv4 } = require('uuid');
+
+const ETLJob = sequelize.define('ETLJob', {
+  id: {
+    type: DataTypes.UUID,
+    primaryKey: true,
+    defaultValue: () => uuidv4()
+  },
+  operation_id: {
+    type: DataTypes.STRING(255),
+    allowNull: false,
+    unique: true
+  },
+  job_type: {
+    type: DataTypes.STRING(50),
+    allowNull: false,
+    comment: 'scraping, ocds_import, sync, embedding o bulk_import'
+  },
+  status: {
+    type: DataTypes.STRING(20),
+    allowNull: false,
+    defaultValue: 'queued',
+    comment: 'queued, running, completed, failed o cancelled'
+  },
+  priority: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0,
+    comment: 'Mayor prioridad se ejecuta primero'
+  },
+  payload: {
+    type: DataTypes.JSONB,
+    allowNull: true
+  },
+  attempts: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0
+  },
+  max_attempts: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 1
+  },
+  cancel_requested: {
+    type: DataTypes.BOOLEAN,
+    allowNull: false,
+    defaultValue: false
+  },
+  worker_id: {
+    type: DataTypes.STRING(255),
+    allowNull: true,
+    comment: 'hostname:pid del proceso que ejecuta el trabajo'
+  },
+  heartbeat_at: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  error: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  },
+  started_at: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  finished_at: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  created_at: {
+    type: DataTypes.DATE,
+    defaultValue: DataTypes.NOW
+  },
+  updated_at: {
+    type: DataTypes.DATE,
+    defaultValue: DataTypes.NOW
+  }
+}, {
+  tableName: 'etl_jobs',
+  timestamps: false,
+  indexes: [
+    {
+      name: 'idx_etl_jobs_cola',
+      fields: ['status', 'priority', 'created_at']
+    },
+    {
+      name: 'idx_etl_jobs_tipo',
+      fields: ['job_type']
+    }
+  ]
+});
+
+// Las relaciones se definen en models/index.js para evitar dependencias circulares
+
+module.exports = ETLJob;
@@ -19,6 +19,7 @@ const ETLLog = sequelize.define('ETLLog', {
     type: DataTypes.STRING(255),
     allowNull: true
   },
+  // queued, running, completed, failed o cancelled
   status: {
     type: DataTypes.STRING(20),
     allowNull: false,
@@ -81,6 +82,16 @@ const ETLLog = sequelize.define('ETLLog', {
     type: DataTypes.TEXT,
     allowNull: true
   },
+  // Última página completada, parámetros e id_proceso ya guardados (para reanudar)
+  checkpoint: {
+    type: DataTypes.JSONB,
+    allowNull: true
+  },
+  // Completitud, fallos de parseo, valores sospechosos y placeholders de los registros recibidos
+  quality_report: {
+    type: DataTypes.JSONB,
+    allowNull: true
+  },
   created_at: {
     type: DataTypes.DATE,
     defaultValue: DataTypes.NOW
@@ -0,0 +1,66 @@
+/**
+ * Modelo de ETLOperacionProceso
+ * Resultado de una operación ETL para cada proceso que tocó: creado, actualizado o sin cambios.
+ * Los valores anterior y nuevo de cada campo modificado están en proceso_revisiones.
+ */
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+const { v4: uuidv4 } = require('uuid');
+const Proceso = require('./Proceso');
+
+const ETLOperacionProceso = sequelize.define('ETLOperacionProceso', {
+  id: {
+    type: DataTypes.UUID,
+    primaryKey: true,
+    defaultValue: () => uuidv4()
+  },
+  operation_id: {
+    type: DataTypes.STRING(255),
+    allowNull: false
+  },
+  proceso_id: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: Proceso,
+      key: 'id'
+    },
+    onDelete: 'CASCADE'
+  },
+  id_proceso: {
+    type: DataTypes.STRING(255),
+    allowNull: false
+  },
+  resultado: {
+    type: DataTypes.STRING(20),
+    allowNull: false,
+    comment: 'created, updated o unchanged'
+  },
+  campos_modificados: {
+    type: DataTypes.ARRAY(DataTypes.TEXT),
+    allowNull: false,
+    defaultValue: []
+  },
+  created_at: {
+    type: DataTypes.DATE,
+    defaultValue: DataTypes.NOW
+  }
+}, {
+  tableName: 'etl_operacion_procesos',
+  timestamps: false,
+  indexes: [
+    {
+      name: 'idx_etl_operacion_procesos_unique',
+      unique: true,
+      fields: ['operation_id', 'proceso_id']
+    },
+    {
+      name: 'idx_etl_operacion_procesos_resultado',
+      fields: ['operation_id', 'resultado']
+    }
+  ]
+});
+
+// Las relaciones se definen en models/index.js para evitar dependencias circulares
+
+module.exports = ETLOperacionProceso;
@@ -0,0 +1,64 @@
+/**
+ * Modelo de Entidad
+ * Catálogo de entidades convocantes con nombre canónico, RUC, nivel de gobierno y ubigeo
+ */
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+const { v4: uuidv4 } = require('uuid');
+
+const Entidad = sequelize.define('Entidad', {
+  id: {
+    type: DataTypes.UUID,
+    primaryKey: true,
+    defaultValue: () => uuidv4()
+  },
+  nombre_canonico: {
+    type: DataTypes.STRING(500),
+    allowNull: false
+  },
+  ruc: {
+    type: DataTypes.STRING(11),
+    allowNull: true,
+    unique: true
+  },
+  nivel_gobierno: {
+    type: DataTypes.STRING(20),
+    allowNull: true,
+    validate: {
+      isIn: [['nacional', 'regional', 'local']]
+    }
+  },
+  // Jurisdicción: código INEI de departamento (2), provincia (4) o distrito (6)
+  ubigeo: {
+    type: DataTypes.STRING(6),
+    allowNull: true,
+    validate: {
+      is: /^(\d{2}){1,3}$/
+    }
+  },
+  created_at: {
+    type: DataTypes.DATE,
+    defaultValue: DataTypes.NOW
+  },
+  updated_at: {
+    type: DataTypes.DATE,
+    defaultValue: DataTypes.NOW
+  }
+}, {
+  tableName: 'entidades',
+  timestamps: false,
+  indexes: [
+    {
+      name: 'idx_entidades_nombre_canonico',
+      fields: ['nombre_canonico']
+    },
+    {
+      name: 'idx_entidades_nivel_gobierno',
+      fields: ['nivel_gobierno']
+    }
+  ]
+});
+
+// Las relaciones se definen en models/index.js para evitar dependencias circulares
+
+module.exports = Entidad;
@@ -0,0 +1,51 @@
+/**
+ * Modelo de EntidadAlias
+ * Variantes de escritura del nombre de una entidad ("MD ...", "MUNICIPALIDAD DISTRITAL DE ...")
+ */
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+const { v4: uuidv4 } = require('uuid');
+const Entidad = require('./Entidad');
+
+const EntidadAlias = sequelize.define('EntidadAlias', {
+  id: {
+    type: DataTypes.UUID,
+    primaryKey: true,
+    defaultValue: () => uuidv4()
+  },
+  entidad_id: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: Entidad,
+      key: 'id'
+    },
+    onDelete: 'CASCADE'
+  },
+  alias: {
+    type: DataTypes.STRING(500),
+    allowNull: false
+  },
+  alias_normalizado: {
+    type: DataTypes.STRING(500),
+    allowNull: false,
+    unique: true
+  },
+  created_at: {
+    type: DataTypes.DATE,
+    defaultValue: DataTypes.NOW
+  }
+}, {
+  tableName: 'entidad_aliases',
+  timestamps: false,
+  indexes: [
+    {
+      name: 'idx_entidad_aliases_entidad',
+      fields: ['entidad_id']
+    }
+  ]
+});
+
+// Las relaciones se definen en models/index.js para evitar dependencias circulares
+
+module.exports = EntidadAlias;
@@ -35,6 +35,15 @@ const Proceso = sequelize.define('Proceso', {
     type: DataTypes.STRING(11),
     allowNull: true
   },
+  entidad_id: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    references: {
+      model: 'entidades',
+      key: 'id'
+    },
+    onDelete: 'SET NULL'
+  },
   objeto_contratacion: {
     type: DataTypes.TEXT,
     allowNull: true
@@ -55,6 +64,21 @@ const Proceso = sequelize.define('Proceso', {
     type: DataTypes.STRING(255),
     allowNull: true
   },
+  // Proceso original resuelto desde reiniciado_desde (ver services/linajeService.js)
+  proceso_origen_id: {
+    type: DataTypes.UUID,
+    allowNull: true,
+    references: {
+      model: 'procesos',
+      key: 'id'
+    },
+    onDelete: 'SET NULL'
+  },
+  // Primer proceso de la cadena de reinicios; null si el proceso nunca fue reiniciado
+  linaje_id: {
+    type: DataTypes.UUID,
+    allowNull: true
+  },
   codigo_snip: {
     type: DataTypes.STRING(50),
     allowNull: true
@@ -104,6 +128,11 @@ const Proceso = sequelize.define('Proceso', {
     type: DataTypes.STRING(50),
     allowNull: true
   },
+  // monto_referencial convertido a soles con la tabla tipos_cambio
+  monto_pen: {
+    type: DataTypes.DECIMAL(15, 2),
+    allowNull: true
+  },
   rubro: {
     type: DataTypes.STRING(200),
     allowNull: true
@@ -120,6 +149,19 @@ const Proceso = sequelize.define('Proceso', {
     type: DataTypes.STRING(100),
     allowNull: true
   },
+  // Códigos INEI de la ubicación (ver services/ubigeoService.js)
+  ubigeo_departamento: {
+    type: DataTypes.STRING(2),
+    allowNull: true
+  },
+  ubigeo_provincia: {
+    type: DataTypes.STRING(4),
+    allowNull: true
+  },
+  ubigeo_distrito: {
+    type: DataTypes.STRING(6),
+    allowNull: true
+  },
   requiere_visita_previa: {
     type: DataTypes.BOOLEAN,
     defaultValue: false
@@ -169,9 +211,37 @@ const Proceso = sequelize.define('Proceso', {
       name: 'idx_proceso_monto',
       fields: ['monto_referencial']
     },
+    {
+      name: 'idx_proceso_monto_pen',
+      fields: ['monto_pen']
+    },
     {
       name: 'idx_proceso_rubro',
       fields: ['rubro']
+    },
+    {
+      name: 'idx_proceso_entidad_id',
+      fields: ['entidad_id']
+    },
+    {
+      name: 'idx_proceso_origen_id',
+      fields: ['proceso_origen_id']
+    },
+    {
+      name: 'idx_proceso_linaje_id',
+      fields: ['linaje_id']
+    },
+    {
+      name: 'idx_proceso_ubigeo_departamento',
+      fields: ['ubigeo_departamento']
+    },
+    {
+      name: 'idx_proceso_ubigeo_provincia',
+      fields: ['ubigeo_provincia']
+    },
+    {
+      name: 'idx_proceso_ubigeo_distrito',
+      fields: ['ubigeo_distrito']
     }
   ]
 });
@@ -1,11 +1,23 @@
 /**
  * Modelo de ProcesoEmbedding
+ * Las columnas de embedding son vector(768) de pgvector: embeddingService las escribe con SQL
+ * y aquí se leen como arreglo de números.
  */
 const { DataTypes } = require('sequelize');
 const { sequelize } = require('../config/database');
 const { v4: uuidv4 } = require('uuid');
 const Proceso = require('./Proceso');
 
+// pgvector devuelve el vector como texto "[0.1,0.2,...]"
+const vectorColumn = (campo) => ({
+  type: DataTypes.TEXT,
+  allowNull: true,
+  get() {
+    const valor = this.getDataValue(campo);
+    return typeof valor === 'string' ? JSON.parse(valor) : valor;
+  }
+});
+
 const ProcesoEmbedding = sequelize.define('ProcesoEmbedding', {
   id: {
     type: DataTypes.UUID,
@@ -21,17 +33,18 @@ const ProcesoEmbedding = sequelize.define('ProcesoEmbedding', {
     },
     onDelete: 'CASCADE'
   },
-  embedding_titulo: {
-    type: DataTypes.ARRAY(DataTypes.FLOAT),
-    allowNull: true
-  },
-  embedding_descripcion: {
-    type: DataTypes.ARRAY(DataTypes.FLOAT),
-    allowNull: true
+  embedding_titulo: vectorColumn('embedding_titulo'),
+  embedding_descripcion: vectorColumn('embedding_descripcion'),
+  embedding_combined: vectorColumn('embedding_combined'),
+  modelo: {
+    type: DataTypes.STRING(100),
+    allowNull: true,
+    comment: 'Proveedor y modelo que generó los vectores (p. ej. hashing-768, ollama:nomic-embed-text)'
   },
-  embedding_combined: {
-    type: DataTypes.ARRAY(DataTypes.FLOAT),
-    allowNull: true
+  texto_hash: {
+    type: DataTypes.STRING(32),
+    allowNull: true,
+    comment: 'md5 de los campos de texto del proceso al generar el embedding'
   },
   created_at: {
     type: DataTypes.DATE,
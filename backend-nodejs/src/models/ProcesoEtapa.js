@@ -0,0 +1,72 @@
+/**
+ * Modelo de ProcesoEtapa
+ * Etapas del cronograma de un proceso (convocatoria, consultas, presentación de ofertas, buena pro, etc.)
+ */
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+const { v4: uuidv4 } = require('uuid');
+const Proceso = require('./Proceso');
+
+const ProcesoEtapa = sequelize.define('ProcesoEtapa', {
+  id: {
+    type: DataTypes.UUID,
+    primaryKey: true,
+    defaultValue: () => uuidv4()
+  },
+  proceso_id: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: Proceso,
+      key: 'id'
+    },
+    onDelete: 'CASCADE'
+  },
+  etapa: {
+    type: DataTypes.STRING(255),
+    allowNull: false
+  },
+  tipo_etapa: {
+    type: DataTypes.STRING(50),
+    allowNull: false,
+    defaultValue: 'otra'
+  },
+  orden: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0
+  },
+  fecha_inicio: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  fecha_fin: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  created_at: {
+    type: DataTypes.DATE,
+    defaultValue: DataTypes.NOW
+  },
+  updated_at: {
+    type: DataTypes.DATE,
+    defaultValue: DataTypes.NOW
+  }
+}, {
+  tableName: 'proceso_etapas',
+  timestamps: false,
+  indexes: [
+    {
+      name: 'idx_proceso_etapas_proceso',
+      fields: ['proceso_id']
+    },
+    {
+      name: 'idx_proceso_etapas_tipo_fin',
+      fields: ['tipo_etapa', 'fecha_fin']
+    }
+  ]
+});
+
+// Las relaciones se definen en models/index.js para evitar dependencias circulares
+
+module.exports = ProcesoEtapa;
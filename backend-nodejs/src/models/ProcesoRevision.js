@@ -0,0 +1,62 @@
+/**
+ * Modelo de ProcesoRevision
+ * Cada registro es un cambio de un campo de un proceso detectado por una operación ETL
+ */
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+const { v4: uuidv4 } = require('uuid');
+const Proceso = require('./Proceso');
+
+const ProcesoRevision = sequelize.define('ProcesoRevision', {
+  id: {
+    type: DataTypes.UUID,
+    primaryKey: true,
+    defaultValue: () => uuidv4()
+  },
+  proceso_id: {
+    type: DataTypes.UUID,
+    allowNull: false,
+    references: {
+      model: Proceso,
+      key: 'id'
+    },
+    onDelete: 'CASCADE'
+  },
+  operation_id: {
+    type: DataTypes.STRING(255),
+    allowNull: true
+  },
+  campo: {
+    type: DataTypes.STRING(100),
+    allowNull: false
+  },
+  valor_anterior: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  },
+  valor_nuevo: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  },
+  created_at: {
+    type: DataTypes.DATE,
+    defaultValue: DataTypes.NOW
+  }
+}, {
+  tableName: 'proceso_revisiones',
+  timestamps: false,
+  indexes: [
+    {
+      name: 'idx_proceso_revisiones_proceso',
+      fields: ['proceso_id', 'created_at']
+    },
+    {
+      name: 'idx_proceso_revisiones_operation',
+      fields: ['operation_id']
+    }
+  ]
+});
+
+// Las relaciones se definen en models/index.js para evitar dependencias circulares
+
+module.exports = ProcesoRevision;
@@ -0,0 +1,45 @@
+/**
+ * Modelo de Proveedor
+ * Postores y ganadores de buena pro identificados en las fichas SEACE
+ */
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+const { v4: uuidv4 } = require('uuid');
+
+const Proveedor = sequelize.define('Proveedor', {
+  id: {
+    type: DataTypes.UUID,
+    primaryKey: true,
+    defaultValue: () => uuidv4()
+  },
+  ruc: {
+    type: DataTypes.STRING(11),
+    allowNull: true,
+    unique: true
+  },
+  razon_social: {
+    type: DataTypes.STRING(500),
+    allowNull: false
+  },
+  created_at: {
+    type: DataTypes.DATE,
+    defaultValue: DataTypes.NOW
+  },
+  updated_at: {
+    type: DataTypes.DATE,
+    defaultValue: DataTypes.NOW
+  }
+}, {
+  tableName: 'proveedores',
+  timestamps: false,
+  indexes: [
+    {
+      name: 'idx_proveedores_razon_social',
+      fields: ['razon_social']
+    }
+  ]
+});
+
+// Las relaciones se definen en models/index.js para evitar dependencias circulares
+
+module.exports = Proveedor;
@@ -0,0 +1,86 @@
+/**
+ * Modelo de ScrapingSchedule
+ * Programación recurrente (cron) de operaciones de scraping
+ */
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+const { v4: uuidv4 } = require('uuid');
+
+const ScrapingSchedule = sequelize.define('ScrapingSchedule', {
+  id: {
+    type: DataTypes.UUID,
+    primaryKey: true,
+    defaultValue: () => uuidv4()
+  },
+  name: {
+    type: DataTypes.STRING(255),
+    allowNull: false
+  },
+  cron: {
+    type: DataTypes.STRING(100),
+    allowNull: false,
+    comment: 'minuto hora día-del-mes mes día-de-la-semana, en la hora local del servidor'
+  },
+  params: {
+    type: DataTypes.JSONB,
+    allowNull: true,
+    comment: 'Parámetros de POST /etl/scraping/start; sin anio se busca el año en curso de cada ejecución'
+  },
+  enabled: {
+    type: DataTypes.BOOLEAN,
+    allowNull: false,
+    defaultValue: true
+  },
+  last_run_at: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  next_run_at: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  last_operation_id: {
+    type: DataTypes.STRING(255),
+    allowNull: true
+  },
+  last_status: {
+    type: DataTypes.STRING(20),
+    allowNull: true,
+    comment: 'running, completed, failed o cancelled'
+  },
+  last_message: {
+    type: DataTypes.TEXT,
+    allowNull: true
+  },
+  skipped_count: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    defaultValue: 0,
+    comment: 'Ejecuciones omitidas porque la anterior seguía en curso'
+  },
+  created_by: {
+    type: DataTypes.UUID,
+    allowNull: true
+  },
+  created_at: {
+    type: DataTypes.DATE,
+    defaultValue: DataTypes.NOW
+  },
+  updated_at: {
+    type: DataTypes.DATE,
+    defaultValue: DataTypes.NOW
+  }
+}, {
+  tableName: 'scraping_schedules',
+  timestamps: false,
+  indexes: [
+    {
+      name: 'idx_scraping_schedules_next_run',
+      fields: ['enabled', 'next_run_at']
+    }
+  ]
+});
+
+// Las relaciones se definen en models/index.js para evitar dependencias circulares
+
+module.exports = ScrapingSchedule;
@@ -0,0 +1,56 @@
+/**
+ * Modelo de TipoCambio
+ * Soles por unidad de moneda extranjera vigentes desde una fecha
+ */
+const { DataTypes } = require('sequelize');
+const { sequelize } = require('../config/database');
+const { v4: uuidv4 } = require('uuid');
+
+const TipoCambio = sequelize.define('TipoCambio', {
+  id: {
+    type: DataTypes.UUID,
+    primaryKey: true,
+    defaultValue: () => uuidv4()
+  },
+  moneda: {
+    type: DataTypes.STRING(3),
+    allowNull: false,
+    comment: 'Código ISO 4217 (USD, EUR, ...)'
+  },
+  fecha: {
+    type: DataTypes.DATEONLY,
+    allowNull: false
+  },
+  valor: {
+    type: DataTypes.DECIMAL(12, 6),
+    allowNull: false,
+    comment: 'Soles por unidad de la moneda'
+  },
+  fuente: {
+    type: DataTypes.STRING(50),
+    allowNull: false,
+    defaultValue: 'manual'
+  },
+  created_at: {
+    type: DataTypes.DATE,
+    defaultValue: DataTypes.NOW
+  },
+  updated_at: {
+    type: DataTypes.DATE,
+    defaultValue: DataTypes.NOW
+  }
+}, {
+  tableName: 'tipos_cambio',
+  timestamps: false,
+  indexes: [
+    {
+      name: 'idx_tipos_cambio_moneda_fecha',
+      unique: true,
+      fields: ['moneda', 'fecha']
+    }
+  ]
+});
+
+// Las relaciones se definen en models/index.js para evitar dependencias circulares
+
+module.exports = TipoCambio;
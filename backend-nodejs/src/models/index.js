@@ -9,11 +9,22 @@ const { sequelize } = require('../config/database');
 const User = require('./User');
 const Proceso = require('./Proceso');
 const Anexo = require('./Anexo');
+const ProcesoEtapa = require('./ProcesoEtapa');
+const ProcesoRevision = require('./ProcesoRevision');
+const Proveedor = require('./Proveedor');
+const Adjudicacion = require('./Adjudicacion');
+const Entidad = require('./Entidad');
+const EntidadAlias = require('./EntidadAlias');
+const TipoCambio = require('./TipoCambio');
 const ProcesoEmbedding = require('./ProcesoEmbedding');
 const ScrapingTask = require('./ScrapingTask');
+const ScrapingSchedule = require('./ScrapingSchedule');
 const ChatbotLog = require('./ChatbotLog');
 const Configuracion = require('./Configuracion');
 const ETLLog = require('./ETLLog');
+const ETLJob = require('./ETLJob');
+const ETLOperacionProceso = require('./ETLOperacionProceso');
+const ETLDeadLetter = require('./ETLDeadLetter');
 const UserRecommendation = require('./UserRecommendation');
 const RecommendationClick = require('./RecommendationClick');
 const ChatSession = require('./ChatSession');
@@ -74,6 +85,9 @@ User.hasMany(ChatSession, { foreignKey: 'user_id', as: 'chat_sessions' });
 
 // Proceso relationships
 Proceso.hasMany(Anexo, { foreignKey: 'proceso_id', as: 'anexos' });
+Proceso.hasMany(ProcesoEtapa, { foreignKey: 'proceso_id', as: 'etapas' });
+Proceso.hasMany(ProcesoRevision, { foreignKey: 'proceso_id', as: 'revisiones' });
+Proceso.hasMany(Adjudicacion, { foreignKey: 'proceso_id', as: 'adjudicaciones' });
 Proceso.hasOne(ProcesoEmbedding, { foreignKey: 'proceso_id', as: 'embedding' });
 Proceso.hasMany(Recomendacion, { foreignKey: 'proceso_id', as: 'recomendaciones' });
 Proceso.hasMany(UserInteraction, { foreignKey: 'proceso_id', as: 'interacciones' });
@@ -99,13 +113,33 @@ UserRecommendation.belongsTo(User, { foreignKey: 'user_id', as: 'user' });
 UserRecommendation.belongsTo(Proceso, { foreignKey: 'proceso_id', as: 'proceso' });
 
 Anexo.belongsTo(Proceso, { foreignKey: 'proceso_id', as: 'proceso' });
+ProcesoEtapa.belongsTo(Proceso, { foreignKey: 'proceso_id', as: 'proceso' });
+ProcesoRevision.belongsTo(Proceso, { foreignKey: 'proceso_id', as: 'proceso' });
+Adjudicacion.belongsTo(Proceso, { foreignKey: 'proceso_id', as: 'proceso' });
+Adjudicacion.belongsTo(Proveedor, { foreignKey: 'proveedor_id', as: 'proveedor' });
+Proveedor.hasMany(Adjudicacion, { foreignKey: 'proveedor_id', as: 'adjudicaciones' });
+Proceso.belongsTo(Entidad, { foreignKey: 'entidad_id', as: 'entidad' });
+Proceso.belongsTo(Proceso, { foreignKey: 'proceso_origen_id', as: 'proceso_origen' });
+Proceso.hasMany(Proceso, { foreignKey: 'proceso_origen_id', as: 'reinicios' });
+Entidad.hasMany(Proceso, { foreignKey: 'entidad_id', as: 'procesos' });
+Entidad.hasMany(EntidadAlias, { foreignKey: 'entidad_id', as: 'aliases' });
+EntidadAlias.belongsTo(Entidad, { foreignKey: 'entidad_id', as: 'entidad' });
 ProcesoEmbedding.belongsTo(Proceso, { foreignKey: 'proceso_id', as: 'proceso' });
+ScrapingSchedule.belongsTo(User, { foreignKey: 'created_by', as: 'creador' });
+ETLOperacionProceso.belongsTo(Proceso, { foreignKey: 'proceso_id', as: 'proceso' });
 
 // Exportar todos los modelos
 module.exports = {
   User,
   Proceso,
   Anexo,
+  ProcesoEtapa,
+  ProcesoRevision,
+  Proveedor,
+  Adjudicacion,
+  Entidad,
+  EntidadAlias,
+  TipoCambio,
   ProcesoEmbedding,
   Recomendacion,
   Preferencia,
@@ -113,9 +147,13 @@ module.exports = {
   UserRecommendation,
   RecommendationClick,
   ScrapingTask,
+  ScrapingSchedule,
   ChatbotLog,
   Configuracion,
   ETLLog,
+  ETLJob,
+  ETLOperacionProceso,
+  ETLDeadLetter,
   ChatSession,
   ChatMessage,
   sequelize
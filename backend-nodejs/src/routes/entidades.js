@@ -0,0 +1,170 @@
+/**
+ * Rutas del catálogo de entidades
+ */
+const express = require('express');
+const router = express.Router();
+const entidadesController = require('../controllers/entidadesController');
+const { verifyToken, isAdmin } = require('../middlewares/auth');
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Entidad:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: string
+ *           format: uuid
+ *         nombre_canonico:
+ *           type: string
+ *         ruc:
+ *           type: string
+ *         nivel_gobierno:
+ *           type: string
+ *           enum: [nacional, regional, local]
+ *         ubigeo:
+ *           type: string
+ *           description: Código INEI de la jurisdicción (2 dígitos departamento, 4 provincia, 6 distrito)
+ *         total_procesos:
+ *           type: integer
+ */
+
+/**
+ * @swagger
+ * /api/v1/entidades:
+ *   get:
+ *     summary: Listar entidades del catálogo
+ *     tags: [🏛️ Entidades]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: q
+ *         schema:
+ *           type: string
+ *         description: Nombre, alias o RUC de la entidad
+ *       - in: query
+ *         name: nivel_gobierno
+ *         schema:
+ *           type: string
+ *           enum: [nacional, regional, local]
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: size
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *     responses:
+ *       200:
+ *         description: Lista paginada de entidades con su cantidad de procesos
+ */
+router.get('/', verifyToken, entidadesController.getEntidades);
+
+/**
+ * @swagger
+ * /api/v1/entidades/{entidad_id}:
+ *   get:
+ *     summary: Obtener una entidad con sus alias
+ *     tags: [🏛️ Entidades]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: entidad_id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Entidad con sus alias y cantidad de procesos
+ *       404:
+ *         description: Entidad no encontrada
+ */
+router.get('/:entidad_id', verifyToken, entidadesController.getEntidad);
+
+/**
+ * @swagger
+ * /api/v1/entidades/{entidad_id}:
+ *   put:
+ *     summary: Corregir nombre canónico, RUC, nivel de gobierno o ubigeo de una entidad
+ *     tags: [🏛️ Entidades]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: entidad_id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               nombre_canonico:
+ *                 type: string
+ *               ruc:
+ *                 type: string
+ *               nivel_gobierno:
+ *                 type: string
+ *                 enum: [nacional, regional, local]
+ *               ubigeo:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Entidad actualizada
+ *       400:
+ *         description: RUC, nivel de gobierno o ubigeo inválido
+ *       404:
+ *         description: Entidad no encontrada
+ */
+router.put('/:entidad_id', verifyToken, isAdmin, entidadesController.updateEntidad);
+
+/**
+ * @swagger
+ * /api/v1/entidades/{entidad_id}/merge:
+ *   post:
+ *     summary: Fusionar otra entidad en esta (mueve sus alias y procesos)
+ *     tags: [🏛️ Entidades]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: entidad_id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Entidad que se conserva
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [origen_id]
+ *             properties:
+ *               origen_id:
+ *                 type: string
+ *                 format: uuid
+ *                 description: Entidad duplicada que se elimina
+ *     responses:
+ *       200:
+ *         description: Entidades fusionadas
+ *       400:
+ *         description: Las entidades tienen RUC distintos
+ *       404:
+ *         description: Entidad no encontrada
+ */
+router.post('/:entidad_id/merge', verifyToken, isAdmin, entidadesController.mergeEntidades);
+
+module.exports = router;
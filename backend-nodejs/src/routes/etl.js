@@ -4,7 +4,7 @@
 const express = require('express');
 const router = express.Router();
 const etlController = require('../controllers/etlController');
-const { verifyToken, isAdmin } = require('../middlewares/auth');
+const { verifyToken, isAdmin, verifyStreamTicket } = require('../middlewares/auth');
 
 /**
  * @swagger
@@ -29,9 +29,44 @@ const { verifyToken, isAdmin } = require('../middlewares/auth');
  *                 type: integer
  *               departamento:
  *                 type: string
+ *               includeDetails:
+ *                 type: boolean
+ *                 description: Abrir la ficha de cada proceso para completar RUC, ubicación, monto y cronograma
+ *               fechaDesde:
+ *                 type: string
+ *                 format: date
+ *               fechaHasta:
+ *                 type: string
+ *                 format: date
+ *               dateWindow:
+ *                 type: string
+ *                 enum: [auto, week, day]
+ *                 description: Dividir el rango de fechas en ventanas semanales o diarias (auto = semanal si supera 31 días)
+ *               anios:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 description: Varios años de convocatoria en una misma operación (una partición por año)
+ *               objetosContratacion:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 description: Varios objetos de contratación (una partición por objeto)
+ *               concurrency:
+ *                 type: integer
+ *                 minimum: 1
+ *                 description: Particiones consultadas en paralelo por el pool de navegadores
+ *               minDelayMs:
+ *                 type: integer
+ *                 minimum: 0
+ *                 description: Intervalo mínimo en ms entre peticiones al portal (por defecto SCRAPER_MIN_DELAY_MS)
+ *               priority:
+ *                 type: integer
+ *                 default: 0
+ *                 description: Prioridad en la cola de trabajos ETL (mayor se ejecuta primero)
  *     responses:
  *       200:
- *         description: Scraping iniciado
+ *         description: Scraping encolado (status queued); el progreso se consulta con /etl/operations/{operation_id}/progress
  */
 router.post('/scraping/start', verifyToken, isAdmin, etlController.startScraping);
 
@@ -67,6 +102,7 @@ router.get('/scraping/tasks', verifyToken, etlController.getScrapingTasks);
  * /api/v1/etl/scraping/tasks:
  *   post:
  *     summary: Crear nueva tarea de scraping
+ *     description: El scheduler ejecuta las tareas pendientes de una en una con los parámetros de /etl/scraping/start
  *     tags: [🔄 ETL]
  *     security:
  *       - bearerAuth: []
@@ -175,6 +211,37 @@ router.get('/logs', verifyToken, isAdmin, etlController.getETLLogs);
  */
 router.get('/stats', verifyToken, isAdmin, etlController.getETLStats);
 
+/**
+ * @swagger
+ * /api/v1/etl/quality/trend:
+ *   get:
+ *     summary: Tendencia de calidad de datos de las operaciones ETL
+ *     description: |
+ *       Resumen del reporte de calidad (quality_report) de las últimas operaciones, de la más antigua
+ *       a la más reciente: puntaje (% de registros sin problemas), completitud por campo y cantidad de
+ *       fallos de parseo, valores sospechosos y placeholders (PROC-<timestamp>, "Entidad Desconocida").
+ *       El reporte completo de cada operación está en GET /etl/operations/{operation_id}/details.
+ *     tags: [🔄 ETL]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: operation_type
+ *         schema:
+ *           type: string
+ *           enum: [scraping, sync, ocds_import]
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 30
+ *           maximum: 200
+ *     responses:
+ *       200:
+ *         description: Tendencia de calidad por operación
+ */
+router.get('/quality/trend', verifyToken, isAdmin, etlController.getQualityTrend);
+
 /**
  * @swagger
  * /api/v1/etl/operations/{operation_id}/details:
@@ -195,6 +262,60 @@ router.get('/stats', verifyToken, isAdmin, etlController.getETLStats);
  */
 router.get('/operations/:operation_id/details', verifyToken, etlController.getOperationDetails);
 
+/**
+ * @swagger
+ * /api/v1/etl/operations/{operation_id}/changes:
+ *   get:
+ *     summary: Diff por campo de una operación ETL
+ *     description: |
+ *       Cada proceso que tocó la operación con su resultado (created, updated o unchanged) y, para los
+ *       actualizados, los campos modificados con su valor anterior y nuevo. La respuesta incluye el
+ *       resumen por resultado y los campos modificados con su cantidad, para filtrar.
+ *     tags: [🔄 ETL]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: operation_id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: resultado
+ *         schema:
+ *           type: string
+ *           enum: [created, updated, unchanged]
+ *       - in: query
+ *         name: campo
+ *         description: Solo procesos en los que cambió este campo
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: search
+ *         description: Búsqueda parcial por id_proceso
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: size
+ *         schema:
+ *           type: integer
+ *           default: 50
+ *           maximum: 200
+ *     responses:
+ *       200:
+ *         description: Procesos tocados por la operación con sus cambios
+ *       400:
+ *         description: resultado inválido
+ *       404:
+ *         description: Operación no encontrada
+ */
+router.get('/operations/:operation_id/changes', verifyToken, etlController.getOperationChanges);
+
 /**
  * @swagger
  * /api/v1/etl/operations/{operation_id}/progress:
@@ -232,11 +353,580 @@ router.get('/operations/:operation_id/details', verifyToken, etlController.getOp
  */
 router.get('/operations/:operation_id/progress', verifyToken, etlController.getOperationProgress);
 
+/**
+ * @swagger
+ * /api/v1/etl/stream:
+ *   get:
+ *     summary: Canal en vivo (Server-Sent Events) del progreso de las operaciones ETL
+ *     description: |
+ *       Mantiene la conexión abierta y envía eventos SSE:
+ *       - `progress`: paso_actual, paso_total, porcentaje, mensaje_actual y status de una operación
+ *       - `proceso`: resultado de cada proceso (saved, duplicate o error) con los contadores acumulados
+ *         inserted_count, updated_count y error_count
+ *       - `operation_complete`: status final (completed, failed o cancelled), message y contadores
+ *
+ *       Todos los eventos incluyen operation_id y timestamp. Como EventSource no envía encabezados,
+ *       el canal se autentica con un ticket de un solo uso emitido por POST /etl/stream/ticket
+ *       (el token JWT no se acepta aquí). Cada 25 segundos se envía un comentario para mantener
+ *       viva la conexión.
+ *     tags: [🔄 ETL]
+ *     parameters:
+ *       - in: query
+ *         name: operation_id
+ *         description: Solo los eventos de esta operación; el primero es su progreso guardado
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: ticket
+ *         required: true
+ *         description: Ticket de POST /etl/stream/ticket (se invalida al usarlo)
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Flujo text/event-stream
+ *       401:
+ *         description: Ticket ausente, ya usado o vencido
+ *       403:
+ *         description: Se requiere rol de administrador
+ */
+router.get('/stream', verifyStreamTicket, isAdmin, etlController.streamEvents);
+
+/**
+ * @swagger
+ * /api/v1/etl/stream/ticket:
+ *   post:
+ *     summary: Emitir un ticket de un solo uso para abrir el canal en vivo (Solo Admin)
+ *     description: |
+ *       El ticket vence a los 30 segundos y solo lo acepta GET /etl/stream. Se pide uno nuevo en
+ *       cada conexión o reconexión del EventSource.
+ *     tags: [🔄 ETL]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Ticket emitido
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     ticket:
+ *                       type: string
+ *                     expires_in:
+ *                       type: integer
+ *                       example: 30
+ *       401:
+ *         description: Token ausente o inválido
+ *       403:
+ *         description: Se requiere rol de administrador
+ */
+router.post('/stream/ticket', verifyToken, isAdmin, etlController.createStreamTicket);
+
+/**
+ * @swagger
+ * /api/v1/etl/operations/{operation_id}/resume:
+ *   post:
+ *     summary: Reanudar un scraping o una sincronización interrumpida desde su último checkpoint
+ *     tags: [🔄 ETL]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: operation_id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Scraping reanudado
+ *       404:
+ *         description: Operación no encontrada
+ *       409:
+ *         description: La operación no se puede reanudar (no es scraping ni sync, completada, en ejecución o sin checkpoint)
+ */
+router.post('/operations/:operation_id/resume', verifyToken, isAdmin, etlController.resumeOperation);
+
+/**
+ * @swagger
+ * /api/v1/etl/operations/{operation_id}/cancel:
+ *   post:
+ *     summary: Cancelar una operación ETL encolada o en ejecución
+ *     description: |
+ *       Un trabajo en cola se cancela de inmediato (status cancelled). Uno en ejecución recibe la
+ *       solicitud de cancelación y se detiene en el siguiente paso (status cancelling); un scraping
+ *       cancelado se puede reanudar luego desde su último checkpoint.
+ *     tags: [🔄 ETL]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: operation_id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Cancelación aplicada (cancelled) o solicitada (cancelling)
+ *       404:
+ *         description: Operación no encontrada
+ *       409:
+ *         description: La operación ya terminó o no tiene un trabajo en la cola
+ */
+router.post('/operations/:operation_id/cancel', verifyToken, isAdmin, etlController.cancelOperation);
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     ETLDeadLetter:
+ *       type: object
+ *       description: Fila que una operación ETL no pudo guardar (validación o error de BD)
+ *       properties:
+ *         id:
+ *           type: string
+ *           format: uuid
+ *         operation_id:
+ *           type: string
+ *         operation_type:
+ *           type: string
+ *           enum: [scraping, sync, ocds_import, bulk_import]
+ *         id_proceso:
+ *           type: string
+ *           description: id_proceso de la fila, o el ocid en los releases OCDS
+ *         payload:
+ *           type: object
+ *           description: Datos originales (proceso extraído por el scraper o release OCDS sin mapear)
+ *         error:
+ *           type: string
+ *           description: Error del último intento
+ *         status:
+ *           type: string
+ *           enum: [pending, resolved, discarded]
+ *         attempts:
+ *           type: integer
+ *           description: Reintentos manuales realizados
+ *         edited:
+ *           type: boolean
+ *           description: Si el payload se corrigió a mano
+ *         resolved_at:
+ *           type: string
+ *           format: date-time
+ *         created_at:
+ *           type: string
+ *           format: date-time
+ */
+
+/**
+ * @swagger
+ * /api/v1/etl/dead-letters:
+ *   get:
+ *     summary: Listar filas que no se pudieron importar
+ *     tags: [🔄 ETL]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [pending, resolved, discarded]
+ *       - in: query
+ *         name: operation_id
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: operation_type
+ *         schema:
+ *           type: string
+ *           enum: [scraping, sync, ocds_import, bulk_import]
+ *       - in: query
+ *         name: search
+ *         description: Búsqueda parcial por id_proceso o por el mensaje de error
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: size
+ *         schema:
+ *           type: integer
+ *           default: 50
+ *           maximum: 200
+ *     responses:
+ *       200:
+ *         description: Lista paginada de filas fallidas (items, total, page, size, pages)
+ *       400:
+ *         description: status inválido
+ */
+router.get('/dead-letters', verifyToken, isAdmin, etlController.getDeadLetters);
+
+/**
+ * @swagger
+ * /api/v1/etl/dead-letters/retry:
+ *   post:
+ *     summary: Reintentar en lote filas fallidas pendientes
+ *     description: |
+ *       Reintenta las filas pendientes indicadas en ids o, si no se indican, las de operation_id
+ *       (hasta 200 por petición). Cada fila se guarda como en su operación original y los cambios
+ *       quedan en el historial y el diff de esa operación.
+ *     tags: [🔄 ETL]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               ids:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                   format: uuid
+ *               operation_id:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Resultado por fila (total, resolved, failed, items)
+ *       400:
+ *         description: No se indicaron ids ni operation_id
+ */
+router.post('/dead-letters/retry', verifyToken, isAdmin, etlController.retryDeadLetters);
+
+/**
+ * @swagger
+ * /api/v1/etl/dead-letters/{dead_letter_id}:
+ *   get:
+ *     summary: Obtener una fila fallida con sus datos originales
+ *     tags: [🔄 ETL]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: dead_letter_id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Fila fallida
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ETLDeadLetter'
+ *       404:
+ *         description: Fila fallida no encontrada
+ */
+router.get('/dead-letters/:dead_letter_id', verifyToken, isAdmin, etlController.getDeadLetter);
+
+/**
+ * @swagger
+ * /api/v1/etl/dead-letters/{dead_letter_id}:
+ *   put:
+ *     summary: Corregir los datos de una fila fallida o descartarla
+ *     tags: [🔄 ETL]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: dead_letter_id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               payload:
+ *                 type: object
+ *                 description: Datos corregidos; deben incluir id_proceso (ocid en los releases OCDS)
+ *               status:
+ *                 type: string
+ *                 enum: [pending, discarded]
+ *     responses:
+ *       200:
+ *         description: Fila actualizada
+ *       400:
+ *         description: payload o status inválido
+ *       404:
+ *         description: Fila fallida no encontrada
+ *       409:
+ *         description: La fila ya se importó
+ */
+router.put('/dead-letters/:dead_letter_id', verifyToken, isAdmin, etlController.updateDeadLetter);
+
+/**
+ * @swagger
+ * /api/v1/etl/dead-letters/{dead_letter_id}/retry:
+ *   post:
+ *     summary: Reintentar la importación de una fila fallida
+ *     description: |
+ *       Si el guardado vuelve a fallar la fila sigue pendiente con el nuevo error; si no, queda resolved.
+ *     tags: [🔄 ETL]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: dead_letter_id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Fila con el resultado del reintento
+ *       404:
+ *         description: Fila fallida no encontrada
+ *       409:
+ *         description: La fila no está pendiente
+ */
+router.post('/dead-letters/:dead_letter_id/retry', verifyToken, isAdmin, etlController.retryDeadLetter);
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     ScrapingSchedule:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: string
+ *           format: uuid
+ *         name:
+ *           type: string
+ *         cron:
+ *           type: string
+ *           description: minuto hora día-del-mes mes día-de-la-semana, en la hora local del servidor (TZ)
+ *           example: 0 6 * * *
+ *         params:
+ *           type: object
+ *           description: Parámetros de /etl/scraping/start. Sin anio se busca el año en curso de cada ejecución.
+ *         enabled:
+ *           type: boolean
+ *         last_run_at:
+ *           type: string
+ *           format: date-time
+ *         next_run_at:
+ *           type: string
+ *           format: date-time
+ *         last_operation_id:
+ *           type: string
+ *         last_status:
+ *           type: string
+ *           enum: [running, completed, failed, cancelled]
+ *         last_message:
+ *           type: string
+ *         skipped_count:
+ *           type: integer
+ *           description: Ejecuciones omitidas porque la anterior seguía en curso
+ *         running:
+ *           type: boolean
+ */
+
+/**
+ * @swagger
+ * /api/v1/etl/schedules:
+ *   get:
+ *     summary: Listar programaciones recurrentes de scraping
+ *     tags: [🔄 ETL]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: size
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Lista paginada de programaciones y si el scheduler está habilitado (scheduler_enabled)
+ */
+router.get('/schedules', verifyToken, isAdmin, etlController.getSchedules);
+
+/**
+ * @swagger
+ * /api/v1/etl/schedules:
+ *   post:
+ *     summary: Crear una programación recurrente de scraping
+ *     tags: [🔄 ETL]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [name, cron]
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 example: Servicios del año en curso
+ *               cron:
+ *                 type: string
+ *                 example: 0 6 * * *
+ *               params:
+ *                 type: object
+ *                 example: { "objetoContratacion": "Servicio", "maxProcesses": 200 }
+ *               enabled:
+ *                 type: boolean
+ *                 default: true
+ *     responses:
+ *       201:
+ *         description: Programación creada
+ *       400:
+ *         description: Nombre vacío, expresión cron o parámetros inválidos
+ */
+router.post('/schedules', verifyToken, isAdmin, etlController.createSchedule);
+
+/**
+ * @swagger
+ * /api/v1/etl/schedules/{schedule_id}:
+ *   put:
+ *     summary: Modificar, habilitar o deshabilitar una programación
+ *     tags: [🔄 ETL]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: schedule_id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/ScrapingSchedule'
+ *     responses:
+ *       200:
+ *         description: Programación actualizada (next_run_at se recalcula si cambia cron o enabled)
+ *       400:
+ *         description: Datos inválidos
+ *       404:
+ *         description: Programación no encontrada
+ */
+router.put('/schedules/:schedule_id', verifyToken, isAdmin, etlController.updateSchedule);
+
+/**
+ * @swagger
+ * /api/v1/etl/schedules/{schedule_id}:
+ *   delete:
+ *     summary: Eliminar una programación
+ *     tags: [🔄 ETL]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: schedule_id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Programación eliminada
+ *       404:
+ *         description: Programación no encontrada
+ */
+router.delete('/schedules/:schedule_id', verifyToken, isAdmin, etlController.deleteSchedule);
+
+/**
+ * @swagger
+ * /api/v1/etl/schedules/{schedule_id}/run:
+ *   post:
+ *     summary: Ejecutar una programación ahora
+ *     description: Lanza la operación de scraping sin esperar ni modificar la próxima ejecución programada
+ *     tags: [🔄 ETL]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: schedule_id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Scraping iniciado (last_operation_id)
+ *       404:
+ *         description: Programación no encontrada
+ *       409:
+ *         description: La ejecución anterior sigue en curso
+ */
+router.post('/schedules/:schedule_id/run', verifyToken, isAdmin, etlController.runSchedule);
+
+/**
+ * @swagger
+ * /api/v1/etl/ocds/import:
+ *   post:
+ *     summary: Importar paquetes OCDS (releases o records)
+ *     description: |
+ *       Acepta un release package o record package OCDS como cuerpo JSON (hasta 10 MB), o
+ *       { "source": "directory" } para importar los *.json del directorio OCDS_IMPORT_DIR.
+ *       Los releases se mapean a procesos (tender, buyer, items, montos y awards) y el release
+ *       original se guarda en datos_ocds. Se registra como operación ETL de tipo ocds_import.
+ *     tags: [🔄 ETL]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               source:
+ *                 type: string
+ *                 enum: [directory]
+ *               releases:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *               records:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *     responses:
+ *       200:
+ *         description: Importación iniciada
+ *       400:
+ *         description: El cuerpo no es un paquete OCDS
+ */
+router.post('/ocds/import', verifyToken, isAdmin, etlController.importOcds);
+
 /**
  * @swagger
  * /api/v1/etl/sync:
  *   post:
- *     summary: Sincronizar procesos
+ *     summary: Sincronizar con SEACE los procesos desactualizados o abiertos
+ *     description: |
+ *       Selecciona los procesos no extraídos en las últimas staleHours o con estado abierto (los más
+ *       antiguos primero), los vuelve a buscar en SEACE por día de publicación y objeto de contratación,
+ *       aplica sus cambios registrando revisiones y marca como Retirado los que ya no aparecen en el
+ *       buscador. El progreso se consulta con /etl/operations/{operation_id}/progress y una sincronización
+ *       interrumpida se puede reanudar.
  *     tags: [🔄 ETL]
  *     security:
  *       - bearerAuth: []
@@ -245,9 +935,35 @@ router.get('/operations/:operation_id/progress', verifyToken, etlController.getO
  *         application/json:
  *           schema:
  *             type: object
+ *             properties:
+ *               staleHours:
+ *                 type: integer
+ *                 description: Antigüedad de fecha_scraping a partir de la cual se revisa un proceso (por defecto SYNC_STALE_HOURS)
+ *               limit:
+ *                 type: integer
+ *                 description: Máximo de procesos revisados (por defecto SYNC_MAX_PROCESSES)
+ *               estados:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 description: Estados que se consideran abiertos (por defecto Publicado, Convocado, En evaluación y En proceso)
+ *               includeDetails:
+ *                 type: boolean
+ *                 default: true
+ *                 description: Abrir la ficha de cada proceso; sin ficha no se actualiza el estado
+ *               concurrency:
+ *                 type: integer
+ *                 minimum: 1
+ *                 description: Búsquedas en paralelo en el pool de navegadores
+ *               minDelayMs:
+ *                 type: integer
+ *                 minimum: 0
+ *               priority:
+ *                 type: integer
+ *                 default: 0
  *     responses:
  *       200:
- *         description: Sincronización iniciada
+ *         description: Sincronización encolada (status queued)
  */
 router.post('/sync', verifyToken, isAdmin, etlController.syncProcesses);
 
@@ -256,6 +972,13 @@ router.post('/sync', verifyToken, isAdmin, etlController.syncProcesses);
  * /api/v1/etl/embeddings/generate:
  *   post:
  *     summary: Generar embeddings
+ *     description: |
+ *       Encola la generación de embeddings de los procesos nuevos o cuyo texto cambió desde el
+ *       último embedding. Se guardan en proceso_embeddings (pgvector, índice HNSW) y el avance
+ *       se consulta en GET /etl/operations/{operation_id}. El proveedor se elige con
+ *       EMBEDDINGS_PROVIDER: hashing (por defecto, sin red), ollama (modelo local) o gemini.
+ *       Con EMBEDDINGS_AFTER_ETL=true (por defecto) se encola automáticamente tras cada scraping,
+ *       sincronización o importación OCDS que guardó procesos.
  *     tags: [🔄 ETL]
  *     security:
  *       - bearerAuth: []
@@ -268,12 +991,43 @@ router.post('/sync', verifyToken, isAdmin, etlController.syncProcesses);
  *               proceso_id:
  *                 type: string
  *                 format: uuid
+ *                 description: Solo este proceso
+ *               force:
+ *                 type: boolean
+ *                 default: false
+ *                 description: Regenerar también los embeddings que ya están al día
  *     responses:
  *       200:
- *         description: Generación iniciada
+ *         description: Generación encolada
  */
 router.post('/embeddings/generate', verifyToken, isAdmin, etlController.generateEmbeddings);
 
+/**
+ * @swagger
+ * /api/v1/etl/anexos/process:
+ *   post:
+ *     summary: Encolar la descarga de anexos pendientes y la extracción de su texto
+ *     tags: [🔄 ETL]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               proceso_id:
+ *                 type: string
+ *                 format: uuid
+ *               limit:
+ *                 type: integer
+ *                 default: 20
+ *     responses:
+ *       200:
+ *         description: Procesamiento encolado; el avance se consulta con el operation_id devuelto
+ */
+router.post('/anexos/process', verifyToken, isAdmin, etlController.processAnexos);
+
 /**
  * @swagger
  * /api/v1/etl/exports:
@@ -17,6 +17,8 @@ const chatSessionRoutes = require('./chatSessionRoutes');
 const dashboardRoutes = require('./dashboard');
 const adminRoutes = require('./admin');
 const etlRoutes = require('./etl');
+const entidadesRoutes = require('./entidades');
+const tiposCambioRoutes = require('./tiposCambio');
 const userProfileRoutes = require('./userProfile');
 const recommendationsRoutes = require('./recommendations');
 const analyticsRoutes = require('./analytics');
@@ -31,6 +33,8 @@ router.use('/chat', chatSessionRoutes);
 router.use('/dashboard', dashboardRoutes);
 router.use('/admin', adminRoutes);
 router.use('/etl', etlRoutes);
+router.use('/entidades', entidadesRoutes);
+router.use('/tipos-cambio', tiposCambioRoutes);
 router.use('/users', userProfileRoutes);
 router.use('/users', recommendationsRoutes);
 router.use('/analytics', analyticsRoutes);
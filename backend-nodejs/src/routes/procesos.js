@@ -26,6 +26,9 @@ const { verifyToken, isAdmin } = require('../middlewares/auth');
  *           type: string
  *         entidad_ruc:
  *           type: string
+ *         entidad_id:
+ *           type: string
+ *           format: uuid
  *         objeto_contratacion:
  *           type: string
  *         tipo_proceso:
@@ -42,6 +45,17 @@ const { verifyToken, isAdmin } = require('../middlewares/auth');
  *           type: number
  *         moneda:
  *           type: string
+ *         proceso_origen_id:
+ *           type: string
+ *           format: uuid
+ *           description: Proceso original cuando este es un reinicio
+ *         linaje_id:
+ *           type: string
+ *           format: uuid
+ *           description: Primer proceso de la cadena de reinicios
+ *         monto_pen:
+ *           type: number
+ *           description: Monto referencial convertido a soles con la tabla de tipos de cambio
  *         rubro:
  *           type: string
  *         departamento:
@@ -50,6 +64,12 @@ const { verifyToken, isAdmin } = require('../middlewares/auth');
  *           type: string
  *         distrito:
  *           type: string
+ *         ubigeo_departamento:
+ *           type: string
+ *         ubigeo_provincia:
+ *           type: string
+ *         ubigeo_distrito:
+ *           type: string
  *         requiere_visita_previa:
  *           type: boolean
  *         datos_ocds:
@@ -95,14 +115,34 @@ const { verifyToken, isAdmin } = require('../middlewares/auth');
  *         name: departamento
  *         schema:
  *           type: string
+ *         description: Nombre o código INEI del departamento
+ *       - in: query
+ *         name: ubigeo
+ *         schema:
+ *           type: string
+ *         description: Código INEI de departamento (2 dígitos), provincia (4) o distrito (6)
+ *       - in: query
+ *         name: entidad_id
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Entidad del catálogo (incluye todas las variantes de su nombre)
  *       - in: query
  *         name: monto_min
  *         schema:
  *           type: number
+ *         description: Monto mínimo en soles (compara monto_pen)
  *       - in: query
  *         name: monto_max
  *         schema:
  *           type: number
+ *         description: Monto máximo en soles (compara monto_pen)
+ *       - in: query
+ *         name: colapsar_linaje
+ *         schema:
+ *           type: boolean
+ *           default: false
+ *         description: Mostrar solo el reinicio más reciente de cada cadena de procesos reiniciados
  *       - in: query
  *         name: search_text
  *         schema:
@@ -199,12 +239,120 @@ router.get('/stats/overview', verifyToken, procesosController.getDetailedStats);
  *           format: uuid
  *     responses:
  *       200:
- *         description: Detalle del proceso
+ *         description: Detalle del proceso, con sus anexos, las etapas del cronograma (etapas) ordenadas y los resultados de la buena pro (adjudicaciones)
  *       404:
  *         description: Proceso no encontrado
  */
 router.get('/:proceso_id', verifyToken, procesosController.getProcesoDetail);
 
+/**
+ * @swagger
+ * /api/v1/procesos/{proceso_id}/anexos:
+ *   get:
+ *     summary: Obtener documentos anexos de un proceso (bases, anexos, etc.)
+ *     tags: [📋 Procesos]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: proceso_id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Lista de anexos con extracto del texto extraído
+ */
+router.get('/:proceso_id/anexos', verifyToken, procesosController.getProcesoAnexos);
+
+/**
+ * @swagger
+ * /api/v1/procesos/{proceso_id}/history:
+ *   get:
+ *     summary: Historial de cambios de un proceso entre extracciones
+ *     description: Cada cambio de campo detectado por el ETL con su valor anterior, valor nuevo, operación y fecha
+ *     tags: [📋 Procesos]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: proceso_id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: size
+ *         schema:
+ *           type: integer
+ *           default: 50
+ *     responses:
+ *       200:
+ *         description: Cambios del más reciente al más antiguo
+ *       404:
+ *         description: Proceso no encontrado
+ */
+router.get('/:proceso_id/history', verifyToken, procesosController.getProcesoHistory);
+
+/**
+ * @swagger
+ * /api/v1/procesos/{proceso_id}/linaje:
+ *   get:
+ *     summary: Cadena de reinicios de un proceso
+ *     description: Procesos enlazados por "Reiniciado desde", del original al reinicio más reciente (vigente)
+ *     tags: [📋 Procesos]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: proceso_id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Procesos de la cadena con su nivel, indicando el consultado (es_actual) y el vigente (es_vigente)
+ *       404:
+ *         description: Proceso no encontrado
+ */
+router.get('/:proceso_id/linaje', verifyToken, procesosController.getProcesoLinaje);
+
+/**
+ * @swagger
+ * /api/v1/procesos/{proceso_id}/anexos/{anexo_id}/download:
+ *   get:
+ *     summary: Descargar la copia local de un anexo
+ *     tags: [📋 Procesos]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: proceso_id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *       - in: path
+ *         name: anexo_id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Archivo del anexo
+ *       404:
+ *         description: Anexo no encontrado o no descargado
+ */
+router.get('/:proceso_id/anexos/:anexo_id/download', verifyToken, procesosController.downloadProcesoAnexo);
+
 /**
  * @swagger
  * /api/v1/procesos:
@@ -225,6 +373,46 @@ router.get('/:proceso_id', verifyToken, procesosController.getProcesoDetail);
  */
 router.post('/', verifyToken, isAdmin, procesosController.createProceso);
 
+/**
+ * @swagger
+ * /api/v1/procesos/import:
+ *   post:
+ *     summary: Importar procesos en lote desde CSV o JSON (Solo Admin)
+ *     description: |
+ *       Acepta los formatos que genera la exportación del scraping (CSV con sus cabeceras o JSON
+ *       { metadata, procesos }). El archivo se valida al recibirlo y la importación se encola como
+ *       operación ETL bulk_import: cada fila se valida y se crea o actualiza por id_proceso.
+ *       Las actualizaciones quedan en el historial de cambios del proceso. El progreso se sigue en
+ *       /etl/operations/{operation_id}/progress y el reporte por fila (import_rows) en sus detalles.
+ *     tags: [📋 Procesos]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [content]
+ *             properties:
+ *               content:
+ *                 type: string
+ *                 description: Texto del archivo CSV o JSON (hasta 10 MB)
+ *               filename:
+ *                 type: string
+ *                 example: scraping_data.csv
+ *               format:
+ *                 type: string
+ *                 enum: [csv, json]
+ *                 description: Por defecto se deduce de la extensión de filename
+ *     responses:
+ *       200:
+ *         description: Importación encolada (operation_id, status queued y total de filas)
+ *       400:
+ *         description: Archivo vacío, formato no soportado, JSON inválido o más de 5000 filas
+ */
+router.post('/import', verifyToken, isAdmin, procesosController.importProcesos);
+
 /**
  * @swagger
  * /api/v1/procesos/{proceso_id}:
@@ -0,0 +1,163 @@
+/**
+ * Rutas de tipos de cambio
+ */
+const express = require('express');
+const router = express.Router();
+const tiposCambioController = require('../controllers/tiposCambioController');
+const { verifyToken, isAdmin } = require('../middlewares/auth');
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     TipoCambio:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: string
+ *           format: uuid
+ *         moneda:
+ *           type: string
+ *           description: Código ISO 4217 (USD, EUR...)
+ *         fecha:
+ *           type: string
+ *           format: date
+ *         valor:
+ *           type: number
+ *           description: Soles por una unidad de la moneda
+ *         fuente:
+ *           type: string
+ *           description: manual o csv
+ */
+
+/**
+ * @swagger
+ * /api/v1/tipos-cambio:
+ *   get:
+ *     summary: Listar tipos de cambio a soles
+ *     tags: [💱 Tipos de Cambio]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: moneda
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: size
+ *         schema:
+ *           type: integer
+ *           default: 50
+ *     responses:
+ *       200:
+ *         description: Lista paginada de tipos de cambio y la moneda base (moneda_base)
+ */
+router.get('/', verifyToken, tiposCambioController.getTiposCambio);
+
+/**
+ * @swagger
+ * /api/v1/tipos-cambio:
+ *   post:
+ *     summary: Registrar o corregir el tipo de cambio de una moneda en una fecha
+ *     description: Recalcula monto_pen de los procesos en esa moneda
+ *     tags: [💱 Tipos de Cambio]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [moneda, fecha, valor]
+ *             properties:
+ *               moneda:
+ *                 type: string
+ *                 example: USD
+ *               fecha:
+ *                 type: string
+ *                 format: date
+ *               valor:
+ *                 type: number
+ *                 example: 3.75
+ *     responses:
+ *       201:
+ *         description: Tipo de cambio registrado
+ *       200:
+ *         description: Tipo de cambio actualizado
+ *       400:
+ *         description: Moneda, fecha o valor inválido
+ */
+router.post('/', verifyToken, isAdmin, tiposCambioController.saveTipoCambio);
+
+/**
+ * @swagger
+ * /api/v1/tipos-cambio/import:
+ *   post:
+ *     summary: Importar tipos de cambio desde un CSV
+ *     description: Columnas fecha, moneda y valor (o venta). Recalcula monto_pen de las monedas importadas.
+ *     tags: [💱 Tipos de Cambio]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [content]
+ *             properties:
+ *               content:
+ *                 type: string
+ *                 description: Contenido del archivo CSV
+ *     responses:
+ *       200:
+ *         description: Reporte por fila (created, updated o rejected)
+ *       400:
+ *         description: Archivo vacío o sin las columnas requeridas
+ */
+router.post('/import', verifyToken, isAdmin, tiposCambioController.importTiposCambio);
+
+/**
+ * @swagger
+ * /api/v1/tipos-cambio/recalcular:
+ *   post:
+ *     summary: Recalcular monto_pen de todos los procesos
+ *     tags: [💱 Tipos de Cambio]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Cantidad de procesos cuyo monto_pen cambió
+ */
+router.post('/recalcular', verifyToken, isAdmin, tiposCambioController.recalcularMontos);
+
+/**
+ * @swagger
+ * /api/v1/tipos-cambio/{tipo_cambio_id}:
+ *   delete:
+ *     summary: Eliminar un tipo de cambio
+ *     tags: [💱 Tipos de Cambio]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: tipo_cambio_id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *     responses:
+ *       200:
+ *         description: Tipo de cambio eliminado
+ *       404:
+ *         description: Tipo de cambio no encontrado
+ */
+router.delete('/:tipo_cambio_id', verifyToken, isAdmin, tiposCambioController.deleteTipoCambio);
+
+module.exports = router;
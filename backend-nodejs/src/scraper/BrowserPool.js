@@ -0,0 +1,155 @@
+/**
+ * BrowserPool - Ejecución paralela de búsquedas SEACE
+ *
+ * Reparte una cola de tareas (particiones de búsqueda) entre N scrapers que se
+ * ejecutan a la vez. Por defecto todos comparten un navegador y cada uno usa su
+ * propia página; con shareBrowser = false cada scraper lanza su navegador.
+ * Una página que falla o se cae se descarta y la tarea se reintenta con una nueva.
+ */
+const SeaceScraper = require('./SeaceScraper');
+const config = require('../config/index');
+const logger = require('../config/logger');
+
+// Errores que se repetirían en cualquier página: se detiene el pool sin reintentar.
+// CIRCUIT_OPEN y CANCELLED vienen de la RetryPolicy compartida por todas las páginas (scraperOptions.retryPolicy).
+const ERRORES_FATALES = ['DOM_DRIFT', 'CIRCUIT_OPEN', 'CANCELLED'];
+
+class BrowserPool {
+  constructor(options = {}) {
+    const poolConfig = config.scraper.pool;
+
+    this.concurrency = Math.min(
+      Math.max(parseInt(options.concurrency) || poolConfig.concurrency, 1),
+      poolConfig.maxConcurrency
+    );
+    this.shareBrowser = options.shareBrowser !== undefined ? options.shareBrowser : poolConfig.shareBrowser;
+    this.maxRetries = options.maxRetries !== undefined ? options.maxRetries : poolConfig.maxRetries;
+    this.scraperOptions = options.scraperOptions || {};
+    this.browser = null;
+    this.launching = null;
+
+    // Varias páginas grabando sobre el mismo directorio de fixtures se pisarían
+    const mode = this.scraperOptions.mode || config.scraper.mode;
+    if (mode === 'record' && this.concurrency > 1) {
+      logger.warn('Modo record: el pool se limita a una página para no mezclar fixtures');
+      this.concurrency = 1;
+    }
+  }
+
+  /**
+   * Navegador compartido; se relanza si se desconectó
+   */
+  async getBrowser() {
+    if (this.browser && this.browser.isConnected()) return this.browser;
+
+    if (!this.launching) {
+      this.launching = SeaceScraper.launchBrowser(this.scraperOptions)
+        .then(browser => {
+          this.browser = browser;
+          logger.info('Pool: navegador compartido iniciado');
+          return browser;
+        })
+        .finally(() => {
+          this.launching = null;
+        });
+    }
+
+    return this.launching;
+  }
+
+  async createScraper() {
+    const browser = this.shareBrowser ? await this.getBrowser() : null;
+    const scraper = new SeaceScraper({ ...this.scraperOptions, browser });
+    await scraper.initialize();
+    return scraper;
+  }
+
+  async discardScraper(scraper) {
+    try {
+      await scraper.close();
+    } catch (err) {
+      logger.warn(`Pool: error liberando página: ${err.message}`);
+    }
+  }
+
+  /**
+   * Ejecutar las tareas con el límite de concurrencia del pool
+   * @param {Array} tasks - Cola de tareas
+   * @param {Function} handler - async (scraper, task, workerId) => resultado
+   * @param {Object} options
+   * @param {Function} options.onTaskDone - async (task, { result, error, attempts, workerId }) al terminar cada tarea
+   * @param {Function} options.shouldContinue - () => Boolean; si devuelve false no se toman más tareas
+   * @throws El primer error fatal (p. ej. DOM_DRIFT), una vez que terminan todas las páginas
+   */
+  async run(tasks, handler, { onTaskDone = null, shouldContinue = null } = {}) {
+    let siguiente = 0;
+    let fatal = null;
+
+    const worker = async (workerId) => {
+      let scraper = null;
+
+      try {
+        while (!fatal && siguiente < tasks.length && (!shouldContinue || shouldContinue())) {
+          const task = tasks[siguiente++];
+          let attempts = 0;
+          let result = null;
+          let error = null;
+
+          while (attempts <= this.maxRetries) {
+            attempts++;
+            try {
+              if (!scraper) scraper = await this.createScraper();
+              result = await handler(scraper, task, workerId);
+              error = null;
+              break;
+            } catch (err) {
+              error = err;
+
+              if (ERRORES_FATALES.includes(err.code)) {
+                fatal = fatal || err;
+                break;
+              }
+
+              logger.warn(`Pool worker ${workerId}: intento ${attempts} fallido (${scraper?.crashed ? 'página caída' : err.message}). Reciclando página.`);
+
+              // La página puede quedar en un estado inconsistente: se descarta y se crea otra
+              if (scraper) {
+                await this.discardScraper(scraper);
+                scraper = null;
+              }
+            }
+          }
+
+          if (fatal) break;
+
+          if (onTaskDone) {
+            await onTaskDone(task, { result, error: error ? error.message : null, attempts, workerId });
+          }
+        }
+      } finally {
+        if (scraper) await this.discardScraper(scraper);
+      }
+    };
+
+    const workers = Math.max(1, Math.min(this.concurrency, tasks.length));
+    logger.info(`Pool: ${tasks.length} tareas con ${workers} páginas en paralelo (${this.shareBrowser ? 'navegador compartido' : 'un navegador por página'})`);
+
+    await Promise.all(Array.from({ length: workers }, (_, idx) => worker(idx)));
+
+    if (fatal) throw fatal;
+  }
+
+  async close() {
+    try {
+      if (this.browser) {
+        await this.browser.close();
+        this.browser = null;
+        logger.info('Pool: navegador compartido cerrado');
+      }
+    } catch (err) {
+      logger.error(`Pool: error cerrando navegador: ${err.message}`);
+    }
+  }
+}
+
+module.exports = BrowserPool;
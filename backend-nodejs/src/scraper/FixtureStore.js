@@ -0,0 +1,200 @@
+/**
+ * FixtureStore - Grabación y reproducción de las respuestas del portal SEACE
+ *
+ * Modo "record": guarda cada respuesta que recibe la página (documentos, scripts,
+ * estilos y respuestas AJAX de PrimeFaces) en un directorio de fixtures.
+ * Modo "replay": intercepta las peticiones de Puppeteer y responde con lo grabado,
+ * de modo que el scraper se puede ejecutar sin conexión y de forma determinista.
+ */
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const logger = require('../config/logger');
+
+// Recursos que no aportan al scraping y no se graban
+const TIPOS_IGNORADOS = ['image', 'media', 'font'];
+
+// Campos de los formularios JSF que cambian en cada sesión
+const CAMPOS_VOLATILES = ['javax.faces.ViewState'];
+
+// Cabeceras que no aplican al reproducir un cuerpo ya decodificado
+const CABECERAS_OMITIDAS = ['content-encoding', 'content-length', 'transfer-encoding'];
+
+const INDEX_FILE = 'index.json';
+
+class FixtureStore {
+  constructor({ mode, dir }) {
+    if (!['record', 'replay'].includes(mode)) {
+      throw new Error(`Modo de fixtures no válido: ${mode}`);
+    }
+
+    this.mode = mode;
+    this.dir = path.resolve(process.cwd(), dir);
+    this.bodiesDir = path.join(this.dir, 'bodies');
+    this.entries = {};
+    this.counters = new Map();
+    this.pending = [];
+
+    if (mode === 'replay') {
+      this.load();
+    }
+  }
+
+  /**
+   * Conectar el store a una página de Puppeteer
+   */
+  async attach(page) {
+    if (this.mode === 'record') {
+      this.attachRecorder(page);
+    } else {
+      await this.attachReplayer(page);
+    }
+    logger.info(`Fixtures SEACE en modo ${this.mode}: ${this.dir}`);
+  }
+
+  attachRecorder(page) {
+    fs.mkdirSync(this.bodiesDir, { recursive: true });
+    const secuencias = new WeakMap();
+
+    // La secuencia se asigna al emitir la petición para conservar el orden real
+    page.on('request', request => {
+      if (this.shouldSkip(request)) return;
+      secuencias.set(request, this.nextSequence(this.buildKey(request)));
+    });
+
+    page.on('response', response => {
+      const request = response.request();
+      if (!secuencias.has(request)) return;
+
+      this.pending.push(
+        this.recordResponse(request, response, secuencias.get(request))
+          .catch(err => logger.warn(`No se pudo grabar ${request.url()}: ${err.message}`))
+      );
+    });
+  }
+
+  async attachReplayer(page) {
+    await page.setRequestInterception(true);
+
+    page.on('request', request => {
+      if (request.url().startsWith('data:')) {
+        request.continue();
+        return;
+      }
+      if (this.shouldSkip(request)) {
+        request.abort('blockedbyclient');
+        return;
+      }
+
+      const key = this.buildKey(request);
+      const respuestas = this.entries[key];
+
+      if (!respuestas || respuestas.length === 0) {
+        logger.warn(`Sin fixture para ${key}`);
+        request.abort('failed');
+        return;
+      }
+
+      // Si la misma petición se repite más veces que en la grabación, se repite la última respuesta
+      const secuencia = Math.min(this.nextSequence(key), respuestas.length - 1);
+      const fixture = respuestas[secuencia];
+
+      request.respond({
+        status: fixture.status,
+        headers: fixture.headers,
+        body: fixture.body ? fs.readFileSync(path.join(this.bodiesDir, fixture.body)) : ''
+      });
+    });
+  }
+
+  async recordResponse(request, response, secuencia) {
+    const status = response.status();
+    const headers = {};
+    Object.entries(response.headers()).forEach(([nombre, valor]) => {
+      if (!CABECERAS_OMITIDAS.includes(nombre.toLowerCase())) headers[nombre] = valor;
+    });
+
+    // Las redirecciones no tienen cuerpo
+    let body = null;
+    if (status < 300 || status >= 400) {
+      const buffer = await response.buffer();
+      body = crypto.createHash('sha1').update(buffer).digest('hex');
+      const bodyPath = path.join(this.bodiesDir, body);
+      if (!fs.existsSync(bodyPath)) fs.writeFileSync(bodyPath, buffer);
+    }
+
+    const key = this.buildKey(request);
+    if (!this.entries[key]) this.entries[key] = [];
+    this.entries[key][secuencia] = { status, headers, body };
+  }
+
+  /**
+   * Clave de una petición: método, URL y hash del cuerpo sin campos volátiles
+   */
+  buildKey(request) {
+    const url = request.url().split('#')[0];
+    const method = request.method();
+    const postData = request.postData();
+
+    if (!postData) return `${method} ${url}`;
+
+    let cuerpo = postData;
+    if ((request.headers()['content-type'] || '').includes('application/x-www-form-urlencoded')) {
+      const campos = new URLSearchParams(postData);
+      CAMPOS_VOLATILES.forEach(campo => campos.delete(campo));
+      cuerpo = campos.toString();
+    }
+
+    const hash = crypto.createHash('sha1').update(cuerpo).digest('hex').substring(0, 16);
+    return `${method} ${url} ${hash}`;
+  }
+
+  nextSequence(key) {
+    const secuencia = this.counters.get(key) || 0;
+    this.counters.set(key, secuencia + 1);
+    return secuencia;
+  }
+
+  shouldSkip(request) {
+    return TIPOS_IGNORADOS.includes(request.resourceType());
+  }
+
+  load() {
+    const indexPath = path.join(this.dir, INDEX_FILE);
+    if (!fs.existsSync(indexPath)) {
+      throw new Error(`No existen fixtures grabados en ${this.dir}`);
+    }
+
+    const index = JSON.parse(fs.readFileSync(indexPath, 'utf-8'));
+    this.entries = index.entries || {};
+    logger.info(`Fixtures cargados: ${Object.keys(this.entries).length} peticiones (grabado ${index.recorded_at})`);
+  }
+
+  /**
+   * Esperar las respuestas pendientes y escribir el índice de la grabación.
+   * Debe llamarse antes de cerrar el navegador.
+   */
+  async flush() {
+    if (this.mode !== 'record') return;
+
+    await Promise.allSettled(this.pending);
+    this.pending = [];
+
+    // Quitar huecos de respuestas que no se pudieron leer
+    const entries = {};
+    Object.entries(this.entries).forEach(([key, respuestas]) => {
+      const grabadas = respuestas.filter(Boolean);
+      if (grabadas.length > 0) entries[key] = grabadas;
+    });
+
+    fs.writeFileSync(path.join(this.dir, INDEX_FILE), JSON.stringify({
+      version: 1,
+      recorded_at: new Date().toISOString(),
+      entries
+    }, null, 2));
+
+    logger.info(`Fixtures grabados: ${Object.keys(entries).length} peticiones en ${this.dir}`);
+  }
+}
+
+module.exports = FixtureStore;
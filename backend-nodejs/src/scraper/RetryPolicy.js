@@ -0,0 +1,180 @@
+/**
+ * RetryPolicy - Reintentos, espaciado de peticiones y circuit breaker del scraper
+ *
+ * Cada paso del scraper (formulario, búsqueda, paginación, ficha) se ejecuta con run():
+ * - Respeta un intervalo mínimo entre peticiones al portal (minDelayMs). Las páginas
+ *   de un pool comparten la política, así que el intervalo es global a la operación.
+ * - Reintenta el paso con backoff exponencial y jitter hasta maxRetries veces.
+ * - Tras breakerThreshold fallos seguidos abre el circuito: pausa todos los pasos
+ *   breakerPauseMs y, superadas breakerMaxPauses pausas, detiene la operación con CIRCUIT_OPEN.
+ * - Antes de cada paso consulta shouldStop() y detiene la operación con CANCELLED.
+ */
+const config = require('../config/index');
+const logger = require('../config/logger');
+
+// Errores que se repetirían en cada intento: se propagan sin reintentar
+const ERRORES_SIN_REINTENTO = ['DOM_DRIFT', 'CIRCUIT_OPEN', 'CANCELLED'];
+
+class RetryPolicy {
+  /**
+   * @param {Object} options - Sobrescriben config.scraper.retry
+   * @param {Object} options.stats - Estadísticas de una ejecución anterior (al reanudar)
+   * @param {Function} options.shouldStop - () => Boolean, true si se canceló la operación
+   */
+  constructor(options = {}) {
+    const defaults = config.scraper.retry;
+    const valor = (campo) => {
+      const numero = options[campo] === undefined || options[campo] === null ? NaN : Number(options[campo]);
+      return isNaN(numero) || numero < 0 ? defaults[campo] : numero;
+    };
+
+    this.maxRetries = valor('maxRetries');
+    this.backoffBaseMs = valor('backoffBaseMs');
+    this.backoffMaxMs = valor('backoffMaxMs');
+    this.minDelayMs = valor('minDelayMs');
+    this.breakerThreshold = valor('breakerThreshold');
+    this.breakerPauseMs = valor('breakerPauseMs');
+    this.breakerMaxPauses = valor('breakerMaxPauses');
+    this.shouldStop = options.shouldStop || null;
+
+    this.lastRequestAt = 0;
+    this.consecutiveFailures = 0;
+    this.pausing = null;
+
+    const previas = options.stats || {};
+    this.stats = {
+      total_reintentos: previas.total_reintentos || 0,
+      reintentos_por_paso: { ...(previas.reintentos_por_paso || {}) },
+      fallos_definitivos: previas.fallos_definitivos || 0,
+      pausas: [...(previas.pausas || [])]
+    };
+    this.pausasPrevias = this.stats.pausas.length;
+  }
+
+  sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+  }
+
+  /**
+   * Esperar hasta que haya pasado minDelayMs desde la última petición.
+   * El turno se reserva antes de esperar para que varias páginas no salgan a la vez.
+   */
+  async throttle() {
+    const ahora = Date.now();
+    const turno = Math.max(ahora, this.lastRequestAt + this.minDelayMs);
+    this.lastRequestAt = turno;
+
+    if (turno > ahora) await this.sleep(turno - ahora);
+  }
+
+  /**
+   * Espera antes del reintento: base * 2^(intento-1), con tope y jitter de hasta -50%
+   */
+  backoffDelay(intento) {
+    const espera = Math.min(this.backoffMaxMs, this.backoffBaseMs * 2 ** (intento - 1));
+    return Math.round(espera / 2 + Math.random() * (espera / 2));
+  }
+
+  /**
+   * Ejecutar un paso con reintentos
+   * @param {String} paso - Nombre del paso para las estadísticas (formulario, busqueda, paginacion, ficha)
+   * @param {Function} fn - async (intento) => resultado
+   * @param {Object} options
+   * @param {Function} options.onRetry - async (error, intento) antes de reintentar (p. ej. volver a la grilla)
+   */
+  async run(paso, fn, { onRetry = null } = {}) {
+    for (let intento = 1; ; intento++) {
+      if (this.pausing) await this.pausing;
+      this.checkStop(paso);
+      await this.throttle();
+
+      try {
+        const result = await fn(intento);
+        this.consecutiveFailures = 0;
+        return result;
+      } catch (err) {
+        if (ERRORES_SIN_REINTENTO.includes(err.code)) throw err;
+
+        this.consecutiveFailures++;
+        if (this.consecutiveFailures >= this.breakerThreshold) {
+          await this.openCircuit(paso, err);
+        }
+
+        if (intento > this.maxRetries) {
+          this.stats.fallos_definitivos++;
+          throw err;
+        }
+
+        const espera = this.backoffDelay(intento);
+        this.stats.total_reintentos++;
+        this.stats.reintentos_por_paso[paso] = (this.stats.reintentos_por_paso[paso] || 0) + 1;
+        logger.warn(`Reintento ${intento}/${this.maxRetries} de ${paso} en ${espera}ms: ${err.message}`);
+        await this.sleep(espera);
+
+        if (onRetry) {
+          try {
+            await onRetry(err, intento);
+          } catch (errRetry) {
+            logger.warn(`No se pudo preparar el reintento de ${paso}: ${errRetry.message}`);
+          }
+        }
+      }
+    }
+  }
+
+  /**
+   * @throws Error con code CANCELLED si se pidió detener la operación
+   */
+  checkStop(paso) {
+    if (!this.shouldStop || !this.shouldStop()) return;
+
+    const error = new Error(`Operación cancelada antes del paso ${paso}`);
+    error.code = 'CANCELLED';
+    throw error;
+  }
+
+  /**
+   * Abrir el circuito: pausar todos los pasos o, agotadas las pausas, detener la operación
+   * @throws Error con code CIRCUIT_OPEN
+   */
+  async openCircuit(paso, err) {
+    // Otra página ya abrió el circuito: se espera la misma pausa
+    if (this.pausing) return this.pausing;
+
+    if (this.stats.pausas.length - this.pausasPrevias >= this.breakerMaxPauses) {
+      const error = new Error(`${this.consecutiveFailures} fallos seguidos después de ${this.breakerMaxPauses} pausas (último en ${paso}: ${err.message})`);
+      error.code = 'CIRCUIT_OPEN';
+      throw error;
+    }
+
+    this.stats.pausas.push({
+      paso,
+      fallos_consecutivos: this.consecutiveFailures,
+      error_message: err.message,
+      inicio: new Date().toISOString(),
+      duracion_ms: this.breakerPauseMs
+    });
+    logger.warn(`⏸️  Circuit breaker: ${this.consecutiveFailures} fallos seguidos (${paso}). Pausando ${this.breakerPauseMs}ms`);
+
+    this.pausing = this.sleep(this.breakerPauseMs).then(() => {
+      this.pausing = null;
+      this.consecutiveFailures = 0;
+      logger.info('▶️  Circuit breaker: reanudando después de la pausa');
+    });
+    return this.pausing;
+  }
+
+  /**
+   * Estadísticas para los detalles del ETLLog
+   */
+  getStats() {
+    return {
+      total_reintentos: this.stats.total_reintentos,
+      reintentos_por_paso: { ...this.stats.reintentos_por_paso },
+      fallos_definitivos: this.stats.fallos_definitivos,
+      pausas: [...this.stats.pausas]
+    };
+  }
+}
+
+module.exports = RetryPolicy;
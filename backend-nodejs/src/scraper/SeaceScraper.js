@@ -2,8 +2,14 @@
  * SeaceScraper - Scraper completo para el portal SEACE
  * Extrae datos correctos de la tabla HTML y soporta paginación
  */
+const fs = require('fs');
+const path = require('path');
 const puppeteer = require('puppeteer');
 const logger = require('../config/logger');
+const config = require('../config/index');
+const FixtureStore = require('./FixtureStore');
+const RetryPolicy = require('./RetryPolicy');
+const SELECTORS = require('./selectors');
 
 class SeaceScraper {
   constructor(options = {}) {
@@ -12,32 +18,46 @@ class SeaceScraper {
     this.options = {
       headless: true,
       timeout: 90000,
-      maxRetries: 3,
+      maxRetries: config.scraper.retry.maxRetries,
+      minDelayMs: config.scraper.retry.minDelayMs,
+      mode: config.scraper.mode,  // 'live', 'record' o 'replay'
+      fixturesDir: config.scraper.fixturesDir,
+      snapshotsDir: config.scraper.snapshotsDir,
       ...options
     };
+    this.fixtures = null;
+    this.ownsBrowser = true;
+    this.crashed = false;
+    // Con options.retryPolicy (pool o ETL) varias páginas comparten intervalo y circuit breaker
+    this.retryPolicy = this.options.retryPolicy || new RetryPolicy({
+      maxRetries: this.options.maxRetries,
+      minDelayMs: this.options.minDelayMs
+    });
   }
 
   async initialize() {
     try {
       logger.info('Inicializando Puppeteer...');
 
-      this.browser = await puppeteer.launch({
-        headless: this.options.headless,
-        args: [
-          '--no-sandbox',
-          '--disable-setuid-sandbox',
-          '--disable-dev-shm-usage',
-          '--disable-accelerated-2d-canvas',
-          '--disable-gpu',
-          '--window-size=1920,1080'
-        ],
-        executablePath: process.env.CHROME_BIN || '/usr/bin/chromium-browser'
-      });
+      // Con options.browser (pool de navegadores) se abre solo una página en un navegador compartido
+      this.ownsBrowser = !this.options.browser;
+      this.browser = this.options.browser || await SeaceScraper.launchBrowser(this.options);
+      this.crashed = false;
 
       this.page = await this.browser.newPage();
+      this.page.on('error', err => {
+        this.crashed = true;
+        logger.error(`La página del scraper se cerró inesperadamente: ${err.message}`);
+      });
       await this.page.setViewport({ width: 1920, height: 1080 });
       await this.page.setUserAgent('Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36');
 
+      // Grabar o reproducir las respuestas del portal desde fixtures
+      if (this.options.mode === 'record' || this.options.mode === 'replay') {
+        this.fixtures = new FixtureStore({ mode: this.options.mode, dir: this.options.fixturesDir });
+        await this.fixtures.attach(this.page);
+      }
+
       logger.info('Scraper inicializado correctamente');
     } catch (error) {
       logger.error('Error al inicializar scraper:', error);
@@ -45,6 +65,24 @@ class SeaceScraper {
     }
   }
 
+  /**
+   * Lanzar una instancia de Chromium con la configuración del scraper
+   */
+  static async launchBrowser(options = {}) {
+    return puppeteer.launch({
+      headless: options.headless !== undefined ? options.headless : true,
+      args: [
+        '--no-sandbox',
+        '--disable-setuid-sandbox',
+        '--disable-dev-shm-usage',
+        '--disable-accelerated-2d-canvas',
+        '--disable-gpu',
+        '--window-size=1920,1080'
+      ],
+      executablePath: process.env.CHROME_BIN || '/usr/bin/chromium-browser'
+    });
+  }
+
   async searchProcesses(params = {}) {
     const {
       keywords = null,  // Sin default, null = buscar todo
@@ -54,7 +92,12 @@ class SeaceScraper {
       entidad = null,
       tipoProceso = null,
       fechaDesde = null,  // Nuevo parámetro para fecha desde
-      fechaHasta = null   // Nuevo parámetro para fecha hasta
+      fechaHasta = null,  // Nuevo parámetro para fecha hasta
+      includeDetails = false,  // Abrir la ficha de cada proceso para completar datos
+      startPage = 1,  // Página desde la que se reanuda una extracción interrumpida
+      alreadyExtracted = 0,  // Procesos ya extraídos antes de reanudar (cuentan para el límite)
+      targetIds = null,  // Set de id_proceso: solo se devuelven (y se abre la ficha de) estos procesos
+      onPage = null  // Callback (pageResults, { pageNumber, totalPages }) tras cada página
     } = params;
 
     try {
@@ -63,7 +106,9 @@ class SeaceScraper {
       }
 
       const allResults = [];
-      const baseUrl = 'https://prodapp2.seace.gob.pe/seacebus-uiwd-pub/buscadorPublico/buscadorPublico.xhtml';
+      // Solo queda en true si la búsqueda recorrió hasta la última página del paginador
+      // (o encontró todos los targetIds). Un corte por página vacía o por error de paginación lo deja en false.
+      this.lastSearchComplete = false;
 
       logger.info('Iniciando búsqueda en SEACE', {
         keywords: keywords && Array.isArray(keywords) ? keywords.join(', ') : 'Sin filtro de keywords',
@@ -71,56 +116,32 @@ class SeaceScraper {
         anio,
         fechaDesde,
         fechaHasta,
-        maxProcesses
-      });
-
-      // PASO 1: Acceso al SEACE y navegación a la pestaña correcta
-      await this.page.goto(baseUrl, {
-        waitUntil: 'networkidle2',
-        timeout: this.options.timeout
+        maxProcesses,
+        includeDetails,
+        startPage,
+        targetIds: targetIds ? targetIds.size : 'todos'
       });
 
-      logger.info('Página SEACE cargada');
-      await this.page.waitForTimeout(3000);
-
-      // PASO 2: Seleccionar pestaña "Procedimientos de Selección"
-      await this.selectProcedimientosSeleccion();
-
-      // PASO 3: Configuración de filtros
-      // 3.1 Objeto de contratación
-      if (objetoContratacion) {
-        logger.info(`🔧 Aplicando filtro: objetoContratacion = "${objetoContratacion}"`);
-        await this.selectObjetoContratacion(objetoContratacion);
-        logger.info(`✅ Filtro objetoContratacion aplicado exitosamente`);
-      } else {
-        logger.warn('⚠️  NO se aplicó filtro de objetoContratacion (parámetro vacío o undefined)');
-      }
-
-      // 3.2 Año de convocatoria
-      if (anio) {
-        await this.selectAnio(anio);
-      }
-
-      // 3.3 Fechas de publicación
-      const fechaInicio = fechaDesde || `${anio}-01-01`;
-      const fechaFin = fechaHasta || `${anio}-12-31`;
-      await this.setFechaPublicacion(fechaInicio, fechaFin);
-
-      // 3.4 Descripción del objeto
-      const descripcionTexto = Array.isArray(keywords) ? keywords.join(' ') : keywords;
-      if (descripcionTexto && descripcionTexto.trim()) {
-        await this.fillDescripcion(descripcionTexto);
-      }
-
-      // PASO 4: Ejecución de la búsqueda
-      await this.clickBuscar();
+      // PASOS 1-5: Cargar el buscador, aplicar los filtros y ejecutar la búsqueda
+      this.searchFilters = { keywords, objetoContratacion, anio, fechaDesde, fechaHasta };
+      await this.openSearch(this.searchFilters);
 
-      // PASO 5: Esperar resultados
-      await this.waitForResults();
+      // Canario: verificar las cabeceras antes de leer las columnas por posición
+      await this.checkDom('results');
 
       // PASO 6: Extracción de datos de todas las páginas
       let currentPage = 1;
       let hasMorePages = true;
+
+      // Al reanudar, avanzar el paginador hasta la primera página pendiente
+      if (startPage > 1) {
+        logger.info(`⏩ Reanudando extracción desde la página ${startPage}`);
+        currentPage = await this.skipToPage(startPage);
+        if (currentPage < startPage) {
+          logger.warn(`El buscador solo tiene ${currentPage} páginas. No hay páginas pendientes.`);
+          return allResults;
+        }
+      }
       let totalPagesProcessed = 0;
 
       // ✨ NUEVO: Extraer un buffer adicional para compensar updates
@@ -132,25 +153,48 @@ class SeaceScraper {
         logger.info(`💡 Objetivo: ${maxProcesses} procesos NUEVOS. Extrayendo hasta ${extractionLimit} procesos para compensar updates.`);
       }
 
-      while (hasMorePages && (extractionLimit === null || allResults.length < extractionLimit)) {
+      while (hasMorePages && (extractionLimit === null || allResults.length + alreadyExtracted < extractionLimit)) {
         logger.info(`=== PROCESANDO PÁGINA ${currentPage} ===`);
-        const limitMsg = extractionLimit ? `${allResults.length}/${extractionLimit}` : `${allResults.length}`;
+        const limitMsg = extractionLimit ? `${allResults.length + alreadyExtracted}/${extractionLimit}` : `${allResults.length}`;
         logger.info(`Procesos acumulados hasta ahora: ${limitMsg}`);
 
-        const pageResults = await this.extractTableData();
+        const filasPagina = await this.extractTableData();
 
-        if (pageResults.length === 0) {
+        if (filasPagina.length === 0) {
           logger.warn(`Página ${currentPage}: No se encontraron procesos. Posible problema de carga.`);
           break;
         }
 
+        // Con targetIds la página se reduce a los procesos buscados (puede quedar vacía)
+        const pageResults = targetIds
+          ? filasPagina.filter(proceso => targetIds.has(proceso.id_proceso))
+          : filasPagina;
+
+        // PASO 6.1: Completar cada proceso con los datos de su ficha (opcional)
+        if (includeDetails) {
+          await this.enrichWithFichaData(pageResults, currentPage);
+        }
+
         allResults.push(...pageResults);
         totalPagesProcessed++;
 
         logger.info(`Página ${currentPage}: ${pageResults.length} procesos extraídos (Total acumulado: ${allResults.length})`);
 
+        // PASO 6.2: Entregar la página al llamador (guardado y checkpoint)
+        if (onPage) {
+          const { totalPages } = await this.getPaginatorState();
+          await onPage(pageResults, { pageNumber: currentPage, totalPages });
+        }
+
+        // Con targetIds la búsqueda termina cuando aparecieron todos los procesos buscados
+        if (targetIds && allResults.length >= targetIds.size) {
+          logger.info(`Los ${targetIds.size} procesos buscados fueron encontrados. Deteniendo scraping.`);
+          this.lastSearchComplete = true;
+          break;
+        }
+
         // Verificar si hemos alcanzado el límite de extracción (con buffer)
-        if (extractionLimit && allResults.length >= extractionLimit) {
+        if (extractionLimit && allResults.length + alreadyExtracted >= extractionLimit) {
           logger.info(`Límite de extracción ${extractionLimit} alcanzado (objetivo: ${maxProcesses} nuevos). Deteniendo scraping.`);
           break;
         }
@@ -159,7 +203,13 @@ class SeaceScraper {
         hasMorePages = await this.hasNextPage();
 
         if (!hasMorePages) {
-          logger.info('No hay más páginas disponibles. Extracción completada.');
+          // hasNextPage también devuelve false si no pudo leer el paginador
+          this.lastSearchComplete = await this.isLastPage();
+          if (this.lastSearchComplete) {
+            logger.info('No hay más páginas disponibles. Extracción completada.');
+          } else {
+            logger.warn(`La búsqueda terminó en la página ${currentPage} sin llegar a la última del paginador`);
+          }
           break;
         }
 
@@ -189,15 +239,107 @@ class SeaceScraper {
     }
   }
 
+  /**
+   * Divide un rango de fechas (yyyy-mm-dd) en ventanas consecutivas
+   * @param {String} tipo - 'week', 'day' o 'auto'
+   * @returns {Array} [{ index, fechaDesde, fechaHasta }]
+   */
+  static buildDateWindows(fechaDesde, fechaHasta, tipo = 'auto') {
+    const inicio = new Date(`${fechaDesde}T00:00:00Z`);
+    const fin = new Date(`${fechaHasta}T00:00:00Z`);
+
+    if (isNaN(inicio.getTime()) || isNaN(fin.getTime()) || inicio > fin) {
+      throw new Error(`Rango de fechas inválido: ${fechaDesde} - ${fechaHasta}`);
+    }
+
+    const dias = Math.round((fin - inicio) / 86400000) + 1;
+    let tamano;
+    if (tipo === 'day') {
+      tamano = 1;
+    } else if (tipo === 'week') {
+      tamano = 7;
+    } else {
+      tamano = dias > 31 ? 7 : dias;
+    }
+
+    const formato = fecha => fecha.toISOString().substring(0, 10);
+    const windows = [];
+    for (let desde = new Date(inicio); desde <= fin; desde = new Date(desde.getTime() + tamano * 86400000)) {
+      const hasta = new Date(Math.min(desde.getTime() + (tamano - 1) * 86400000, fin.getTime()));
+      windows.push({ index: windows.length, fechaDesde: formato(desde), fechaHasta: formato(hasta) });
+    }
+
+    return windows;
+  }
+
+  /**
+   * Cargar el buscador, aplicar los filtros y ejecutar la búsqueda hasta tener la grilla de resultados
+   * @param {Object} filtros - { keywords, objetoContratacion, anio, fechaDesde, fechaHasta }
+   */
+  async openSearch({ keywords, objetoContratacion, anio, fechaDesde, fechaHasta }) {
+    const baseUrl = SELECTORS.searchUrl;
+
+    // PASOS 1-3: Cargar el buscador y llenar el formulario. Un reintento recarga la página
+    // desde cero, así que no quedan filtros a medio aplicar.
+    await this.retryPolicy.run('formulario', async () => {
+      // PASO 1: Acceso al SEACE y navegación a la pestaña correcta
+      await this.page.goto(baseUrl, {
+        waitUntil: 'networkidle2',
+        timeout: this.options.timeout
+      });
+
+      logger.info('Página SEACE cargada');
+      await this.page.waitForTimeout(3000);
+
+      // PASO 2: Seleccionar pestaña "Procedimientos de Selección"
+      await this.selectProcedimientosSeleccion();
+
+      // Canario: verificar que el formulario siga teniendo los controles esperados
+      await this.checkDom('form');
+
+      // PASO 3: Configuración de filtros
+      // 3.1 Objeto de contratación
+      if (objetoContratacion) {
+        logger.info(`🔧 Aplicando filtro: objetoContratacion = "${objetoContratacion}"`);
+        await this.selectObjetoContratacion(objetoContratacion);
+        logger.info(`✅ Filtro objetoContratacion aplicado exitosamente`);
+      } else {
+        logger.warn('⚠️  NO se aplicó filtro de objetoContratacion (parámetro vacío o undefined)');
+      }
+
+      // 3.2 Año de convocatoria
+      if (anio) {
+        await this.selectAnio(anio);
+      }
+
+      // 3.3 Fechas de publicación
+      const fechaInicio = fechaDesde || `${anio}-01-01`;
+      const fechaFin = fechaHasta || `${anio}-12-31`;
+      await this.setFechaPublicacion(fechaInicio, fechaFin);
+
+      // 3.4 Descripción del objeto
+      const descripcionTexto = Array.isArray(keywords) ? keywords.join(' ') : keywords;
+      if (descripcionTexto && descripcionTexto.trim()) {
+        await this.fillDescripcion(descripcionTexto);
+      }
+    });
+
+    // PASOS 4-5: Ejecutar la búsqueda y esperar resultados
+    await this.retryPolicy.run('busqueda', async () => {
+      await this.clickBuscar();
+      await this.waitForResults();
+    });
+  }
+
   async selectProcedimientosSeleccion() {
     try {
       logger.info('Seleccionando pestaña "Procedimientos de Selección"...');
 
       // Usar evaluateHandle con JavaScript puro para buscar por texto
       // en lugar de selectores jQuery que Puppeteer no soporta
-      const tabFound = await this.page.evaluate(() => {
+      const tabFound = await this.page.evaluate((tabsSelector) => {
         // Buscar tabs por texto
-        const tabs = document.querySelectorAll('li[role="tab"] a, a[role="tab"], button[role="tab"]');
+        const tabs = document.querySelectorAll(tabsSelector);
         
         for (const tab of tabs) {
           const text = tab.textContent?.trim() || '';
@@ -217,7 +359,7 @@ class SeaceScraper {
         }
         
         return { found: false };
-      });
+      }, SELECTORS.form.tabs);
 
       if (tabFound.found) {
         if (tabFound.clicked) {
@@ -493,7 +635,7 @@ class SeaceScraper {
       logger.info(`Ingresando descripción: ${texto}`);
 
       // Selector correcto basado en el diagnóstico
-      const selector = 'input[id="tbBuscador:idFormBuscarProceso:descripcionObjeto"]';
+      const selector = SELECTORS.form.descripcion;
 
       const element = await this.page.$(selector);
       if (element) {
@@ -538,7 +680,7 @@ class SeaceScraper {
       logger.info(`Seleccionando año: ${anio}`);
 
       // Selector correcto basado en el diagnóstico
-      const selector = 'select[id="tbBuscador:idFormBuscarProceso:anioConvocatoria_input"]';
+      const selector = SELECTORS.form.anio;
 
       const element = await this.page.$(selector);
       if (element) {
@@ -568,8 +710,8 @@ class SeaceScraper {
       logger.info(`Configurando fechas de publicación: ${fechaDesde} - ${fechaHasta}`);
 
       // Selectores para los campos de fecha de publicación
-      const fechaDesdeSelector = 'input[id="tbBuscador:idFormBuscarProceso:fechaPublicacionDesde_input"]';
-      const fechaHastaSelector = 'input[id="tbBuscador:idFormBuscarProceso:fechaPublicacionHasta_input"]';
+      const fechaDesdeSelector = SELECTORS.form.fechaDesde;
+      const fechaHastaSelector = SELECTORS.form.fechaHasta;
 
       // Función helper para configurar una fecha
       const setFecha = async (selector, fecha, label) => {
@@ -597,7 +739,7 @@ class SeaceScraper {
             await this.page.waitForTimeout(200);
 
             // Ingresar la fecha en formato dd/mm/yyyy
-            await this.page.keyboard.type(fecha, { delay: 100 });
+            await this.page.keyboard.type(this.formatFechaSeace(fecha), { delay: 100 });
 
             logger.info(`${label} configurada: ${fecha}`);
             await this.page.waitForTimeout(500);
@@ -638,7 +780,7 @@ class SeaceScraper {
       logger.info('Haciendo click en buscar...');
 
       // Selector correcto basado en el diagnóstico
-      const selector = 'button[id="tbBuscador:idFormBuscarProceso:btnBuscarSel"]';
+      const selector = SELECTORS.form.buscar;
 
       const element = await this.page.$(selector);
       if (element) {
@@ -684,7 +826,7 @@ class SeaceScraper {
     try {
       logger.info('Esperando resultados...');
 
-      await this.page.waitForSelector('table[role="grid"] tbody tr', {
+      await this.page.waitForSelector(`${SELECTORS.results.table} tbody tr`, {
         timeout: this.options.timeout
       });
 
@@ -696,29 +838,120 @@ class SeaceScraper {
     }
   }
 
+  /**
+   * Canario de selectores: verifica que el portal conserve la estructura esperada.
+   * Si el HTML cambió guarda una captura de la página y lanza un error DOM_DRIFT
+   * en lugar de continuar con columnas desalineadas.
+   * @param {String} stage - 'form' (controles del buscador) o 'results' (cabeceras de la grilla)
+   */
+  async checkDom(stage) {
+    const problemas = await this.page.evaluate((stage, selectors) => {
+      const normalizar = (texto) => (texto || '')
+        .toLowerCase()
+        .normalize('NFD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .replace(/\s+/g, ' ')
+        .trim();
+
+      if (stage === 'form') {
+        return Object.entries(selectors.form)
+          .filter(([, selector]) => !document.querySelector(selector))
+          .map(([control, selector]) => `Control "${control}" no encontrado (${selector})`);
+      }
+
+      const headers = Array.from(document.querySelectorAll(selectors.results.headers)).map(th => normalizar(th.textContent));
+      if (headers.length === 0) {
+        return [`Grilla de resultados sin cabeceras (${selectors.results.headers})`];
+      }
+
+      return selectors.results.columns
+        .map((esperada, idx) => (headers[idx] || '').includes(esperada)
+          ? null
+          : `Columna ${idx}: se esperaba "${esperada}", se encontró "${headers[idx] || '(vacía)'}"`)
+        .filter(Boolean);
+    }, stage, { form: SELECTORS.form, results: SELECTORS.results });
+
+    if (problemas.length === 0) {
+      logger.debug(`Canario ${stage}: estructura SEACE conforme a selectores v${SELECTORS.version}`);
+      return;
+    }
+
+    problemas.forEach(problema => logger.error(`DOM SEACE cambió (${stage}): ${problema}`));
+    const snapshot = await this.saveDomSnapshot(stage);
+    throw this.domDriftError(stage, problemas, snapshot);
+  }
+
+  /**
+   * Ejecutar solo el canario: abrir el buscador, buscar sin filtros y validar formulario y grilla
+   * @returns {Object} { selectors_version, ok: true } o lanza un error DOM_DRIFT
+   */
+  async runCanary() {
+    if (!this.browser) {
+      await this.initialize();
+    }
+
+    await this.page.goto(SELECTORS.searchUrl, { waitUntil: 'networkidle2', timeout: this.options.timeout });
+    await this.selectProcedimientosSeleccion();
+    await this.checkDom('form');
+
+    await this.clickBuscar();
+    await this.waitForResults();
+    await this.checkDom('results');
+
+    return { selectors_version: SELECTORS.version, ok: true };
+  }
+
+  /**
+   * Guardar el HTML y una captura de la página para diagnosticar cambios del portal
+   */
+  async saveDomSnapshot(stage) {
+    try {
+      const dir = path.resolve(process.cwd(), this.options.snapshotsDir);
+      fs.mkdirSync(dir, { recursive: true });
+
+      const base = `${new Date().toISOString().replace(/[:.]/g, '-')}-${stage}`;
+      const htmlPath = path.join(dir, `${base}.html`);
+      const screenshotPath = path.join(dir, `${base}.png`);
+
+      fs.writeFileSync(htmlPath, await this.page.content());
+      await this.page.screenshot({ path: screenshotPath, fullPage: true });
+
+      logger.info(`Captura del DOM guardada en ${htmlPath}`);
+      return {
+        html: path.relative(process.cwd(), htmlPath),
+        screenshot: path.relative(process.cwd(), screenshotPath)
+      };
+    } catch (err) {
+      logger.warn(`No se pudo guardar la captura del DOM: ${err.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * Error de estructura del portal distinta a la esperada por los selectores
+   */
+  domDriftError(stage, problemas, snapshot) {
+    const error = new Error(`DOM de SEACE cambió (${stage}): ${problemas[0]}${problemas.length > 1 ? ` y ${problemas.length - 1} diferencias más` : ''}`);
+    error.code = 'DOM_DRIFT';
+    error.diagnosis = {
+      stage,
+      selectors_version: SELECTORS.version,
+      problemas,
+      snapshot,
+      url: this.page.url(),
+      detected_at: new Date().toISOString()
+    };
+    return error;
+  }
+
   async extractTableData() {
     try {
-      const data = await this.page.evaluate(() => {
+      const data = await this.page.evaluate((rowsSelector) => {
         const results = [];
         
-        // PASO 4: Fallback o modo de respaldo
-        // Primero intentar con la tabla principal
-        let rows = document.querySelectorAll('table[role="grid"] tbody tr[data-ri]');
-        
-        // Si no hay filas, buscar cualquier tabla con clase que contenga 'ui-datatable'
-        if (rows.length === 0) {
-          console.warn('No se encontraron filas con selector principal. Buscando fallback...');
-          const datatables = document.querySelectorAll('table[class*="ui-datatable"]');
-          
-          for (const table of datatables) {
-            const tableRows = table.querySelectorAll('tbody tr');
-            if (tableRows.length > 0) {
-              console.info(`Fallback: Encontrada tabla ui-datatable con ${tableRows.length} filas`);
-              rows = tableRows;
-              break; // Rompe el bucle en cuanto encuentra una tabla válida
-            }
-          }
-        }
+        // PASO 4: Solo la grilla configurada. No se usa otra tabla como respaldo:
+        // sus columnas no coincidirían con el mapeo por posición.
+        const rows = document.querySelectorAll(rowsSelector);
 
         // Función helper para extraer texto limpio
         const getCleanText = (cell) => {
@@ -780,6 +1013,18 @@ class SeaceScraper {
             const monto_referencial_text = getCleanText(cells[9]);   // Columna 9: VR/VE/Cuantía (VALOR NUMÉRICO)
             const moneda = getCleanText(cells[10]);                  // Columna 10: Moneda (Soles, Dólares, etc.)
             const version_seace = getCleanText(cells[11]);           // Columna 11: Versión SEACE
+
+            // Columna 12: Acciones - enlace a la ficha del proceso
+            // Los enlaces son postbacks de PrimeFaces, se guarda el ID para poder hacer click luego.
+            // Solo cuenta el enlace cuyo título dice "ficha": otro enlace de la celda abriría otra pantalla.
+            const accionesCell = cells[cells.length - 1];
+            const fichaLinks = accionesCell ? Array.from(accionesCell.querySelectorAll('a')) : [];
+            const fichaLink = fichaLinks.find(a => {
+              const titulo = `${a.getAttribute('title') || ''} ${a.querySelector('img')?.getAttribute('title') || ''}`;
+              return titulo.toLowerCase().includes('ficha');
+            }) || null;
+            const fichaHref = fichaLink ? fichaLink.getAttribute('href') : null;
+            const fichaUrl = fichaHref && fichaHref !== '#' && !fichaHref.startsWith('javascript') ? fichaLink.href : null;
             
             // DEBUG: Log para verificar extracción correcta de monto y moneda
             if (index === 0) {
@@ -822,7 +1067,8 @@ class SeaceScraper {
               tipo_proceso: null,
 
               // URLs y referencias
-              url_proceso: null,
+              url_proceso: fichaUrl,
+              ficha_link_id: fichaLink ? fichaLink.id || null : null,
               source_url: window.location.href,
               pagina_scraping: window.location.href,
 
@@ -866,7 +1112,7 @@ class SeaceScraper {
 
         console.info(`Total de procesos válidos extraídos: ${results.length}`);
         return results;
-      });
+      }, SELECTORS.results.rows);
 
       logger.info(`Extraídos ${data.length} procesos de la página actual con validaciones`);
 
@@ -880,20 +1126,19 @@ class SeaceScraper {
   }
 
   normalizeProcesoData(proceso) {
+    // Valores que no se pudieron interpretar (se guardan en null y van al reporte de calidad)
+    proceso.errores_parseo = [];
+
     // 1. Convertir fecha a formato ISO datetime
     if (proceso.fecha_publicacion) {
-      try {
-        // Intentar parsear formato dd/mm/yyyy HH:MM
-        const parts = proceso.fecha_publicacion.trim().split(' ');
-        const fecha = parts[0];
-        const hora = parts[1] || '00:00:00';
-        
-        const [dia, mes, anio] = fecha.split('/');
-        if (dia && mes && anio) {
-          proceso.fecha_publicacion = `${anio}-${mes.padStart(2, '0')}-${dia.padStart(2, '0')} ${hora}`;
-        }
-      } catch (err) {
+      // Formato de la grilla: dd/mm/yyyy HH:MM
+      const match = proceso.fecha_publicacion.trim().match(/^(\d{1,2})\/(\d{1,2})\/(\d{4})(?:\s+(\d{1,2}:\d{2}(?::\d{2})?))?$/);
+      if (match) {
+        const [, dia, mes, anio, hora = '00:00:00'] = match;
+        proceso.fecha_publicacion = `${anio}-${mes.padStart(2, '0')}-${dia.padStart(2, '0')} ${hora}`;
+      } else {
         logger.warn(`Error parseando fecha: ${proceso.fecha_publicacion}`);
+        proceso.errores_parseo.push({ campo: 'fecha_publicacion', valor: proceso.fecha_publicacion });
         proceso.fecha_publicacion = null;
       }
     } else {
@@ -902,14 +1147,15 @@ class SeaceScraper {
 
     // 2. Convertir monto a número (en DB es DECIMAL(15,2))
     if (proceso.monto_referencial && proceso.monto_referencial !== '---' && proceso.monto_referencial !== 'N/A') {
-      try {
-        // Remover puntos de separador de miles y comas decimales
-        const valorLimpio = proceso.monto_referencial.replace(/\./g, '').replace(/,/g, '.').trim();
-        const montoNumero = parseFloat(valorLimpio);
-        proceso.monto_referencial = isNaN(montoNumero) ? null : montoNumero;
-      } catch (err) {
+      // Remover puntos de separador de miles y comas decimales
+      const valorLimpio = proceso.monto_referencial.replace(/\./g, '').replace(/,/g, '.').trim();
+      const montoNumero = parseFloat(valorLimpio);
+      if (isNaN(montoNumero)) {
         logger.warn(`Error parseando monto: ${proceso.monto_referencial}`);
+        proceso.errores_parseo.push({ campo: 'monto_referencial', valor: proceso.monto_referencial });
         proceso.monto_referencial = null;
+      } else {
+        proceso.monto_referencial = montoNumero;
       }
     } else {
       proceso.monto_referencial = null;
@@ -946,30 +1192,451 @@ class SeaceScraper {
     return proceso;
   }
 
-  async hasNextPage() {
-    try {
-      const pageInfo = await this.page.evaluate(() => {
-        // Verificar si existe el botón siguiente habilitado
-        const nextButton = document.querySelector('.ui-paginator-next:not(.ui-state-disabled)');
-        const hasNext = nextButton !== null;
+  /**
+   * Completa los procesos de la página actual con los datos de su ficha.
+   * La ficha contiene datos que la grilla no muestra (RUC, ubicación, cronograma, etc.)
+   * Los errores de una ficha no detienen el scraping: el proceso queda con los datos de la grilla.
+   */
+  async enrichWithFichaData(procesos, currentPage) {
+    let enriquecidos = 0;
+
+    for (const proceso of procesos) {
+      if (!proceso.ficha_link_id) {
+        logger.warn(`Proceso ${proceso.id_proceso} sin enlace a ficha, se omite detalle`);
+        proceso.errores_parseo = proceso.errores_parseo || [];
+        proceso.errores_parseo.push({ campo: 'ficha', valor: 'Sin enlace a la ficha en la columna Acciones' });
+        continue;
+      }
 
-        // También verificar el texto del paginador para saber en qué página estamos
-        const paginatorText = document.querySelector('.ui-paginator-current');
-        const currentText = paginatorText ? paginatorText.textContent : '';
+      try {
+        // Antes de reintentar se vuelve a la grilla, donde está el enlace a la ficha
+        const ficha = await this.retryPolicy.run('ficha', () => this.extractFichaData(proceso.ficha_link_id), {
+          onRetry: () => this.returnToResults(currentPage)
+        });
+        this.mergeFichaData(proceso, ficha);
+        enriquecidos++;
+      } catch (err) {
+        logger.warn(`Error extrayendo ficha de ${proceso.id_proceso}: ${err.message}`);
+      }
+
+      if (!(await this.recoverResults(currentPage))) {
+        logger.warn(`Página ${currentPage}: no se pudo volver a la grilla, el resto de procesos queda con los datos de la grilla`);
+        break;
+      }
+    }
 
-        // Extraer información de paginación
-        const match = currentText.match(/Página:\s*(\d+)\/(\d+)/);
-        const currentPage = match ? parseInt(match[1]) : 1;
-        const totalPages = match ? parseInt(match[2]) : 1;
+    logger.info(`Página ${currentPage}: ${enriquecidos}/${procesos.length} procesos completados con su ficha`);
+  }
 
-        return {
-          hasNext,
-          currentPage,
-          totalPages,
-          paginatorText: currentText
-        };
+  /**
+   * Abre la ficha de un proceso y extrae sus datos generales y su cronograma
+   */
+  async extractFichaData(linkId) {
+    await Promise.all([
+      this.page.waitForNavigation({ waitUntil: 'networkidle2', timeout: this.options.timeout }).catch(() => null),
+      this.page.evaluate((id) => {
+        const link = document.getElementById(id);
+        if (link) link.click();
+      }, linkId)
+    ]);
+
+    await this.page.waitForTimeout(1000);
+
+    const raw = await this.page.evaluate(() => {
+      const limpiar = (texto) => (texto || '').replace(/\s+/g, ' ').replace(/:\s*$/, '').trim();
+
+      // Pares etiqueta/valor: la ficha usa filas de tabla con <td>Etiqueta:</td><td>Valor</td>
+      const campos = {};
+      document.querySelectorAll('tr').forEach(tr => {
+        const celdas = Array.from(tr.children).filter(el => el.tagName === 'TD');
+        for (let i = 0; i + 1 < celdas.length; i += 2) {
+          const etiqueta = limpiar(celdas[i].textContent);
+          const valor = limpiar(celdas[i + 1].textContent);
+          if (etiqueta && valor && etiqueta.length <= 80 && !(etiqueta in campos)) {
+            campos[etiqueta] = valor;
+          }
+        }
       });
 
+      // Cronograma: tabla cuyas cabeceras incluyen "Etapa", "Fecha Inicio" y "Fecha Fin"
+      const cronograma = [];
+      for (const table of document.querySelectorAll('table')) {
+        const headers = Array.from(table.querySelectorAll('thead th')).map(th => limpiar(th.textContent).toLowerCase());
+        const idxEtapa = headers.findIndex(h => h.includes('etapa'));
+        if (idxEtapa === -1) continue;
+
+        const idxInicio = headers.findIndex(h => h.includes('inicio'));
+        const idxFin = headers.findIndex(h => h.includes('fin'));
+
+        table.querySelectorAll('tbody tr').forEach(tr => {
+          const celdas = tr.querySelectorAll('td');
+          const etapa = limpiar(celdas[idxEtapa]?.textContent);
+          if (!etapa) return;
+          cronograma.push({
+            etapa,
+            fecha_inicio: idxInicio >= 0 ? limpiar(celdas[idxInicio]?.textContent) || null : null,
+            fecha_fin: idxFin >= 0 ? limpiar(celdas[idxFin]?.textContent) || null : null
+          });
+        });
+        break;
+      }
+
+      // Documentos: bases, anexos y demás archivos publicados en la ficha
+      const documentos = [];
+      const urlsVistas = new Set();
+      for (const table of document.querySelectorAll('table')) {
+        const headers = Array.from(table.querySelectorAll('thead th')).map(th => limpiar(th.textContent).toLowerCase());
+        const idxDocumento = headers.findIndex(h => h.includes('documento'));
+        if (idxDocumento === -1 && !headers.some(h => h.includes('archivo'))) continue;
+
+        const idxFecha = headers.findIndex(h => h.includes('fecha'));
+
+        table.querySelectorAll('tbody tr').forEach(tr => {
+          const celdas = tr.querySelectorAll('td');
+          tr.querySelectorAll('a[href]').forEach(a => {
+            const href = a.getAttribute('href');
+            if (!href || href === '#' || href.startsWith('javascript') || urlsVistas.has(a.href)) return;
+            urlsVistas.add(a.href);
+
+            const tipoDocumento = idxDocumento >= 0 ? limpiar(celdas[idxDocumento]?.textContent) || null : null;
+            documentos.push({
+              nombre_archivo: limpiar(a.textContent) || a.getAttribute('title') || tipoDocumento,
+              tipo_documento: tipoDocumento,
+              url_descarga: a.href,
+              fecha_publicacion: idxFecha >= 0 ? limpiar(celdas[idxFecha]?.textContent) || null : null
+            });
+          });
+        });
+      }
+
+      // Resultados de la buena pro: tabla con el postor ganador y el monto adjudicado
+      const adjudicaciones = [];
+      const postores = new Set();
+      for (const table of document.querySelectorAll('table')) {
+        const headers = Array.from(table.querySelectorAll('thead th')).map(th => limpiar(th.textContent).toLowerCase());
+        const idxPostor = headers.findIndex(h => /postor|ganador|proveedor|raz[oó]n social/.test(h));
+        if (idxPostor === -1) continue;
+
+        const idxRuc = headers.findIndex(h => h.includes('ruc'));
+        const idxMonto = headers.findIndex(h => /adjudicad|buena pro/.test(h) && /monto|valor/.test(h));
+        const filas = Array.from(table.querySelectorAll('tbody tr')).map(tr => Array.from(tr.querySelectorAll('td')).map(td => limpiar(td.textContent)));
+
+        // Sin columna de monto adjudicado es la lista de postores que presentaron oferta
+        if (idxMonto === -1) {
+          filas.forEach(celdas => {
+            const postor = idxRuc >= 0 ? celdas[idxRuc] : celdas[idxPostor];
+            if (postor) postores.add(postor);
+          });
+          continue;
+        }
+
+        const idxItem = headers.findIndex(h => /^(n[°º.]?\s*)?[ií]tem/.test(h));
+        const idxDescripcion = headers.findIndex(h => h.includes('descripci'));
+        const idxMoneda = headers.findIndex(h => h.includes('moneda'));
+        const idxFecha = headers.findIndex(h => h.includes('fecha'));
+
+        filas.forEach(celdas => {
+          const postor = celdas[idxPostor];
+          if (!postor) return;
+          adjudicaciones.push({
+            item: idxItem >= 0 ? celdas[idxItem] || null : null,
+            descripcion: idxDescripcion >= 0 ? celdas[idxDescripcion] || null : null,
+            ruc: idxRuc >= 0 && idxRuc !== idxPostor ? celdas[idxRuc] || null : null,
+            postor,
+            monto: celdas[idxMonto] || null,
+            moneda: idxMoneda >= 0 ? celdas[idxMoneda] || null : null,
+            fecha: idxFecha >= 0 ? celdas[idxFecha] || null : null
+          });
+        });
+      }
+
+      return { campos, cronograma, documentos, adjudicaciones, postores: postores.size, url: window.location.href };
+    });
+
+    logger.debug(`Ficha extraída: ${Object.keys(raw.campos).length} campos, ${raw.cronograma.length} etapas, ${raw.documentos.length} documentos, ${raw.adjudicaciones.length} adjudicaciones`);
+    return this.mapFichaData(raw);
+  }
+
+  /**
+   * Traduce las etiquetas de la ficha a columnas de la tabla procesos
+   */
+  mapFichaData({ campos, cronograma, documentos = [], adjudicaciones = [], postores = 0, url }) {
+    const normalizarEtiqueta = (texto) => texto
+      .toLowerCase()
+      .normalize('NFD')
+      .replace(/[\u0300-\u036f]/g, '')
+      .trim();
+
+    const etiquetas = {
+      'entidad convocante': 'nombre_entidad',
+      'nombre o sigla de la entidad': 'nombre_entidad',
+      'ruc': 'entidad_ruc',
+      'ruc de la entidad': 'entidad_ruc',
+      'ruc entidad convocante': 'entidad_ruc',
+      'tipo de seleccion': 'tipo_proceso',
+      'tipo de procedimiento': 'tipo_proceso',
+      'estado': 'estado_proceso',
+      'estado del procedimiento': 'estado_proceso',
+      'valor referencial': 'monto_referencial',
+      'valor estimado': 'monto_referencial',
+      'vr / ve / cuantia de la contratacion': 'monto_referencial',
+      'cuantia de la contratacion': 'monto_referencial',
+      'moneda': 'moneda',
+      'codigo snip': 'codigo_snip',
+      'codigo unico de inversion': 'codigo_cui',
+      'cui': 'codigo_cui',
+      'departamento': 'departamento',
+      'provincia': 'provincia',
+      'distrito': 'distrito',
+      'direccion legal': 'direccion_legal',
+      'numero de postores': 'numero_postores',
+      'n° de postores': 'numero_postores',
+      'cantidad de postores': 'numero_postores'
+    };
+
+    const ficha = {};
+    Object.entries(campos).forEach(([etiqueta, valor]) => {
+      const campo = etiquetas[normalizarEtiqueta(etiqueta)];
+      if (campo && !ficha[campo]) {
+        ficha[campo] = valor;
+      }
+    });
+
+    if (ficha.entidad_ruc) {
+      const ruc = ficha.entidad_ruc.replace(/\D/g, '');
+      ficha.entidad_ruc = ruc.length === 11 ? ruc : null;
+    }
+
+    if (ficha.monto_referencial) {
+      ficha.monto_referencial = this.parseMontoSeace(ficha.monto_referencial);
+    }
+
+    // La dirección legal suele terminar en "DEPARTAMENTO - PROVINCIA - DISTRITO"
+    if (ficha.direccion_legal && !ficha.departamento) {
+      const partes = ficha.direccion_legal.split(' - ').map(p => p.trim()).filter(Boolean);
+      if (partes.length >= 3) {
+        const [departamento, provincia, distrito] = partes.slice(-3);
+        ficha.departamento = departamento.split(',').pop().trim();
+        ficha.provincia = provincia;
+        ficha.distrito = distrito;
+      }
+    }
+    delete ficha.direccion_legal;
+
+    ficha.cronograma = cronograma.map(etapa => ({
+      etapa: etapa.etapa,
+      fecha_inicio: this.parseFechaSeace(etapa.fecha_inicio),
+      fecha_fin: this.parseFechaSeace(etapa.fecha_fin)
+    }));
+
+    const etapaPresentacion = ficha.cronograma.find(etapa =>
+      /presentaci[oó]n de (ofertas|propuestas)/i.test(etapa.etapa)
+    );
+    if (etapaPresentacion) {
+      ficha.fecha_limite_presentacion = etapaPresentacion.fecha_fin || etapaPresentacion.fecha_inicio;
+    }
+
+    ficha.documentos = documentos.map(doc => ({
+      nombre_archivo: doc.nombre_archivo,
+      tipo_documento: doc.tipo_documento,
+      url_descarga: doc.url_descarga,
+      fecha_subida: this.parseFechaSeace(doc.fecha_publicacion)
+    }));
+
+    ficha.adjudicaciones = this.mapAdjudicaciones(adjudicaciones, {
+      numeroPostores: parseInt(ficha.numero_postores) || postores || null,
+      moneda: ficha.moneda,
+      etapaBuenaPro: ficha.cronograma.find(etapa => /buena pro/i.test(etapa.etapa))
+    });
+    delete ficha.numero_postores;
+
+    if (url && !url.includes('buscadorPublico')) {
+      ficha.url_proceso = url;
+    }
+
+    return ficha;
+  }
+
+  /**
+   * Normaliza las filas de la tabla de buena pro.
+   * La columna del postor suele traer "RUC - RAZÓN SOCIAL" cuando no hay columna de RUC aparte.
+   */
+  mapAdjudicaciones(filas, { numeroPostores, moneda, etapaBuenaPro }) {
+    return filas.map(fila => {
+      let ruc = (fila.ruc || '').replace(/\D/g, '');
+      let nombre = fila.postor;
+
+      const combinado = nombre.match(/^(\d{11})\s*[-–]\s*(.+)$/);
+      if (combinado) {
+        ruc = ruc || combinado[1];
+        nombre = combinado[2];
+      }
+
+      const item = parseInt(fila.item);
+
+      return {
+        numero_item: isNaN(item) ? null : item,
+        descripcion_item: fila.descripcion,
+        ganador_ruc: ruc.length === 11 ? ruc : null,
+        ganador_nombre: nombre.substring(0, 500),
+        monto_adjudicado: this.parseMontoSeace(fila.monto),
+        moneda: fila.moneda || moneda || null,
+        numero_postores: numeroPostores,
+        fecha_buena_pro: this.parseFechaSeace(fila.fecha) || etapaBuenaPro?.fecha_fin || etapaBuenaPro?.fecha_inicio || null
+      };
+    });
+  }
+
+  /**
+   * Combina los datos de la ficha con los de la grilla.
+   * Solo se sobrescriben los campos para los que la ficha trae un valor.
+   */
+  mergeFichaData(proceso, ficha) {
+    Object.entries(ficha).forEach(([campo, valor]) => {
+      if (valor !== null && valor !== undefined && valor !== '') {
+        proceso[campo] = valor;
+      }
+    });
+    proceso.detalle_extraido = true;
+    return proceso;
+  }
+
+  /**
+   * Vuelve de la ficha a la grilla en la página indicada. Si el regreso falla se repite la
+   * búsqueda con los mismos filtros y se avanza hasta esa página.
+   * @returns {Boolean} false si no se pudo recuperar la grilla en esa página
+   */
+  async recoverResults(currentPage) {
+    try {
+      await this.returnToResults(currentPage);
+      return true;
+    } catch (err) {
+      logger.warn(`Error regresando a la grilla (página ${currentPage}): ${err.message}. Se repite la búsqueda`);
+    }
+
+    try {
+      await this.openSearch(this.searchFilters);
+      const pagina = await this.skipToPage(currentPage);
+      return pagina === currentPage;
+    } catch (err) {
+      logger.warn(`Error repitiendo la búsqueda hasta la página ${currentPage}: ${err.message}`);
+      return false;
+    }
+  }
+
+  /**
+   * Regresa de la ficha a la grilla de resultados y verifica que siga en la misma página
+   */
+  async returnToResults(expectedPage) {
+    const regresoClick = await this.page.evaluate(() => {
+      const botones = document.querySelectorAll('button, a');
+      for (const boton of botones) {
+        if ((boton.textContent || '').trim().toLowerCase() === 'regresar') {
+          boton.click();
+          return true;
+        }
+      }
+      return false;
+    });
+
+    if (!regresoClick) {
+      await this.page.goBack({ waitUntil: 'networkidle2', timeout: this.options.timeout }).catch(() => null);
+    }
+
+    await this.page.waitForSelector(SELECTORS.results.rows, {
+      timeout: this.options.timeout
+    });
+    await this.page.waitForTimeout(1000);
+
+    // Algunas versiones del buscador reinician el paginador al regresar
+    await this.skipToPage(expectedPage);
+  }
+
+  /**
+   * Avanza el paginador hasta la página indicada (o hasta la última disponible)
+   * @returns {Number} Página en la que quedó el paginador
+   * @throws Si el paginador deja de avanzar
+   */
+  async skipToPage(targetPage) {
+    let { currentPage, hasNext } = await this.getPaginatorState();
+    const maxPasos = Math.max(targetPage - currentPage, 0);
+
+    for (let paso = 0; currentPage < targetPage && hasNext; paso++) {
+      if (paso >= maxPasos) {
+        throw new Error(`El paginador no llegó a la página ${targetPage} en ${maxPasos} pasos`);
+      }
+
+      const anterior = currentPage;
+      await this.goToNextPage();
+      ({ currentPage, hasNext } = await this.getPaginatorState());
+
+      if (currentPage <= anterior) {
+        throw new Error(`El paginador no avanzó de la página ${anterior} al ir a la página ${targetPage}`);
+      }
+    }
+    return currentPage;
+  }
+
+  /**
+   * Convierte fechas "yyyy-mm-dd" al formato de los filtros SEACE (dd/mm/yyyy)
+   */
+  formatFechaSeace(fecha) {
+    const match = (fecha || '').match(/^(\d{4})-(\d{2})-(\d{2})$/);
+    return match ? `${match[3]}/${match[2]}/${match[1]}` : fecha;
+  }
+
+  /**
+   * Convierte fechas SEACE (dd/mm/yyyy HH:MM) a formato "yyyy-mm-dd HH:MM"
+   */
+  parseFechaSeace(texto) {
+    if (!texto) return null;
+
+    const match = texto.trim().match(/^(\d{1,2})\/(\d{1,2})\/(\d{4})(?:\s+(\d{1,2}:\d{2}(?::\d{2})?))?/);
+    if (!match) return null;
+
+    const [, dia, mes, anio, hora] = match;
+    return `${anio}-${mes.padStart(2, '0')}-${dia.padStart(2, '0')} ${hora || '00:00:00'}`;
+  }
+
+  /**
+   * Convierte montos SEACE ("S/ 1.234.567,89") a número
+   */
+  parseMontoSeace(texto) {
+    if (!texto || texto === '---' || texto === 'N/A') return null;
+
+    const valorLimpio = texto.replace(/[^\d.,]/g, '').replace(/\./g, '').replace(/,/g, '.');
+    const monto = parseFloat(valorLimpio);
+    return isNaN(monto) ? null : monto;
+  }
+
+  async getPaginatorState() {
+    return this.page.evaluate(() => {
+      // Verificar si existe el botón siguiente habilitado
+      const nextButton = document.querySelector('.ui-paginator-next:not(.ui-state-disabled)');
+      const hasNext = nextButton !== null;
+
+      // También verificar el texto del paginador para saber en qué página estamos
+      const paginatorText = document.querySelector('.ui-paginator-current');
+      const currentText = paginatorText ? paginatorText.textContent : '';
+
+      // Extraer información de paginación
+      const match = currentText.match(/Página:\s*(\d+)\/(\d+)/);
+      const currentPage = match ? parseInt(match[1]) : 1;
+      const totalPages = match ? parseInt(match[2]) : 1;
+
+      return {
+        hasNext,
+        currentPage,
+        totalPages,
+        paginatorText: currentText
+      };
+    });
+  }
+
+  async hasNextPage() {
+    try {
+      const pageInfo = await this.getPaginatorState();
+
       logger.info(`Estado de paginación: Página ${pageInfo.currentPage}/${pageInfo.totalPages}, ¿Hay siguiente? ${pageInfo.hasNext}`);
 
       return pageInfo.hasNext;
@@ -979,7 +1646,40 @@ class SeaceScraper {
     }
   }
 
+  /**
+   * Indica si el paginador está en su última página. Ante un error de lectura devuelve false.
+   */
+  async isLastPage() {
+    try {
+      const { hasNext, currentPage, totalPages } = await this.getPaginatorState();
+      return !hasNext && currentPage >= totalPages;
+    } catch (err) {
+      logger.warn('Error verificando la última página:', err);
+      return false;
+    }
+  }
+
+  /**
+   * Avanza a la página siguiente con reintentos. Si un intento fallido llegó a
+   * cambiar de página, el reintento solo espera la grilla para no saltarse una página.
+   */
   async goToNextPage() {
+    const { currentPage } = await this.getPaginatorState();
+    const destino = currentPage + 1;
+
+    await this.retryPolicy.run('paginacion', async (intento) => {
+      if (intento > 1) {
+        const estado = await this.getPaginatorState();
+        if (estado.currentPage >= destino) {
+          await this.page.waitForSelector(SELECTORS.results.rows, { timeout: this.options.timeout });
+          return;
+        }
+      }
+      await this.clickNextPage();
+    });
+  }
+
+  async clickNextPage() {
     try {
       logger.info('Navegando a la siguiente página...');
 
@@ -1018,7 +1718,7 @@ class SeaceScraper {
       }
 
       // Estrategia 2: Esperar a que aparezcan nuevas filas en la tabla
-      await this.page.waitForSelector('table[role="grid"] tbody tr[data-ri]', {
+      await this.page.waitForSelector(SELECTORS.results.rows, {
         timeout: 30000
       });
 
@@ -1026,14 +1726,14 @@ class SeaceScraper {
       await this.page.waitForTimeout(2000);
 
       // Verificar que la navegación fue exitosa
-      const afterInfo = await this.page.evaluate(() => {
+      const afterInfo = await this.page.evaluate((rowsSelector) => {
         const paginatorText = document.querySelector('.ui-paginator-current');
-        const rowCount = document.querySelectorAll('table[role="grid"] tbody tr[data-ri]').length;
+        const rowCount = document.querySelectorAll(rowsSelector).length;
         return {
           paginatorText: paginatorText ? paginatorText.textContent : '',
           rowCount
         };
-      });
+      }, SELECTORS.results.rows);
 
       logger.info(`Navegación completada: ${afterInfo.paginatorText}, ${afterInfo.rowCount} filas visibles`);
 
@@ -1049,7 +1749,16 @@ class SeaceScraper {
 
   async close() {
     try {
-      if (this.browser) {
+      if (this.fixtures) {
+        await this.fixtures.flush();
+        this.fixtures = null;
+      }
+      if (this.browser && !this.ownsBrowser) {
+        // El navegador compartido lo cierra el pool; aquí solo se libera la página
+        if (this.page && !this.page.isClosed()) await this.page.close();
+        this.browser = null;
+        this.page = null;
+      } else if (this.browser) {
         await this.browser.close();
         this.browser = null;
         this.page = null;
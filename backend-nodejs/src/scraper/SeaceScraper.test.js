@@ -0,0 +1,81 @@
+const SeaceScraper = require('./SeaceScraper');
+
+/**
+ * Scraper con el navegador y la lectura del DOM reemplazados por páginas simuladas.
+ * @param {Array} paginas - Filas de cada página ([] simula una página que no cargó)
+ * @param {Object} options.paginadorIlegible - Número de página en la que falla la lectura del paginador
+ */
+function crearScraper(paginas, { paginadorIlegible = null } = {}) {
+  const scraper = new SeaceScraper();
+  let actual = 1;
+
+  scraper.browser = {};
+  scraper.page = { waitForTimeout: async () => {} };
+  scraper.openSearch = async () => {};
+  scraper.checkDom = async () => {};
+  scraper.extractTableData = async () => paginas[actual - 1];
+  scraper.getPaginatorState = async () => {
+    if (actual === paginadorIlegible) throw new Error('paginador no disponible');
+    return { hasNext: actual < paginas.length, currentPage: actual, totalPages: paginas.length };
+  };
+  scraper.goToNextPage = async () => { actual++; };
+
+  return scraper;
+}
+
+const filas = (...ids) => ids.map(id => ({ id_proceso: id }));
+
+describe('SeaceScraper.searchProcesses: fin de la búsqueda', () => {
+  it('marca la búsqueda como completa al llegar a la última página', async () => {
+    const scraper = crearScraper([filas('A', 'B'), filas('C')]);
+
+    const resultados = await scraper.searchProcesses({ maxProcesses: null });
+
+    expect(resultados.map(p => p.id_proceso)).toEqual(['A', 'B', 'C']);
+    expect(scraper.lastSearchComplete).toBe(true);
+  });
+
+  it('no marca la búsqueda como completa si una página intermedia no cargó', async () => {
+    const scraper = crearScraper([filas('A'), [], filas('C')]);
+
+    const resultados = await scraper.searchProcesses({ maxProcesses: null, targetIds: new Set(['A', 'C']) });
+
+    expect(resultados.map(p => p.id_proceso)).toEqual(['A']);
+    expect(scraper.lastSearchComplete).toBe(false);
+  });
+
+  it('no marca la búsqueda como completa si no se pudo leer el paginador', async () => {
+    const scraper = crearScraper([filas('A'), filas('B'), filas('C')], { paginadorIlegible: 2 });
+
+    const resultados = await scraper.searchProcesses({ maxProcesses: null });
+
+    expect(resultados.map(p => p.id_proceso)).toEqual(['A', 'B']);
+    expect(scraper.lastSearchComplete).toBe(false);
+  });
+
+  it('marca la búsqueda como completa al encontrar todos los procesos buscados', async () => {
+    const scraper = crearScraper([filas('A'), filas('B'), filas('C')]);
+
+    await scraper.searchProcesses({ maxProcesses: null, targetIds: new Set(['A', 'B']) });
+
+    expect(scraper.lastSearchComplete).toBe(true);
+  });
+});
+
+describe('SeaceScraper.normalizeProcesoData: fecha de publicación', () => {
+  const scraper = new SeaceScraper();
+
+  it('convierte dd/mm/yyyy HH:MM a formato ISO', () => {
+    const proceso = scraper.normalizeProcesoData({ id_proceso: 'A', fecha_publicacion: '6/01/2025 10:30' });
+
+    expect(proceso.fecha_publicacion).toBe('2025-01-06 10:30');
+    expect(proceso.errores_parseo).toEqual([]);
+  });
+
+  it('guarda null y reporta una vez la fecha que no tiene el formato de la grilla', () => {
+    const proceso = scraper.normalizeProcesoData({ id_proceso: 'A', fecha_publicacion: '06/01/2025 10:30 a.m.' });
+
+    expect(proceso.fecha_publicacion).toBeNull();
+    expect(proceso.errores_parseo).toEqual([{ campo: 'fecha_publicacion', valor: '06/01/2025 10:30 a.m.' }]);
+  });
+});
@@ -0,0 +1,46 @@
+/**
+ * Selectores del buscador público de SEACE
+ *
+ * Cuando el portal cambia su HTML se actualizan aquí los selectores y se sube
+ * la versión. El canario del scraper (SeaceScraper.checkDom) valida estos
+ * selectores antes de cada búsqueda y detiene la extracción si ya no coinciden.
+ */
+module.exports = {
+  version: '2024.06.1',
+
+  searchUrl: 'https://prodapp2.seace.gob.pe/seacebus-uiwd-pub/buscadorPublico/buscadorPublico.xhtml',
+
+  // Controles del formulario "Procedimientos de Selección"
+  form: {
+    tabs: 'li[role="tab"] a, a[role="tab"], button[role="tab"]',
+    objetoContratacion: 'label.ui-selectonemenu-label[id*="idFormBuscarProceso:"][id*="ObjContratacion"]',
+    anio: 'select[id="tbBuscador:idFormBuscarProceso:anioConvocatoria_input"]',
+    fechaDesde: 'input[id="tbBuscador:idFormBuscarProceso:fechaPublicacionDesde_input"]',
+    fechaHasta: 'input[id="tbBuscador:idFormBuscarProceso:fechaPublicacionHasta_input"]',
+    descripcion: 'input[id="tbBuscador:idFormBuscarProceso:descripcionObjeto"]',
+    buscar: 'button[id="tbBuscador:idFormBuscarProceso:btnBuscarSel"]'
+  },
+
+  // Grilla de resultados
+  results: {
+    table: 'table[role="grid"]',
+    headers: 'table[role="grid"] thead th',
+    rows: 'table[role="grid"] tbody tr[data-ri]',
+    // Cabecera esperada en cada columna (texto en minúsculas y sin tildes).
+    // extractTableData lee las celdas por posición, así que el orden importa.
+    columns: [
+      'n',
+      'entidad',
+      'fecha',
+      'nomenclatura',
+      'reiniciado',
+      'objeto de contratacion',
+      'descripcion',
+      'snip',
+      'inversion',
+      'cuantia',
+      'moneda',
+      'version'
+    ]
+  }
+};
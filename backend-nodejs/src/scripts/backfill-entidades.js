@@ -0,0 +1,28 @@
+/**
+ * Vincular con el catálogo de entidades los procesos registrados antes de que existiera
+ *
+ * Uso:
+ *   node src/scripts/backfill-entidades.js
+ *
+ * Resuelve la entidad de cada proceso sin entidad_id por RUC o por alias del nombre,
+ * registrando las entidades y alias que falten.
+ */
+const { sequelize } = require('../models');
+const entidadesService = require('../services/entidadesService');
+
+async function run() {
+  try {
+    const { procesados, vinculados } = await entidadesService.backfillProcesos();
+    console.log(`✓ ${vinculados} de ${procesados} procesos vinculados a una entidad`);
+    process.exitCode = 0;
+  } catch (error) {
+    console.error('✗ Error vinculando entidades:', error.message);
+    process.exitCode = 1;
+  } finally {
+    await sequelize.close();
+  }
+
+  process.exit(process.exitCode);
+}
+
+run();
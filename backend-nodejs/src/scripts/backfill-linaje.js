@@ -0,0 +1,28 @@
+/**
+ * Vincular los procesos reiniciados registrados antes del linaje con su proceso original
+ *
+ * Uso:
+ *   node src/scripts/backfill-linaje.js
+ *
+ * Revisa los procesos con "Reiniciado desde" y sin proceso_origen_id, y propaga
+ * linaje_id a toda la cadena de reinicios.
+ */
+const { sequelize } = require('../models');
+const linajeService = require('../services/linajeService');
+
+async function run() {
+  try {
+    const { revisados, vinculados } = await linajeService.backfill();
+    console.log(`✓ ${vinculados} de ${revisados} procesos reiniciados vinculados con su proceso original`);
+    process.exitCode = 0;
+  } catch (error) {
+    console.error('✗ Error vinculando procesos reiniciados:', error.message);
+    process.exitCode = 1;
+  } finally {
+    await sequelize.close();
+  }
+
+  process.exit(process.exitCode);
+}
+
+run();
@@ -0,0 +1,90 @@
+/**
+ * Completar los códigos de ubigeo de entidades y procesos registrados antes de la normalización
+ *
+ * Uso:
+ *   node src/scripts/backfill-ubigeo.js
+ *
+ * 1. Entidades sin ubigeo: se deduce de su nombre (municipalidades y gobiernos regionales).
+ * 2. Procesos sin ubigeo_departamento: se resuelve su ubicación en texto y, si no se
+ *    reconoce, se usa la jurisdicción de su entidad.
+ */
+const { Op } = require('sequelize');
+const { Entidad, Proceso, sequelize } = require('../models');
+const ubigeoService = require('../services/ubigeoService');
+const etlService = require('../services/etlService');
+
+const BATCH_SIZE = 500;
+
+async function backfillEntidades() {
+  const entidades = await Entidad.findAll({ where: { ubigeo: null } });
+  let actualizadas = 0;
+
+  for (const entidad of entidades) {
+    const ubigeo = ubigeoService.fromNombreEntidad(entidad.nombre_canonico);
+    if (ubigeo) {
+      await entidad.update({ ubigeo, updated_at: new Date() });
+      actualizadas++;
+    }
+  }
+
+  return actualizadas;
+}
+
+async function backfillProcesos() {
+  let ultimoId = null;
+  let actualizados = 0;
+
+  let procesos;
+  do {
+    const where = { ubigeo_departamento: null };
+    if (ultimoId) where.id = { [Op.gt]: ultimoId };
+
+    procesos = await Proceso.findAll({
+      where,
+      attributes: ['id', 'departamento', 'provincia', 'distrito', 'entidad_id'],
+      include: [{ model: Entidad, as: 'entidad', required: false, attributes: ['ubigeo'] }],
+      order: [['id', 'ASC']],
+      limit: BATCH_SIZE
+    });
+
+    for (const proceso of procesos) {
+      let ubicacion = etlService.normalizeUbicacion({
+        departamento: proceso.departamento,
+        provincia: proceso.provincia,
+        distrito: proceso.distrito
+      });
+      if (!ubicacion.ubigeo_departamento && proceso.entidad?.ubigeo) {
+        ubicacion = ubigeoService.fromCodigo(proceso.entidad.ubigeo);
+      }
+
+      if (ubicacion.ubigeo_departamento) {
+        await proceso.update(ubicacion);
+        actualizados++;
+      }
+    }
+
+    ultimoId = procesos[procesos.length - 1]?.id;
+  } while (procesos.length === BATCH_SIZE);
+
+  return actualizados;
+}
+
+async function run() {
+  try {
+    const entidades = await backfillEntidades();
+    console.log(`✓ ${entidades} entidades con ubigeo deducido de su nombre`);
+
+    const procesos = await backfillProcesos();
+    console.log(`✓ ${procesos} procesos con ubigeo asignado`);
+    process.exitCode = 0;
+  } catch (error) {
+    console.error('✗ Error completando ubigeos:', error.message);
+    process.exitCode = 1;
+  } finally {
+    await sequelize.close();
+  }
+
+  process.exit(process.exitCode);
+}
+
+run();
@@ -1,26 +1,42 @@
 /**
- * Script para migrar los modelos a la base de datos
+ * Script para migrar la base de datos
+ * init.sql es la única fuente de verdad del esquema y es idempotente (CREATE ... IF NOT EXISTS,
+ * ALTER TABLE ... ADD COLUMN IF NOT EXISTS). Docker solo lo ejecuta al crear el volumen; este
+ * script lo vuelve a aplicar en cada arranque para que las bases existentes reciban las
+ * columnas, tablas e índices nuevos.
  */
+const fs = require('fs');
+const path = require('path');
 const { sequelize } = require('../config/database');
-const models = require('../models');
 
-// Función para sincronizar los modelos con la base de datos
-async function migrateModels() {
+// En Docker init.sql se monta en /app; en desarrollo está en la raíz del repositorio
+const RUTAS_INIT_SQL = [
+  process.env.INIT_SQL_PATH,
+  path.resolve(__dirname, '../../init.sql'),
+  path.resolve(__dirname, '../../../init.sql')
+].filter(Boolean);
+
+async function migrate() {
   try {
-    console.log('✓ Migración de modelos omitida - Las tablas ya están creadas por scripts SQL.');
-    console.log('  Las definiciones SQL en init.sql y migrate-recomendaciones.sql son la fuente de verdad.');
-    console.log('  Los modelos Sequelize se usan solo para operaciones ORM, no para sincronización.');
-    
-    // Verificar que la conexión funciona
     await sequelize.authenticate();
     console.log('✓ Conexión a la base de datos verificada correctamente.');
-    
+
+    const rutaInitSql = RUTAS_INIT_SQL.find(ruta => fs.existsSync(ruta));
+    if (!rutaInitSql) {
+      console.warn(`⚠ No se encontró init.sql (${RUTAS_INIT_SQL.join(', ')}). Migración omitida.`);
+      process.exit(0);
+    }
+
+    console.log(`Aplicando esquema de ${rutaInitSql}...`);
+    await sequelize.query(fs.readFileSync(rutaInitSql, 'utf8'));
+    console.log('✓ Esquema actualizado.');
+
     process.exit(0);
   } catch (error) {
-    console.error('✗ Error al verificar la conexión a la base de datos:', error.message);
+    console.error('✗ Error al migrar la base de datos:', error.message);
     process.exit(1);
   }
 }
 
 // Ejecutar la migración
-migrateModels();
\ No newline at end of file
+migrate();
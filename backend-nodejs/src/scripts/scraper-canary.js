@@ -0,0 +1,38 @@
+/**
+ * Canario de selectores SEACE
+ *
+ * Uso:
+ *   node src/scripts/scraper-canary.js
+ *
+ * Abre el buscador público, ejecuta una búsqueda sin filtros y verifica que los
+ * controles del formulario y las cabeceras de la grilla coincidan con
+ * src/scraper/selectors.js. Termina con código 1 si el portal cambió.
+ */
+const SeaceScraper = require('../scraper/SeaceScraper');
+
+async function run() {
+  const scraper = new SeaceScraper({ headless: true });
+
+  try {
+    const result = await scraper.runCanary();
+    console.log(`✓ Estructura de SEACE conforme a los selectores v${result.selectors_version}`);
+    process.exitCode = 0;
+  } catch (error) {
+    if (error.code === 'DOM_DRIFT') {
+      console.error(`✗ ${error.message}`);
+      error.diagnosis.problemas.forEach(problema => console.error(`  - ${problema}`));
+      if (error.diagnosis.snapshot) {
+        console.error(`  Captura: ${error.diagnosis.snapshot.html}, ${error.diagnosis.snapshot.screenshot}`);
+      }
+    } else {
+      console.error('✗ Error ejecutando el canario:', error.message);
+    }
+    process.exitCode = 1;
+  } finally {
+    await scraper.close();
+  }
+
+  process.exit(process.exitCode);
+}
+
+run();
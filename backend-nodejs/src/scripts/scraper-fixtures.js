@@ -0,0 +1,133 @@
+/**
+ * Script para grabar y reproducir búsquedas de SEACE con fixtures
+ *
+ * Uso:
+ *   node src/scripts/scraper-fixtures.js record [--anio 2024] [--objeto Servicio] [--keywords "software"] [--max 20] [--details] [--dir ruta]
+ *   node src/scripts/scraper-fixtures.js replay [--dir ruta]
+ *
+ * "record" ejecuta la búsqueda contra el portal real, guarda las respuestas y los
+ * procesos extraídos. "replay" repite la misma búsqueda sin conexión y compara el
+ * resultado con lo grabado; termina con código 1 si difieren.
+ */
+const fs = require('fs');
+const path = require('path');
+const SeaceScraper = require('../scraper/SeaceScraper');
+const config = require('../config/index');
+
+const SEARCH_FILE = 'search.json';
+const RESULTS_FILE = 'expected-results.json';
+
+// Campos que dependen del momento de la ejecución
+const CAMPOS_VARIABLES = ['fecha_scraping'];
+
+function parseArgs(argv) {
+  const [mode, ...rest] = argv;
+  const args = { mode };
+
+  for (let i = 0; i < rest.length; i++) {
+    const nombre = rest[i].replace(/^--/, '');
+    if (nombre === 'details') {
+      args.details = true;
+    } else {
+      args[nombre] = rest[++i];
+    }
+  }
+
+  return args;
+}
+
+function normalizeResults(results) {
+  return results.map(proceso => {
+    const copia = { ...proceso };
+    CAMPOS_VARIABLES.forEach(campo => delete copia[campo]);
+    return copia;
+  });
+}
+
+function compareResults(esperados, obtenidos) {
+  const diferencias = [];
+
+  if (esperados.length !== obtenidos.length) {
+    diferencias.push(`Cantidad de procesos: esperado ${esperados.length}, obtenido ${obtenidos.length}`);
+  }
+
+  esperados.forEach((esperado, idx) => {
+    const obtenido = obtenidos[idx] || {};
+    Object.keys({ ...esperado, ...obtenido }).forEach(campo => {
+      if (JSON.stringify(esperado[campo]) !== JSON.stringify(obtenido[campo])) {
+        diferencias.push(`Proceso ${idx + 1} (${esperado.id_proceso}) campo "${campo}": esperado ${JSON.stringify(esperado[campo])}, obtenido ${JSON.stringify(obtenido[campo])}`);
+      }
+    });
+  });
+
+  return diferencias;
+}
+
+async function run() {
+  const args = parseArgs(process.argv.slice(2));
+
+  if (!['record', 'replay'].includes(args.mode)) {
+    console.error('Uso: node src/scripts/scraper-fixtures.js <record|replay> [opciones]');
+    process.exit(1);
+  }
+
+  const dir = path.resolve(process.cwd(), args.dir || config.scraper.fixturesDir);
+  const searchPath = path.join(dir, SEARCH_FILE);
+  const resultsPath = path.join(dir, RESULTS_FILE);
+
+  // En replay se repite exactamente la búsqueda grabada
+  let searchParams;
+  if (args.mode === 'record') {
+    searchParams = {
+      anio: args.anio || new Date().getFullYear().toString(),
+      maxProcesses: parseInt(args.max || '20')
+    };
+    if (args.objeto) searchParams.objetoContratacion = args.objeto;
+    if (args.keywords) searchParams.keywords = args.keywords.split(',').map(k => k.trim());
+    if (args.details) searchParams.includeDetails = true;
+  } else {
+    if (!fs.existsSync(searchPath)) {
+      console.error(`✗ No existe una grabación en ${dir}`);
+      process.exit(1);
+    }
+    searchParams = JSON.parse(fs.readFileSync(searchPath, 'utf-8'));
+  }
+
+  const scraper = new SeaceScraper({
+    headless: true,
+    mode: args.mode,
+    fixturesDir: dir
+  });
+
+  let results;
+  try {
+    await scraper.initialize();
+    results = normalizeResults(await scraper.searchProcesses(searchParams));
+  } finally {
+    await scraper.close();
+  }
+
+  if (args.mode === 'record') {
+    fs.writeFileSync(searchPath, JSON.stringify(searchParams, null, 2));
+    fs.writeFileSync(resultsPath, JSON.stringify(results, null, 2));
+    console.log(`✓ Grabación completada: ${results.length} procesos en ${dir}`);
+    process.exit(0);
+  }
+
+  const esperados = JSON.parse(fs.readFileSync(resultsPath, 'utf-8'));
+  const diferencias = compareResults(esperados, results);
+
+  if (diferencias.length > 0) {
+    console.error(`✗ El replay difiere de la grabación (${diferencias.length} diferencias):`);
+    diferencias.slice(0, 50).forEach(diferencia => console.error(`  - ${diferencia}`));
+    process.exit(1);
+  }
+
+  console.log(`✓ Replay coincide con la grabación: ${results.length} procesos`);
+  process.exit(0);
+}
+
+run().catch(error => {
+  console.error('✗ Error ejecutando el scraper con fixtures:', error.message);
+  process.exit(1);
+});
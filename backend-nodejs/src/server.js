@@ -11,6 +11,8 @@ const swaggerUi = require('swagger-ui-express');
 // Importar configuración (NO destructurar, importar objeto completo)
 const config = require('./config/index');
 const { sequelize } = require('./config/database');
+const schedulerService = require('./services/schedulerService');
+const jobQueueService = require('./services/jobQueueService');
 
 // Importar middlewares
 const {
@@ -94,11 +96,17 @@ async function startServer() {
     await sequelize.authenticate();
     console.log('Conexión a la base de datos establecida correctamente.');
 
+    // Recuperar trabajos huérfanos y arrancar el worker de la cola ETL
+    await jobQueueService.start();
+
     // Iniciar el servidor
     app.listen(PORT, '0.0.0.0', () => {
       console.log(`Servidor corriendo en el puerto ${PORT}`);
       console.log(`Documentación disponible en http://localhost:8000/api-docs`);
     });
+
+    // Ejecutar las programaciones de scraping
+    schedulerService.start();
   } catch (error) {
     console.error('Error al iniciar el servidor:', error);
     process.exit(1);
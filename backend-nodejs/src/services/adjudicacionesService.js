@@ -0,0 +1,73 @@
+/**
+ * Servicio de adjudicaciones
+ * Guarda el resultado de la buena pro extraído de la ficha: ganador, monto adjudicado y postores
+ */
+const { Adjudicacion, Proveedor } = require('../models');
+const { sequelize } = require('../config/database');
+const logger = require('../config/logger');
+
+class AdjudicacionesService {
+  /**
+   * Buscar o registrar el proveedor ganador.
+   * Se identifica por RUC; sin RUC (p. ej. algunos consorcios) se identifica por razón social.
+   */
+  async findOrCreateProveedor({ ganador_ruc, ganador_nombre }, transaction) {
+    if (!ganador_ruc && !ganador_nombre) return null;
+
+    const where = ganador_ruc
+      ? { ruc: ganador_ruc }
+      : { ruc: null, razon_social: ganador_nombre };
+
+    const [proveedor] = await Proveedor.findOrCreate({
+      where,
+      defaults: { ruc: ganador_ruc || null, razon_social: ganador_nombre || ganador_ruc },
+      transaction
+    });
+
+    return proveedor;
+  }
+
+  /**
+   * Reemplazar los resultados de buena pro de un proceso
+   * @param {String} procesoId - UUID del proceso
+   * @param {Array} adjudicaciones - [{ numero_item, ganador_ruc, ganador_nombre, monto_adjudicado, ... }]
+   * @returns {Number} Cantidad de adjudicaciones guardadas
+   */
+  async saveAdjudicaciones(procesoId, adjudicaciones = []) {
+    const validas = adjudicaciones.filter(adj => adj && (adj.ganador_ruc || adj.ganador_nombre));
+    if (validas.length === 0) return 0;
+
+    const transaction = await sequelize.transaction();
+    try {
+      const registros = [];
+      for (const adjudicacion of validas) {
+        const proveedor = await this.findOrCreateProveedor(adjudicacion, transaction);
+        registros.push({
+          proceso_id: procesoId,
+          proveedor_id: proveedor ? proveedor.id : null,
+          numero_item: adjudicacion.numero_item ?? null,
+          descripcion_item: adjudicacion.descripcion_item || null,
+          ganador_ruc: adjudicacion.ganador_ruc || null,
+          ganador_nombre: adjudicacion.ganador_nombre || null,
+          monto_adjudicado: adjudicacion.monto_adjudicado ?? null,
+          moneda: adjudicacion.moneda || null,
+          numero_postores: adjudicacion.numero_postores ?? null,
+          fecha_buena_pro: adjudicacion.fecha_buena_pro || null
+        });
+      }
+
+      await Adjudicacion.destroy({ where: { proceso_id: procesoId }, transaction });
+      await Adjudicacion.bulkCreate(registros, { transaction });
+      await transaction.commit();
+
+      logger.debug(`${registros.length} adjudicaciones guardadas para proceso ${procesoId}`);
+      return registros.length;
+    } catch (error) {
+      await transaction.rollback();
+      logger.error(`Error en saveAdjudicaciones: ${error.message}`);
+      throw error;
+    }
+  }
+}
+
+module.exports = new AdjudicacionesService();
@@ -10,6 +10,9 @@ const ETLLog = require('../models/ETLLog');
 const UserInteraction = require('../models/UserInteraction');
 const UserRecommendation = require('../models/UserRecommendation');
 const ChatbotLog = require('../models/ChatbotLog');
+const ubigeoService = require('./ubigeoService');
+const tiposCambioService = require('./tiposCambioService');
+const linajeService = require('./linajeService');
 const logger = require('../config/logger');
 
 class AnalyticsService {
@@ -48,7 +51,8 @@ class AnalyticsService {
         tendencias,
         topRegiones,
         estadoETL,
-        actividadChatbot
+        actividadChatbot,
+        moneda: tiposCambioService.monedaBase
       };
     } catch (error) {
       logger.error(`Error obteniendo dashboard stats: ${error.message}`);
@@ -92,7 +96,8 @@ class AnalyticsService {
         radarMetrics,
         activityHeatmap,
         montoTreemap,
-        healthScore
+        healthScore,
+        moneda: tiposCambioService.monedaBase
       };
     } catch (error) {
       logger.error(`Error obteniendo user profile stats: ${error.message}`);
@@ -102,12 +107,11 @@ class AnalyticsService {
 
   // ====== MÉTODOS PRIVADOS - KPIs PRINCIPALES ======
 
+  // Los procesos reiniciados cuentan una sola vez por cadena (ver linajeService)
   async getProcessCount() {
-    const count = await Proceso.count({
-      where: {
-        estado_proceso: {
-          [Op.in]: ['Publicado', 'Convocado', 'En evaluación']
-        }
+    const count = await linajeService.countOportunidades({
+      estado_proceso: {
+        [Op.in]: ['Publicado', 'Convocado', 'En evaluación']
       }
     });
 
@@ -115,11 +119,9 @@ class AnalyticsService {
     const fechaAnterior = new Date();
     fechaAnterior.setMonth(fechaAnterior.getMonth() - 1);
 
-    const countAnterior = await Proceso.count({
-      where: {
-        fecha_publicacion: { [Op.lt]: fechaAnterior },
-        estado_proceso: { [Op.in]: ['Publicado', 'Convocado', 'En evaluación'] }
-      }
+    const countAnterior = await linajeService.countOportunidades({
+      fecha_publicacion: { [Op.lt]: fechaAnterior },
+      estado_proceso: { [Op.in]: ['Publicado', 'Convocado', 'En evaluación'] }
     });
 
     const variacion = countAnterior > 0 
@@ -136,10 +138,10 @@ class AnalyticsService {
   async getTotalAmount() {
     const result = await Proceso.findOne({
       attributes: [
-        [sequelize.fn('SUM', sequelize.col('monto_referencial')), 'total']
+        [sequelize.fn('SUM', sequelize.col('monto_pen')), 'total']
       ],
       where: {
-        monto_referencial: { [Op.not]: null }
+        monto_pen: { [Op.not]: null }
       },
       raw: true
     });
@@ -150,10 +152,10 @@ class AnalyticsService {
 
     const resultAnterior = await Proceso.findOne({
       attributes: [
-        [sequelize.fn('SUM', sequelize.col('monto_referencial')), 'total']
+        [sequelize.fn('SUM', sequelize.col('monto_pen')), 'total']
       ],
       where: {
-        monto_referencial: { [Op.not]: null },
+        monto_pen: { [Op.not]: null },
         fecha_publicacion: { [Op.lt]: fechaAnterior }
       },
       raw: true
@@ -171,6 +173,7 @@ class AnalyticsService {
     return {
       total: `${totalMillones}M`,
       totalRaw: total,
+      moneda: tiposCambioService.monedaBase,
       variacion: parseFloat(variacion.toFixed(1)),
       tendencia: variacion >= 0 ? 'up' : 'down'
     };
@@ -248,8 +251,8 @@ class AnalyticsService {
     const query = `
       SELECT 
         TO_CHAR(DATE_TRUNC('month', fecha_publicacion), 'Mon') as mes,
-        COUNT(*) as procesos,
-        COALESCE(SUM(monto_referencial), 0) / 1000000 as monto_millones
+        COUNT(DISTINCT COALESCE(linaje_id, id)) as procesos,
+        COALESCE(SUM(monto_pen), 0) / 1000000 as monto_millones
       FROM procesos
       WHERE fecha_publicacion >= NOW() - INTERVAL '6 months'
       AND fecha_publicacion IS NOT NULL
@@ -271,11 +274,11 @@ class AnalyticsService {
   async getTopRegiones() {
     const query = `
       SELECT 
-        COALESCE(departamento, 'Sin especificar') as departamento,
-        COUNT(*) as cantidad
+        ubigeo_departamento,
+        COUNT(DISTINCT COALESCE(linaje_id, id)) as cantidad
       FROM procesos
       WHERE fecha_publicacion >= NOW() - INTERVAL '3 months'
-      GROUP BY departamento
+      GROUP BY ubigeo_departamento
       ORDER BY cantidad DESC
       LIMIT 5
     `;
@@ -285,7 +288,8 @@ class AnalyticsService {
     });
 
     return resultados.map(r => ({
-      nombre: r.departamento,
+      nombre: ubigeoService.fromCodigo(r.ubigeo_departamento).departamento || 'Sin especificar',
+      ubigeo: r.ubigeo_departamento,
       cantidad: parseInt(r.cantidad)
     }));
   }
@@ -443,7 +447,7 @@ class AnalyticsService {
       SELECT 
         pr.rubro as interes,
         COUNT(ui.id) as frecuencia,
-        COALESCE(SUM(pr.monto_referencial), 0) as monto_total
+        COALESCE(SUM(pr.monto_pen), 0) as monto_total
       FROM user_interactions ui
       JOIN procesos pr ON pr.id = ui.proceso_id
       WHERE ui.user_id = :userId
@@ -677,13 +681,13 @@ class AnalyticsService {
         p.tipo_proceso,
         p.nombre_entidad,
         p.objeto_contratacion,
-        p.monto_referencial,
+        p.monto_pen,
         'recommendation' as fuente
       FROM user_recommendations ur
       JOIN procesos p ON p.id = ur.proceso_id
       WHERE ur.user_id = :userId
-        AND p.monto_referencial IS NOT NULL
-        AND p.monto_referencial > 0
+        AND p.monto_pen IS NOT NULL
+        AND p.monto_pen > 0
       UNION
       SELECT DISTINCT
         p.id,
@@ -691,14 +695,14 @@ class AnalyticsService {
         p.tipo_proceso,
         p.nombre_entidad,
         p.objeto_contratacion,
-        p.monto_referencial,
+        p.monto_pen,
         'interaction' as fuente
       FROM user_interactions ui
       JOIN procesos p ON p.id = ui.proceso_id
       WHERE ui.user_id = :userId
-        AND p.monto_referencial IS NOT NULL
-        AND p.monto_referencial > 0
-      ORDER BY monto_referencial DESC
+        AND p.monto_pen IS NOT NULL
+        AND p.monto_pen > 0
+      ORDER BY monto_pen DESC
       LIMIT 50
     `;
 
@@ -734,7 +738,7 @@ class AnalyticsService {
         };
       }
 
-      const monto = parseFloat(p.monto_referencial);
+      const monto = parseFloat(p.monto_pen);
       grouped[rubro].montoTotal += monto;
       grouped[rubro].subcategorias[tipo].monto += monto;
       grouped[rubro].subcategorias[tipo].cantidad += 1;
@@ -0,0 +1,332 @@
+/**
+ * Servicio de anexos
+ * Registra los documentos publicados en la ficha de cada proceso (bases, anexos, etc.),
+ * los descarga al almacenamiento local y extrae su texto para búsqueda y chatbot
+ */
+const fs = require('fs');
+const path = require('path');
+const axios = require('axios');
+const { Op } = require('sequelize');
+const { Anexo } = require('../models');
+const config = require('../config/index');
+const logger = require('../config/logger');
+
+// Extensiones de las que se puede extraer texto
+const EXTENSIONES_SOPORTADAS = ['.pdf', '.docx', '.xlsx', '.xls', '.txt', '.csv'];
+
+// Tipos MIME habituales en las descargas de SEACE
+const EXTENSION_POR_MIME = {
+  'application/pdf': '.pdf',
+  'application/vnd.openxmlformats-officedocument.wordprocessingml.document': '.docx',
+  'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet': '.xlsx',
+  'application/vnd.ms-excel': '.xls',
+  'application/zip': '.zip',
+  'text/plain': '.txt',
+  'text/csv': '.csv'
+};
+
+class AnexosService {
+  constructor() {
+    this.storageDir = path.resolve(process.cwd(), config.anexos.storageDir);
+  }
+
+  /**
+   * Registrar los documentos encontrados en la ficha de un proceso.
+   * Los documentos ya registrados (misma URL) se omiten.
+   * @param {String} procesoId - UUID del proceso
+   * @param {Array} documentos - [{ nombre_archivo, url_descarga, tipo_documento, fecha_subida }]
+   * @returns {Number} Cantidad de anexos nuevos
+   */
+  async registerDocuments(procesoId, documentos = []) {
+    try {
+      const validos = documentos.filter(doc => doc && doc.url_descarga);
+      if (validos.length === 0) return 0;
+
+      const existentes = await Anexo.findAll({
+        where: {
+          proceso_id: procesoId,
+          url_descarga: { [Op.in]: validos.map(doc => doc.url_descarga) }
+        },
+        attributes: ['url_descarga']
+      });
+      const urlsExistentes = new Set(existentes.map(anexo => anexo.url_descarga));
+
+      const nuevos = validos
+        .filter(doc => !urlsExistentes.has(doc.url_descarga))
+        .map(doc => ({
+          proceso_id: procesoId,
+          nombre_archivo: doc.nombre_archivo ? doc.nombre_archivo.substring(0, 255) : null,
+          url_descarga: doc.url_descarga,
+          tipo_documento: doc.tipo_documento ? doc.tipo_documento.substring(0, 100) : null,
+          fecha_subida: doc.fecha_subida || null,
+          procesado: false
+        }));
+
+      if (nuevos.length > 0) {
+        await Anexo.bulkCreate(nuevos);
+        logger.info(`${nuevos.length} anexos registrados para proceso ${procesoId}`);
+      }
+
+      return nuevos.length;
+    } catch (error) {
+      logger.error(`Error en registerDocuments: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Obtener anexos de un proceso (sin el texto completo, solo un extracto)
+   */
+  async getAnexosByProceso(procesoId) {
+    try {
+      const anexos = await Anexo.findAll({
+        where: { proceso_id: procesoId },
+        order: [['fecha_subida', 'ASC'], ['created_at', 'ASC']]
+      });
+
+      return anexos.map(anexo => this.toResponse(anexo));
+    } catch (error) {
+      logger.error(`Error en getAnexosByProceso: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Obtener el archivo descargado de un anexo
+   * @returns {Object|null} { anexo, filePath } o null si no existe
+   */
+  async getAnexoFile(procesoId, anexoId) {
+    try {
+      const anexo = await Anexo.findOne({
+        where: { id: anexoId, proceso_id: procesoId }
+      });
+
+      if (!anexo || !anexo.ruta_local) return null;
+
+      const filePath = path.join(this.storageDir, anexo.ruta_local);
+      if (!filePath.startsWith(this.storageDir) || !fs.existsSync(filePath)) return null;
+
+      return { anexo, filePath };
+    } catch (error) {
+      logger.error(`Error en getAnexoFile: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Descargar y extraer el texto de los anexos pendientes.
+   * Cada fallo se guarda en el anexo; los que llegan a config.anexos.maxAttempts ya no se
+   * seleccionan, y los que fallaron menos veces van después de los que nunca se intentaron.
+   * @param {Object} options
+   * @param {Array} options.procesoIds - Limitar a estos procesos (opcional)
+   * @param {Number} options.limit - Máximo de anexos a procesar
+   * @param {Function} options.onProgress - Callback (actual, total) para reportar avance
+   */
+  async processPendingAnexos({ procesoIds = null, limit = 50, onProgress = null } = {}) {
+    const whereClause = {
+      procesado: false,
+      intentos: { [Op.lt]: config.anexos.maxAttempts }
+    };
+    if (procesoIds && procesoIds.length > 0) {
+      whereClause.proceso_id = { [Op.in]: procesoIds };
+    }
+
+    const pendientes = await Anexo.findAll({
+      where: whereClause,
+      limit,
+      order: [['intentos', 'ASC'], ['created_at', 'ASC']]
+    });
+
+    const resultado = {
+      total: pendientes.length,
+      procesados: 0,
+      sin_texto: 0,
+      errores: 0,
+      error_details: []
+    };
+
+    for (let idx = 0; idx < pendientes.length; idx++) {
+      const anexo = pendientes[idx];
+
+      if (onProgress) {
+        await onProgress(idx, pendientes.length);
+      }
+
+      try {
+        const texto = await this.processAnexo(anexo);
+        resultado.procesados++;
+        if (!texto) resultado.sin_texto++;
+      } catch (err) {
+        resultado.errores++;
+        resultado.error_details.push({
+          anexo_id: anexo.id,
+          url_descarga: anexo.url_descarga,
+          error_message: err.message,
+          intentos: anexo.intentos + 1
+        });
+        logger.error(`❌ Error procesando anexo ${anexo.id} (intento ${anexo.intentos + 1}/${config.anexos.maxAttempts}): ${err.message}`);
+        await this.recordFailure(anexo, err);
+      }
+    }
+
+    logger.info(`Anexos procesados: ${resultado.procesados}/${resultado.total} (sin texto: ${resultado.sin_texto}, errores: ${resultado.errores})`);
+    return resultado;
+  }
+
+  /**
+   * Guardar el fallo en el anexo para no volver a intentarlo sin límite
+   */
+  async recordFailure(anexo, err) {
+    try {
+      await anexo.update({
+        intentos: anexo.intentos + 1,
+        ultimo_error: err.message
+      });
+    } catch (updateError) {
+      logger.error(`No se pudo registrar el fallo del anexo ${anexo.id}: ${updateError.message}`);
+    }
+  }
+
+  /**
+   * Descargar un anexo y extraer su texto
+   * @returns {String|null} Texto extraído
+   */
+  async processAnexo(anexo) {
+    const filePath = anexo.ruta_local
+      ? path.join(this.storageDir, anexo.ruta_local)
+      : await this.downloadAnexo(anexo);
+
+    const texto = await this.extractText(filePath);
+
+    await anexo.update({
+      procesado: true,
+      contenido_extraido: texto,
+      ultimo_error: null
+    });
+
+    return texto;
+  }
+
+  /**
+   * Descargar el archivo de un anexo al almacenamiento local
+   * @returns {String} Ruta absoluta del archivo descargado
+   */
+  async downloadAnexo(anexo) {
+    const maxBytes = config.anexos.maxFileSizeMb * 1024 * 1024;
+
+    const response = await axios.get(anexo.url_descarga, {
+      responseType: 'arraybuffer',
+      timeout: config.scraper.timeout,
+      maxContentLength: maxBytes,
+      headers: {
+        'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36'
+      }
+    });
+
+    const buffer = Buffer.from(response.data);
+    const fileName = this.resolveFileName(anexo, response.headers);
+
+    const procesoDir = path.join(this.storageDir, anexo.proceso_id);
+    fs.mkdirSync(procesoDir, { recursive: true });
+
+    const rutaLocal = path.join(anexo.proceso_id, `${anexo.id}_${fileName}`);
+    const filePath = path.join(this.storageDir, rutaLocal);
+    fs.writeFileSync(filePath, buffer);
+
+    await anexo.update({
+      ruta_local: rutaLocal,
+      nombre_archivo: anexo.nombre_archivo || fileName,
+      tamaño_kb: Math.ceil(buffer.length / 1024)
+    });
+
+    logger.info(`Anexo descargado: ${rutaLocal} (${Math.ceil(buffer.length / 1024)} KB)`);
+    return filePath;
+  }
+
+  /**
+   * Determinar un nombre de archivo seguro a partir de las cabeceras o la URL
+   */
+  resolveFileName(anexo, headers = {}) {
+    let fileName = null;
+
+    const disposition = headers['content-disposition'];
+    if (disposition) {
+      const match = disposition.match(/filename\*?=(?:UTF-8'')?"?([^";]+)"?/i);
+      if (match) fileName = decodeURIComponent(match[1]);
+    }
+
+    if (!fileName) {
+      fileName = path.basename(new URL(anexo.url_descarga).pathname) || anexo.nombre_archivo || 'documento';
+    }
+
+    if (!path.extname(fileName)) {
+      const mime = (headers['content-type'] || '').split(';')[0].trim();
+      fileName += EXTENSION_POR_MIME[mime] || '';
+    }
+
+    return fileName.replace(/[^\w.\-]+/g, '_').substring(0, 150);
+  }
+
+  /**
+   * Extraer texto según el tipo de archivo (PDF, DOCX, XLSX, TXT/CSV)
+   * @returns {String|null} Texto extraído o null si el formato no es soportado
+   */
+  async extractText(filePath) {
+    const extension = path.extname(filePath).toLowerCase();
+
+    if (!EXTENSIONES_SOPORTADAS.includes(extension)) {
+      logger.warn(`Formato no soportado para extracción de texto: ${path.basename(filePath)}`);
+      return null;
+    }
+
+    let texto = '';
+
+    if (extension === '.pdf') {
+      const pdfParse = require('pdf-parse/lib/pdf-parse');
+      const data = await pdfParse(fs.readFileSync(filePath));
+      texto = data.text;
+    } else if (extension === '.docx') {
+      const mammoth = require('mammoth');
+      const data = await mammoth.extractRawText({ path: filePath });
+      texto = data.value;
+    } else if (extension === '.xlsx' || extension === '.xls') {
+      const XLSX = require('xlsx');
+      const workbook = XLSX.readFile(filePath);
+      texto = workbook.SheetNames
+        .map(nombre => `# ${nombre}\n${XLSX.utils.sheet_to_csv(workbook.Sheets[nombre])}`)
+        .join('\n\n');
+    } else {
+      texto = fs.readFileSync(filePath, 'utf-8');
+    }
+
+    // Normalizar espacios y eliminar caracteres nulos que PostgreSQL no acepta en TEXT
+    texto = texto.replace(/\u0000/g, '').replace(/[ \t]+/g, ' ').replace(/\n{3,}/g, '\n\n').trim();
+
+    return texto ? texto.substring(0, config.anexos.maxTextLength) : null;
+  }
+
+  /**
+   * Formato de respuesta de un anexo para la API
+   */
+  toResponse(anexo) {
+    const contenido = anexo.contenido_extraido || '';
+    return {
+      id: anexo.id,
+      proceso_id: anexo.proceso_id,
+      nombre_archivo: anexo.nombre_archivo,
+      tipo_documento: anexo.tipo_documento,
+      url_descarga: anexo.url_descarga,
+      tamaño_kb: anexo.tamaño_kb,
+      fecha_subida: anexo.fecha_subida,
+      procesado: anexo.procesado,
+      descargado: !!anexo.ruta_local,
+      intentos: anexo.intentos,
+      ultimo_error: anexo.ultimo_error,
+      extracto: contenido ? contenido.substring(0, 500) : null,
+      longitud_texto: contenido.length,
+      created_at: anexo.created_at
+    };
+  }
+}
+
+module.exports = new AnexosService();
@@ -0,0 +1,49 @@
+const { Op } = require('sequelize');
+const { Anexo } = require('../models');
+const config = require('../config/index');
+const anexosService = require('./anexosService');
+
+describe('anexosService.processPendingAnexos', () => {
+  const crearAnexo = (id, intentos = 0) => ({
+    id,
+    intentos,
+    url_descarga: `https://seace.gob.pe/${id}.pdf`,
+    update: jest.fn().mockResolvedValue()
+  });
+  let findAll;
+
+  beforeEach(() => {
+    findAll = jest.spyOn(Anexo, 'findAll');
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('excluye los anexos que agotaron sus intentos y deja al final los que ya fallaron', async () => {
+    findAll.mockResolvedValue([]);
+
+    await anexosService.processPendingAnexos({ limit: 10 });
+
+    const { where, order } = findAll.mock.calls[0][0];
+    expect(where.intentos).toEqual({ [Op.lt]: config.anexos.maxAttempts });
+    expect(order).toEqual([['intentos', 'ASC'], ['created_at', 'ASC']]);
+  });
+
+  it('guarda el intento fallido y el error en el anexo', async () => {
+    const fallido = crearAnexo('a-1', 1);
+    const correcto = crearAnexo('a-2');
+    findAll.mockResolvedValue([fallido, correcto]);
+    jest.spyOn(anexosService, 'processAnexo').mockImplementation(async (anexo) => {
+      if (anexo === fallido) throw new Error('HTTP 404');
+      return 'texto';
+    });
+
+    const resultado = await anexosService.processPendingAnexos({ limit: 10 });
+
+    expect(fallido.update).toHaveBeenCalledWith({ intentos: 2, ultimo_error: 'HTTP 404' });
+    expect(correcto.update).not.toHaveBeenCalled();
+    expect(resultado).toMatchObject({ total: 2, procesados: 1, errores: 1 });
+    expect(resultado.error_details[0]).toMatchObject({ anexo_id: 'a-1', intentos: 2 });
+  });
+});
@@ -8,6 +8,7 @@
 
 const { Proceso } = require('../models');
 const { Op } = require('sequelize');
+const { sequelize } = require('../config/database');
 const logger = require('../config/logger');
 
 class ChatbotProcessService {
@@ -48,20 +49,24 @@ class ChatbotProcessService {
         const orConditions = keywords.map(keyword => ({
           [Op.or]: [
             { descripcion_objeto: { [Op.iLike]: `%${keyword}%` } },
-            { nomenclatura: { [Op.iLike]: `%${keyword}%` } }
+            { nomenclatura: { [Op.iLike]: `%${keyword}%` } },
+            // Texto extraído de bases y anexos del proceso
+            sequelize.literal(
+              `EXISTS (SELECT 1 FROM anexos WHERE anexos.proceso_id = "Proceso"."id" AND anexos.contenido_extraido ILIKE ${sequelize.escape(`%${keyword}%`)})`
+            )
           ]
         }));
         whereClause[Op.or] = orConditions;
       }
 
-      // 4. Filtro por rango de monto
+      // 4. Filtro por rango de monto (en soles, sobre monto_pen)
       if (monto_min !== undefined || monto_max !== undefined) {
-        whereClause.monto_referencial = whereClause.monto_referencial || {};
+        whereClause.monto_pen = whereClause.monto_pen || {};
         if (monto_min !== undefined) {
-          whereClause.monto_referencial[Op.gte] = monto_min;
+          whereClause.monto_pen[Op.gte] = monto_min;
         }
         if (monto_max !== undefined) {
-          whereClause.monto_referencial[Op.lte] = monto_max;
+          whereClause.monto_pen[Op.lte] = monto_max;
         }
       }
 
@@ -78,6 +83,7 @@ class ChatbotProcessService {
           'objeto_contratacion',
           'monto_referencial',
           'moneda',
+          'monto_pen',
           'fecha_publicacion'
         ]
       });
@@ -91,6 +97,7 @@ class ChatbotProcessService {
                      (p.descripcion_objeto?.length > 150 ? '...' : ''),
         monto: p.monto_referencial,
         moneda: p.moneda || 'PEN',
+        monto_pen: p.monto_pen,
         tipo: p.objeto_contratacion || 'No especificado',
         objeto_contratacion: p.objeto_contratacion || 'No especificado',
         fecha: p.fecha_publicacion,
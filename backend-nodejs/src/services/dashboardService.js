@@ -4,6 +4,8 @@
 const { Proceso, User, Recomendacion, ChatbotLog, ETLLog } = require('../models');
 const { sequelize } = require('../config/database');
 const { Op } = require('sequelize');
+const ubigeoService = require('./ubigeoService');
+const tiposCambioService = require('./tiposCambioService');
 
 class DashboardService {
   async getGeneralOverview() {
@@ -13,8 +15,8 @@ class DashboardService {
       const totalRecomendaciones = await Recomendacion.count();
       const totalChatQueries = await ChatbotLog.count();
 
-      const montoTotal = await Proceso.sum('monto_referencial', {
-        where: { monto_referencial: { [Op.ne]: null } }
+      const montoTotal = await Proceso.sum('monto_pen', {
+        where: { monto_pen: { [Op.ne]: null } }
       });
 
       return {
@@ -22,7 +24,8 @@ class DashboardService {
         total_users: totalUsers,
         total_recomendaciones: totalRecomendaciones,
         total_chat_queries: totalChatQueries,
-        monto_total: parseFloat(montoTotal || 0)
+        monto_total: parseFloat(montoTotal || 0),
+        moneda: tiposCambioService.monedaBase
       };
     } catch (error) {
       console.error('Error en getGeneralOverview:', error);
@@ -51,16 +54,19 @@ class DashboardService {
   async getProcesosByDepartamento() {
     try {
       const results = await sequelize.query(
-        `SELECT departamento, COUNT(*) as count, SUM(monto_referencial) as monto_total
+        `SELECT ubigeo_departamento, COUNT(*) as count, SUM(monto_pen) as monto_total
          FROM procesos 
-         WHERE departamento IS NOT NULL 
-         GROUP BY departamento 
+         WHERE ubigeo_departamento IS NOT NULL 
+         GROUP BY ubigeo_departamento 
          ORDER BY count DESC 
          LIMIT 10`,
         { type: sequelize.QueryTypes.SELECT }
       );
 
-      return results;
+      return results.map(r => ({
+        ...r,
+        departamento: ubigeoService.fromCodigo(r.ubigeo_departamento).departamento
+      }));
     } catch (error) {
       console.error('Error en getProcesosByDepartamento:', error);
       throw error;
@@ -73,7 +79,7 @@ class DashboardService {
         `SELECT 
           DATE_TRUNC('month', fecha_publicacion) as month,
           COUNT(*) as count,
-          SUM(monto_referencial) as monto_total
+          SUM(monto_pen) as monto_total
          FROM procesos 
          WHERE fecha_publicacion >= NOW() - INTERVAL '12 months'
          GROUP BY DATE_TRUNC('month', fecha_publicacion)
@@ -91,7 +97,7 @@ class DashboardService {
   async getTopRubros() {
     try {
       const results = await sequelize.query(
-        `SELECT rubro, COUNT(*) as count, AVG(monto_referencial) as promedio_monto
+        `SELECT rubro, COUNT(*) as count, AVG(monto_pen) as promedio_monto
          FROM procesos 
          WHERE rubro IS NOT NULL 
          GROUP BY rubro 
@@ -0,0 +1,231 @@
+/**
+ * Servicio de calidad de datos
+ * Cada operación ETL acumula un reporte de los registros que recibió: completitud por campo,
+ * valores que no se pudieron parsear, valores sospechosos y placeholders (PROC-<timestamp>,
+ * "Entidad Desconocida"). El reporte se guarda en etl_logs.quality_report.
+ */
+const { Op } = require('sequelize');
+const { ETLLog } = require('../models');
+const logger = require('../config/logger');
+
+// Campos cuya completitud se mide
+const CAMPOS_COMPLETITUD = [
+  'nomenclatura',
+  'nombre_entidad',
+  'entidad_ruc',
+  'fecha_publicacion',
+  'objeto_contratacion',
+  'descripcion_objeto',
+  'tipo_proceso',
+  'estado_proceso',
+  'monto_referencial',
+  'moneda',
+  'departamento',
+  'provincia',
+  'distrito',
+  'fecha_limite_presentacion',
+  'url_proceso'
+];
+
+const CAMPOS_FECHA = ['fecha_publicacion', 'fecha_limite_presentacion'];
+
+const ENTIDAD_DESCONOCIDA = 'Entidad Desconocida';
+
+// Montos referenciales por encima de este valor se consideran errores de separadores
+const MONTO_MAXIMO = 10000000000;
+
+// Fechas de publicación anteriores al SEACE
+const ANIO_MINIMO = 2004;
+
+// Ejemplos que se guardan por cada tipo de problema
+const MAX_EJEMPLOS = 5;
+
+class DataQualityService {
+  /**
+   * Acumulador vacío, o restaurado desde el reporte guardado de una operación que se reanuda
+   * @param {Object} previo - quality_report del ETLLog
+   */
+  createAccumulator(previo = null) {
+    const acumulador = {
+      total: 0,
+      registros_con_problemas: 0,
+      completitud: {},
+      fallos_parseo: {},
+      valores_sospechosos: {},
+      placeholders: {}
+    };
+    CAMPOS_COMPLETITUD.forEach(campo => {
+      acumulador.completitud[campo] = { presentes: 0 };
+    });
+
+    if (!previo) return acumulador;
+
+    acumulador.total = previo.total || 0;
+    acumulador.registros_con_problemas = previo.registros_con_problemas || 0;
+    Object.entries(previo.completitud || {}).forEach(([campo, { presentes }]) => {
+      acumulador.completitud[campo] = { presentes: presentes || 0 };
+    });
+    ['fallos_parseo', 'valores_sospechosos', 'placeholders'].forEach(grupo => {
+      Object.entries(previo[grupo] || {}).forEach(([clave, { cantidad, ejemplos }]) => {
+        acumulador[grupo][clave] = { cantidad: cantidad || 0, ejemplos: ejemplos || [] };
+      });
+    });
+    return acumulador;
+  }
+
+  /**
+   * Registrar un registro recibido por la operación (antes de guardarlo)
+   * @param {Object} procesoData - Datos del scraper u OCDS; errores_parseo lo llena normalizeProcesoData
+   */
+  addProceso(acumulador, procesoData) {
+    const idProceso = procesoData.id_proceso || null;
+    let problemas = 0;
+
+    const registrar = (grupo, clave, valor) => {
+      const entrada = acumulador[grupo][clave] || (acumulador[grupo][clave] = { cantidad: 0, ejemplos: [] });
+      entrada.cantidad++;
+      if (entrada.ejemplos.length < MAX_EJEMPLOS) {
+        entrada.ejemplos.push({ id_proceso: idProceso, valor: valor === undefined ? null : String(valor) });
+      }
+      problemas++;
+    };
+
+    acumulador.total++;
+
+    CAMPOS_COMPLETITUD.forEach(campo => {
+      if (!this.isEmpty(procesoData[campo])) acumulador.completitud[campo].presentes++;
+    });
+
+    // Valores que el scraper descartó al normalizar y valores que no se pueden interpretar.
+    // Un campo que el scraper ya reportó no se vuelve a contar.
+    const erroresParseo = procesoData.errores_parseo || [];
+    const yaReportados = new Set(erroresParseo.map(({ campo }) => campo));
+    erroresParseo.forEach(({ campo, valor }) => registrar('fallos_parseo', campo, valor));
+    CAMPOS_FECHA.forEach(campo => {
+      const valor = procesoData[campo];
+      if (yaReportados.has(campo)) return;
+      if (!this.isEmpty(valor) && isNaN(new Date(valor).getTime())) registrar('fallos_parseo', campo, valor);
+    });
+    const monto = procesoData.monto_referencial;
+    if (!yaReportados.has('monto_referencial') && !this.isEmpty(monto) && !Number.isFinite(Number(monto))) {
+      registrar('fallos_parseo', 'monto_referencial', monto);
+    }
+
+    this.checkSuspicious(procesoData, registrar);
+
+    if (idProceso && idProceso.startsWith('PROC-')) registrar('placeholders', 'id_generado', idProceso);
+    if (procesoData.nombre_entidad === ENTIDAD_DESCONOCIDA) registrar('placeholders', 'entidad_desconocida', ENTIDAD_DESCONOCIDA);
+
+    if (problemas > 0) acumulador.registros_con_problemas++;
+  }
+
+  /**
+   * Reglas de valores que se pueden parsear pero probablemente están mal
+   */
+  checkSuspicious(procesoData, registrar) {
+    const monto = Number(procesoData.monto_referencial);
+    if (!this.isEmpty(procesoData.monto_referencial) && Number.isFinite(monto)) {
+      if (monto <= 0) registrar('valores_sospechosos', 'monto_no_positivo', procesoData.monto_referencial);
+      if (monto > MONTO_MAXIMO) registrar('valores_sospechosos', 'monto_excesivo', procesoData.monto_referencial);
+    }
+
+    const publicacion = this.toDate(procesoData.fecha_publicacion);
+    if (publicacion) {
+      const manana = Date.now() + 24 * 60 * 60 * 1000;
+      if (publicacion.getTime() > manana) registrar('valores_sospechosos', 'publicacion_futura', procesoData.fecha_publicacion);
+      if (publicacion.getFullYear() < ANIO_MINIMO) registrar('valores_sospechosos', 'publicacion_antigua', procesoData.fecha_publicacion);
+    }
+
+    const limite = this.toDate(procesoData.fecha_limite_presentacion);
+    if (publicacion && limite && limite < publicacion) {
+      registrar('valores_sospechosos', 'limite_antes_de_publicacion', procesoData.fecha_limite_presentacion);
+    }
+
+    const ruc = procesoData.entidad_ruc;
+    if (!this.isEmpty(ruc) && !/^(10|15|17|20)\d{9}$/.test(String(ruc).trim())) {
+      registrar('valores_sospechosos', 'ruc_invalido', ruc);
+    }
+  }
+
+  /**
+   * Reporte final: agrega los porcentajes de completitud y el puntaje
+   * (porcentaje de registros sin ningún problema)
+   */
+  buildReport(acumulador) {
+    const porcentaje = (parte) => (acumulador.total > 0 ? Math.round((parte / acumulador.total) * 1000) / 10 : null);
+    const completitud = {};
+    Object.entries(acumulador.completitud).forEach(([campo, { presentes }]) => {
+      completitud[campo] = { presentes, porcentaje: porcentaje(presentes) };
+    });
+
+    return {
+      total: acumulador.total,
+      registros_con_problemas: acumulador.registros_con_problemas,
+      puntaje: porcentaje(acumulador.total - acumulador.registros_con_problemas),
+      completitud,
+      fallos_parseo: acumulador.fallos_parseo,
+      valores_sospechosos: acumulador.valores_sospechosos,
+      placeholders: acumulador.placeholders,
+      generado_at: new Date().toISOString()
+    };
+  }
+
+  /**
+   * Tendencia de la calidad en las últimas operaciones con reporte
+   * @param {Object} filters - { operation_type, limit }
+   * @returns {Array} Una entrada por operación, de la más antigua a la más reciente
+   */
+  async getTrend({ operation_type: operationType = null, limit = 30 } = {}) {
+    try {
+      const where = { quality_report: { [Op.ne]: null } };
+      if (operationType) where.operation_type = operationType;
+
+      const logs = await ETLLog.findAll({
+        where,
+        attributes: ['operation_id', 'operation_type', 'status', 'created_at', 'quality_report'],
+        order: [['created_at', 'DESC']],
+        limit
+      });
+
+      const sumar = (grupo) => Object.values(grupo || {}).reduce((total, { cantidad }) => total + (cantidad || 0), 0);
+
+      return logs.reverse()
+        .filter(log => log.quality_report.total > 0)
+        .map(log => {
+          const reporte = log.quality_report;
+          const completitud = {};
+          Object.entries(reporte.completitud || {}).forEach(([campo, { porcentaje }]) => {
+            completitud[campo] = porcentaje;
+          });
+
+          return {
+            operation_id: log.operation_id,
+            operation_type: log.operation_type,
+            status: log.status,
+            created_at: log.created_at,
+            total: reporte.total,
+            puntaje: reporte.puntaje,
+            completitud,
+            fallos_parseo: sumar(reporte.fallos_parseo),
+            valores_sospechosos: sumar(reporte.valores_sospechosos),
+            placeholders: sumar(reporte.placeholders)
+          };
+        });
+    } catch (error) {
+      logger.error(`Error en getTrend: ${error.message}`);
+      throw error;
+    }
+  }
+
+  isEmpty(valor) {
+    return valor === null || valor === undefined || (typeof valor === 'string' && valor.trim() === '');
+  }
+
+  toDate(valor) {
+    if (this.isEmpty(valor)) return null;
+    const fecha = valor instanceof Date ? valor : new Date(valor);
+    return isNaN(fecha.getTime()) ? null : fecha;
+  }
+}
+
+module.exports = new DataQualityService();
@@ -0,0 +1,24 @@
+const dataQualityService = require('./dataQualityService');
+
+describe('dataQualityService.addProceso', () => {
+  it('cuenta una sola vez la fecha que el scraper ya reportó como no interpretable', () => {
+    const acumulador = dataQualityService.createAccumulator();
+
+    dataQualityService.addProceso(acumulador, {
+      id_proceso: 'A',
+      fecha_publicacion: '06/01/2025 10:30 a.m.',
+      errores_parseo: [{ campo: 'fecha_publicacion', valor: '06/01/2025 10:30 a.m.' }]
+    });
+
+    expect(acumulador.fallos_parseo.fecha_publicacion.cantidad).toBe(1);
+    expect(acumulador.registros_con_problemas).toBe(1);
+  });
+
+  it('reporta la fecha no interpretable que llega sin errores_parseo (importaciones)', () => {
+    const acumulador = dataQualityService.createAccumulator();
+
+    dataQualityService.addProceso(acumulador, { id_proceso: 'A', fecha_publicacion: 'sin fecha' });
+
+    expect(acumulador.fallos_parseo.fecha_publicacion.cantidad).toBe(1);
+  });
+});
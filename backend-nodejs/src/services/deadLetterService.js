@@ -0,0 +1,256 @@
+/**
+ * Servicio de dead letters del ETL
+ * Las filas que una operación no pudo guardar (validación o error de BD) quedan en etl_dead_letters
+ * con sus datos originales. Un administrador puede corregirlas y reintentarlas una a una o en lote.
+ */
+const { Op } = require('sequelize');
+const { ETLDeadLetter } = require('../models');
+const logger = require('../config/logger');
+
+const ESTADOS = ['pending', 'resolved', 'discarded'];
+
+// Máximo de filas por reintento en lote (se ejecuta dentro de la petición)
+const MAX_REINTENTO_LOTE = 200;
+
+class DeadLetterService {
+  /**
+   * Guardar una fila fallida. Un fallo al guardarla no debe detener la operación ETL.
+   */
+  async record(operationId, operationType, payload, error) {
+    try {
+      await ETLDeadLetter.create({
+        operation_id: operationId,
+        operation_type: operationType,
+        id_proceso: this.getIdProceso(payload),
+        payload,
+        error: error.message
+      });
+    } catch (err) {
+      logger.warn(`No se pudo guardar la fila fallida ${this.getIdProceso(payload)} de ${operationId}: ${err.message}`);
+    }
+  }
+
+  /**
+   * Listar filas fallidas
+   * @param {Object} filters - { status, operation_id, operation_type, search, page, size }
+   */
+  async list({ status = null, operation_id: operationId = null, operation_type: operationType = null, search = null, page = 1, size = 50 } = {}) {
+    try {
+      const where = {};
+      if (status) {
+        if (!ESTADOS.includes(status)) throw this.invalidDataError(`status debe ser uno de: ${ESTADOS.join(', ')}`);
+        where.status = status;
+      }
+      if (operationId) where.operation_id = operationId;
+      if (operationType) where.operation_type = operationType;
+      if (search) {
+        where[Op.or] = [
+          { id_proceso: { [Op.iLike]: `%${search}%` } },
+          { error: { [Op.iLike]: `%${search}%` } }
+        ];
+      }
+
+      const { count, rows } = await ETLDeadLetter.findAndCountAll({
+        where,
+        order: [['created_at', 'DESC']],
+        limit: size,
+        offset: (page - 1) * size
+      });
+
+      return {
+        items: rows,
+        total: count,
+        page,
+        size,
+        pages: Math.ceil(count / size)
+      };
+    } catch (error) {
+      logger.error(`Error en list de dead letters: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * @returns {Object|null} null si la fila no existe
+   */
+  async get(deadLetterId) {
+    try {
+      return await ETLDeadLetter.findByPk(deadLetterId);
+    } catch (error) {
+      logger.error(`Error en get de dead letter: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Corregir los datos de una fila o cambiar su estado (descartarla o devolverla a pendiente)
+   * @param {Object} data - { payload, status }
+   * @returns {Object|null} null si la fila no existe
+   */
+  async update(deadLetterId, data) {
+    try {
+      const deadLetter = await ETLDeadLetter.findByPk(deadLetterId);
+      if (!deadLetter) return null;
+      if (deadLetter.status === 'resolved') throw this.conflictError('La fila ya se importó correctamente');
+
+      const cambios = { updated_at: new Date() };
+      if (data.payload !== undefined) {
+        if (!data.payload || typeof data.payload !== 'object' || Array.isArray(data.payload)) {
+          throw this.invalidDataError('payload debe ser un objeto');
+        }
+        if (!this.getIdProceso(data.payload)) {
+          throw this.invalidDataError(deadLetter.operation_type === 'ocds_import' ? 'payload.ocid es requerido' : 'payload.id_proceso es requerido');
+        }
+        cambios.payload = data.payload;
+        cambios.id_proceso = this.getIdProceso(data.payload);
+        cambios.edited = true;
+      }
+      if (data.status !== undefined) {
+        if (!['pending', 'discarded'].includes(data.status)) {
+          throw this.invalidDataError('status solo puede cambiarse a pending o discarded');
+        }
+        cambios.status = data.status;
+      }
+
+      await deadLetter.update(cambios);
+      return deadLetter;
+    } catch (error) {
+      logger.error(`Error en update de dead letter: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Reintentar una fila con el mismo guardado de su operación original.
+   * Los cambios quedan registrados en el historial y el diff de esa operación.
+   * @returns {Object|null} Fila actualizada, o null si no existe
+   */
+  async retry(deadLetterId) {
+    try {
+      const deadLetter = await ETLDeadLetter.findByPk(deadLetterId);
+      if (!deadLetter) return null;
+      if (deadLetter.status !== 'pending') throw this.conflictError('Solo se pueden reintentar filas pendientes');
+
+      return await this.retryDeadLetter(deadLetter);
+    } catch (error) {
+      logger.error(`Error en retry de dead letter: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Reintentar en lote las filas pendientes indicadas o las de una operación
+   * @param {Object} params - { ids } o { operation_id }
+   * @returns {Object} { total, resolved, failed, items: [{ id, id_proceso, status, error }] }
+   */
+  async retryMany({ ids = null, operation_id: operationId = null } = {}) {
+    try {
+      const where = { status: 'pending' };
+      if (Array.isArray(ids) && ids.length > 0) {
+        where.id = ids;
+      } else if (operationId) {
+        where.operation_id = operationId;
+      } else {
+        throw this.invalidDataError('Indique ids u operation_id');
+      }
+
+      const pendientes = await ETLDeadLetter.findAll({
+        where,
+        order: [['created_at', 'ASC']],
+        limit: MAX_REINTENTO_LOTE
+      });
+
+      const resultado = { total: pendientes.length, resolved: 0, failed: 0, items: [] };
+      for (const deadLetter of pendientes) {
+        await this.retryDeadLetter(deadLetter);
+        resultado[deadLetter.status === 'resolved' ? 'resolved' : 'failed']++;
+        resultado.items.push({
+          id: deadLetter.id,
+          id_proceso: deadLetter.id_proceso,
+          status: deadLetter.status,
+          error: deadLetter.status === 'resolved' ? null : deadLetter.error
+        });
+      }
+
+      logger.info(`Reintento en lote de filas fallidas: ${resultado.resolved} importadas, ${resultado.failed} siguen fallando`);
+      return resultado;
+    } catch (error) {
+      logger.error(`Error en retryMany de dead letters: ${error.message}`);
+      throw error;
+    }
+  }
+
+  async retryDeadLetter(deadLetter) {
+    const etlService = require('./etlService');
+
+    // Estado de guardado propio: los fallos del reintento actualizan esta fila en lugar de crear otra
+    const state = etlService.createScrapingState({});
+    state.isDeadLetterRetry = true;
+    const operationId = deadLetter.operation_id;
+
+    switch (deadLetter.operation_type) {
+      case 'scraping':
+        await etlService.saveProcesos(operationId, [deadLetter.payload], state);
+        break;
+      case 'sync':
+        await etlService.saveSyncedProcesos(operationId, [deadLetter.payload], state, Boolean(deadLetter.payload.detalle_extraido));
+        break;
+      case 'ocds_import':
+        await etlService.importOcdsRelease(operationId, deadLetter.payload, state);
+        break;
+      case 'bulk_import': {
+        const importService = require('./importService');
+        const resultado = await importService.importRow(deadLetter.payload, null, operationId, etlService);
+        if (resultado.status === 'rejected') {
+          state.errorDetails.push({ id_proceso: resultado.id_proceso, error: resultado.errors.join('; ') });
+        }
+        break;
+      }
+      default:
+        throw this.invalidDataError(`Tipo de operación no soportado: ${deadLetter.operation_type}`);
+    }
+
+    const fallo = state.errorDetails[0];
+    await deadLetter.update({
+      attempts: deadLetter.attempts + 1,
+      status: fallo ? 'pending' : 'resolved',
+      error: fallo ? fallo.error : deadLetter.error,
+      resolved_at: fallo ? null : new Date(),
+      updated_at: new Date()
+    });
+
+    logger.info(`Reintento de fila fallida ${deadLetter.id_proceso} (${operationId}): ${fallo ? `sigue fallando: ${fallo.error}` : 'importada'}`);
+    return deadLetter;
+  }
+
+  /**
+   * Cantidad de filas pendientes de una operación
+   */
+  async countPending(operationId) {
+    return ETLDeadLetter.count({ where: { operation_id: operationId, status: 'pending' } });
+  }
+
+  getIdProceso(payload) {
+    return payload?.id_proceso || payload?.ocid || null;
+  }
+
+  /**
+   * Error de datos inválidos (HTTP 400)
+   */
+  invalidDataError(message) {
+    const error = new Error(message);
+    error.statusCode = 400;
+    return error;
+  }
+
+  /**
+   * Error de conflicto con el estado de la fila (HTTP 409)
+   */
+  conflictError(message) {
+    const error = new Error(message);
+    error.statusCode = 409;
+    return error;
+  }
+}
+
+module.exports = new DeadLetterService();
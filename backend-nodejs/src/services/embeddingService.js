@@ -0,0 +1,180 @@
+/**
+ * Servicio de embeddings
+ * Genera los vectores de cada proceso (título, descripción y combinado) con el proveedor
+ * configurado y los guarda en las columnas pgvector de proceso_embeddings. Un proceso se
+ * procesa si no tiene embedding, si cambió su texto (texto_hash) o si cambió el modelo.
+ */
+const { sequelize } = require('../models');
+const { createEmbeddingProvider } = require('../embeddings');
+const config = require('../config/index');
+const logger = require('../config/logger');
+
+// Campos de texto que alimentan los embeddings, en el orden del hash
+const CAMPOS_TEXTO = [
+  'descripcion_objeto',
+  'objeto_contratacion',
+  'nombre_entidad',
+  'rubro',
+  'tipo_proceso',
+  'departamento',
+  'provincia'
+];
+
+// Mismo hash en SQL (para detectar cambios) que el guardado al generar el embedding
+const TEXTO_HASH_SQL = `md5(concat_ws('|', ${CAMPOS_TEXTO.map(campo => `p.${campo}`).join(', ')}))`;
+
+const PROCESO_INICIAL = '00000000-0000-0000-0000-000000000000';
+
+class EmbeddingService {
+  constructor() {
+    this.provider = null;
+  }
+
+  getProvider() {
+    if (!this.provider) {
+      this.provider = createEmbeddingProvider();
+      logger.info(`Proveedor de embeddings: ${this.provider.name}`);
+    }
+    return this.provider;
+  }
+
+  /**
+   * Condición SQL de los procesos pendientes
+   * @param {Object} options - { procesoId, force }
+   */
+  buildPendingFilter({ procesoId = null, force = false } = {}) {
+    const condiciones = [];
+    if (procesoId) condiciones.push('p.id = :procesoId');
+    if (!force) {
+      condiciones.push(`(e.id IS NULL OR e.modelo IS DISTINCT FROM :modelo OR e.texto_hash IS DISTINCT FROM ${TEXTO_HASH_SQL})`);
+    }
+    return condiciones.length > 0 ? condiciones.join(' AND ') : 'TRUE';
+  }
+
+  /**
+   * Cantidad de procesos sin embedding o con texto o modelo distinto
+   */
+  async countPending(options = {}) {
+    const [filas] = await sequelize.query(`
+      SELECT CAST(COUNT(*) AS int) AS total
+      FROM procesos p
+      LEFT JOIN proceso_embeddings e ON e.proceso_id = p.id
+      WHERE ${this.buildPendingFilter(options)}
+    `, {
+      replacements: { procesoId: options.procesoId || null, modelo: this.getProvider().name }
+    });
+    return filas[0].total;
+  }
+
+  /**
+   * Siguiente lote de procesos pendientes, en orden de id a partir de afterId
+   */
+  async getPending({ procesoId = null, force = false, afterId = null, limit = config.embeddings.batchSize } = {}) {
+    const [filas] = await sequelize.query(`
+      SELECT p.id, p.id_proceso, ${CAMPOS_TEXTO.map(campo => `p.${campo}`).join(', ')}
+      FROM procesos p
+      LEFT JOIN proceso_embeddings e ON e.proceso_id = p.id
+      WHERE ${this.buildPendingFilter({ procesoId, force })}
+        AND p.id > :afterId
+      ORDER BY p.id
+      LIMIT :limit
+    `, {
+      replacements: {
+        procesoId,
+        modelo: this.getProvider().name,
+        afterId: afterId || PROCESO_INICIAL,
+        limit
+      }
+    });
+    return filas;
+  }
+
+  /**
+   * Textos de un proceso: título (descripción del objeto), descripción (clasificación,
+   * entidad y ubicación) y combinado
+   */
+  buildTexts(proceso) {
+    const titulo = proceso.descripcion_objeto || '';
+    const descripcion = [
+      proceso.objeto_contratacion,
+      proceso.rubro,
+      proceso.tipo_proceso,
+      proceso.nombre_entidad,
+      [proceso.departamento, proceso.provincia].filter(Boolean).join(' ')
+    ].filter(Boolean).join('. ');
+
+    return {
+      titulo,
+      descripcion,
+      combined: [titulo, descripcion].filter(Boolean).join('. ')
+    };
+  }
+
+  /**
+   * Generar y guardar los embeddings de un lote de procesos
+   * @returns {Object} { generados, errores: [{ id_proceso, error_message }] }
+   */
+  async embedProcesos(procesos) {
+    const provider = this.getProvider();
+    const textos = procesos.map(proceso => this.buildTexts(proceso));
+
+    // Una sola llamada al proveedor por lote; un fallo del proveedor detiene la operación
+    const vectores = await provider.embed(textos.flatMap(({ titulo, descripcion, combined }) => [titulo, descripcion, combined]));
+
+    const resultado = { generados: 0, errores: [] };
+    for (let idx = 0; idx < procesos.length; idx++) {
+      const proceso = procesos[idx];
+      const [titulo, descripcion, combined] = vectores.slice(idx * 3, idx * 3 + 3);
+
+      try {
+        [titulo, descripcion, combined].forEach(vector => {
+          if (vector && vector.length !== provider.dimensions) {
+            throw new Error(`${provider.name} devolvió ${vector.length} dimensiones (se esperan ${provider.dimensions})`);
+          }
+        });
+
+        await this.saveEmbedding(proceso.id, { titulo, descripcion, combined }, provider.name);
+        resultado.generados++;
+      } catch (err) {
+        resultado.errores.push({ id_proceso: proceso.id_proceso, error_message: err.message });
+        logger.error(`❌ Error guardando embedding de ${proceso.id_proceso}: ${err.message}`);
+      }
+    }
+
+    return resultado;
+  }
+
+  /**
+   * Insertar o reemplazar los vectores de un proceso. El texto_hash se calcula sobre la fila
+   * actual del proceso, con la misma expresión que detecta los cambios.
+   */
+  async saveEmbedding(procesoId, { titulo, descripcion, combined }, modelo) {
+    const literal = (vector) => (vector ? `[${vector.join(',')}]` : null);
+
+    await sequelize.query(`
+      INSERT INTO proceso_embeddings
+        (proceso_id, embedding_titulo, embedding_descripcion, embedding_combined, modelo, texto_hash, created_at, updated_at)
+      SELECT p.id, CAST(:titulo AS vector), CAST(:descripcion AS vector), CAST(:combined AS vector),
+             :modelo, ${TEXTO_HASH_SQL}, NOW(), NOW()
+      FROM procesos p
+      WHERE p.id = :procesoId
+      ON CONFLICT (proceso_id) DO UPDATE SET
+        embedding_titulo = EXCLUDED.embedding_titulo,
+        embedding_descripcion = EXCLUDED.embedding_descripcion,
+        embedding_combined = EXCLUDED.embedding_combined,
+        modelo = EXCLUDED.modelo,
+        texto_hash = EXCLUDED.texto_hash,
+        updated_at = NOW()
+    `, {
+      replacements: {
+        procesoId,
+        titulo: literal(titulo),
+        descripcion: literal(descripcion),
+        combined: literal(combined),
+        modelo
+      }
+    });
+  }
+}
+
+module.exports = new EmbeddingService();
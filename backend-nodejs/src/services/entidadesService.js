@@ -0,0 +1,354 @@
+/**
+ * Servicio de entidades
+ * Resuelve el nombre y RUC de la entidad convocante de cada proceso contra el catálogo
+ * de entidades, de modo que las variantes ("MD ..." / "MUNICIPALIDAD DISTRITAL DE ...")
+ * apunten a una sola entidad.
+ */
+const { Op, UniqueConstraintError } = require('sequelize');
+const { Entidad, EntidadAlias, Proceso, sequelize } = require('../models');
+const ubigeoService = require('./ubigeoService');
+const logger = require('../config/logger');
+
+// Abreviaturas frecuentes al inicio del nombre -> forma completa
+const ABREVIATURAS = [
+  [/^(MD|MUN DIST|MUNIC DIST|MUNICIPALIDAD DIST)( DE)?\b/, 'MUNICIPALIDAD DISTRITAL DE'],
+  [/^(MP|MUN PROV|MUNIC PROV|MUNICIPALIDAD PROV)( DE)?\b/, 'MUNICIPALIDAD PROVINCIAL DE'],
+  [/^(MCP|MUN CENTRO POBLADO)( DE)?\b/, 'MUNICIPALIDAD DEL CENTRO POBLADO DE'],
+  [/^(GR|GORE|GOB REG|GOBIERNO REG)( DE)?\b/, 'GOBIERNO REGIONAL DE'],
+  [/^MIN( DE)?\b/, 'MINISTERIO DE']
+];
+
+// Palabras que no distinguen a una entidad de otra
+const CONECTORES = new Set(['DE', 'DEL', 'LA', 'EL', 'LOS', 'LAS', 'Y']);
+
+const NIVELES_GOBIERNO = ['nacional', 'regional', 'local'];
+
+// Pesos del dígito verificador del RUC (SUNAT, módulo 11)
+const PESOS_RUC = [5, 4, 3, 2, 7, 6, 5, 4, 3, 2];
+
+class EntidadesService {
+  /**
+   * Nombre en mayúsculas con las abreviaturas expandidas. Conserva tildes y conectores.
+   */
+  formatNombre(nombre) {
+    if (!nombre) return null;
+
+    let texto = String(nombre)
+      .toUpperCase()
+      .replace(/["'`´]/g, '')
+      .replace(/[.,;:()\-\u2013/]+/g, ' ')
+      .replace(/\s+/g, ' ')
+      .trim()
+      // Iniciales separadas por puntos: "M.D." -> "MD"
+      .replace(/\b([A-Z]) (?=[A-Z]\b)/g, '$1');
+
+    for (const [patron, forma] of ABREVIATURAS) {
+      if (patron.test(texto)) {
+        texto = texto.replace(patron, forma);
+        break;
+      }
+    }
+
+    return texto || null;
+  }
+
+  /**
+   * Clave de comparación de un nombre: forma expandida, sin tildes ni conectores
+   * @returns {String|null} p. ej. "MUNICIPALIDAD DISTRITAL LURIN"
+   */
+  normalizeNombre(nombre) {
+    const formateado = this.formatNombre(nombre);
+    if (!formateado) return null;
+
+    const clave = formateado
+      .normalize('NFD')
+      .replace(/[\u0300-\u036f]/g, '')
+      .split(' ')
+      .filter(palabra => palabra && !CONECTORES.has(palabra))
+      .join(' ');
+
+    return clave || null;
+  }
+
+  /**
+   * RUC de 11 dígitos con dígito verificador válido, o null
+   */
+  normalizeRuc(ruc) {
+    if (!ruc) return null;
+
+    const digitos = String(ruc).replace(/\D/g, '');
+    if (digitos.length !== 11) return null;
+
+    const suma = PESOS_RUC.reduce((total, peso, idx) => total + peso * Number(digitos[idx]), 0);
+    const verificador = (11 - (suma % 11)) % 10;
+
+    return verificador === Number(digitos[10]) ? digitos : null;
+  }
+
+  /**
+   * Nivel de gobierno deducido del nombre normalizado
+   */
+  inferNivelGobierno(clave) {
+    if (!clave) return null;
+
+    if (/\bMUNICIPALIDAD\b|\bMUNICIPAL\b|\bCENTRO POBLADO\b/.test(clave)) return 'local';
+    if (/\bGOBIERNO REGIONAL\b|\bREGION\b|\bDIRECCION REGIONAL\b|\bUGEL\b/.test(clave)) return 'regional';
+    return 'nacional';
+  }
+
+  /**
+   * Resolver la entidad de un proceso: primero por RUC, luego por alias del nombre.
+   * Si no existe se registra con el nombre expandido como nombre canónico.
+   * @param {Object} datos
+   * @param {String} datos.nombre - Nombre de la entidad tal como aparece en la fuente
+   * @param {String} datos.ruc - RUC de la entidad (opcional)
+   * @returns {Object|null} Entidad, o null si no hay nombre ni RUC
+   */
+  async resolveEntidad({ nombre, ruc }, reintento = false) {
+    const rucNormalizado = this.normalizeRuc(ruc);
+    const clave = this.normalizeNombre(nombre);
+    if (!clave && !rucNormalizado) return null;
+
+    try {
+      let entidad = rucNormalizado ? await Entidad.findOne({ where: { ruc: rucNormalizado } }) : null;
+
+      if (!entidad && clave) {
+        const alias = await EntidadAlias.findOne({
+          where: { alias_normalizado: clave },
+          include: [{ model: Entidad, as: 'entidad' }]
+        });
+        // Un alias de otra entidad con RUC distinto no se reutiliza: el RUC manda
+        if (alias && !(rucNormalizado && alias.entidad.ruc && alias.entidad.ruc !== rucNormalizado)) {
+          entidad = alias.entidad;
+        }
+      }
+
+      if (!entidad) {
+        const nombreCanonico = this.formatNombre(nombre) || rucNormalizado;
+        entidad = await Entidad.create({
+          nombre_canonico: nombreCanonico,
+          ruc: rucNormalizado,
+          nivel_gobierno: this.inferNivelGobierno(clave),
+          ubigeo: ubigeoService.fromNombreEntidad(nombreCanonico)
+        });
+        logger.debug(`Entidad registrada: ${entidad.nombre_canonico}`);
+      } else if (rucNormalizado && !entidad.ruc) {
+        await entidad.update({ ruc: rucNormalizado, updated_at: new Date() });
+      }
+
+      if (clave) {
+        await EntidadAlias.findOrCreate({
+          where: { alias_normalizado: clave },
+          defaults: { entidad_id: entidad.id, alias: String(nombre).trim() }
+        });
+      }
+
+      return entidad;
+    } catch (error) {
+      // Otro guardado concurrente registró la misma entidad o alias: se resuelve de nuevo
+      if (error instanceof UniqueConstraintError && !reintento) {
+        return this.resolveEntidad({ nombre, ruc }, true);
+      }
+      logger.error(`Error en resolveEntidad: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Asignar la entidad a los procesos que aún no la tienen
+   * @returns {Object} { procesados, vinculados }
+   */
+  async backfillProcesos({ batchSize = 500 } = {}) {
+    let procesados = 0;
+    let vinculados = 0;
+    let ultimoId = null;
+
+    try {
+      let procesos;
+      do {
+        const where = { entidad_id: null };
+        if (ultimoId) where.id = { [Op.gt]: ultimoId };
+
+        procesos = await Proceso.findAll({
+          where,
+          attributes: ['id', 'nombre_entidad', 'entidad_nombre', 'entidad_ruc'],
+          order: [['id', 'ASC']],
+          limit: batchSize
+        });
+
+        for (const proceso of procesos) {
+          const entidad = await this.resolveEntidad({
+            nombre: proceso.nombre_entidad || proceso.entidad_nombre,
+            ruc: proceso.entidad_ruc
+          });
+          if (entidad) {
+            await proceso.update({ entidad_id: entidad.id });
+            vinculados++;
+          }
+          procesados++;
+        }
+
+        ultimoId = procesos[procesos.length - 1]?.id;
+        logger.info(`Backfill de entidades: ${vinculados}/${procesados} procesos vinculados`);
+      } while (procesos.length === batchSize);
+
+      return { procesados, vinculados };
+    } catch (error) {
+      logger.error(`Error en backfillProcesos: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Listar entidades del catálogo con su cantidad de procesos
+   */
+  async getEntidades({ q, nivel_gobierno, page = 1, size = 20 } = {}) {
+    try {
+      const where = {};
+      if (nivel_gobierno) where.nivel_gobierno = nivel_gobierno;
+      if (q) {
+        const clave = this.normalizeNombre(q);
+        where[Op.or] = [
+          { nombre_canonico: { [Op.iLike]: `%${q}%` } },
+          { ruc: q.replace(/\D/g, '') || q },
+          sequelize.literal(`EXISTS (SELECT 1 FROM entidad_aliases ea WHERE ea.entidad_id = "Entidad"."id" AND ea.alias_normalizado LIKE ${sequelize.escape(`%${clave || q}%`)})`)
+        ];
+      }
+
+      const { count, rows } = await Entidad.findAndCountAll({
+        where,
+        attributes: {
+          include: [[
+            sequelize.literal('(SELECT COUNT(*) FROM procesos p WHERE p.entidad_id = "Entidad"."id")::int'),
+            'total_procesos'
+          ]]
+        },
+        order: [['nombre_canonico', 'ASC']],
+        limit: size,
+        offset: (page - 1) * size
+      });
+
+      return {
+        items: rows,
+        total: count,
+        page,
+        size,
+        pages: Math.ceil(count / size)
+      };
+    } catch (error) {
+      logger.error(`Error en getEntidades: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Detalle de una entidad con sus alias
+   */
+  async getEntidadById(entidadId) {
+    try {
+      const entidad = await Entidad.findByPk(entidadId, {
+        include: [{ model: EntidadAlias, as: 'aliases', attributes: ['id', 'alias', 'alias_normalizado'] }],
+        order: [[{ model: EntidadAlias, as: 'aliases' }, 'alias', 'ASC']]
+      });
+      if (!entidad) return null;
+
+      const totalProcesos = await Proceso.count({ where: { entidad_id: entidadId } });
+      return { ...entidad.toJSON(), total_procesos: totalProcesos };
+    } catch (error) {
+      logger.error(`Error en getEntidadById: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Corregir los datos de una entidad (nombre canónico, RUC, nivel de gobierno, ubigeo)
+   */
+  async updateEntidad(entidadId, datos) {
+    try {
+      const entidad = await Entidad.findByPk(entidadId);
+      if (!entidad) return null;
+
+      const cambios = {};
+      if (datos.nombre_canonico !== undefined) cambios.nombre_canonico = String(datos.nombre_canonico).trim();
+      if (datos.ubigeo !== undefined) cambios.ubigeo = datos.ubigeo || null;
+      if (datos.ruc !== undefined) {
+        cambios.ruc = datos.ruc ? this.normalizeRuc(datos.ruc) : null;
+        if (datos.ruc && !cambios.ruc) throw this.invalidDataError(`RUC inválido: ${datos.ruc}`);
+      }
+      if (datos.nivel_gobierno !== undefined) {
+        if (datos.nivel_gobierno && !NIVELES_GOBIERNO.includes(datos.nivel_gobierno)) {
+          throw this.invalidDataError(`nivel_gobierno debe ser uno de: ${NIVELES_GOBIERNO.join(', ')}`);
+        }
+        cambios.nivel_gobierno = datos.nivel_gobierno || null;
+      }
+      if (cambios.ubigeo && !ubigeoService.isValidCodigo(cambios.ubigeo)) {
+        throw this.invalidDataError(`ubigeo no reconocido: ${cambios.ubigeo}`);
+      }
+
+      await entidad.update({ ...cambios, updated_at: new Date() });
+      return entidad;
+    } catch (error) {
+      logger.error(`Error en updateEntidad: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Fusionar dos entidades que son la misma: los alias y procesos de origen pasan a destino
+   * y origen se elimina
+   */
+  async mergeEntidades(destinoId, origenId) {
+    if (destinoId === origenId) {
+      throw this.invalidDataError('No se puede fusionar una entidad consigo misma');
+    }
+
+    const transaction = await sequelize.transaction();
+    try {
+      const [destino, origen] = await Promise.all([
+        Entidad.findByPk(destinoId, { transaction }),
+        Entidad.findByPk(origenId, { transaction })
+      ]);
+      if (!destino || !origen) {
+        await transaction.rollback();
+        return null;
+      }
+      if (destino.ruc && origen.ruc && destino.ruc !== origen.ruc) {
+        throw this.invalidDataError('Las entidades tienen RUC distintos');
+      }
+
+      const [procesosMovidos] = await Proceso.update(
+        { entidad_id: destino.id },
+        { where: { entidad_id: origen.id }, transaction }
+      );
+      await EntidadAlias.update(
+        { entidad_id: destino.id },
+        { where: { entidad_id: origen.id }, transaction }
+      );
+
+      const rucOrigen = origen.ruc;
+      await origen.destroy({ transaction });
+      if (!destino.ruc && rucOrigen) {
+        await destino.update({ ruc: rucOrigen, updated_at: new Date() }, { transaction });
+      }
+
+      await transaction.commit();
+      logger.info(`Entidad ${origenId} fusionada en ${destinoId}: ${procesosMovidos} procesos reasignados`);
+      return { entidad_id: destino.id, procesos_reasignados: procesosMovidos };
+    } catch (error) {
+      await transaction.rollback();
+      logger.error(`Error en mergeEntidades: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Error de datos inválidos (HTTP 400)
+   */
+  invalidDataError(message) {
+    const error = new Error(message);
+    error.statusCode = 400;
+    return error;
+  }
+}
+
+module.exports = new EntidadesService();
@@ -0,0 +1,43 @@
+const entidadesService = require('./entidadesService');
+
+describe('entidadesService.normalizeRuc', () => {
+  it('acepta RUC con dígito verificador válido', () => {
+    expect(entidadesService.normalizeRuc('20131370998')).toBe('20131370998');
+    expect(entidadesService.normalizeRuc('20100070970')).toBe('20100070970');
+  });
+
+  it('rechaza RUC con dígito verificador incorrecto', () => {
+    expect(entidadesService.normalizeRuc('20131370999')).toBeNull();
+    expect(entidadesService.normalizeRuc('20100070971')).toBeNull();
+  });
+
+  it('usa 0 cuando 11 - resto es 10 y 1 cuando es 11', () => {
+    // Suma ponderada con resto 1 -> verificador 0
+    expect(entidadesService.normalizeRuc('20100000050')).toBe('20100000050');
+    // Suma ponderada con resto 0 -> verificador 1
+    expect(entidadesService.normalizeRuc('20100000131')).toBe('20100000131');
+    expect(entidadesService.normalizeRuc('20100000130')).toBeNull();
+  });
+
+  it('quita espacios, guiones y otros separadores', () => {
+    expect(entidadesService.normalizeRuc(' 20131370998 ')).toBe('20131370998');
+    expect(entidadesService.normalizeRuc('20-13137099-8')).toBe('20131370998');
+    expect(entidadesService.normalizeRuc('RUC: 20131370998')).toBe('20131370998');
+  });
+
+  it('acepta el RUC como número', () => {
+    expect(entidadesService.normalizeRuc(20131370998)).toBe('20131370998');
+  });
+
+  it('rechaza RUC que no tienen 11 dígitos', () => {
+    expect(entidadesService.normalizeRuc('2013137099')).toBeNull();
+    expect(entidadesService.normalizeRuc('201313709980')).toBeNull();
+    expect(entidadesService.normalizeRuc('sin ruc')).toBeNull();
+  });
+
+  it('devuelve null sin RUC', () => {
+    expect(entidadesService.normalizeRuc(null)).toBeNull();
+    expect(entidadesService.normalizeRuc(undefined)).toBeNull();
+    expect(entidadesService.normalizeRuc('')).toBeNull();
+  });
+});
@@ -0,0 +1,67 @@
+/**
+ * Servicio de etapas
+ * Guarda el cronograma extraído de la ficha de cada proceso como una línea de tiempo de etapas
+ */
+const { ProcesoEtapa } = require('../models');
+const { sequelize } = require('../config/database');
+const logger = require('../config/logger');
+
+// Tipos de etapa reconocidos en los cronogramas SEACE.
+// El orden importa: "Absolución de consultas" debe clasificarse antes que "consultas".
+const TIPOS_ETAPA = [
+  { tipo: 'absolucion_consultas', patron: /absoluci[oó]n/i },
+  { tipo: 'integracion_bases', patron: /integraci[oó]n de (las )?bases/i },
+  { tipo: 'presentacion_ofertas', patron: /presentaci[oó]n de (ofertas|propuestas)/i },
+  { tipo: 'buena_pro', patron: /buena pro/i },
+  { tipo: 'registro_participantes', patron: /registro de participantes/i },
+  { tipo: 'convocatoria', patron: /convocatoria/i },
+  { tipo: 'evaluacion', patron: /evaluaci[oó]n|calificaci[oó]n/i },
+  { tipo: 'consultas', patron: /consultas|observaciones/i }
+];
+
+class EtapasService {
+  /**
+   * Clasificar una etapa del cronograma por su nombre
+   */
+  classifyEtapa(nombre) {
+    const coincidencia = TIPOS_ETAPA.find(({ patron }) => patron.test(nombre || ''));
+    return coincidencia ? coincidencia.tipo : 'otra';
+  }
+
+  /**
+   * Reemplazar el cronograma de un proceso con el extraído de su ficha
+   * @param {String} procesoId - UUID del proceso
+   * @param {Array} cronograma - [{ etapa, fecha_inicio, fecha_fin }]
+   * @returns {Number} Cantidad de etapas guardadas
+   */
+  async saveCronograma(procesoId, cronograma = []) {
+    const etapas = cronograma
+      .filter(etapa => etapa && etapa.etapa)
+      .map((etapa, idx) => ({
+        proceso_id: procesoId,
+        etapa: etapa.etapa.substring(0, 255),
+        tipo_etapa: this.classifyEtapa(etapa.etapa),
+        orden: idx,
+        fecha_inicio: etapa.fecha_inicio || null,
+        fecha_fin: etapa.fecha_fin || null
+      }));
+
+    if (etapas.length === 0) return 0;
+
+    const transaction = await sequelize.transaction();
+    try {
+      await ProcesoEtapa.destroy({ where: { proceso_id: procesoId }, transaction });
+      await ProcesoEtapa.bulkCreate(etapas, { transaction });
+      await transaction.commit();
+
+      logger.debug(`${etapas.length} etapas guardadas para proceso ${procesoId}`);
+      return etapas.length;
+    } catch (error) {
+      await transaction.rollback();
+      logger.error(`Error en saveCronograma: ${error.message}`);
+      throw error;
+    }
+  }
+}
+
+module.exports = new EtapasService();
@@ -0,0 +1,127 @@
+/**
+ * Canal de eventos en vivo de las operaciones ETL (Server-Sent Events)
+ * Los administradores se suscriben a GET /etl/stream y reciben el progreso, el resultado de cada
+ * proceso guardado y el cierre de cada operación sin consultar /progress periódicamente.
+ * Los eventos se publican en memoria: llegan a los clientes conectados al proceso que ejecuta
+ * la operación (la cola y la API corren en el mismo proceso).
+ * EventSource no envía encabezados: el cliente pide antes un ticket de un solo uso con su token
+ * (POST /etl/stream/ticket) y abre el canal con ?ticket=, así el JWT nunca viaja en la URL.
+ */
+const crypto = require('crypto');
+const logger = require('../config/logger');
+
+// Comentario SSE periódico para que proxies y navegadores no cierren la conexión inactiva
+const HEARTBEAT_MS = 25000;
+
+// Vigencia de un ticket del canal: solo cubre el tiempo entre pedirlo y abrir el EventSource
+const TICKET_TTL_MS = 30000;
+
+class ETLEventsService {
+  constructor() {
+    // res -> { operationId } de cada cliente suscrito
+    this.clients = new Map();
+    this.heartbeatTimer = null;
+    // ticket -> { userId, expiresAt }
+    this.tickets = new Map();
+  }
+
+  /**
+   * Emitir un ticket de un solo uso para abrir el canal
+   * @returns {Object} { ticket, expires_in } (expires_in en segundos)
+   */
+  issueTicket(userId) {
+    const ahora = Date.now();
+    for (const [ticket, { expiresAt }] of this.tickets) {
+      if (expiresAt <= ahora) this.tickets.delete(ticket);
+    }
+
+    const ticket = crypto.randomBytes(32).toString('hex');
+    this.tickets.set(ticket, { userId, expiresAt: ahora + TICKET_TTL_MS });
+    return { ticket, expires_in: TICKET_TTL_MS / 1000 };
+  }
+
+  /**
+   * Canjear un ticket: se elimina al usarlo, aunque esté vencido
+   * @returns {String|null} Id del usuario que lo pidió, o null si no existe o venció
+   */
+  consumeTicket(ticket) {
+    const registro = ticket ? this.tickets.get(ticket) : null;
+    if (!registro) return null;
+
+    this.tickets.delete(ticket);
+    return registro.expiresAt > Date.now() ? registro.userId : null;
+  }
+
+  /**
+   * Registrar una respuesta HTTP como cliente del canal
+   * @param {Object} options - { operationId } para recibir solo los eventos de una operación
+   * @returns {Function} Cancela la suscripción
+   */
+  subscribe(req, res, { operationId = null } = {}) {
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache, no-transform',
+      Connection: 'keep-alive',
+      // nginx no debe acumular la respuesta
+      'X-Accel-Buffering': 'no'
+    });
+    res.write('retry: 5000\n\n');
+
+    this.clients.set(res, { operationId });
+    this.startHeartbeat();
+    logger.debug(`Cliente suscrito a eventos ETL${operationId ? ` de ${operationId}` : ''} (${this.clients.size} conectados)`);
+
+    const unsubscribe = () => {
+      this.clients.delete(res);
+      if (this.clients.size === 0) this.stopHeartbeat();
+    };
+    req.on('close', unsubscribe);
+    return unsubscribe;
+  }
+
+  /**
+   * Enviar un evento a todos los clientes suscritos a su operación
+   * @param {String} event - progress, proceso u operation_complete
+   * @param {Object} data - Debe incluir operation_id
+   */
+  publish(event, data) {
+    if (this.clients.size === 0) return;
+
+    const mensaje = `event: ${event}\ndata: ${JSON.stringify({ ...data, timestamp: new Date().toISOString() })}\n\n`;
+    for (const [res, { operationId }] of this.clients) {
+      if (operationId && operationId !== data.operation_id) continue;
+      this.send(res, mensaje);
+    }
+  }
+
+  /**
+   * Enviar un evento a un solo cliente (estado inicial al suscribirse)
+   */
+  sendTo(res, event, data) {
+    this.send(res, `event: ${event}\ndata: ${JSON.stringify({ ...data, timestamp: new Date().toISOString() })}\n\n`);
+  }
+
+  send(res, mensaje) {
+    try {
+      res.write(mensaje);
+    } catch (error) {
+      logger.warn(`No se pudo enviar un evento ETL: ${error.message}`);
+      this.clients.delete(res);
+    }
+  }
+
+  startHeartbeat() {
+    if (this.heartbeatTimer) return;
+    this.heartbeatTimer = setInterval(() => {
+      for (const res of this.clients.keys()) this.send(res, ': ping\n\n');
+    }, HEARTBEAT_MS);
+    this.heartbeatTimer.unref();
+  }
+
+  stopHeartbeat() {
+    clearInterval(this.heartbeatTimer);
+    this.heartbeatTimer = null;
+  }
+}
+
+module.exports = new ETLEventsService();
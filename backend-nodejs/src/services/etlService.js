@@ -1,11 +1,46 @@
 /**
  * Servicio de ETL
  */
-const { ScrapingTask, ETLLog, Proceso } = require('../models');
+const { ScrapingTask, ETLLog, Proceso, sequelize } = require('../models');
 const { Op } = require('sequelize');
+const jobQueueService = require('./jobQueueService');
+const dataQualityService = require('./dataQualityService');
+const etlEventsService = require('./etlEventsService');
+const config = require('../config/index');
 const logger = require('../config/logger');
 
+// Campos que solo se obtienen desde la ficha del proceso.
+// Una extracción sin ficha los trae en null y no debe borrar los valores ya guardados.
+const CAMPOS_FICHA = [
+  'url_proceso',
+  'entidad_ruc',
+  'tipo_proceso',
+  'departamento',
+  'provincia',
+  'distrito',
+  'ubigeo_departamento',
+  'ubigeo_provincia',
+  'ubigeo_distrito',
+  'fecha_limite_presentacion'
+];
+
+// Estados de un procedimiento que todavía puede cambiar: la sincronización los revisa siempre
+const ESTADOS_ABIERTOS = ['Publicado', 'Convocado', 'En evaluación', 'En proceso'];
+
+// Estado con el que la sincronización cierra los procesos que ya no aparecen en SEACE
+const ESTADO_RETIRADO = 'Retirado';
+
 class ETLService {
+  constructor() {
+    // Las operaciones se ejecutan desde la cola persistente (jobQueueService).
+    // Un scraping interrumpido se reencola y continúa desde su checkpoint.
+    jobQueueService.registerHandler('scraping', job => this.runScrapingJob(job), { resumable: true });
+    jobQueueService.registerHandler('ocds_import', job => this.runOcdsImportJob(job));
+    jobQueueService.registerHandler('sync', job => this.runSyncJob(job), { resumable: true });
+    jobQueueService.registerHandler('embedding', job => this.runEmbeddingJob(job));
+    jobQueueService.registerHandler('anexos', job => this.runAnexosJob(job));
+  }
+
   /**
    * Mapea datos del scraper a schema exacto de tabla procesos
    * Esto asegura que SOLO se envíen campos válidos a PostgreSQL
@@ -72,7 +107,34 @@ class ETLService {
       // - categoria_proyecto: NULL
     };
     
-    return camposValidos;
+    return this.normalizeUbicacion(camposValidos);
+  }
+
+  /**
+   * Completar los códigos de ubigeo y reemplazar los nombres reconocidos por los canónicos del INEI
+   */
+  normalizeUbicacion(datos) {
+    const ubigeoService = require('./ubigeoService');
+    return {
+      ...datos,
+      ubigeo_departamento: null,
+      ubigeo_provincia: null,
+      ubigeo_distrito: null,
+      ...ubigeoService.resolve(datos)
+    };
+  }
+
+  /**
+   * Quita los campos de ficha vacíos antes de actualizar un proceso existente
+   */
+  omitEmptyFichaFields(procesoMapeado) {
+    const datos = { ...procesoMapeado };
+    CAMPOS_FICHA.forEach(campo => {
+      if (datos[campo] === null || datos[campo] === undefined) {
+        delete datos[campo];
+      }
+    });
+    return datos;
   }
 
   async createScrapingTask(params, userId = null) {
@@ -151,32 +213,32 @@ class ETLService {
   async startScraping(params) {
     try {
       const operationId = require('uuid').v4();
-      const startTime = Date.now();
 
       // Crear log de ETL
-      const etlLog = await ETLLog.create({
+      await ETLLog.create({
         operation_type: 'scraping',
         operation_id: operationId,
-        status: 'running',
-        message: 'Iniciando proceso de scraping',
+        status: 'queued',
+        message: 'Scraping en cola',
         search_params: params,
         paso_actual: 0,
         paso_total: 0,
         porcentaje: 0,
-        mensaje_actual: 'Inicializando scraper...'
+        mensaje_actual: '⏳ En cola, esperando un worker libre...'
       });
 
-      logger.info(`Scraping iniciado: ${operationId}`, { params });
-
-      // Ejecutar scraping en background
-      this.performScraping(operationId, params, startTime).catch(err => {
-        logger.error(`Error en scraping background: ${err.message}`);
+      // params.priority ordena la cola (mayor primero)
+      await jobQueueService.enqueue('scraping', operationId, { params }, {
+        priority: params.priority,
+        maxAttempts: config.queue.maxAttempts
       });
 
+      logger.info(`Scraping encolado: ${operationId}`, { params });
+
       return {
         operation_id: operationId,
-        status: 'started',
-        message: 'Proceso de scraping iniciado. Puede monitorear el progreso en los logs de ETL.'
+        status: 'queued',
+        message: 'Proceso de scraping en cola. Puede monitorear el progreso en los logs de ETL.'
       };
     } catch (error) {
       logger.error(`Error en startScraping: ${error.message}`);
@@ -198,77 +260,238 @@ class ETLService {
       }, {
         where: { operation_id: operationId }
       });
+
+      etlEventsService.publish('progress', {
+        operation_id: operationId,
+        status: 'running',
+        paso_actual: pasoActual,
+        paso_total: pasoTotal,
+        porcentaje,
+        mensaje_actual: mensajeActual
+      });
     } catch (error) {
       logger.error(`Error al actualizar progreso: ${error.message}`);
     }
   }
 
-  async performScraping(operationId, params, startTime) {
-    const SeaceScraper = require('../scraper/SeaceScraper');
+  /**
+   * Construye los parámetros del scraper - SOLO los que el usuario especificó
+   */
+  buildSearchParams(params) {
+    const searchParams = {
+      anio: params.anio || new Date().getFullYear().toString(),
+      maxProcesses: params.maxProcesses || 100
+    };
+
+    // Solo agregar parámetros si fueron especificados
+    if (params.keywords && params.keywords.length > 0) {
+      searchParams.keywords = params.keywords;
+    }
+    if (params.objetoContratacion) {
+      searchParams.objetoContratacion = params.objetoContratacion;
+    }
+    if (params.departamento) {
+      searchParams.departamento = params.departamento;
+    }
+    if (params.estadoProceso) {
+      searchParams.estadoProceso = params.estadoProceso;
+    }
+    if (params.entidad) {
+      searchParams.entidad = params.entidad;
+    }
+    if (params.tipoProceso) {
+      searchParams.tipoProceso = params.tipoProceso;
+    }
+    if (params.includeDetails) {
+      searchParams.includeDetails = true;
+    }
+    if (params.fechaDesde) {
+      searchParams.fechaDesde = params.fechaDesde;
+    }
+    if (params.fechaHasta) {
+      searchParams.fechaHasta = params.fechaHasta;
+    }
+    if (['auto', 'week', 'day'].includes(params.dateWindow)) {
+      searchParams.dateWindow = params.dateWindow;
+    }
+    // Varios años u objetos de contratación en una misma operación (búsqueda particionada)
+    if (Array.isArray(params.anios) && params.anios.length > 0) {
+      searchParams.anios = params.anios.map(String);
+      searchParams.anio = searchParams.anios[0];
+    }
+    if (Array.isArray(params.objetosContratacion) && params.objetosContratacion.length > 0) {
+      searchParams.objetosContratacion = params.objetosContratacion;
+    }
+    if (params.concurrency) {
+      searchParams.concurrency = parseInt(params.concurrency);
+    }
+
+    return searchParams;
+  }
+
+  /**
+   * Estado de guardado de una operación de scraping.
+   * Al reanudar se restaura desde los contadores, detalles y checkpoint del ETLLog.
+   * Con operationId la RetryPolicy detiene el scraping en su siguiente paso si se cancela la operación.
+   */
+  createScrapingState(params, etlLog = null, operationId = null) {
+    const RetryPolicy = require('../scraper/RetryPolicy');
+    const details = etlLog?.details || {};
+    const checkpoint = etlLog?.checkpoint || {};
+
+    return {
+      // Política de reintentos compartida por todas las páginas de la operación.
+      // params.minDelayMs ajusta el intervalo entre peticiones (por defecto SCRAPER_MIN_DELAY_MS)
+      retryPolicy: new RetryPolicy({
+        minDelayMs: params.minDelayMs,
+        stats: details.reintentos,
+        shouldStop: operationId ? () => jobQueueService.isCancelled(operationId) : null
+      }),
+      savedCount: etlLog?.inserted_count || 0,
+      updateCount: etlLog?.updated_count || 0,
+      errorCount: etlLog?.error_count || 0,
+      errorDetails: (details.error_processes || []).map(err => ({
+        id_proceso: err.id_proceso,
+        error: err.error_message
+      })),
+      insertedProcesses: details.inserted_processes || [],
+      updatedProcesses: details.updated_processes || [],
+      maxNewProcesses: params.maxProcesses || null,
+      newProcessesInserted: etlLog?.inserted_count || 0,
+      procesosConAnexos: new Set(checkpoint.procesos_con_anexos || []),
+      processedIds: new Set(checkpoint.processed_ids || []),
+      lastPage: checkpoint.last_page || 0,
+      totalPages: checkpoint.total_pages || 0,
+      extractedCount: checkpoint.extracted_count || 0,
+      completedPartitions: new Set(checkpoint.completed_partitions || []),
+      failedPartitions: [],
+      calidad: dataQualityService.createAccumulator(etlLog?.quality_report)
+    };
+  }
+
+  /**
+   * Detalles JSONB de la operación a partir del estado de guardado
+   */
+  buildScrapingDetails(state, anexosResult = null) {
+    return {
+      inserted_processes: state.insertedProcesses,
+      updated_processes: state.updatedProcesses,
+      error_processes: state.errorDetails.map(err => ({
+        id_proceso: err.id_proceso,
+        error_message: err.error
+      })),
+      failed_partitions: state.failedPartitions,
+      reintentos: state.retryPolicy.getStats(),
+      anexos: anexosResult
+    };
+  }
+
+  /**
+   * Guardar el checkpoint de la última página completada junto con los contadores
+   */
+  async saveCheckpoint(operationId, state, searchParams) {
+    await ETLLog.update({
+      inserted_count: state.savedCount,
+      updated_count: state.updateCount,
+      error_count: state.errorCount,
+      details: this.buildScrapingDetails(state),
+      quality_report: dataQualityService.buildReport(state.calidad),
+      checkpoint: {
+        search_params: searchParams,
+        last_page: state.lastPage,
+        total_pages: state.totalPages,
+        extracted_count: state.extractedCount,
+        completed_partitions: [...state.completedPartitions],
+        processed_ids: [...state.processedIds],
+        procesos_con_anexos: [...state.procesosConAnexos],
+        updated_at: new Date().toISOString()
+      },
+      updated_at: new Date()
+    }, {
+      where: { operation_id: operationId }
+    });
+  }
+
+  async performScraping(operationId, params, startTime, resumeFrom = null) {
     const exportService = require('./exportService');
-    const scraper = new SeaceScraper();
+    let state = null;
     
     try {
-      // Inicializar scraper
-      await scraper.initialize();
-      logger.info(`Scraper inicializado para operación ${operationId}`);
-
-      // Ejecutar búsqueda - SOLO pasar parámetros que el usuario especificó
-      const searchParams = {
-        anio: params.anio || new Date().getFullYear().toString(),
-        maxProcesses: params.maxProcesses || 100
-      };
-      
-      // Solo agregar parámetros si fueron especificados
-      if (params.keywords && params.keywords.length > 0) {
-        searchParams.keywords = params.keywords;
-      }
-      if (params.objetoContratacion) {
-        searchParams.objetoContratacion = params.objetoContratacion;
-      }
-      if (params.departamento) {
-        searchParams.departamento = params.departamento;
-      }
-      if (params.estadoProceso) {
-        searchParams.estadoProceso = params.estadoProceso;
-      }
-      if (params.entidad) {
-        searchParams.entidad = params.entidad;
-      }
-      if (params.tipoProceso) {
-        searchParams.tipoProceso = params.tipoProceso;
-      }
+      // Ejecutar búsqueda - al reanudar se usan los parámetros guardados en el checkpoint
+      const searchParams = resumeFrom?.checkpoint?.search_params || this.buildSearchParams(params);
+      state = this.createScrapingState(params, resumeFrom, operationId);
+      const particionada = this.isPartitionedSearch(searchParams);
 
       // Log de diagnóstico: qué parámetros se envían al scraper
       logger.info('═══════════════════════════════════════════════════════');
       logger.info('🔍 PARÁMETROS ENVIADOS AL SCRAPER:');
-      logger.info(`   • objetoContratacion: "${searchParams.objetoContratacion || 'NO ESPECIFICADO'}"`);
-      logger.info(`   • anio: "${searchParams.anio}"`);
+      logger.info(`   • objetoContratacion: "${searchParams.objetosContratacion?.join(', ') || searchParams.objetoContratacion || 'NO ESPECIFICADO'}"`);
+      logger.info(`   • anio: "${searchParams.anios?.join(', ') || searchParams.anio}"`);
       logger.info(`   • keywords: ${searchParams.keywords?.join(', ') || 'Sin keywords'}`);
       logger.info(`   • maxProcesses: ${searchParams.maxProcesses}`);
+      logger.info(`   • includeDetails: ${searchParams.includeDetails ? 'Sí' : 'No'}`);
+      if (particionada) {
+        logger.info(`   • búsqueda particionada: ventanas ${searchParams.dateWindow || 'no'}, ${searchParams.concurrency || 'concurrencia por defecto'} en paralelo`);
+      }
+      if (state.completedPartitions.size > 0) {
+        logger.info(`   • reanudando: ${state.completedPartitions.size} particiones ya completadas`);
+      } else if (state.lastPage > 0) {
+        logger.info(`   • reanudando desde página: ${state.lastPage + 1} (${state.processedIds.size} procesos ya guardados)`);
+      }
       logger.info('═══════════════════════════════════════════════════════');
-      
-      const results = await scraper.searchProcesses(searchParams);
-
-      logger.info(`Scraping inicial completado: ${results.length} procesos encontrados`);
-      
-      // Actualizar progreso: Extracción completada
-      await this.updateProgress(operationId, 1, 2, `Extracción completada: ${results.length} procesos encontrados`);
 
-      // ✅ LOGGING: Mostrar procesos extraídos
-      logger.info('═══ PROCESOS EXTRAÍDOS DEL SCRAPING ═══');
-      results.forEach((proceso, index) => {
-        logger.info(`Proceso ${index + 1}/${results.length}:`, {
-          id_proceso: proceso.id_proceso,
-          nombre_entidad: proceso.nombre_entidad,
-          fecha_publicacion: proceso.fecha_publicacion,
-          monto_referencial: proceso.monto_referencial,
-          estado_proceso: proceso.estado_proceso,
-          objeto_contratacion: proceso.objeto_contratacion?.substring(0, 50) || 'N/A'
+      // ✅ GUARDAR CADA PÁGINA EN LA BASE DE DATOS Y REGISTRAR CHECKPOINT
+      // NUEVA LÓGICA: Si maxProcesses está definido, solo contar inserciones nuevas hacia el límite
+      logger.info('═══ INICIANDO EXTRACCIÓN Y GUARDADO EN BD ═══');
+      const onPage = async (pageResults, { pageNumber, totalPages, partition, totalPartitions }) => {
+        // ✅ LOGGING: Mostrar procesos extraídos
+        logger.info(`═══ PROCESOS EXTRAÍDOS - PÁGINA ${pageNumber} ═══`);
+        pageResults.forEach((proceso, index) => {
+          logger.info(`Proceso ${index + 1}/${pageResults.length}:`, {
+            id_proceso: proceso.id_proceso,
+            nombre_entidad: proceso.nombre_entidad,
+            fecha_publicacion: proceso.fecha_publicacion,
+            monto_referencial: proceso.monto_referencial,
+            estado_proceso: proceso.estado_proceso,
+            objeto_contratacion: proceso.objeto_contratacion?.substring(0, 50) || 'N/A'
+          });
         });
-      });
 
-      // ✅ EXPORTAR DATOS ANTES DE GUARDAR EN BD
+        await this.saveProcesos(operationId, pageResults, state);
+        state.extractedCount += pageResults.length;
+
+        if (partition) {
+          // En búsquedas particionadas el checkpoint son las particiones completadas
+          await this.saveCheckpoint(operationId, state, searchParams);
+          await this.updateProgress(
+            operationId,
+            state.completedPartitions.size,
+            totalPartitions,
+            `Partición ${this.describePartition(partition)}: página ${pageNumber}/${totalPages} guardada (${state.savedCount} nuevos, ${state.updateCount} actualizados)`
+          );
+        } else {
+          state.lastPage = pageNumber;
+          state.totalPages = totalPages;
+          await this.saveCheckpoint(operationId, state, searchParams);
+          await this.updateProgress(
+            operationId,
+            pageNumber,
+            totalPages,
+            `Página ${pageNumber}/${totalPages} guardada: ${state.savedCount} nuevos, ${state.updateCount} actualizados`
+          );
+        }
+        logger.info(`📊 Checkpoint página ${pageNumber} - Insertados: ${state.savedCount}, Actualizados: ${state.updateCount}, Errores: ${state.errorCount}`);
+      };
+
+      // Varios años, objetos o ventanas de fechas se reparten en el pool de navegadores;
+      // si no, es una sola búsqueda paginada
+      const results = particionada
+        ? await this.runPartitionedSearch(operationId, searchParams, state, onPage)
+        : await this.runSingleSearch(searchParams, state, onPage);
+
+      logger.info(`Scraping completado: ${results.length} procesos extraídos en esta ejecución`);
+
+      // ✅ EXPORTAR DATOS EXTRAÍDOS
       if (results.length > 0) {
         // Exportar a TXT (legible)
         const txtExport = await exportService.exportProcessesToTxt(results, operationId);
@@ -289,123 +512,18 @@ class ETLService {
         }
       }
 
-      // ✅ GUARDAR PROCESOS EN LA BASE DE DATOS CON LOGGING MEJORADO
-      // NUEVA LÓGICA: Si maxProcesses está definido, solo contar inserciones nuevas hacia el límite
-      logger.info('═══ INICIANDO GUARDADO EN BD ═══');
-      let savedCount = 0;
-      let updateCount = 0;
-      let errorCount = 0;
-      const errorDetails = [];
-      const insertedProcesses = [];
-      const updatedProcesses = [];
-      const maxNewProcesses = params.maxProcesses || null;
-      let newProcessesInserted = 0;
-
-      for (let idx = 0; idx < results.length; idx++) {
-        const procesoData = results[idx];
-        
-        // Actualizar progreso cada 5 procesos
-        // Sistema 2 pasos: paso 1 (scraping) = 0-50%, paso 2 (guardado) = 50-100%
-        if (idx % 5 === 0) {
-          const subProgress = idx / results.length; // 0.0 a 1.0
-          const pasoActual = 1 + subProgress; // 1.0 a 2.0
-          await this.updateProgress(
-            operationId, 
-            pasoActual, 
-            2, 
-            `Guardando procesos: ${idx}/${results.length}`
-          );
-          // Actualizar contadores en BD
-          await ETLLog.update({
-            inserted_count: savedCount,
-            updated_count: updateCount,
-            error_count: errorCount
-          }, { where: { operation_id: operationId } });
-          logger.info(`📊 Progreso guardado: ${Math.round(subProgress * 100)}% - Insertados: ${savedCount}, Actualizados: ${updateCount}, Errores: ${errorCount}`);
-        }
-        
-        try {
-          // Si hay límite de maxProcesses y ya alcanzamos el número de NUEVOS, solo actualizar existentes
-          if (maxNewProcesses && newProcessesInserted >= maxNewProcesses) {
-            // Verificar si existe
-            const existingProceso = await Proceso.findOne({
-              where: { id_proceso: procesoData.id_proceso }
-            });
-            
-            if (existingProceso) {
-              // Solo actualizar procesos existentes, no crear nuevos
-              const procesoMapeado = this.mapScrapeDataToProcesoSchema(procesoData);
-              await existingProceso.update(procesoMapeado);
-              updateCount++;
-              updatedProcesses.push({
-                id_proceso: procesoData.id_proceso,
-                objeto_contratacion: procesoData.objeto_contratacion,
-                nombre_entidad: procesoData.nombre_entidad,
-                monto_referencial: procesoData.monto_referencial,
-                departamento: procesoData.departamento,
-                estado_proceso: procesoData.estado_proceso
-              });
-              logger.debug(`🔄 Proceso ACTUALIZADO (límite de nuevos alcanzado): ${procesoData.id_proceso}`);
-            } else {
-              // No existe y ya alcanzamos límite de nuevos: OMITIR
-              logger.debug(`⏭️  Proceso OMITIDO (límite alcanzado, no existe en BD): ${procesoData.id_proceso}`);
-            }
-            continue;
-          }
-
-          // MAPEO EXPLÍCITO: Solo campos válidos de la tabla procesos
-          const procesoMapeado = this.mapScrapeDataToProcesoSchema(procesoData);
-
-          // Validar que id_proceso existe
-          if (!procesoMapeado.id_proceso) {
-            throw new Error('id_proceso es requerido');
-          }
-
-          // findOrCreate: Si existe actualiza, si no crea
-          const [proceso, created] = await Proceso.findOrCreate({
-            where: { id_proceso: procesoMapeado.id_proceso },
-            defaults: procesoMapeado
-          });
-
-          if (created) {
-            savedCount++;
-            newProcessesInserted++;
-            insertedProcesses.push({
-              id_proceso: procesoData.id_proceso,
-              objeto_contratacion: procesoData.objeto_contratacion,
-              nombre_entidad: procesoData.nombre_entidad,
-              monto_referencial: procesoData.monto_referencial,
-              departamento: procesoData.departamento,
-              estado_proceso: procesoData.estado_proceso
-            });
-            logger.debug(`✅ Proceso INSERTADO: ${procesoMapeado.id_proceso} (${newProcessesInserted}/${maxNewProcesses || 'sin límite'})`);
-          } else {
-            // Si ya existe, actualizar si hay cambios
-            await proceso.update(procesoMapeado);
-            updateCount++;
-            updatedProcesses.push({
-              id_proceso: procesoData.id_proceso,
-              objeto_contratacion: procesoData.objeto_contratacion,
-              nombre_entidad: procesoData.nombre_entidad,
-              monto_referencial: procesoData.monto_referencial,
-              departamento: procesoData.departamento,
-              estado_proceso: procesoData.estado_proceso
-            });
-            logger.debug(`🔄 Proceso ACTUALIZADO: ${procesoMapeado.id_proceso}`);
-          }
-        } catch (err) {
-          errorCount++;
-          errorDetails.push({
-            id_proceso: procesoData.id_proceso,
-            error: err.message
-          });
-          logger.error(`❌ Error guardando proceso ${procesoData.id_proceso}: ${err.message}`);
-        }
+      // ✅ DESCARGA Y EXTRACCIÓN DE TEXTO DE ANEXOS (solo procesos con documentos en su ficha)
+      let anexosResult = null;
+      if (state.procesosConAnexos.size > 0) {
+        anexosResult = await this.processScrapedAnexos(operationId, [...state.procesosConAnexos]);
       }
 
+      const { savedCount, updateCount, errorCount, errorDetails } = state;
+      const totalProcesado = state.processedIds.size + errorCount;
+
       // ✅ RESUMEN DE GUARDADO
       logger.info('═══ RESUMEN DE GUARDADO EN BD ═══');
-      logger.info(`Total procesado: ${results.length}`);
+      logger.info(`Total procesado: ${totalProcesado}`);
       logger.info(`Nuevos (INSERT): ${savedCount}`);
       logger.info(`Actualizados (UPDATE): ${updateCount}`);
       logger.info(`Errores: ${errorCount}`);
@@ -414,54 +532,130 @@ class ETLService {
         logger.warn('Detalles de errores:', errorDetails);
       }
 
+      // Las particiones con error dejan la operación incompleta para poder reanudarla
+      const particionesFallidas = state.failedPartitions.length;
+      if (particionesFallidas > 0) {
+        logger.warn(`Particiones de búsqueda con error: ${particionesFallidas}`, state.failedPartitions);
+      }
+      const resumen = `${savedCount} NUEVOS, ${updateCount} actualizados, ${errorCount} errores (Total procesado: ${totalProcesado})`;
+
       // Actualizar log de ETL con contadores separados y detalles
       const duration = Date.now() - startTime;
       await ETLLog.update(
         {
-          status: 'completed',
-          message: `Scraping completado: ${savedCount} NUEVOS, ${updateCount} actualizados, ${errorCount} errores (Total procesado: ${results.length})`,
+          status: particionesFallidas > 0 ? 'failed' : 'completed',
+          message: particionesFallidas > 0
+            ? `Scraping incompleto: ${particionesFallidas} particiones con error. ${resumen}`
+            : `Scraping completado: ${resumen}`,
           process_count: savedCount + updateCount,
           inserted_count: savedCount,
           updated_count: updateCount,
           error_count: errorCount,
           duration_ms: duration,
-          details: {
-            inserted_processes: insertedProcesses,
-            updated_processes: updatedProcesses,
-            error_processes: errorDetails.map(err => ({
-              id_proceso: err.id_proceso,
-              error_message: err.error
-            }))
-          }
+          details: this.buildScrapingDetails(state, anexosResult),
+          quality_report: dataQualityService.buildReport(state.calidad)
         },
         {
           where: { operation_id: operationId }
         }
       );
 
-      logger.info(`✅ Operación ${operationId} completada exitosamente en ${duration}ms`);
+      logger.info(`✅ Operación ${operationId} completada en ${duration}ms`);
+      await this.queueEmbeddingsAfterEtl(operationId, state);
       
       // Actualizar progreso final: 100%
-      await this.updateProgress(operationId, results.length, results.length, '✅ Scraping completado');
+      await this.updateProgress(
+        operationId,
+        1,
+        1,
+        particionesFallidas > 0 ? `⚠️ Scraping incompleto: ${particionesFallidas} particiones con error` : '✅ Scraping completado'
+      );
 
     } catch (error) {
-      logger.error(`Error durante scraping: ${error.message}`);
+      if (error.code === 'CANCELLED') {
+        logger.info(`Scraping ${operationId} cancelado`);
+      } else {
+        logger.error(`Error durante scraping: ${error.message}`);
+      }
       
-      // Actualizar log con error
+      // Actualizar log con error. Los contadores y el checkpoint de la última
+      // página completada se conservan para poder reanudar la operación.
       const duration = Date.now() - startTime;
-      await ETLLog.update(
-        {
-          status: 'failed',
-          message: `Error en scraping: ${error.message}`,
-          error_count: 1,
-          duration_ms: duration,
-          porcentaje: 100,
-          mensaje_actual: `❌ Error: ${error.message}`
-        },
-        {
-          where: { operation_id: operationId }
-        }
-      );
+      const fallo = {
+        status: 'failed',
+        message: `Error en scraping: ${error.message}`,
+        duration_ms: duration,
+        mensaje_actual: `❌ Error: ${error.message}`
+      };
+
+      // Reintentos y pausas hasta el fallo (el último checkpoint puede no incluirlos)
+      const etlLog = await ETLLog.findOne({ where: { operation_id: operationId } });
+      fallo.details = { ...(etlLog?.details || {}) };
+      if (state) {
+        fallo.details.reintentos = state.retryPolicy.getStats();
+        fallo.quality_report = dataQualityService.buildReport(state.calidad);
+      }
+
+      // El portal cambió su HTML: se guarda el diagnóstico del canario para revisar los selectores
+      if (error.code === 'DOM_DRIFT') {
+        fallo.message = `DOM cambiado, scraping detenido: ${error.message}`;
+        fallo.mensaje_actual = '❌ DOM de SEACE cambiado: revisar selectores';
+        fallo.details.dom_drift = error.diagnosis;
+      }
+
+      // El circuit breaker agotó sus pausas: el checkpoint permite reanudar cuando el portal se recupere
+      if (error.code === 'CIRCUIT_OPEN') {
+        fallo.message = `Circuit breaker abierto, scraping detenido: ${error.message}`;
+        fallo.mensaje_actual = '❌ Demasiados fallos seguidos en SEACE: reanude la operación más tarde';
+      }
+
+      // Cancelada desde la API: el checkpoint permite reanudarla
+      if (error.code === 'CANCELLED') {
+        fallo.status = 'cancelled';
+        fallo.message = 'Scraping cancelado por el usuario';
+        fallo.mensaje_actual = '⏹️ Operación cancelada: puede reanudarla desde el último checkpoint';
+      }
+
+      await ETLLog.update(fallo, {
+        where: { operation_id: operationId }
+      });
+    }
+  }
+
+  /**
+   * Handler de la cola para los trabajos de scraping. Un trabajo reanudado (desde la API o
+   * reencolado tras una interrupción) continúa desde el checkpoint del ETLLog.
+   */
+  async runScrapingJob(job) {
+    const etlLog = await ETLLog.findOne({ where: { operation_id: job.operation_id } });
+
+    if (job.payload?.resume && etlLog) {
+      // La duración acumula el tiempo de las ejecuciones anteriores
+      const startTime = Date.now() - (etlLog.duration_ms || 0);
+      return this.performScraping(job.operation_id, etlLog.search_params || {}, startTime, etlLog);
+    }
+
+    return this.performScraping(job.operation_id, job.payload?.params || {}, Date.now());
+  }
+
+  /**
+   * Búsqueda simple: un scraper recorre todas las páginas desde el checkpoint
+   */
+  async runSingleSearch(searchParams, state, onPage) {
+    const SeaceScraper = require('../scraper/SeaceScraper');
+    const scraper = new SeaceScraper({ retryPolicy: state.retryPolicy });
+
+    try {
+      // Inicializar scraper
+      await scraper.initialize();
+      logger.info('Scraper inicializado para búsqueda simple');
+
+      return await scraper.searchProcesses({
+        ...searchParams,
+        startPage: state.lastPage + 1,
+        alreadyExtracted: state.extractedCount,
+        onPage
+      });
     } finally {
       // Cerrar scraper
       try {
@@ -472,101 +666,1291 @@ class ETLService {
     }
   }
 
-  async getETLLogs(filters = {}) {
+  /**
+   * Búsqueda particionada: cada partición (año × objeto × ventana de fechas) se
+   * consulta en el pool de navegadores y los resultados se combinan sin duplicados
+   */
+  async runPartitionedSearch(operationId, searchParams, state, onPage) {
+    const BrowserPool = require('../scraper/BrowserPool');
+    const { anios, objetosContratacion, dateWindow, concurrency, ...baseParams } = searchParams;
+
+    const partitions = this.buildSearchPartitions(searchParams);
+    const pendientes = partitions.filter(partition => !state.completedPartitions.has(partition.key));
+    const extractionLimit = searchParams.maxProcesses ? Math.ceil(searchParams.maxProcesses * 2.5) : null;
+    const merged = new Map();
+
+    logger.info(`🗂️  Búsqueda particionada en ${partitions.length} particiones (${pendientes.length} pendientes)`);
+
+    const pool = new BrowserPool({ concurrency, scraperOptions: { retryPolicy: state.retryPolicy } });
     try {
-      const { page = 1, size = 50, operation_type, status, operation_id } = filters;
-      const whereClause = {};
+      await pool.run(pendientes, async (scraper, partition) => {
+        const results = await scraper.searchProcesses({
+          ...baseParams,
+          anio: partition.anio,
+          objetoContratacion: partition.objetoContratacion,
+          fechaDesde: partition.fechaDesde,
+          fechaHasta: partition.fechaHasta,
+          alreadyExtracted: state.extractedCount,
+          onPage: (pageResults, info) => onPage(pageResults, { ...info, partition, totalPartitions: partitions.length })
+        });
 
-      if (operation_type) whereClause.operation_type = operation_type;
-      if (status) whereClause.status = status;
-      if (operation_id) whereClause.operation_id = operation_id;
+        results.forEach(proceso => {
+          const existente = merged.get(proceso.id_proceso);
+          // Ante duplicados se conserva la versión con datos de ficha
+          if (!existente || (!existente.detalle_extraido && proceso.detalle_extraido)) {
+            merged.set(proceso.id_proceso, proceso);
+          }
+        });
 
-      const offset = (page - 1) * size;
-      const { count, rows } = await ETLLog.findAndCountAll({
-        where: whereClause,
-        offset,
-        limit: size,
-        order: [['created_at', 'DESC']]
+        return results.length;
+      }, {
+        shouldContinue: () => extractionLimit === null || state.extractedCount < extractionLimit,
+        onTaskDone: async (partition, { result, error, attempts }) => {
+          if (error) {
+            // Una partición fallida no detiene las demás; queda pendiente para reanudar
+            state.failedPartitions.push({
+              anio: partition.anio,
+              objeto_contratacion: partition.objetoContratacion,
+              fecha_desde: partition.fechaDesde,
+              fecha_hasta: partition.fechaHasta,
+              intentos: attempts,
+              error_message: error
+            });
+          } else {
+            state.completedPartitions.add(partition.key);
+          }
+
+          await this.saveCheckpoint(operationId, state, searchParams);
+
+          const completadas = state.completedPartitions.size;
+          await this.updateProgress(
+            operationId,
+            completadas,
+            partitions.length,
+            error
+              ? `❌ Partición ${this.describePartition(partition)} con error: ${error}`
+              : `Partición ${completadas}/${partitions.length} (${this.describePartition(partition)}): ${result} procesos`
+          );
+        }
       });
+    } finally {
+      await pool.close();
+    }
 
-      return {
-        items: rows,
-        total: count,
-        page: parseInt(page),
-        size: parseInt(size),
-        pages: Math.ceil(count / size)
-      };
-    } catch (error) {
-      logger.error(`Error en getETLLogs: ${error.message}`);
-      throw error;
+    if (pendientes.length > 0 && state.failedPartitions.length === pendientes.length) {
+      throw new Error(`Fallaron todas las particiones de búsqueda (${pendientes.length})`);
     }
+
+    logger.info(`=== PARTICIONES COMPLETADAS: ${state.completedPartitions.size}/${partitions.length}, ${merged.size} procesos únicos ===`);
+    return [...merged.values()];
   }
 
-  async getETLStats() {
-    try {
-      const totalOperations = await ETLLog.count();
-      const completedOperations = await ETLLog.count({ where: { status: 'completed' } });
-      const failedOperations = await ETLLog.count({ where: { status: 'failed' } });
-      const runningOperations = await ETLLog.count({ where: { status: 'running' } });
+  /**
+   * Indica si la búsqueda se divide en particiones (varios años, objetos o ventanas de fechas)
+   */
+  isPartitionedSearch(searchParams) {
+    return !!searchParams.dateWindow
+      || (searchParams.anios || []).length > 1
+      || (searchParams.objetosContratacion || []).length > 1;
+  }
 
-      const avgDuration = await ETLLog.average('duration_ms', {
-        where: { status: 'completed' }
-      });
+  /**
+   * Particiones de una búsqueda: año × objeto de contratación × ventana de fechas
+   */
+  buildSearchPartitions(searchParams) {
+    const SeaceScraper = require('../scraper/SeaceScraper');
+    const anios = searchParams.anios || [searchParams.anio];
+    const objetos = searchParams.objetosContratacion || [searchParams.objetoContratacion || null];
+    const partitions = [];
 
-      return {
-        total_operations: totalOperations,
-        completed: completedOperations,
-        failed: failedOperations,
-        running: runningOperations,
-        avg_duration_ms: Math.round(avgDuration || 0)
-      };
-    } catch (error) {
-      logger.error(`Error en getETLStats: ${error.message}`);
-      throw error;
-    }
-  }
+    anios.forEach(anio => {
+      // El rango explícito solo aplica cuando se busca un único año
+      const fechaDesde = anios.length === 1 && searchParams.fechaDesde ? searchParams.fechaDesde : `${anio}-01-01`;
+      const fechaHasta = anios.length === 1 && searchParams.fechaHasta ? searchParams.fechaHasta : `${anio}-12-31`;
+      const windows = searchParams.dateWindow
+        ? SeaceScraper.buildDateWindows(fechaDesde, fechaHasta, searchParams.dateWindow)
+        : [{ fechaDesde, fechaHasta }];
 
-  async syncProcesses(params) {
-    try {
-      const operationId = require('uuid').v4();
-      
-      const etlLog = await ETLLog.create({
-        operation_type: 'sync',
-        operation_id: operationId,
-        status: 'running',
-        message: 'Sincronizando procesos'
+      objetos.forEach(objetoContratacion => {
+        windows.forEach(window => {
+          partitions.push({
+            key: [anio, objetoContratacion || 'todos', window.fechaDesde, window.fechaHasta].join('|'),
+            anio,
+            objetoContratacion,
+            fechaDesde: window.fechaDesde,
+            fechaHasta: window.fechaHasta
+          });
+        });
       });
+    });
 
-      logger.info(`Sincronización iniciada: ${operationId}`);
-
-      return {
-        operation_id: operationId,
-        status: 'started',
-        message: 'Sincronización iniciada'
-      };
-    } catch (error) {
-      logger.error(`Error en syncProcesses: ${error.message}`);
-      throw error;
-    }
+    return partitions;
   }
 
-  async generateEmbeddings(procesoId = null) {
-    try {
-      const operationId = require('uuid').v4();
-      
-      const etlLog = await ETLLog.create({
-        operation_type: 'embedding',
-        operation_id: operationId,
-        status: 'running',
-        message: procesoId ? `Generando embedding para proceso ${procesoId}` : 'Generando embeddings para todos los procesos'
-      });
+  describePartition(partition) {
+    const objeto = partition.objetoContratacion ? ` ${partition.objetoContratacion}` : '';
+    return `${partition.anio}${objeto} ${partition.fechaDesde} a ${partition.fechaHasta}`;
+  }
 
-      logger.info(`Generación de embeddings iniciada: ${operationId}`);
+  /**
+   * Guardar en BD los procesos de una página del scraping.
+   * Los procesos ya guardados antes de reanudar la operación se omiten.
+   */
+  async saveProcesos(operationId, procesos, state) {
+    for (const procesoData of procesos) {
+      if (state.processedIds.has(procesoData.id_proceso)) {
+        logger.debug(`⏭️  Proceso OMITIDO (ya guardado antes de reanudar): ${procesoData.id_proceso}`);
+        continue;
+      }
+      dataQualityService.addProceso(state.calidad, procesoData);
 
-      return {
-        operation_id: operationId,
-        status: 'started',
-        message: 'Generación de embeddings iniciada'
+      const resumen = {
+        id_proceso: procesoData.id_proceso,
+        objeto_contratacion: procesoData.objeto_contratacion,
+        nombre_entidad: procesoData.nombre_entidad,
+        monto_referencial: procesoData.monto_referencial,
+        departamento: procesoData.departamento,
+        estado_proceso: procesoData.estado_proceso
+      };
+
+      try {
+        // Si hay límite de maxProcesses y ya alcanzamos el número de NUEVOS, solo actualizar existentes
+        if (state.maxNewProcesses && state.newProcessesInserted >= state.maxNewProcesses) {
+          // Verificar si existe
+          const existingProceso = await Proceso.findOne({
+            where: { id_proceso: procesoData.id_proceso }
+          });
+          
+          if (existingProceso) {
+            // Solo actualizar procesos existentes, no crear nuevos
+            const procesoMapeado = this.mapScrapeDataToProcesoSchema(procesoData);
+            const cambios = await this.updateProcesoWithHistory(existingProceso, procesoMapeado, operationId);
+            await this.registerScrapedDocuments(existingProceso, procesoData, state.procesosConAnexos);
+            await this.saveScrapedEtapas(existingProceso, procesoData);
+            await this.saveScrapedAdjudicaciones(existingProceso, procesoData);
+            await this.linkEntidad(existingProceso, procesoData);
+            await this.saveMontoPen(existingProceso);
+            await this.linkLinaje(existingProceso);
+            state.updateCount++;
+            state.updatedProcesses.push({ ...resumen, campos_modificados: cambios.map(c => c.campo) });
+            this.publishProceso(operationId, 'duplicate', resumen, state);
+            logger.debug(`🔄 Proceso ACTUALIZADO (límite de nuevos alcanzado): ${procesoData.id_proceso}`);
+          } else {
+            // No existe y ya alcanzamos límite de nuevos: OMITIR
+            logger.debug(`⏭️  Proceso OMITIDO (límite alcanzado, no existe en BD): ${procesoData.id_proceso}`);
+          }
+          state.processedIds.add(procesoData.id_proceso);
+          continue;
+        }
+
+        // MAPEO EXPLÍCITO: Solo campos válidos de la tabla procesos
+        const procesoMapeado = this.mapScrapeDataToProcesoSchema(procesoData);
+
+        // Validar que id_proceso existe
+        if (!procesoMapeado.id_proceso) {
+          throw new Error('id_proceso es requerido');
+        }
+
+        // findOrCreate: Si existe actualiza, si no crea
+        const [proceso, created] = await Proceso.findOrCreate({
+          where: { id_proceso: procesoMapeado.id_proceso },
+          defaults: procesoMapeado
+        });
+
+        await this.registerScrapedDocuments(proceso, procesoData, state.procesosConAnexos);
+        await this.saveScrapedEtapas(proceso, procesoData);
+        await this.saveScrapedAdjudicaciones(proceso, procesoData);
+
+        if (created) {
+          await this.recordCreatedProceso(operationId, proceso);
+          state.savedCount++;
+          state.newProcessesInserted++;
+          state.insertedProcesses.push(resumen);
+          this.publishProceso(operationId, 'saved', resumen, state);
+          logger.debug(`✅ Proceso INSERTADO: ${procesoMapeado.id_proceso} (${state.newProcessesInserted}/${state.maxNewProcesses || 'sin límite'})`);
+        } else {
+          // Si ya existe, actualizar si hay cambios
+          const cambios = await this.updateProcesoWithHistory(proceso, procesoMapeado, operationId);
+          state.updateCount++;
+          state.updatedProcesses.push({ ...resumen, campos_modificados: cambios.map(c => c.campo) });
+          this.publishProceso(operationId, 'duplicate', resumen, state);
+          logger.debug(`🔄 Proceso ACTUALIZADO: ${procesoMapeado.id_proceso}`);
+        }
+        await this.linkEntidad(proceso, procesoData);
+        await this.saveMontoPen(proceso);
+        await this.linkLinaje(proceso);
+        state.processedIds.add(procesoData.id_proceso);
+      } catch (err) {
+        await this.recordFailedRow(operationId, 'scraping', procesoData, err, state);
+        logger.error(`❌ Error guardando proceso ${procesoData.id_proceso}: ${err.message}`);
+      }
+    }
+  }
+
+  /**
+   * Contar una fila que no se pudo guardar y dejarla en etl_dead_letters con sus datos
+   * originales. Al reintentar una fila fallida no se crea otra: el reintento actualiza la existente.
+   */
+  async recordFailedRow(operationId, operationType, payload, err, state) {
+    const deadLetterService = require('./deadLetterService');
+    const idProceso = deadLetterService.getIdProceso(payload);
+
+    state.errorCount++;
+    state.errorDetails.push({ id_proceso: idProceso, error: err.message });
+    if (!state.isDeadLetterRetry) {
+      this.publishProceso(operationId, 'error', { id_proceso: idProceso }, state, err.message);
+      await deadLetterService.record(operationId, operationType, payload, err);
+    }
+  }
+
+  /**
+   * Publicar en el canal en vivo el resultado de un proceso: saved (nuevo), duplicate (ya
+   * existía y se actualizó) o error, junto con los contadores acumulados de la operación
+   */
+  publishProceso(operationId, resultado, resumen, state, error = null) {
+    etlEventsService.publish('proceso', {
+      operation_id: operationId,
+      resultado,
+      proceso: resumen,
+      error,
+      inserted_count: state.savedCount,
+      updated_count: state.updateCount,
+      error_count: state.errorCount
+    });
+  }
+
+  /**
+   * Actualizar un proceso existente registrando en su historial los campos que cambian
+   * @returns {Array} Cambios registrados
+   */
+  async updateProcesoWithHistory(proceso, procesoMapeado, operationId) {
+    const revisionesService = require('./revisionesService');
+    const datos = this.omitEmptyFichaFields(procesoMapeado);
+
+    // El diff se calcula antes del update, que sobrescribe los valores de la instancia
+    const cambios = revisionesService.diffProceso(proceso, datos);
+    await proceso.update(datos);
+    await revisionesService.recordChanges(proceso.id, operationId, cambios);
+    await revisionesService.recordOperationResult(operationId, proceso, cambios.length > 0 ? 'updated' : 'unchanged', cambios);
+
+    return cambios;
+  }
+
+  /**
+   * Registrar un proceso recién creado en el diff de la operación
+   */
+  async recordCreatedProceso(operationId, proceso) {
+    const revisionesService = require('./revisionesService');
+    await revisionesService.recordOperationResult(operationId, proceso, 'created');
+  }
+
+  /**
+   * Reanudar una operación de scraping interrumpida desde su último checkpoint
+   */
+  async resumeScraping(operationId) {
+    try {
+      const etlLog = await ETLLog.findOne({
+        where: { operation_id: operationId }
+      });
+
+      if (!etlLog) throw new Error('Operación no encontrada');
+
+      if (!['scraping', 'sync'].includes(etlLog.operation_type)) {
+        throw this.conflictError('Solo se pueden reanudar operaciones de scraping o sincronización');
+      }
+      if (etlLog.status === 'completed') {
+        throw this.conflictError('La operación ya fue completada');
+      }
+      if (await jobQueueService.isActive(operationId)) {
+        throw this.conflictError('La operación está en la cola o ejecutándose actualmente');
+      }
+      if (!etlLog.checkpoint) {
+        throw this.conflictError('La operación no tiene un checkpoint desde el cual reanudar');
+      }
+
+      const nextPage = (etlLog.checkpoint.last_page || 0) + 1;
+      const particionesCompletadas = (etlLog.checkpoint.completed_partitions || []).length;
+      const esSync = etlLog.operation_type === 'sync';
+      const punto = esSync || this.isPartitionedSearch(etlLog.checkpoint.search_params || {})
+        ? `tras ${particionesCompletadas} particiones completadas`
+        : `desde la página ${nextPage}`;
+      const nombre = esSync ? 'sincronización' : 'scraping';
+
+      await etlLog.update({
+        status: 'queued',
+        message: `Reanudando ${nombre} ${punto}`,
+        mensaje_actual: `⏳ En cola para reanudar ${punto}...`,
+        updated_at: new Date()
+      });
+
+      await jobQueueService.enqueue(etlLog.operation_type, operationId, { resume: true }, {
+        priority: etlLog.search_params?.priority,
+        maxAttempts: config.queue.maxAttempts
+      });
+
+      logger.info(`Operación ${nombre} reanudada: ${operationId} ${punto}`);
+
+      return {
+        operation_id: operationId,
+        status: 'resumed',
+        resume_from_page: nextPage,
+        completed_partitions: particionesCompletadas,
+        message: `Proceso de ${nombre} reanudado ${punto}.`
+      };
+    } catch (error) {
+      logger.error(`Error en resumeScraping: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Error de estado inválido para la operación (HTTP 409)
+   */
+  conflictError(message) {
+    const error = new Error(message);
+    error.statusCode = 409;
+    return error;
+  }
+
+  /**
+   * Error con el que se detiene una operación cancelada
+   */
+  cancelledError(procesados, total) {
+    const error = new Error(`cancelada por el usuario tras ${procesados} de ${total}`);
+    error.code = 'CANCELLED';
+    return error;
+  }
+
+  /**
+   * Cancelar una operación en cola o en ejecución
+   */
+  async cancelOperation(operationId) {
+    try {
+      const result = await jobQueueService.cancel(operationId);
+      if (!result) throw new Error('Operación no encontrada');
+
+      return {
+        ...result,
+        message: result.status === 'cancelled'
+          ? 'Operación cancelada'
+          : 'Cancelación solicitada: la operación se detendrá en su siguiente paso'
+      };
+    } catch (error) {
+      logger.error(`Error en cancelOperation: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Registrar los documentos que el scraper encontró en la ficha del proceso
+   */
+  async registerScrapedDocuments(proceso, procesoData, procesosConAnexos) {
+    if (!Array.isArray(procesoData.documentos) || procesoData.documentos.length === 0) {
+      return;
+    }
+
+    try {
+      const anexosService = require('./anexosService');
+      await anexosService.registerDocuments(proceso.id, procesoData.documentos);
+      procesosConAnexos.add(proceso.id);
+    } catch (err) {
+      // Un error en los anexos no invalida el guardado del proceso
+      logger.warn(`No se pudieron registrar anexos de ${procesoData.id_proceso}: ${err.message}`);
+    }
+  }
+
+  /**
+   * Guardar el cronograma que el scraper encontró en la ficha del proceso
+   */
+  async saveScrapedEtapas(proceso, procesoData) {
+    if (!Array.isArray(procesoData.cronograma) || procesoData.cronograma.length === 0) {
+      return;
+    }
+
+    try {
+      const etapasService = require('./etapasService');
+      await etapasService.saveCronograma(proceso.id, procesoData.cronograma);
+    } catch (err) {
+      // Un error en el cronograma no invalida el guardado del proceso
+      logger.warn(`No se pudo guardar el cronograma de ${procesoData.id_proceso}: ${err.message}`);
+    }
+  }
+
+  /**
+   * Guardar el resultado de la buena pro que el scraper encontró en la ficha del proceso
+   */
+  async saveScrapedAdjudicaciones(proceso, procesoData) {
+    if (!Array.isArray(procesoData.adjudicaciones) || procesoData.adjudicaciones.length === 0) {
+      return;
+    }
+
+    try {
+      const adjudicacionesService = require('./adjudicacionesService');
+      await adjudicacionesService.saveAdjudicaciones(proceso.id, procesoData.adjudicaciones);
+    } catch (err) {
+      // Un error en la buena pro no invalida el guardado del proceso
+      logger.warn(`No se pudo guardar la buena pro de ${procesoData.id_proceso}: ${err.message}`);
+    }
+  }
+
+  /**
+   * Vincular el proceso con su entidad del catálogo (por RUC o por alias del nombre)
+   */
+  async linkEntidad(proceso, procesoData) {
+    try {
+      const entidadesService = require('./entidadesService');
+      const entidad = await entidadesService.resolveEntidad({
+        nombre: procesoData.nombre_entidad || procesoData.entidad_nombre,
+        ruc: procesoData.entidad_ruc
+      });
+
+      if (!entidad) return;
+
+      const cambios = {};
+      if (proceso.entidad_id !== entidad.id) cambios.entidad_id = entidad.id;
+
+      // Sin ubicación propia, el proceso toma la jurisdicción conocida de la entidad
+      if (!proceso.ubigeo_departamento && entidad.ubigeo) {
+        const ubigeoService = require('./ubigeoService');
+        Object.assign(cambios, ubigeoService.fromCodigo(entidad.ubigeo));
+      }
+
+      if (Object.keys(cambios).length > 0) {
+        await proceso.update(cambios);
+      }
+    } catch (err) {
+      // Un error al resolver la entidad no invalida el guardado del proceso
+      logger.warn(`No se pudo resolver la entidad de ${procesoData.id_proceso}: ${err.message}`);
+    }
+  }
+
+  /**
+   * Guardar el monto referencial convertido a soles (monto_pen)
+   */
+  async saveMontoPen(proceso) {
+    try {
+      const tiposCambioService = require('./tiposCambioService');
+      await tiposCambioService.updateMontoPen(proceso);
+    } catch (err) {
+      // Sin monto_pen el proceso queda fuera de los totales hasta el próximo recálculo
+      logger.warn(`No se pudo calcular monto_pen de ${proceso.id_proceso}: ${err.message}`);
+    }
+  }
+
+  /**
+   * Vincular el proceso con su cadena de reinicios (reiniciado_desde)
+   */
+  async linkLinaje(proceso) {
+    try {
+      const linajeService = require('./linajeService');
+      await linajeService.linkProceso(proceso);
+    } catch (err) {
+      // El vínculo se puede completar después con linaje:backfill
+      logger.warn(`No se pudo resolver el linaje de ${proceso.id_proceso}: ${err.message}`);
+    }
+  }
+
+  /**
+   * Descargar y extraer el texto de los anexos pendientes de los procesos indicados
+   */
+  async processScrapedAnexos(operationId, procesoIds) {
+    const anexosService = require('./anexosService');
+
+    try {
+      logger.info(`═══ PROCESANDO ANEXOS DE ${procesoIds.length} PROCESOS ═══`);
+      const result = await anexosService.processPendingAnexos({
+        procesoIds,
+        limit: procesoIds.length * 20,
+        onProgress: (actual, total) => this.updateProgress(
+          operationId,
+          2,
+          2,
+          `Descargando anexos: ${actual}/${total}`
+        )
+      });
+
+      return {
+        total: result.total,
+        procesados: result.procesados,
+        sin_texto: result.sin_texto,
+        errores: result.errores,
+        error_details: result.error_details
+      };
+    } catch (err) {
+      logger.error(`Error procesando anexos: ${err.message}`);
+      return { total: 0, procesados: 0, sin_texto: 0, errores: 1, error_details: [{ error_message: err.message }] };
+    }
+  }
+
+  /**
+   * Encolar la descarga y extracción de texto de los anexos pendientes
+   * @param {Object} options
+   * @param {String} options.procesoId - Solo los anexos de este proceso (UUID)
+   * @param {Number} options.limit - Máximo de anexos a procesar
+   */
+  async startAnexosProcessing({ procesoId = null, limit = 20 } = {}) {
+    try {
+      const operationId = require('uuid').v4();
+
+      await ETLLog.create({
+        operation_type: 'anexos',
+        operation_id: operationId,
+        status: 'queued',
+        message: procesoId
+          ? `Procesando anexos pendientes del proceso ${procesoId}`
+          : `Procesando hasta ${limit} anexos pendientes`,
+        search_params: { proceso_id: procesoId, limit },
+        paso_actual: 0,
+        paso_total: 0,
+        porcentaje: 0,
+        mensaje_actual: '⏳ En cola, esperando un worker libre...'
+      });
+
+      await jobQueueService.enqueue('anexos', operationId, { proceso_id: procesoId, limit });
+
+      logger.info(`Procesamiento de anexos encolado: ${operationId}`);
+
+      return {
+        operation_id: operationId,
+        status: 'queued',
+        message: 'Procesamiento de anexos en cola. Puede monitorear el progreso en los logs de ETL.'
+      };
+    } catch (error) {
+      logger.error(`Error en startAnexosProcessing: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Handler de la cola para los trabajos de anexos
+   */
+  async runAnexosJob(job) {
+    return this.performAnexos(job.operation_id, job.payload || {}, Date.now());
+  }
+
+  async performAnexos(operationId, { proceso_id: procesoId = null, limit = 20 }, startTime) {
+    const anexosService = require('./anexosService');
+
+    try {
+      const result = await anexosService.processPendingAnexos({
+        procesoIds: procesoId ? [procesoId] : null,
+        limit,
+        onProgress: (actual, total) => {
+          if (jobQueueService.isCancelled(operationId)) throw this.cancelledError(actual, total);
+          return this.updateProgress(operationId, actual, total, `Descargando anexos: ${actual}/${total}`);
+        }
+      });
+
+      const resumen = `${result.procesados} procesados, ${result.sin_texto} sin texto, ${result.errores} errores`;
+      await ETLLog.update({
+        status: 'completed',
+        message: `Anexos completados: ${resumen}`,
+        process_count: result.procesados,
+        updated_count: result.procesados,
+        error_count: result.errores,
+        duration_ms: Date.now() - startTime,
+        details: result
+      }, {
+        where: { operation_id: operationId }
+      });
+
+      await this.updateProgress(operationId, 1, 1, '✅ Anexos procesados');
+      logger.info(`✅ Anexos ${operationId}: ${resumen}`);
+    } catch (error) {
+      const cancelada = error.code === 'CANCELLED';
+      if (!cancelada) logger.error(`Error durante procesamiento de anexos: ${error.message}`);
+
+      // Los anexos ya procesados se conservan; el resto sigue pendiente para la próxima ejecución
+      await ETLLog.update({
+        status: cancelada ? 'cancelled' : 'failed',
+        message: cancelada ? `Procesamiento de anexos cancelado: ${error.message}` : `Error en procesamiento de anexos: ${error.message}`,
+        duration_ms: Date.now() - startTime,
+        mensaje_actual: cancelada ? '⏹️ Operación cancelada' : `❌ Error: ${error.message}`
+      }, {
+        where: { operation_id: operationId }
+      });
+    }
+  }
+
+  async getETLLogs(filters = {}) {
+    try {
+      const { page = 1, size = 50, operation_type, status, operation_id } = filters;
+      const whereClause = {};
+
+      if (operation_type) whereClause.operation_type = operation_type;
+      if (status) whereClause.status = status;
+      if (operation_id) whereClause.operation_id = operation_id;
+
+      const offset = (page - 1) * size;
+      const { count, rows } = await ETLLog.findAndCountAll({
+        where: whereClause,
+        offset,
+        limit: size,
+        order: [['created_at', 'DESC']]
+      });
+
+      return {
+        items: rows,
+        total: count,
+        page: parseInt(page),
+        size: parseInt(size),
+        pages: Math.ceil(count / size)
+      };
+    } catch (error) {
+      logger.error(`Error en getETLLogs: ${error.message}`);
+      throw error;
+    }
+  }
+
+  async getETLStats() {
+    try {
+      const totalOperations = await ETLLog.count();
+      const completedOperations = await ETLLog.count({ where: { status: 'completed' } });
+      const failedOperations = await ETLLog.count({ where: { status: 'failed' } });
+      const runningOperations = await ETLLog.count({ where: { status: 'running' } });
+      const cancelledOperations = await ETLLog.count({ where: { status: 'cancelled' } });
+      const queue = await jobQueueService.getStats();
+
+      const avgDuration = await ETLLog.average('duration_ms', {
+        where: { status: 'completed' }
+      });
+
+      return {
+        total_operations: totalOperations,
+        completed: completedOperations,
+        failed: failedOperations,
+        running: runningOperations,
+        cancelled: cancelledOperations,
+        queue,
+        avg_duration_ms: Math.round(avgDuration || 0)
+      };
+    } catch (error) {
+      logger.error(`Error en getETLStats: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Importar paquetes OCDS subidos por el administrador o leídos del directorio de importación
+   * @param {Object} options
+   * @param {Object} options.paquete - Release o record package subido
+   * @param {Boolean} options.fromDirectory - Leer los *.json de config.ocds.importDir
+   */
+  async startOcdsImport({ paquete = null, fromDirectory = false }) {
+    try {
+      const ocdsService = require('./ocdsService');
+
+      // Validar el paquete antes de crear la operación para responder el error de inmediato
+      const archivos = fromDirectory
+        ? ocdsService.readDirectory()
+        : [{ file: 'upload', releases: ocdsService.extractReleases(paquete) }];
+
+      const operationId = require('uuid').v4();
+      const totalReleases = archivos.reduce((total, archivo) => total + archivo.releases.length, 0);
+      const source = fromDirectory ? 'directory' : 'upload';
+
+      await ETLLog.create({
+        operation_type: 'ocds_import',
+        operation_id: operationId,
+        status: 'queued',
+        message: `Importando ${totalReleases} releases OCDS de ${archivos.length} archivos`,
+        search_params: { source, files: archivos.map(a => a.file) },
+        paso_actual: 0,
+        paso_total: totalReleases,
+        porcentaje: 0,
+        mensaje_actual: '⏳ En cola, esperando un worker libre...'
+      });
+
+      // Los releases subidos se guardan en el trabajo; el directorio se vuelve a leer al ejecutarlo
+      await jobQueueService.enqueue('ocds_import', operationId, {
+        source,
+        releases: fromDirectory ? null : archivos[0].releases
+      });
+
+      logger.info(`Importación OCDS encolada: ${operationId} (${totalReleases} releases)`);
+
+      return {
+        operation_id: operationId,
+        status: 'queued',
+        total_releases: totalReleases,
+        files: archivos.map(({ file, releases, error }) => ({ file, releases: releases.length, error: error || null })),
+        message: 'Importación OCDS en cola. Puede monitorear el progreso en los logs de ETL.'
+      };
+    } catch (error) {
+      logger.error(`Error en startOcdsImport: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Handler de la cola para los trabajos de importación OCDS
+   */
+  async runOcdsImportJob(job) {
+    const ocdsService = require('./ocdsService');
+    const archivos = job.payload?.source === 'directory'
+      ? ocdsService.readDirectory()
+      : [{ file: 'upload', releases: job.payload?.releases || [] }];
+
+    return this.performOcdsImport(job.operation_id, archivos, Date.now());
+  }
+
+  async performOcdsImport(operationId, archivos, startTime) {
+    const state = this.createScrapingState({}, null);
+    const releases = archivos.flatMap(archivo => archivo.releases);
+
+    try {
+      for (let idx = 0; idx < releases.length; idx++) {
+        if (jobQueueService.isCancelled(operationId)) throw this.cancelledError(idx, releases.length);
+
+        await this.importOcdsRelease(operationId, releases[idx], state);
+
+        if ((idx + 1) % 50 === 0 || idx === releases.length - 1) {
+          await this.updateProgress(
+            operationId,
+            idx + 1,
+            releases.length,
+            `Release ${idx + 1}/${releases.length}: ${state.savedCount} nuevos, ${state.updateCount} actualizados`
+          );
+        }
+      }
+
+      const resumen = `${state.savedCount} NUEVOS, ${state.updateCount} actualizados, ${state.errorCount} errores`;
+      await ETLLog.update({
+        status: 'completed',
+        message: `Importación OCDS completada: ${resumen}`,
+        process_count: state.savedCount + state.updateCount,
+        inserted_count: state.savedCount,
+        updated_count: state.updateCount,
+        error_count: state.errorCount,
+        duration_ms: Date.now() - startTime,
+        details: {
+          ...this.buildScrapingDetails(state),
+          files: archivos.map(({ file, releases: items, error }) => ({ file, releases: items.length, error: error || null }))
+        },
+        quality_report: dataQualityService.buildReport(state.calidad)
+      }, {
+        where: { operation_id: operationId }
+      });
+
+      logger.info(`✅ Importación OCDS ${operationId} completada: ${resumen}`);
+      await this.queueEmbeddingsAfterEtl(operationId, state);
+    } catch (error) {
+      const cancelada = error.code === 'CANCELLED';
+      if (!cancelada) logger.error(`Error durante importación OCDS: ${error.message}`);
+
+      await ETLLog.update({
+        status: cancelada ? 'cancelled' : 'failed',
+        message: cancelada ? `Importación OCDS cancelada: ${error.message}` : `Error en importación OCDS: ${error.message}`,
+        inserted_count: state.savedCount,
+        updated_count: state.updateCount,
+        error_count: state.errorCount,
+        duration_ms: Date.now() - startTime,
+        quality_report: dataQualityService.buildReport(state.calidad),
+        mensaje_actual: cancelada ? '⏹️ Operación cancelada' : `❌ Error: ${error.message}`
+      }, {
+        where: { operation_id: operationId }
+      });
+    }
+  }
+
+  /**
+   * Mapear y guardar un release OCDS. Si falla, el release sin mapear queda como fila fallida.
+   */
+  async importOcdsRelease(operationId, release, state) {
+    const ocdsService = require('./ocdsService');
+
+    try {
+      const procesoData = ocdsService.mapRelease(release);
+      dataQualityService.addProceso(state.calidad, procesoData);
+      await this.saveOcdsRelease(operationId, procesoData, state);
+    } catch (err) {
+      await this.recordFailedRow(operationId, 'ocds_import', release, err, state);
+      logger.error(`❌ Error importando release ${release.ocid}: ${err.message}`);
+    }
+  }
+
+  /**
+   * Guardar un release OCDS ya mapeado. Un proceso existente (también los extraídos por
+   * el scraper, que usan la nomenclatura como id_proceso) se actualiza con historial.
+   */
+  async saveOcdsRelease(operationId, procesoData, state) {
+    const { adjudicaciones, ...release } = procesoData;
+    const datos = release.departamento ? this.normalizeUbicacion(release) : release;
+    const ocid = datos.datos_ocds.ocid;
+
+    const coincidencias = [{ id_proceso: datos.id_proceso }, { id_proceso: ocid }];
+    if (datos.nomenclatura) coincidencias.push({ nomenclatura: datos.nomenclatura });
+
+    let proceso = await Proceso.findOne({ where: { [Op.or]: coincidencias } });
+    const resumen = {
+      id_proceso: proceso ? proceso.id_proceso : datos.id_proceso,
+      objeto_contratacion: datos.objeto_contratacion,
+      nombre_entidad: datos.nombre_entidad,
+      monto_referencial: datos.monto_referencial,
+      departamento: datos.departamento,
+      estado_proceso: datos.estado_proceso
+    };
+
+    if (proceso) {
+      // No se cambia el identificador de un proceso ya registrado
+      delete datos.id_proceso;
+      const cambios = await this.updateProcesoWithHistory(proceso, datos, operationId);
+      state.updateCount++;
+      state.updatedProcesses.push({ ...resumen, campos_modificados: cambios.map(c => c.campo) });
+      this.publishProceso(operationId, 'duplicate', resumen, state);
+    } else {
+      proceso = await Proceso.create(datos);
+      await this.recordCreatedProceso(operationId, proceso);
+      state.savedCount++;
+      state.insertedProcesses.push(resumen);
+      this.publishProceso(operationId, 'saved', resumen, state);
+    }
+
+    await this.saveScrapedAdjudicaciones(proceso, { id_proceso: resumen.id_proceso, adjudicaciones });
+    await this.linkEntidad(proceso, { ...datos, id_proceso: resumen.id_proceso });
+    await this.saveMontoPen(proceso);
+    await this.linkLinaje(proceso);
+    state.processedIds.add(resumen.id_proceso);
+  }
+
+  /**
+   * Sincronizar procesos ya guardados: vuelve a consultar en SEACE los que no se extraen hace
+   * más de staleHours o siguen abiertos, aplica sus cambios (con historial de revisiones) y
+   * cierra los que ya no aparecen en el buscador
+   * @param {Object} params - { staleHours, limit, estados, includeDetails, concurrency, minDelayMs, priority }
+   */
+  async syncProcesses(params = {}) {
+    try {
+      const operationId = require('uuid').v4();
+      
+      await ETLLog.create({
+        operation_type: 'sync',
+        operation_id: operationId,
+        status: 'queued',
+        message: 'Sincronización en cola',
+        search_params: params,
+        paso_actual: 0,
+        paso_total: 0,
+        porcentaje: 0,
+        mensaje_actual: '⏳ En cola, esperando un worker libre...'
+      });
+
+      await jobQueueService.enqueue('sync', operationId, { params }, {
+        priority: params.priority,
+        maxAttempts: config.queue.maxAttempts
+      });
+
+      logger.info(`Sincronización encolada: ${operationId}`, { params });
+
+      return {
+        operation_id: operationId,
+        status: 'queued',
+        message: 'Sincronización en cola. Puede monitorear el progreso en los logs de ETL.'
+      };
+    } catch (error) {
+      logger.error(`Error en syncProcesses: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Handler de la cola para los trabajos de sincronización. Al reanudar se repiten las
+   * búsquedas pendientes guardadas en el checkpoint.
+   */
+  async runSyncJob(job) {
+    const etlLog = await ETLLog.findOne({ where: { operation_id: job.operation_id } });
+
+    if (job.payload?.resume && etlLog?.checkpoint?.partitions) {
+      const startTime = Date.now() - (etlLog.duration_ms || 0);
+      return this.performSync(job.operation_id, etlLog.search_params || {}, startTime, etlLog);
+    }
+
+    return this.performSync(job.operation_id, job.payload?.params || {}, Date.now());
+  }
+
+  /**
+   * Procesos a sincronizar: los no extraídos hace más de staleHours o con estado abierto,
+   * empezando por los más antiguos. Solo se pueden ubicar en el buscador los que tienen
+   * fecha de publicación y cuyo id_proceso es su nomenclatura (extraídos de SEACE).
+   */
+  async selectSyncTargets(params) {
+    const staleHours = parseInt(params.staleHours) || config.sync.staleHours;
+    const limit = parseInt(params.limit) || config.sync.maxProcesses;
+    const estados = Array.isArray(params.estados) && params.estados.length > 0 ? params.estados : ESTADOS_ABIERTOS;
+    const limite = new Date(Date.now() - staleHours * 60 * 60 * 1000);
+
+    return Proceso.findAll({
+      attributes: ['id_proceso', 'fecha_publicacion', 'objeto_contratacion'],
+      where: {
+        [Op.and]: [
+          sequelize.where(sequelize.col('id_proceso'), sequelize.col('nomenclatura')),
+          { fecha_publicacion: { [Op.ne]: null } },
+          { [Op.or]: [{ estado_proceso: null }, { estado_proceso: { [Op.ne]: ESTADO_RETIRADO } }] },
+          {
+            [Op.or]: [
+              { fecha_scraping: null },
+              { fecha_scraping: { [Op.lt]: limite } },
+              { estado_proceso: { [Op.in]: estados } }
+            ]
+          }
+        ]
+      },
+      order: [['fecha_scraping', 'ASC NULLS FIRST']],
+      limit
+    });
+  }
+
+  /**
+   * Agrupar los procesos en búsquedas por día de publicación y objeto de contratación
+   */
+  buildSyncPartitions(procesos) {
+    const partitions = new Map();
+
+    procesos.forEach(proceso => {
+      const publicacion = new Date(proceso.fecha_publicacion);
+      const fecha = [
+        publicacion.getFullYear(),
+        String(publicacion.getMonth() + 1).padStart(2, '0'),
+        String(publicacion.getDate()).padStart(2, '0')
+      ].join('-');
+      const objetoContratacion = proceso.objeto_contratacion || null;
+      const key = [fecha, objetoContratacion || 'todos'].join('|');
+
+      if (!partitions.has(key)) {
+        partitions.set(key, {
+          key,
+          anio: fecha.slice(0, 4),
+          objetoContratacion,
+          fechaDesde: fecha,
+          fechaHasta: fecha,
+          ids: []
+        });
+      }
+      partitions.get(key).ids.push(proceso.id_proceso);
+    });
+
+    return [...partitions.values()];
+  }
+
+  async performSync(operationId, params, startTime, resumeFrom = null) {
+    const BrowserPool = require('../scraper/BrowserPool');
+    let state = null;
+
+    try {
+      state = this.createScrapingState(params, resumeFrom, operationId);
+      state.closedProcesses = resumeFrom?.details?.closed_processes || [];
+      state.unverifiedProcesses = resumeFrom?.details?.unverified_processes || [];
+
+      const partitions = resumeFrom?.checkpoint?.partitions
+        || this.buildSyncPartitions(await this.selectSyncTargets(params));
+      const pendientes = partitions.filter(partition => !state.completedPartitions.has(partition.key));
+      const totalProcesos = partitions.reduce((total, partition) => total + partition.ids.length, 0);
+
+      logger.info(`🔄 Sincronización ${operationId}: ${totalProcesos} procesos en ${partitions.length} búsquedas (${pendientes.length} pendientes)`);
+      await this.saveSyncCheckpoint(operationId, state, partitions);
+      await this.updateProgress(
+        operationId,
+        state.completedPartitions.size,
+        partitions.length,
+        `🔄 Sincronizando ${totalProcesos} procesos en ${partitions.length} búsquedas`
+      );
+
+      // Sin ficha la grilla no trae el estado del procedimiento: por defecto se abre
+      const includeDetails = params.includeDetails !== false;
+      const pool = new BrowserPool({ concurrency: params.concurrency, scraperOptions: { retryPolicy: state.retryPolicy } });
+
+      try {
+        await pool.run(pendientes, async (scraper, partition) => {
+          const encontrados = new Set();
+
+          await scraper.searchProcesses({
+            anio: partition.anio,
+            objetoContratacion: partition.objetoContratacion,
+            fechaDesde: partition.fechaDesde,
+            fechaHasta: partition.fechaHasta,
+            maxProcesses: null,
+            includeDetails,
+            targetIds: new Set(partition.ids),
+            onPage: async (pageResults) => {
+              await this.saveSyncedProcesos(operationId, pageResults, state, includeDetails);
+              pageResults.forEach(proceso => encontrados.add(proceso.id_proceso));
+            }
+          });
+
+          await this.settleMissingProcesos(operationId, partition, encontrados, scraper.lastSearchComplete, state);
+
+          return encontrados.size;
+        }, {
+          onTaskDone: async (partition, { result, error, attempts }) => {
+            if (error) {
+              // Una búsqueda fallida no detiene las demás; queda pendiente para reanudar
+              state.failedPartitions.push({
+                anio: partition.anio,
+                objeto_contratacion: partition.objetoContratacion,
+                fecha_desde: partition.fechaDesde,
+                fecha_hasta: partition.fechaHasta,
+                intentos: attempts,
+                error_message: error
+              });
+            } else {
+              state.completedPartitions.add(partition.key);
+            }
+
+            await this.saveSyncCheckpoint(operationId, state, partitions);
+
+            const completadas = state.completedPartitions.size;
+            await this.updateProgress(
+              operationId,
+              completadas,
+              partitions.length,
+              error
+                ? `❌ Búsqueda ${this.describePartition(partition)} con error: ${error}`
+                : `Búsqueda ${completadas}/${partitions.length} (${this.describePartition(partition)}): ${result}/${partition.ids.length} encontrados, ${state.updateCount} actualizados, ${state.closedProcesses.length} cerrados`
+            );
+          }
+        });
+      } finally {
+        await pool.close();
+      }
+
+      if (pendientes.length > 0 && state.failedPartitions.length === pendientes.length) {
+        throw new Error(`Fallaron todas las búsquedas de sincronización (${pendientes.length})`);
+      }
+
+      let anexosResult = null;
+      if (state.procesosConAnexos.size > 0) {
+        anexosResult = await this.processScrapedAnexos(operationId, [...state.procesosConAnexos]);
+      }
+
+      const { updateCount, errorCount } = state;
+      const cerrados = state.closedProcesses.length;
+      const sinVerificar = state.unverifiedProcesses.length;
+      const particionesFallidas = state.failedPartitions.length;
+      const resumen = `${updateCount} actualizados, ${cerrados} cerrados, ${sinVerificar} sin verificar, ${errorCount} errores (${totalProcesos} procesos revisados)`;
+
+      const duration = Date.now() - startTime;
+      await ETLLog.update({
+        status: particionesFallidas > 0 ? 'failed' : 'completed',
+        message: particionesFallidas > 0
+          ? `Sincronización incompleta: ${particionesFallidas} búsquedas con error. ${resumen}`
+          : `Sincronización completada: ${resumen}`,
+        process_count: updateCount + cerrados,
+        inserted_count: 0,
+        updated_count: updateCount,
+        error_count: errorCount,
+        duration_ms: duration,
+        details: this.buildSyncDetails(state, anexosResult),
+        quality_report: dataQualityService.buildReport(state.calidad)
+      }, {
+        where: { operation_id: operationId }
+      });
+
+      logger.info(`✅ Sincronización ${operationId} terminada en ${duration}ms: ${resumen}`);
+      await this.queueEmbeddingsAfterEtl(operationId, state);
+
+      await this.updateProgress(
+        operationId,
+        1,
+        1,
+        particionesFallidas > 0 ? `⚠️ Sincronización incompleta: ${particionesFallidas} búsquedas con error` : '✅ Sincronización completada'
+      );
+    } catch (error) {
+      if (error.code === 'CANCELLED') {
+        logger.info(`Sincronización ${operationId} cancelada`);
+      } else {
+        logger.error(`Error durante sincronización: ${error.message}`);
+      }
+
+      // Los contadores y el checkpoint se conservan para poder reanudar la operación
+      const fallo = {
+        status: 'failed',
+        message: `Error en sincronización: ${error.message}`,
+        duration_ms: Date.now() - startTime,
+        mensaje_actual: `❌ Error: ${error.message}`
+      };
+      if (state) {
+        fallo.details = this.buildSyncDetails(state);
+        fallo.quality_report = dataQualityService.buildReport(state.calidad);
+      }
+
+      if (error.code === 'DOM_DRIFT') {
+        fallo.message = `DOM cambiado, sincronización detenida: ${error.message}`;
+        fallo.mensaje_actual = '❌ DOM de SEACE cambiado: revisar selectores';
+        fallo.details = { ...(fallo.details || {}), dom_drift: error.diagnosis };
+      }
+      if (error.code === 'CANCELLED') {
+        fallo.status = 'cancelled';
+        fallo.message = 'Sincronización cancelada por el usuario';
+        fallo.mensaje_actual = '⏹️ Operación cancelada: puede reanudarla desde el último checkpoint';
+      }
+
+      await ETLLog.update(fallo, {
+        where: { operation_id: operationId }
+      });
+    }
+  }
+
+  /**
+   * Aplicar a los procesos guardados los datos que la sincronización encontró en SEACE
+   * @param {Boolean} includeDetails - Si se pidió la ficha; sin ella no se toca el estado guardado
+   */
+  async saveSyncedProcesos(operationId, procesos, state, includeDetails) {
+    for (const procesoData of procesos) {
+      if (state.processedIds.has(procesoData.id_proceso)) continue;
+      dataQualityService.addProceso(state.calidad, procesoData);
+
+      try {
+        const proceso = await Proceso.findOne({ where: { id_proceso: procesoData.id_proceso } });
+        if (!proceso) continue;
+
+        const procesoMapeado = this.mapScrapeDataToProcesoSchema(procesoData);
+        // La grilla siempre trae estado "Publicado": solo la ficha conoce el estado real
+        if (!includeDetails || !procesoData.detalle_extraido) {
+          delete procesoMapeado.estado_proceso;
+        }
+
+        const cambios = await this.updateProcesoWithHistory(proceso, procesoMapeado, operationId);
+        await this.registerScrapedDocuments(proceso, procesoData, state.procesosConAnexos);
+        await this.saveScrapedEtapas(proceso, procesoData);
+        await this.saveScrapedAdjudicaciones(proceso, procesoData);
+        await this.linkEntidad(proceso, procesoData);
+        await this.saveMontoPen(proceso);
+        await this.linkLinaje(proceso);
+
+        const resumen = {
+          id_proceso: proceso.id_proceso,
+          objeto_contratacion: proceso.objeto_contratacion,
+          nombre_entidad: proceso.nombre_entidad,
+          monto_referencial: proceso.monto_referencial,
+          departamento: proceso.departamento,
+          estado_proceso: proceso.estado_proceso
+        };
+        state.updateCount++;
+        state.updatedProcesses.push({ ...resumen, campos_modificados: cambios.map(c => c.campo) });
+        this.publishProceso(operationId, 'duplicate', resumen, state);
+        state.processedIds.add(procesoData.id_proceso);
+        logger.debug(`🔄 Proceso SINCRONIZADO: ${procesoData.id_proceso} (${cambios.length} cambios)`);
+      } catch (err) {
+        await this.recordFailedRow(operationId, 'sync', procesoData, err, state);
+        logger.error(`❌ Error sincronizando proceso ${procesoData.id_proceso}: ${err.message}`);
+      }
+    }
+  }
+
+  /**
+   * Procesos de una búsqueda de sincronización que no aparecieron en SEACE.
+   * Solo se cierran si la búsqueda recorrió todas sus páginas: una búsqueda sin resultados o
+   * cortada a mitad (página que no cargó, paginador ilegible) puede ser un fallo del portal,
+   * y sus faltantes quedan sin verificar.
+   */
+  async settleMissingProcesos(operationId, partition, encontrados, busquedaCompleta, state) {
+    const faltantes = partition.ids.filter(id => !encontrados.has(id));
+    if (faltantes.length === 0) return;
+
+    if (busquedaCompleta) {
+      await this.closeOutProcesos(operationId, faltantes, state);
+    } else {
+      state.unverifiedProcesses.push(...faltantes.filter(id => !state.unverifiedProcesses.includes(id)));
+    }
+  }
+
+  /**
+   * Cerrar los procesos que ya no aparecen en el buscador de SEACE.
+   * El cambio de estado queda en el historial de revisiones del proceso.
+   */
+  async closeOutProcesos(operationId, idsProceso, state) {
+    for (const idProceso of idsProceso) {
+      if (state.processedIds.has(idProceso)) continue;
+
+      try {
+        const proceso = await Proceso.findOne({ where: { id_proceso: idProceso } });
+        if (!proceso) continue;
+
+        const estadoAnterior = proceso.estado_proceso;
+        await this.updateProcesoWithHistory(proceso, {
+          estado_proceso: ESTADO_RETIRADO,
+          fecha_scraping: new Date().toISOString()
+        }, operationId);
+
+        state.closedProcesses.push({
+          id_proceso: idProceso,
+          nombre_entidad: proceso.nombre_entidad,
+          estado_anterior: estadoAnterior
+        });
+        state.processedIds.add(idProceso);
+        logger.info(`🚫 Proceso ${idProceso} ya no aparece en SEACE: marcado como ${ESTADO_RETIRADO}`);
+      } catch (err) {
+        state.errorCount++;
+        state.errorDetails.push({ id_proceso: idProceso, error: err.message });
+        logger.error(`❌ Error cerrando proceso ${idProceso}: ${err.message}`);
+      }
+    }
+  }
+
+  /**
+   * Detalles JSONB de una sincronización
+   */
+  buildSyncDetails(state, anexosResult = null) {
+    return {
+      ...this.buildScrapingDetails(state, anexosResult),
+      closed_processes: state.closedProcesses,
+      unverified_processes: state.unverifiedProcesses
+    };
+  }
+
+  /**
+   * Guardar las búsquedas de la sincronización y las ya completadas junto con los contadores
+   */
+  async saveSyncCheckpoint(operationId, state, partitions) {
+    await ETLLog.update({
+      updated_count: state.updateCount,
+      error_count: state.errorCount,
+      details: this.buildSyncDetails(state),
+      quality_report: dataQualityService.buildReport(state.calidad),
+      checkpoint: {
+        partitions,
+        completed_partitions: [...state.completedPartitions],
+        processed_ids: [...state.processedIds],
+        procesos_con_anexos: [...state.procesosConAnexos],
+        updated_at: new Date().toISOString()
+      },
+      updated_at: new Date()
+    }, {
+      where: { operation_id: operationId }
+    });
+  }
+
+  /**
+   * Encolar la generación de embeddings de los procesos nuevos o modificados
+   * @param {String} procesoId - Solo este proceso (UUID)
+   * @param {Object} options - { force: regenerar aunque no haya cambios, origen: operación ETL que la pidió }
+   */
+  async generateEmbeddings(procesoId = null, { force = false, origen = null } = {}) {
+    try {
+      const operationId = require('uuid').v4();
+      
+      await ETLLog.create({
+        operation_type: 'embedding',
+        operation_id: operationId,
+        status: 'queued',
+        message: procesoId
+          ? `Generando embedding para proceso ${procesoId}`
+          : `Generando embeddings de procesos ${force ? '(todos)' : 'nuevos o modificados'}${origen ? ` tras la operación ${origen}` : ''}`,
+        search_params: { proceso_id: procesoId, force, origen },
+        paso_actual: 0,
+        paso_total: 0,
+        porcentaje: 0,
+        mensaje_actual: '⏳ En cola, esperando un worker libre...'
+      });
+
+      await jobQueueService.enqueue('embedding', operationId, { proceso_id: procesoId, force });
+
+      logger.info(`Generación de embeddings encolada: ${operationId}`);
+
+      return {
+        operation_id: operationId,
+        status: 'queued',
+        message: 'Generación de embeddings en cola'
       };
     } catch (error) {
       logger.error(`Error en generateEmbeddings: ${error.message}`);
@@ -574,7 +1958,105 @@ class ETLService {
     }
   }
 
+  /**
+   * Al terminar una operación ETL que guardó procesos, encolar sus embeddings.
+   * Si ya hay una generación en cola, esa incluirá también estos procesos.
+   */
+  async queueEmbeddingsAfterEtl(operationId, state) {
+    if (!config.embeddings.afterEtl || state.savedCount + state.updateCount === 0) return;
+
+    try {
+      if (await jobQueueService.hasQueued('embedding')) {
+        logger.info(`Embeddings de ${operationId}: ya hay una generación en cola`);
+        return;
+      }
+      await this.generateEmbeddings(null, { origen: operationId });
+    } catch (err) {
+      // Los procesos quedan pendientes para la siguiente generación
+      logger.warn(`No se pudo encolar la generación de embeddings tras ${operationId}: ${err.message}`);
+    }
+  }
+
+  /**
+   * Handler de la cola para los trabajos de embeddings
+   */
+  async runEmbeddingJob(job) {
+    return this.performEmbeddings(job.operation_id, job.payload || {}, Date.now());
+  }
+
+  async performEmbeddings(operationId, { proceso_id: procesoId = null, force = false }, startTime) {
+    const embeddingService = require('./embeddingService');
+    let generados = 0;
+    let procesados = 0;
+    const errores = [];
+
+    try {
+      const modelo = embeddingService.getProvider().name;
+      const total = await embeddingService.countPending({ procesoId, force });
+
+      logger.info(`🧮 Embeddings ${operationId}: ${total} procesos pendientes (modelo ${modelo})`);
+      await this.updateProgress(operationId, 0, total, `🧮 ${total} procesos nuevos o modificados (modelo ${modelo})`);
+
+      let afterId = null;
+      while (true) {
+        if (jobQueueService.isCancelled(operationId)) throw this.cancelledError(procesados, total);
+
+        const lote = await embeddingService.getPending({ procesoId, force, afterId });
+        if (lote.length === 0) break;
+
+        const resultado = await embeddingService.embedProcesos(lote);
+        generados += resultado.generados;
+        errores.push(...resultado.errores);
+        procesados += lote.length;
+        afterId = lote[lote.length - 1].id;
+
+        await this.updateProgress(
+          operationId,
+          procesados,
+          total,
+          `Procesos ${procesados}/${total}: ${generados} embeddings generados, ${errores.length} errores`
+        );
+      }
+
+      const resumen = `${generados} embeddings generados con ${modelo}, ${errores.length} errores`;
+      await ETLLog.update({
+        status: 'completed',
+        message: `Embeddings completados: ${resumen}`,
+        process_count: generados,
+        updated_count: generados,
+        error_count: errores.length,
+        duration_ms: Date.now() - startTime,
+        details: { modelo, error_processes: errores }
+      }, {
+        where: { operation_id: operationId }
+      });
+
+      await this.updateProgress(operationId, 1, 1, '✅ Embeddings completados');
+      logger.info(`✅ Embeddings ${operationId}: ${resumen}`);
+    } catch (error) {
+      const cancelada = error.code === 'CANCELLED';
+      if (!cancelada) logger.error(`Error durante generación de embeddings: ${error.message}`);
+
+      // Los embeddings ya guardados se conservan; los pendientes se generan en la próxima ejecución
+      await ETLLog.update({
+        status: cancelada ? 'cancelled' : 'failed',
+        message: cancelada ? `Generación de embeddings cancelada: ${error.message}` : `Error en generación de embeddings: ${error.message}`,
+        process_count: generados,
+        updated_count: generados,
+        error_count: errores.length,
+        duration_ms: Date.now() - startTime,
+        details: { error_processes: errores },
+        mensaje_actual: cancelada ? '⏹️ Operación cancelada' : `❌ Error: ${error.message}`
+      }, {
+        where: { operation_id: operationId }
+      });
+    }
+  }
+
   async getOperationDetails(operationId) {
+    const revisionesService = require('./revisionesService');
+    const deadLetterService = require('./deadLetterService');
+
     try {
       const etlLog = await ETLLog.findOne({
         where: { operation_id: operationId }
@@ -586,6 +2068,8 @@ class ETLService {
 
       // Extraer detalles del JSONB
       const details = etlLog.details || {};
+      const job = await jobQueueService.getJob(operationId);
+      const activa = await jobQueueService.isActive(operationId);
       
       return {
         operation_id: operationId,
@@ -600,7 +2084,30 @@ class ETLService {
         search_params: etlLog.search_params || {},
         inserted_processes: details.inserted_processes || [],
         updated_processes: details.updated_processes || [],
-        error_processes: details.error_processes || []
+        error_processes: details.error_processes || [],
+        anexos: details.anexos || null,
+        failed_partitions: details.failed_partitions || [],
+        closed_processes: details.closed_processes || [],
+        unverified_processes: details.unverified_processes || [],
+        dom_drift: details.dom_drift || null,
+        reintentos: details.reintentos || null,
+        import_rows: details.import_rows || null,
+        resultados: await revisionesService.getOperationSummary(operationId),
+        dead_letters_pending: await deadLetterService.countPending(operationId),
+        quality_report: etlLog.quality_report || null,
+        checkpoint: etlLog.checkpoint ? {
+          last_page: etlLog.checkpoint.last_page,
+          total_pages: etlLog.checkpoint.total_pages,
+          completed_partitions: (etlLog.checkpoint.completed_partitions || []).length,
+          processed_count: (etlLog.checkpoint.processed_ids || []).length,
+          updated_at: etlLog.checkpoint.updated_at
+        } : null,
+        can_resume: ['scraping', 'sync'].includes(etlLog.operation_type)
+          && etlLog.status !== 'completed'
+          && !!etlLog.checkpoint
+          && !activa,
+        can_cancel: activa,
+        job: job ? job.toJSON() : null
       };
     } catch (error) {
       logger.error(`Error en getOperationDetails: ${error.message}`);
@@ -0,0 +1,41 @@
+const etlService = require('./etlService');
+
+describe('etlService.settleMissingProcesos', () => {
+  const partition = { key: '2025-01-06|Servicio', ids: ['A', 'B', 'C'] };
+  let closeOut;
+
+  beforeEach(() => {
+    closeOut = jest.spyOn(etlService, 'closeOutProcesos').mockResolvedValue();
+  });
+
+  afterEach(() => {
+    closeOut.mockRestore();
+  });
+
+  it('cierra los faltantes cuando la búsqueda recorrió todas las páginas', async () => {
+    const state = { unverifiedProcesses: [] };
+
+    await etlService.settleMissingProcesos('op-1', partition, new Set(['A']), true, state);
+
+    expect(closeOut).toHaveBeenCalledWith('op-1', ['B', 'C'], state);
+    expect(state.unverifiedProcesses).toEqual([]);
+  });
+
+  it('deja sin verificar los faltantes si una página falló a mitad de la búsqueda', async () => {
+    const state = { unverifiedProcesses: ['C'] };
+
+    await etlService.settleMissingProcesos('op-1', partition, new Set(['A']), false, state);
+
+    expect(closeOut).not.toHaveBeenCalled();
+    expect(state.unverifiedProcesses).toEqual(['C', 'B']);
+  });
+
+  it('no hace nada si aparecieron todos los procesos', async () => {
+    const state = { unverifiedProcesses: [] };
+
+    await etlService.settleMissingProcesos('op-1', partition, new Set(['A', 'B', 'C']), false, state);
+
+    expect(closeOut).not.toHaveBeenCalled();
+    expect(state.unverifiedProcesses).toEqual([]);
+  });
+});
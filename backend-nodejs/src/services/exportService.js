@@ -278,8 +278,8 @@ Archivo generado automáticamente por SEACE ProjectFinder
           proceso.provincia,
           proceso.distrito,
           proceso.estado_proceso,
-          proceso.snip || '',
-          proceso.cui || ''
+          proceso.codigo_snip || proceso.snip || '',
+          proceso.codigo_cui || proceso.cui || ''
         ];
         csvContent += row.join(',') + '\n';
       });
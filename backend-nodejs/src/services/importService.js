@@ -0,0 +1,359 @@
+/**
+ * Servicio de importación masiva de procesos
+ * Acepta los mismos formatos CSV y JSON que genera exportService
+ */
+const { v4: uuidv4 } = require('uuid');
+const { Proceso, ETLLog } = require('../models');
+const logger = require('../config/logger');
+const jobQueueService = require('./jobQueueService');
+const deadLetterService = require('./deadLetterService');
+
+const MAX_FILAS = 5000;
+
+// Cabeceras del CSV de exportService -> campos del scraper
+const CABECERAS_CSV = {
+  'id proceso': 'id_proceso',
+  'numero orden': 'numero_orden',
+  'entidad': 'nombre_entidad',
+  'objeto contratacion': 'objeto_contratacion',
+  'descripcion': 'descripcion_objeto',
+  'fecha publicacion': 'fecha_publicacion',
+  'monto referencial': 'monto_referencial',
+  'moneda': 'moneda',
+  'departamento': 'departamento',
+  'provincia': 'provincia',
+  'distrito': 'distrito',
+  'estado': 'estado_proceso',
+  'snip': 'codigo_snip',
+  'cui': 'codigo_cui'
+};
+
+class ImportService {
+  constructor() {
+    // La importación se ejecuta en la cola persistente (jobQueueService), fuera de la petición HTTP
+    jobQueueService.registerHandler('bulk_import', job => this.runImportJob(job));
+  }
+
+  /**
+   * Validar el archivo y encolar la importación de sus procesos
+   * @param {String} content - Texto del archivo
+   * @param {Object} options
+   * @param {String} options.format - 'csv' o 'json' (por defecto según la extensión del archivo)
+   * @param {String} options.filename - Nombre del archivo subido
+   * @returns {Object} { operation_id, status: 'queued', total }. El reporte por fila queda en los detalles de la operación.
+   */
+  async importProcesos(content, { format = null, filename = null } = {}) {
+    const formato = (format || (filename || '').split('.').pop() || '').toLowerCase();
+    if (!['csv', 'json'].includes(formato)) {
+      throw this.invalidFileError('Formato no soportado: use un archivo .csv o .json');
+    }
+
+    const filas = formato === 'csv' ? this.parseCsvRows(content) : this.parseJsonRows(content);
+    if (filas.length === 0) {
+      throw this.invalidFileError('El archivo no contiene procesos');
+    }
+    if (filas.length > MAX_FILAS) {
+      throw this.invalidFileError(`El archivo tiene ${filas.length} filas; el máximo por importación es ${MAX_FILAS}`);
+    }
+
+    try {
+      const operationId = uuidv4();
+
+      await ETLLog.create({
+        operation_type: 'bulk_import',
+        operation_id: operationId,
+        status: 'queued',
+        message: `Importando ${filas.length} filas ${formato.toUpperCase()}`,
+        search_params: { filename, format: formato },
+        paso_actual: 0,
+        paso_total: filas.length,
+        porcentaje: 0,
+        mensaje_actual: '⏳ En cola, esperando un worker libre...'
+      });
+
+      // Las filas ya interpretadas se guardan en el trabajo
+      await jobQueueService.enqueue('bulk_import', operationId, { filas });
+
+      logger.info(`Importación masiva encolada: ${operationId} (${filas.length} filas)`);
+
+      return {
+        operation_id: operationId,
+        status: 'queued',
+        total: filas.length,
+        message: 'Importación en cola. Puede monitorear el progreso en los logs de ETL.'
+      };
+    } catch (error) {
+      logger.error(`Error en importProcesos: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Handler de la cola para los trabajos de importación masiva
+   */
+  async runImportJob(job) {
+    const etlService = require('./etlService');
+    const operationId = job.operation_id;
+    const filas = job.payload?.filas || [];
+    const startTime = Date.now();
+    const reporte = [];
+
+    try {
+      for (let idx = 0; idx < filas.length; idx++) {
+        if (jobQueueService.isCancelled(operationId)) throw etlService.cancelledError(idx, filas.length);
+
+        const resultado = await this.importRow(filas[idx], idx + 1, operationId, etlService);
+        reporte.push(resultado);
+
+        // Las filas rechazadas quedan en "Filas Fallidas" para corregirlas y reintentarlas
+        if (resultado.status === 'rejected') {
+          await deadLetterService.record(operationId, 'bulk_import', filas[idx], new Error(resultado.errors.join('; ')));
+        }
+
+        if ((idx + 1) % 50 === 0 || idx === filas.length - 1) {
+          const parcial = this.summarize(reporte);
+          await etlService.updateProgress(
+            operationId,
+            idx + 1,
+            filas.length,
+            `Fila ${idx + 1}/${filas.length}: ${parcial.created} nuevos, ${parcial.updated} actualizados, ${parcial.rejected} rechazados`
+          );
+        }
+      }
+
+      const resumen = this.summarize(reporte);
+      await ETLLog.update({
+        status: 'completed',
+        message: `Importación completada: ${resumen.created} NUEVOS, ${resumen.updated} actualizados, ${resumen.rejected} rechazados`,
+        ...this.buildLogCounts(resumen),
+        duration_ms: Date.now() - startTime,
+        details: this.buildDetails(reporte)
+      }, {
+        where: { operation_id: operationId }
+      });
+
+      logger.info(`Importación masiva ${operationId}: ${resumen.created} creados, ${resumen.updated} actualizados, ${resumen.rejected} rechazados`);
+    } catch (error) {
+      const cancelada = error.code === 'CANCELLED';
+      if (!cancelada) logger.error(`Error durante importación masiva: ${error.message}`);
+
+      await ETLLog.update({
+        status: cancelada ? 'cancelled' : 'failed',
+        message: cancelada ? `Importación cancelada: ${error.message}` : `Error en importación: ${error.message}`,
+        ...this.buildLogCounts(this.summarize(reporte)),
+        duration_ms: Date.now() - startTime,
+        details: this.buildDetails(reporte),
+        mensaje_actual: cancelada ? '⏹️ Operación cancelada' : `❌ Error: ${error.message}`
+      }, {
+        where: { operation_id: operationId }
+      });
+    }
+  }
+
+  summarize(reporte) {
+    return {
+      created: reporte.filter(fila => fila.status === 'created').length,
+      updated: reporte.filter(fila => fila.status === 'updated').length,
+      rejected: reporte.filter(fila => fila.status === 'rejected').length
+    };
+  }
+
+  buildLogCounts(resumen) {
+    return {
+      process_count: resumen.created + resumen.updated,
+      inserted_count: resumen.created,
+      updated_count: resumen.updated,
+      error_count: resumen.rejected
+    };
+  }
+
+  /**
+   * Detalles de la operación: los listados de siempre y el reporte por fila del formulario de importación
+   */
+  buildDetails(reporte) {
+    return {
+      inserted_processes: reporte.filter(fila => fila.status === 'created').map(fila => ({ id_proceso: fila.id_proceso })),
+      updated_processes: reporte.filter(fila => fila.status === 'updated').map(fila => ({ id_proceso: fila.id_proceso, campos_modificados: fila.campos_modificados })),
+      error_processes: reporte.filter(fila => fila.status === 'rejected').map(fila => ({ id_proceso: fila.id_proceso, error_message: fila.errors.join('; ') })),
+      import_rows: reporte
+    };
+  }
+
+  /**
+   * Validar y guardar una fila. En un proceso existente solo se actualizan los campos con valor en el archivo.
+   */
+  async importRow(fila, numero, operationId, etlService) {
+    const idProceso = fila.id_proceso ? String(fila.id_proceso).trim() : null;
+    const errores = this.validateRow(fila);
+
+    if (errores.length > 0) {
+      return { row: numero, id_proceso: idProceso, status: 'rejected', errors: errores };
+    }
+
+    try {
+      const procesoMapeado = etlService.mapScrapeDataToProcesoSchema({ ...fila, id_proceso: idProceso });
+      const proceso = await Proceso.findOne({ where: { id_proceso: idProceso } });
+
+      if (!proceso) {
+        const creado = await Proceso.create(procesoMapeado);
+        await etlService.recordCreatedProceso(operationId, creado);
+        await etlService.linkEntidad(creado, procesoMapeado);
+        await etlService.saveMontoPen(creado);
+        await etlService.linkLinaje(creado);
+        return { row: numero, id_proceso: idProceso, status: 'created' };
+      }
+
+      const datos = {};
+      Object.keys(procesoMapeado)
+        .filter(campo => campo !== 'id_proceso' && fila[campo] !== null && fila[campo] !== undefined)
+        .forEach(campo => { datos[campo] = procesoMapeado[campo]; });
+
+      // Los códigos de ubigeo acompañan a la ubicación que trae el archivo
+      if (datos.departamento || datos.provincia || datos.distrito) {
+        ['ubigeo_departamento', 'ubigeo_provincia', 'ubigeo_distrito'].forEach(campo => {
+          datos[campo] = procesoMapeado[campo];
+        });
+      }
+
+      const cambios = await etlService.updateProcesoWithHistory(proceso, datos, operationId);
+      await etlService.linkEntidad(proceso, procesoMapeado);
+      await etlService.saveMontoPen(proceso);
+      await etlService.linkLinaje(proceso);
+      return { row: numero, id_proceso: idProceso, status: 'updated', campos_modificados: cambios.map(c => c.campo) };
+    } catch (err) {
+      const detalle = err.errors ? err.errors.map(e => e.message).join('; ') : err.message;
+      return { row: numero, id_proceso: idProceso, status: 'rejected', errors: [detalle] };
+    }
+  }
+
+  validateRow(fila) {
+    const errores = [];
+
+    if (!fila.id_proceso || !String(fila.id_proceso).trim()) {
+      errores.push('id_proceso es requerido');
+    }
+    if (fila.fecha_publicacion && isNaN(new Date(fila.fecha_publicacion).getTime())) {
+      errores.push(`fecha_publicacion inválida: ${fila.fecha_publicacion}`);
+    }
+    if (fila.monto_referencial !== null && fila.monto_referencial !== undefined && isNaN(Number(fila.monto_referencial))) {
+      errores.push(`monto_referencial no es numérico: ${fila.monto_referencial}`);
+    }
+
+    return errores;
+  }
+
+  /**
+   * JSON de exportService ({ metadata, procesos }) o un arreglo de procesos
+   */
+  parseJsonRows(content) {
+    let data;
+    try {
+      data = typeof content === 'string' ? JSON.parse(content) : content;
+    } catch (err) {
+      throw this.invalidFileError(`JSON inválido: ${err.message}`);
+    }
+
+    const procesos = Array.isArray(data) ? data : data?.procesos;
+    if (!Array.isArray(procesos)) {
+      throw this.invalidFileError('El JSON debe ser un arreglo de procesos o un objeto con la propiedad "procesos"');
+    }
+
+    return procesos.map(proceso => this.cleanRow(proceso || {}));
+  }
+
+  /**
+   * CSV de exportService. También acepta columnas con el nombre exacto del campo (id_proceso, rubro, etc.)
+   */
+  parseCsvRows(content) {
+    const [cabeceras, ...registros] = this.parseCsv(content).filter(valores => valores.some(valor => valor.trim() !== ''));
+    if (!cabeceras) return [];
+
+    const campos = cabeceras.map(cabecera => {
+      const limpia = cabecera.trim();
+      const normalizada = limpia.toLowerCase().normalize('NFD').replace(/[\u0300-\u036f]/g, '');
+      return CABECERAS_CSV[normalizada] || limpia;
+    });
+
+    return registros.map(valores => {
+      const fila = {};
+      campos.forEach((campo, idx) => {
+        fila[campo] = valores[idx];
+      });
+      if (fila.nombre_entidad && !fila.entidad_nombre) fila.entidad_nombre = fila.nombre_entidad;
+      return this.cleanRow(fila);
+    });
+  }
+
+  /**
+   * Separar un CSV en filas y valores (comillas dobles, "" escapadas y saltos de línea entre comillas)
+   */
+  parseCsv(content) {
+    const filas = [];
+    let fila = [];
+    let valor = '';
+    let entreComillas = false;
+    const texto = String(content).replace(/^\uFEFF/, '');
+
+    for (let i = 0; i < texto.length; i++) {
+      const caracter = texto[i];
+
+      if (entreComillas) {
+        if (caracter === '"' && texto[i + 1] === '"') {
+          valor += '"';
+          i++;
+        } else if (caracter === '"') {
+          entreComillas = false;
+        } else {
+          valor += caracter;
+        }
+      } else if (caracter === '"') {
+        entreComillas = true;
+      } else if (caracter === ',') {
+        fila.push(valor);
+        valor = '';
+      } else if (caracter === '\n' || caracter === '\r') {
+        if (caracter === '\r' && texto[i + 1] === '\n') i++;
+        fila.push(valor);
+        filas.push(fila);
+        fila = [];
+        valor = '';
+      } else {
+        valor += caracter;
+      }
+    }
+
+    if (valor !== '' || fila.length > 0) {
+      fila.push(valor);
+      filas.push(fila);
+    }
+
+    return filas;
+  }
+
+  /**
+   * Vacíos y los "undefined"/"null" literales que deja la exportación se tratan como sin valor
+   */
+  cleanRow(fila) {
+    const limpia = {};
+    Object.entries(fila).forEach(([campo, valor]) => {
+      if (typeof valor === 'string') {
+        const texto = valor.trim();
+        limpia[campo] = ['', 'undefined', 'null'].includes(texto) ? null : texto;
+      } else {
+        limpia[campo] = valor;
+      }
+    });
+    return limpia;
+  }
+
+  /**
+   * Error de archivo de importación inválido (HTTP 400)
+   */
+  invalidFileError(message) {
+    const error = new Error(message);
+    error.statusCode = 400;
+    return error;
+  }
+}
+
+module.exports = new ImportService();
@@ -0,0 +1,114 @@
+const { ETLLog } = require('../models');
+const importService = require('./importService');
+const deadLetterService = require('./deadLetterService');
+const etlService = require('./etlService');
+
+describe('importService.parseCsv', () => {
+  it('separa filas y valores', () => {
+    expect(importService.parseCsv('a,b,c\n1,2,3')).toEqual([
+      ['a', 'b', 'c'],
+      ['1', '2', '3']
+    ]);
+  });
+
+  it('conserva los valores vacíos', () => {
+    expect(importService.parseCsv('a,,c\n,,')).toEqual([
+      ['a', '', 'c'],
+      ['', '', '']
+    ]);
+  });
+
+  it('no agrega una fila vacía por el salto de línea final', () => {
+    expect(importService.parseCsv('a,b\n1,2\n')).toEqual([
+      ['a', 'b'],
+      ['1', '2']
+    ]);
+  });
+
+  it('acepta saltos de línea CRLF y CR', () => {
+    expect(importService.parseCsv('a,b\r\n1,2\r\n')).toEqual([
+      ['a', 'b'],
+      ['1', '2']
+    ]);
+    expect(importService.parseCsv('a,b\r1,2')).toEqual([
+      ['a', 'b'],
+      ['1', '2']
+    ]);
+  });
+
+  it('quita el BOM de UTF-8 del inicio', () => {
+    const [cabeceras] = importService.parseCsv('\uFEFFID Proceso,Entidad\n1,2');
+    expect(cabeceras).toEqual(['ID Proceso', 'Entidad']);
+  });
+
+  it('admite comas dentro de valores entre comillas', () => {
+    expect(importService.parseCsv('"MUNICIPALIDAD, DISTRITAL",100')).toEqual([
+      ['MUNICIPALIDAD, DISTRITAL', '100']
+    ]);
+  });
+
+  it('convierte las comillas dobles escapadas ("") en una comilla', () => {
+    expect(importService.parseCsv('"Adquisición de ""software""",x')).toEqual([
+      ['Adquisición de "software"', 'x']
+    ]);
+  });
+
+  it('admite saltos de línea dentro de valores entre comillas', () => {
+    expect(importService.parseCsv('id,descripcion\r\n1,"línea 1\r\nlínea 2"\r\n2,otra')).toEqual([
+      ['id', 'descripcion'],
+      ['1', 'línea 1\r\nlínea 2'],
+      ['2', 'otra']
+    ]);
+  });
+
+  it('admite un valor vacío entre comillas', () => {
+    expect(importService.parseCsv('"",b')).toEqual([['', 'b']]);
+  });
+
+  it('devuelve un arreglo vacío para contenido vacío', () => {
+    expect(importService.parseCsv('')).toEqual([]);
+  });
+});
+
+describe('importService.parseCsvRows', () => {
+  it('mapea las cabeceras de la exportación y limpia los valores vacíos', () => {
+    const filas = importService.parseCsvRows('\uFEFFID Proceso,Entidad,Monto Referencial,Descripción\r\n"123-2025","MD LIMA, SAN ISIDRO",null,""\r\n');
+
+    expect(filas).toEqual([{
+      id_proceso: '123-2025',
+      nombre_entidad: 'MD LIMA, SAN ISIDRO',
+      entidad_nombre: 'MD LIMA, SAN ISIDRO',
+      monto_referencial: null,
+      descripcion_objeto: null
+    }]);
+  });
+
+  it('ignora las filas en blanco', () => {
+    expect(importService.parseCsvRows('id_proceso\n\n1\n,\n')).toEqual([{ id_proceso: '1' }]);
+  });
+});
+
+describe('importService.runImportJob', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('guarda las filas rechazadas como filas fallidas de la operación', async () => {
+    jest.spyOn(ETLLog, 'update').mockResolvedValue([1]);
+    jest.spyOn(etlService, 'updateProgress').mockResolvedValue();
+    const record = jest.spyOn(deadLetterService, 'record').mockResolvedValue();
+    jest.spyOn(importService, 'importRow').mockImplementation(async (fila, numero) => (
+      fila.id_proceso
+        ? { row: numero, id_proceso: fila.id_proceso, status: 'created' }
+        : { row: numero, id_proceso: null, status: 'rejected', errors: ['id_proceso es requerido'] }
+    ));
+    const sinId = { nombre_entidad: 'MD LIMA' };
+
+    await importService.runImportJob({ operation_id: 'op-1', payload: { filas: [{ id_proceso: '1' }, sinId] } });
+
+    expect(record).toHaveBeenCalledTimes(1);
+    const [operationId, tipo, payload, error] = record.mock.calls[0];
+    expect([operationId, tipo, payload]).toEqual(['op-1', 'bulk_import', sinId]);
+    expect(error.message).toBe('id_proceso es requerido');
+  });
+});
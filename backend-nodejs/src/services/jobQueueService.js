@@ -0,0 +1,490 @@
+/**
+ * Cola persistente de operaciones ETL
+ * Cada operación (scraping, importación OCDS o masiva, sync, embeddings) se guarda en etl_jobs y la
+ * ejecuta el primer proceso con capacidad libre, por prioridad y orden de llegada. Los
+ * trabajos en ejecución mantienen un heartbeat; al arrancar y periódicamente se recuperan
+ * los que quedaron huérfanos: se reencolan si se pueden reanudar o se marcan como fallidos.
+ */
+const os = require('os');
+const { Op } = require('sequelize');
+const { ETLJob, ETLLog, sequelize } = require('../models');
+const config = require('../config/index');
+const logger = require('../config/logger');
+const etlEventsService = require('./etlEventsService');
+
+const ESTADOS_ACTIVOS = ['queued', 'running'];
+const TIPOS_CON_NAVEGADOR = ['scraping', 'sync'];
+
+class JobQueueService {
+  constructor() {
+    // Tipo de trabajo -> { handler, resumable }
+    this.handlers = new Map();
+    // operation_id -> { job, cancelled } de los trabajos que ejecuta este proceso
+    this.running = new Map();
+    this.workerId = `${os.hostname()}:${process.pid}`;
+    this.pollTimer = null;
+    this.heartbeatTimer = null;
+    this.polling = false;
+  }
+
+  /**
+   * Registrar la función que ejecuta un tipo de trabajo
+   * @param {Function} handler - async (job) => void. El resultado se lee del ETLLog de la operación.
+   * @param {Boolean} options.resumable - Un trabajo huérfano se reencola con payload.resume = true
+   */
+  registerHandler(jobType, handler, { resumable = false } = {}) {
+    this.handlers.set(jobType, { handler, resumable });
+  }
+
+  /**
+   * Iniciar el worker de este proceso (se llama al arrancar el servidor)
+   */
+  async start() {
+    if (!config.queue.enabled) {
+      logger.info('Worker de la cola ETL deshabilitado (JOB_QUEUE_ENABLED=false): los trabajos se encolan para otro proceso');
+      return;
+    }
+    if (this.pollTimer) return;
+
+    await this.recoverOrphans({ boot: true });
+
+    this.pollTimer = setInterval(() => this.poll(), config.queue.pollIntervalMs);
+    this.heartbeatTimer = setInterval(() => this.heartbeat(), config.queue.heartbeatMs);
+    logger.info(`Worker de la cola ETL iniciado: ${this.workerId} (hasta ${config.queue.concurrency} trabajos simultáneos)`);
+    this.poll();
+  }
+
+  stop() {
+    clearInterval(this.pollTimer);
+    clearInterval(this.heartbeatTimer);
+    this.pollTimer = null;
+    this.heartbeatTimer = null;
+  }
+
+  /**
+   * Encolar una operación. Si la operación ya tuvo un trabajo terminado (p. ej. al reanudarla)
+   * el mismo trabajo vuelve a la cola.
+   * @param {String} jobType - scraping, ocds_import, sync, embedding o bulk_import
+   * @param {String} operationId - operation_id del ETLLog
+   * @param {Object} payload - Datos que necesita el handler
+   * @param {Object} options - { priority, maxAttempts }
+   */
+  async enqueue(jobType, operationId, payload = {}, { priority = 0, maxAttempts = 1 } = {}) {
+    try {
+      const datos = {
+        job_type: jobType,
+        status: 'queued',
+        priority: parseInt(priority) || 0,
+        payload,
+        attempts: 0,
+        max_attempts: maxAttempts,
+        cancel_requested: false,
+        worker_id: null,
+        heartbeat_at: null,
+        error: null,
+        finished_at: null,
+        updated_at: new Date()
+      };
+
+      let job = await ETLJob.findOne({ where: { operation_id: operationId } });
+      if (job && ESTADOS_ACTIVOS.includes(job.status)) {
+        throw this.conflictError('La operación ya está en la cola o ejecutándose');
+      }
+
+      if (job) {
+        await job.update(datos);
+      } else {
+        job = await ETLJob.create({ ...datos, operation_id: operationId });
+      }
+
+      logger.info(`Trabajo ${jobType} encolado: ${operationId} (prioridad ${datos.priority})`);
+      setImmediate(() => this.poll());
+      return job;
+    } catch (error) {
+      logger.error(`Error en enqueue: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Tomar trabajos de la cola mientras haya capacidad libre en este proceso
+   */
+  async poll() {
+    if (this.polling || !this.pollTimer) return;
+    this.polling = true;
+
+    try {
+      while (this.running.size < config.queue.concurrency) {
+        const job = await this.claimNext();
+        if (!job) break;
+        this.execute(job);
+      }
+    } catch (error) {
+      logger.error(`Error al leer la cola ETL: ${error.message}`);
+    } finally {
+      this.polling = false;
+    }
+  }
+
+  /**
+   * Reservar el siguiente trabajo de forma atómica (varios procesos pueden leer la misma cola).
+   * El límite de trabajos con navegador se comprueba en el mismo UPDATE que reserva el trabajo,
+   * y las reservas se serializan con un advisory lock de la transacción: dos workers no pueden
+   * contar los mismos trabajos en ejecución y superar el límite entre los dos.
+   * @returns {Object|null} Trabajo reservado
+   */
+  async claimNext() {
+    const transaction = await sequelize.transaction();
+    try {
+      await sequelize.query("SELECT pg_advisory_xact_lock(hashtext('etl_jobs_claim'))", { transaction });
+
+      // Scraping y sync abren navegadores y comparten el mismo límite global de ejecución simultánea
+      const [filas] = await sequelize.query(`
+        UPDATE etl_jobs
+        SET status = 'running',
+            worker_id = :workerId,
+            attempts = attempts + 1,
+            started_at = COALESCE(started_at, NOW()),
+            heartbeat_at = NOW(),
+            updated_at = NOW()
+        WHERE id = (
+          SELECT id FROM etl_jobs
+          WHERE status = 'queued'
+            AND (
+              job_type NOT IN (:tiposNavegador)
+              OR (SELECT COUNT(*) FROM etl_jobs WHERE status = 'running' AND job_type IN (:tiposNavegador)) < :limiteNavegador
+            )
+          ORDER BY priority DESC, created_at ASC
+          LIMIT 1
+          FOR UPDATE SKIP LOCKED
+        )
+        RETURNING id
+      `, {
+        replacements: {
+          workerId: this.workerId,
+          tiposNavegador: TIPOS_CON_NAVEGADOR,
+          limiteNavegador: config.queue.scrapingConcurrency
+        },
+        transaction
+      });
+
+      await transaction.commit();
+      return filas.length > 0 ? ETLJob.findByPk(filas[0].id) : null;
+    } catch (error) {
+      await transaction.rollback();
+      throw error;
+    }
+  }
+
+  /**
+   * Ejecutar un trabajo reservado y registrar su estado final a partir del ETLLog
+   */
+  async execute(job) {
+    const entrada = { job, cancelled: job.cancel_requested };
+    this.running.set(job.operation_id, entrada);
+
+    let status = 'failed';
+    let errorMessage = null;
+
+    try {
+      const registro = this.handlers.get(job.job_type);
+      if (!registro) throw new Error(`Tipo de trabajo sin implementación: ${job.job_type}`);
+
+      logger.info(`▶️  Ejecutando trabajo ${job.job_type} ${job.operation_id} (intento ${job.attempts}/${job.max_attempts})`);
+      await ETLLog.update(
+        { status: 'running', mensaje_actual: '▶️ Iniciando ejecución...', updated_at: new Date() },
+        { where: { operation_id: job.operation_id } }
+      );
+      etlEventsService.publish('progress', {
+        operation_id: job.operation_id,
+        operation_type: job.job_type,
+        status: 'running',
+        mensaje_actual: '▶️ Iniciando ejecución...'
+      });
+
+      await registro.handler(job);
+
+      const etlLog = await ETLLog.findOne({ where: { operation_id: job.operation_id }, attributes: ['status', 'message'] });
+      status = ['completed', 'cancelled'].includes(etlLog?.status) ? etlLog.status : 'failed';
+      if (status === 'failed') errorMessage = etlLog?.message || 'La operación terminó sin estado final';
+    } catch (error) {
+      errorMessage = error.message;
+      logger.error(`Error en trabajo ${job.job_type} ${job.operation_id}: ${error.message}`);
+
+      await ETLLog.update({
+        status: 'failed',
+        message: `Error en ${job.job_type}: ${error.message}`,
+        mensaje_actual: `❌ Error: ${error.message}`,
+        updated_at: new Date()
+      }, {
+        where: { operation_id: job.operation_id }
+      }).catch(err => logger.error(`No se pudo registrar el fallo de ${job.operation_id}: ${err.message}`));
+    } finally {
+      this.running.delete(job.operation_id);
+
+      await ETLJob.update(
+        { status, error: errorMessage, finished_at: new Date(), updated_at: new Date() },
+        { where: { id: job.id } }
+      ).catch(err => logger.error(`No se pudo cerrar el trabajo ${job.operation_id}: ${err.message}`));
+
+      await this.publishCompletion(job.operation_id, status)
+        .catch(err => logger.warn(`No se pudo publicar el cierre de ${job.operation_id}: ${err.message}`));
+
+      logger.info(`⏹️  Trabajo ${job.job_type} ${job.operation_id} terminado: ${status}`);
+      setImmediate(() => this.poll());
+    }
+  }
+
+  /**
+   * Avisar por el canal de eventos en vivo que una operación terminó, con sus contadores finales
+   */
+  async publishCompletion(operationId, status) {
+    const etlLog = await ETLLog.findOne({
+      where: { operation_id: operationId },
+      attributes: ['operation_type', 'message', 'inserted_count', 'updated_count', 'error_count', 'duration_ms']
+    });
+
+    etlEventsService.publish('operation_complete', {
+      operation_id: operationId,
+      operation_type: etlLog?.operation_type || null,
+      status,
+      message: etlLog?.message || null,
+      inserted_count: etlLog?.inserted_count || 0,
+      updated_count: etlLog?.updated_count || 0,
+      error_count: etlLog?.error_count || 0,
+      duration_ms: etlLog?.duration_ms || null
+    });
+  }
+
+  /**
+   * Renovar el heartbeat de los trabajos de este proceso, recoger las cancelaciones
+   * pedidas desde otros procesos y recuperar los trabajos huérfanos de otros workers
+   */
+  async heartbeat() {
+    try {
+      const ids = [...this.running.values()].map(({ job }) => job.id);
+
+      if (ids.length > 0) {
+        await ETLJob.update({ heartbeat_at: new Date() }, { where: { id: { [Op.in]: ids } } });
+
+        const cancelados = await ETLJob.findAll({
+          where: { id: { [Op.in]: ids }, cancel_requested: true },
+          attributes: ['operation_id']
+        });
+        cancelados.forEach(({ operation_id: operationId }) => {
+          const entrada = this.running.get(operationId);
+          if (entrada) entrada.cancelled = true;
+        });
+      }
+
+      await this.recoverOrphans();
+    } catch (error) {
+      logger.error(`Error en heartbeat de la cola ETL: ${error.message}`);
+    }
+  }
+
+  /**
+   * Recuperar trabajos en ejecución cuyo worker ya no existe
+   * Solo el heartbeat vencido marca un trabajo como huérfano: otro proceso del mismo host puede
+   * seguir ejecutando los suyos, así que los de un worker reiniciado se recuperan al vencer staleMs.
+   * @param {Boolean} options.boot - Al arrancar también se cierran las operaciones sin trabajo en la cola
+   */
+  async recoverOrphans({ boot = false } = {}) {
+    const limite = new Date(Date.now() - config.queue.staleMs);
+    const condiciones = [
+      { heartbeat_at: null },
+      { heartbeat_at: { [Op.lt]: limite } }
+    ];
+
+    const where = { status: 'running', [Op.or]: condiciones };
+    if (this.running.size > 0) where.operation_id = { [Op.notIn]: [...this.running.keys()] };
+
+    const huerfanos = await ETLJob.findAll({ where });
+
+    for (const job of huerfanos) {
+      await this.recoverJob(job);
+    }
+
+    // Operaciones que quedaron abiertas antes de existir la cola
+    if (boot) {
+      const [abiertas] = await ETLLog.update({
+        status: 'failed',
+        message: 'Operación interrumpida: el servidor se reinició durante la ejecución',
+        mensaje_actual: '❌ Interrumpida por reinicio del servidor',
+        updated_at: new Date()
+      }, {
+        where: {
+          status: { [Op.in]: ESTADOS_ACTIVOS },
+          operation_id: { [Op.notIn]: sequelize.literal("(SELECT operation_id FROM etl_jobs WHERE status IN ('queued', 'running'))") }
+        }
+      });
+      if (abiertas > 0) logger.warn(`${abiertas} operaciones ETL sin trabajo en la cola marcadas como fallidas`);
+    }
+  }
+
+  /**
+   * Reencolar un trabajo huérfano (si se puede reanudar y le quedan intentos) o darlo por fallido
+   */
+  async recoverJob(job) {
+    const registro = this.handlers.get(job.job_type);
+    const reencolar = registro?.resumable && !job.cancel_requested && job.attempts < job.max_attempts;
+
+    if (reencolar) {
+      await job.update({
+        status: 'queued',
+        worker_id: null,
+        heartbeat_at: null,
+        payload: { ...(job.payload || {}), resume: true },
+        updated_at: new Date()
+      });
+      await ETLLog.update({
+        status: 'queued',
+        message: `Reencolada tras interrupción del worker (intento ${job.attempts + 1}/${job.max_attempts})`,
+        mensaje_actual: '⏳ En cola para reanudar desde el último checkpoint',
+        updated_at: new Date()
+      }, { where: { operation_id: job.operation_id } });
+
+      logger.warn(`Trabajo huérfano ${job.job_type} ${job.operation_id} reencolado para reanudar`);
+      return;
+    }
+
+    const status = job.cancel_requested ? 'cancelled' : 'failed';
+    const message = job.cancel_requested
+      ? 'Operación cancelada (el worker se detuvo antes de confirmar la cancelación)'
+      : 'Operación interrumpida: el worker se detuvo durante la ejecución';
+
+    await job.update({ status, error: message, finished_at: new Date(), updated_at: new Date() });
+    await ETLLog.update({
+      status,
+      message,
+      mensaje_actual: status === 'cancelled' ? '⏹️ Operación cancelada' : '❌ Interrumpida',
+      updated_at: new Date()
+    }, { where: { operation_id: job.operation_id } });
+
+    logger.warn(`Trabajo huérfano ${job.job_type} ${job.operation_id} marcado como ${status}`);
+  }
+
+  /**
+   * Cancelar una operación: los trabajos en cola se cancelan de inmediato y los que están
+   * en ejecución se detienen en su siguiente paso
+   * @returns {Object|null} { operation_id, status: cancelled | cancelling }, null si no existe
+   */
+  async cancel(operationId) {
+    try {
+      const job = await ETLJob.findOne({ where: { operation_id: operationId } });
+
+      if (!job) {
+        const etlLog = await ETLLog.findOne({ where: { operation_id: operationId }, attributes: ['id'] });
+        if (!etlLog) return null;
+        throw this.conflictError('La operación no se ejecuta desde la cola y no se puede cancelar');
+      }
+      if (!ESTADOS_ACTIVOS.includes(job.status)) {
+        throw this.conflictError(`La operación ya terminó (${job.status})`);
+      }
+
+      if (job.status === 'queued') {
+        // Solo si ningún worker la tomó mientras tanto
+        const [cancelados] = await ETLJob.update(
+          { status: 'cancelled', cancel_requested: true, finished_at: new Date(), updated_at: new Date() },
+          { where: { id: job.id, status: 'queued' } }
+        );
+
+        if (cancelados > 0) {
+          await ETLLog.update({
+            status: 'cancelled',
+            message: 'Operación cancelada antes de iniciar',
+            mensaje_actual: '⏹️ Operación cancelada',
+            updated_at: new Date()
+          }, { where: { operation_id: operationId } });
+
+          await this.publishCompletion(operationId, 'cancelled');
+          logger.info(`Trabajo ${job.job_type} ${operationId} cancelado en la cola`);
+          return { operation_id: operationId, status: 'cancelled' };
+        }
+      }
+
+      await ETLJob.update({ cancel_requested: true, updated_at: new Date() }, { where: { id: job.id } });
+      const entrada = this.running.get(operationId);
+      if (entrada) entrada.cancelled = true;
+
+      await ETLLog.update(
+        { mensaje_actual: '⏹️ Cancelando: la operación se detendrá en su siguiente paso', updated_at: new Date() },
+        { where: { operation_id: operationId } }
+      );
+
+      logger.info(`Cancelación solicitada para ${job.job_type} ${operationId}`);
+      return { operation_id: operationId, status: 'cancelling' };
+    } catch (error) {
+      logger.error(`Error en cancel: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Indica si se pidió cancelar una operación que ejecuta este proceso
+   */
+  isCancelled(operationId) {
+    return this.running.get(operationId)?.cancelled === true;
+  }
+
+  /**
+   * Indica si la operación está en la cola o ejecutándose (en cualquier proceso)
+   */
+  async isActive(operationId) {
+    if (!operationId) return false;
+    if (this.running.has(operationId)) return true;
+
+    const activos = await ETLJob.count({ where: { operation_id: operationId, status: { [Op.in]: ESTADOS_ACTIVOS } } });
+    return activos > 0;
+  }
+
+  /**
+   * Indica si hay un trabajo del tipo esperando en la cola
+   */
+  async hasQueued(jobType) {
+    const enCola = await ETLJob.count({ where: { job_type: jobType, status: 'queued' } });
+    return enCola > 0;
+  }
+
+  /**
+   * Trabajo de una operación (para los detalles de la operación)
+   */
+  async getJob(operationId) {
+    return ETLJob.findOne({
+      where: { operation_id: operationId },
+      attributes: ['job_type', 'status', 'priority', 'attempts', 'max_attempts', 'cancel_requested', 'worker_id', 'started_at', 'finished_at']
+    });
+  }
+
+  /**
+   * Resumen de la cola para las estadísticas de ETL
+   */
+  async getStats() {
+    const filas = await ETLJob.findAll({
+      attributes: ['job_type', 'status', [sequelize.fn('COUNT', sequelize.col('id')), 'total']],
+      where: { status: { [Op.in]: ESTADOS_ACTIVOS } },
+      group: ['job_type', 'status'],
+      raw: true
+    });
+
+    return filas.reduce((resumen, fila) => {
+      resumen[fila.status] = (resumen[fila.status] || 0) + parseInt(fila.total);
+      resumen.por_tipo[fila.job_type] = {
+        ...(resumen.por_tipo[fila.job_type] || {}),
+        [fila.status]: parseInt(fila.total)
+      };
+      return resumen;
+    }, { queued: 0, running: 0, por_tipo: {} });
+  }
+
+  /**
+   * Error de estado inválido para la operación (HTTP 409)
+   */
+  conflictError(message) {
+    const error = new Error(message);
+    error.statusCode = 409;
+    return error;
+  }
+}
+
+module.exports = new JobQueueService();
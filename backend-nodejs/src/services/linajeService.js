@@ -0,0 +1,329 @@
+/**
+ * Servicio de linaje de procesos
+ * SEACE reinicia procesos con una nueva nomenclatura y guarda en "Reiniciado desde"
+ * la del proceso original. Este servicio resuelve esa referencia a un Proceso
+ * (proceso_origen_id) y mantiene en linaje_id el primer proceso de la cadena,
+ * para que recomendaciones y estadísticas cuenten cada cadena como una sola oportunidad.
+ */
+const { Op } = require('sequelize');
+const { Proceso, sequelize } = require('../models');
+const logger = require('../config/logger');
+
+// Valores de "Reiniciado desde" que indican que el proceso no es un reinicio
+const SIN_REINICIO = ['', '-', '--', 'NO', 'N/A', 'NINGUNO'];
+
+// Profundidad máxima al recorrer una cadena (protege de ciclos en datos corruptos)
+const MAX_PROFUNDIDAD = 50;
+
+const ATRIBUTOS_LINAJE = [
+  'id', 'id_proceso', 'nomenclatura', 'reiniciado_desde', 'proceso_origen_id', 'linaje_id',
+  'entidad_id', 'estado_proceso', 'fecha_publicacion', 'monto_referencial', 'moneda'
+];
+
+class LinajeService {
+  /**
+   * Referencia normalizada para comparar nomenclaturas, o null si no hay reinicio
+   */
+  normalizeReferencia(texto) {
+    if (!texto) return null;
+
+    const clave = String(texto).toUpperCase().replace(/\s+/g, ' ').trim();
+    return SIN_REINICIO.includes(clave) ? null : clave;
+  }
+
+  /**
+   * Condición "nomenclatura normalizada = clave"
+   */
+  nomenclaturaCondition(clave) {
+    return sequelize.where(
+      sequelize.fn('UPPER', sequelize.fn('TRIM', sequelize.col('nomenclatura'))),
+      clave
+    );
+  }
+
+  /**
+   * Buscar el proceso original de un reinicio
+   * Si la nomenclatura se repite se prefiere la misma entidad y el más reciente
+   * publicado antes del reinicio.
+   * @returns {Object|null} Proceso original
+   */
+  async resolveOrigen(proceso) {
+    const clave = this.normalizeReferencia(proceso.reiniciado_desde);
+    if (!clave) return null;
+
+    const candidatos = await Proceso.findAll({
+      where: {
+        id: { [Op.ne]: proceso.id },
+        [Op.or]: [
+          this.nomenclaturaCondition(clave),
+          { id_proceso: String(proceso.reiniciado_desde).trim() }
+        ]
+      },
+      attributes: ATRIBUTOS_LINAJE,
+      order: [['fecha_publicacion', 'DESC NULLS LAST']]
+    });
+
+    let opciones = candidatos;
+    if (proceso.entidad_id && opciones.some(c => c.entidad_id === proceso.entidad_id)) {
+      opciones = opciones.filter(c => c.entidad_id === proceso.entidad_id);
+    }
+    if (proceso.fecha_publicacion) {
+      const anteriores = opciones.filter(c => c.fecha_publicacion && c.fecha_publicacion <= proceso.fecha_publicacion);
+      if (anteriores.length > 0) opciones = anteriores;
+    }
+
+    for (const candidato of opciones) {
+      if (!(await this.isDescendiente(candidato, proceso.id))) return candidato;
+    }
+    return null;
+  }
+
+  /**
+   * Indica si el proceso desciende de ancestroId (evita crear ciclos)
+   */
+  async isDescendiente(proceso, ancestroId) {
+    let actual = proceso;
+
+    for (let nivel = 0; actual && actual.proceso_origen_id && nivel < MAX_PROFUNDIDAD; nivel++) {
+      if (actual.proceso_origen_id === ancestroId) return true;
+      actual = await Proceso.findByPk(actual.proceso_origen_id, { attributes: ['id', 'proceso_origen_id'] });
+    }
+    return false;
+  }
+
+  /**
+   * Vincular un proceso recién guardado con su cadena de reinicios:
+   * con su proceso original y con los reinicios que ya se habían guardado antes que él
+   * @returns {Number} Procesos vinculados
+   */
+  async linkProceso(proceso) {
+    let vinculados = 0;
+
+    const origen = await this.resolveOrigen(proceso);
+    if (origen && proceso.proceso_origen_id !== origen.id) {
+      await this.setOrigen(proceso, origen);
+      vinculados++;
+    }
+
+    // Reinicios huérfanos: llegaron antes que su proceso original
+    const clave = this.normalizeReferencia(proceso.nomenclatura);
+    if (clave) {
+      const huerfanos = await Proceso.findAll({
+        where: {
+          id: { [Op.ne]: proceso.id },
+          proceso_origen_id: null,
+          [Op.and]: [
+            sequelize.where(
+              sequelize.fn('UPPER', sequelize.fn('TRIM', sequelize.col('reiniciado_desde'))),
+              clave
+            )
+          ]
+        },
+        attributes: ATRIBUTOS_LINAJE
+      });
+
+      for (const huerfano of huerfanos) {
+        const origenHuerfano = await this.resolveOrigen(huerfano);
+        if (origenHuerfano && origenHuerfano.id === proceso.id) {
+          await this.setOrigen(huerfano, proceso);
+          vinculados++;
+        }
+      }
+    }
+
+    return vinculados;
+  }
+
+  /**
+   * Asignar el proceso original y propagar el linaje a todos los reinicios posteriores
+   */
+  async setOrigen(proceso, origen) {
+    const transaction = await sequelize.transaction();
+
+    try {
+      const linajeId = origen.linaje_id || origen.id;
+      if (!origen.linaje_id) {
+        await Proceso.update({ linaje_id: linajeId }, { where: { id: origen.id }, transaction });
+        origen.linaje_id = linajeId;
+      }
+
+      await Proceso.update(
+        { proceso_origen_id: origen.id, linaje_id: linajeId },
+        { where: { id: proceso.id }, transaction }
+      );
+
+      // Los reinicios de este proceso pasan a la cadena del original
+      let pendientes = [proceso.id];
+      for (let nivel = 0; pendientes.length > 0 && nivel < MAX_PROFUNDIDAD; nivel++) {
+        const hijos = await Proceso.findAll({
+          where: { proceso_origen_id: { [Op.in]: pendientes } },
+          attributes: ['id'],
+          transaction
+        });
+        pendientes = hijos.map(hijo => hijo.id).filter(id => id !== proceso.id);
+        if (pendientes.length > 0) {
+          await Proceso.update({ linaje_id: linajeId }, { where: { id: { [Op.in]: pendientes } }, transaction });
+        }
+      }
+
+      await transaction.commit();
+      proceso.proceso_origen_id = origen.id;
+      proceso.linaje_id = linajeId;
+      logger.debug(`Linaje: ${proceso.id_proceso} reinicia a ${origen.id_proceso}`);
+    } catch (error) {
+      await transaction.rollback();
+      throw error;
+    }
+  }
+
+  /**
+   * Cadena completa de reinicios de un proceso, del original al más reciente
+   * @returns {Object|null} null si el proceso no existe
+   */
+  async getLinaje(procesoId) {
+    try {
+      const proceso = await Proceso.findByPk(procesoId, { attributes: ATRIBUTOS_LINAJE });
+      if (!proceso) return null;
+
+      const miembros = proceso.linaje_id
+        ? await Proceso.findAll({
+          where: { linaje_id: proceso.linaje_id },
+          attributes: ATRIBUTOS_LINAJE,
+          order: [['fecha_publicacion', 'ASC NULLS LAST']]
+        })
+        : [proceso];
+
+      // Recorrer la cadena desde el original para asignar el nivel de cada reinicio
+      const porOrigen = new Map();
+      miembros.forEach(miembro => {
+        const clave = miembro.proceso_origen_id || null;
+        if (!porOrigen.has(clave)) porOrigen.set(clave, []);
+        porOrigen.get(clave).push(miembro);
+      });
+
+      const ordenados = [];
+      const visitar = (miembro, nivel) => {
+        if (ordenados.some(item => item.id === miembro.id) || nivel > MAX_PROFUNDIDAD) return;
+        const reinicios = porOrigen.get(miembro.id) || [];
+        ordenados.push({ ...miembro.toJSON(), nivel, total_reinicios: reinicios.length });
+        reinicios.forEach(reinicio => visitar(reinicio, nivel + 1));
+      };
+      miembros.filter(m => !m.proceso_origen_id || !miembros.some(o => o.id === m.proceso_origen_id))
+        .forEach(raiz => visitar(raiz, 0));
+
+      const vigente = this.pickVigente(miembros);
+
+      return {
+        linaje_id: proceso.linaje_id,
+        proceso_id: proceso.id,
+        vigente_id: vigente.id,
+        total: ordenados.length,
+        procesos: ordenados.map(item => ({ ...item, es_actual: item.id === proceso.id, es_vigente: item.id === vigente.id }))
+      };
+    } catch (error) {
+      logger.error(`Error en getLinaje: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Proceso vigente de una cadena: el reinicio más reciente
+   */
+  pickVigente(miembros) {
+    const sinReinicios = miembros.filter(m => !miembros.some(otro => otro.proceso_origen_id === m.id));
+    const opciones = sinReinicios.length > 0 ? sinReinicios : miembros;
+
+    return opciones.reduce((vigente, m) => {
+      const fecha = m.fecha_publicacion ? new Date(m.fecha_publicacion).getTime() : 0;
+      const fechaVigente = vigente.fecha_publicacion ? new Date(vigente.fecha_publicacion).getTime() : 0;
+      return fecha > fechaVigente ? m : vigente;
+    });
+  }
+
+  /**
+   * Dejar un solo proceso por cadena de reinicios (el vigente), conservando el orden
+   * @param {Array} procesos - Procesos con id, linaje_id, proceso_origen_id y fecha_publicacion
+   */
+  collapse(procesos) {
+    const porLinaje = new Map();
+    procesos.forEach(proceso => {
+      const clave = this.linajeKey(proceso);
+      if (!porLinaje.has(clave)) porLinaje.set(clave, []);
+      porLinaje.get(clave).push(proceso);
+    });
+
+    const vigentes = new Set();
+    porLinaje.forEach(miembros => vigentes.add(this.pickVigente(miembros).id));
+
+    return procesos.filter(proceso => vigentes.has(proceso.id));
+  }
+
+  /**
+   * Identificador de la oportunidad: linaje_id para procesos reiniciados, id para el resto
+   */
+  linajeKey(proceso) {
+    return proceso.linaje_id || proceso.id;
+  }
+
+  /**
+   * Condición SQL para quedarse con el último proceso de cada cadena (sin reinicios posteriores)
+   */
+  vigenteCondition(alias = 'Proceso') {
+    return sequelize.literal(
+      `NOT EXISTS (SELECT 1 FROM procesos reinicio WHERE reinicio.proceso_origen_id = "${alias}"."id")`
+    );
+  }
+
+  /**
+   * Contar oportunidades (cadenas de reinicios) en lugar de procesos
+   */
+  async countOportunidades(where = {}) {
+    const result = await Proceso.findOne({
+      attributes: [
+        [sequelize.fn('COUNT', sequelize.fn('DISTINCT', sequelize.fn('COALESCE', sequelize.col('linaje_id'), sequelize.col('id')))), 'total']
+      ],
+      where,
+      raw: true
+    });
+
+    return parseInt(result?.total || 0);
+  }
+
+  /**
+   * Vincular los procesos reiniciados que aún no tienen proceso original
+   * @returns {Object} { revisados, vinculados }
+   */
+  async backfill({ batchSize = 500 } = {}) {
+    let ultimoId = null;
+    let revisados = 0;
+    let vinculados = 0;
+
+    let procesos;
+    do {
+      const where = { reiniciado_desde: { [Op.ne]: null }, proceso_origen_id: null };
+      if (ultimoId) where.id = { [Op.gt]: ultimoId };
+
+      procesos = await Proceso.findAll({
+        where,
+        attributes: ATRIBUTOS_LINAJE,
+        order: [['id', 'ASC']],
+        limit: batchSize
+      });
+
+      for (const proceso of procesos) {
+        revisados++;
+        const origen = await this.resolveOrigen(proceso);
+        if (origen) {
+          await this.setOrigen(proceso, origen);
+          vinculados++;
+        }
+      }
+      ultimoId = procesos[procesos.length - 1]?.id;
+    } while (procesos.length === batchSize);
+
+    logger.info(`Linaje: ${vinculados} de ${revisados} procesos reiniciados vinculados con su original`);
+    return { revisados, vinculados };
+  }
+}
+
+module.exports = new LinajeService();
@@ -0,0 +1,202 @@
+/**
+ * Servicio OCDS
+ * Lee paquetes de releases o records en formato OCDS (Open Contracting Data Standard)
+ * publicados por el OECE y los traduce a columnas de la tabla procesos
+ */
+const fs = require('fs');
+const path = require('path');
+const config = require('../config/index');
+const logger = require('../config/logger');
+
+// mainProcurementCategory de OCDS -> objeto de contratación SEACE
+const CATEGORIAS = {
+  goods: 'Bien',
+  works: 'Obra',
+  services: 'Servicio',
+  consultingServices: 'Consultoría de Obra'
+};
+
+// tender.status de OCDS -> estado del procedimiento
+const ESTADOS = {
+  planning: 'Planificado',
+  planned: 'Planificado',
+  active: 'Convocado',
+  cancelled: 'Cancelado',
+  unsuccessful: 'Desierto',
+  complete: 'Culminado',
+  withdrawn: 'Retirado'
+};
+
+const MONEDAS = {
+  PEN: 'Soles',
+  USD: 'Dólares',
+  EUR: 'Euros'
+};
+
+class OcdsService {
+  /**
+   * Extraer los releases de un paquete OCDS.
+   * En un record package se usa el compiledRelease o, si no existe, el último release del record.
+   * Si un ocid aparece varias veces se conserva el release más reciente.
+   * @param {Object} paquete - Release package ({ releases }) o record package ({ records })
+   * @returns {Array} Releases, uno por ocid
+   */
+  extractReleases(paquete) {
+    if (!paquete || typeof paquete !== 'object') {
+      throw this.invalidPackageError('El paquete OCDS no es un objeto JSON');
+    }
+
+    let releases;
+    if (Array.isArray(paquete.releases)) {
+      releases = paquete.releases;
+    } else if (Array.isArray(paquete.records)) {
+      releases = paquete.records
+        .map(record => record.compiledRelease || (Array.isArray(record.releases) ? record.releases[record.releases.length - 1] : null))
+        // Los records con releases enlazados (solo url) no traen datos
+        .filter(release => release && release.ocid && !release.url);
+    } else {
+      throw this.invalidPackageError('El archivo no es un paquete OCDS: se esperaba "releases" o "records"');
+    }
+
+    const porOcid = new Map();
+    releases.filter(release => release && release.ocid).forEach(release => {
+      const actual = porOcid.get(release.ocid);
+      if (!actual || (release.date || '') >= (actual.date || '')) {
+        porOcid.set(release.ocid, release);
+      }
+    });
+
+    return [...porOcid.values()];
+  }
+
+  /**
+   * Error de paquete OCDS inválido (HTTP 400)
+   */
+  invalidPackageError(message) {
+    const error = new Error(message);
+    error.statusCode = 400;
+    return error;
+  }
+
+  /**
+   * Leer los paquetes OCDS (*.json) del directorio de importación
+   * @returns {Array} [{ file, releases }]
+   */
+  readDirectory(dir = config.ocds.importDir) {
+    const directorio = path.resolve(process.cwd(), dir);
+    if (!fs.existsSync(directorio)) {
+      throw new Error(`No existe el directorio de importación OCDS: ${directorio}`);
+    }
+
+    const archivos = fs.readdirSync(directorio)
+      .filter(nombre => nombre.toLowerCase().endsWith('.json'))
+      .sort();
+
+    return archivos.map(nombre => {
+      try {
+        const paquete = JSON.parse(fs.readFileSync(path.join(directorio, nombre), 'utf-8'));
+        return { file: nombre, releases: this.extractReleases(paquete) };
+      } catch (err) {
+        logger.warn(`Archivo OCDS omitido ${nombre}: ${err.message}`);
+        return { file: nombre, releases: [], error: err.message };
+      }
+    });
+  }
+
+  /**
+   * Traducir un release OCDS a los campos de procesos.
+   * Solo se incluyen los campos que el release trae, para no borrar datos del scraping.
+   * @returns {Object} Datos del proceso con adjudicaciones y el release original en datos_ocds
+   */
+  mapRelease(release) {
+    const tender = release.tender || {};
+    const parties = release.parties || [];
+    const buyerParty = parties.find(party => party.id === release.buyer?.id)
+      || parties.find(party => (party.roles || []).includes('buyer'));
+    const direccion = buyerParty?.address || {};
+    const items = tender.items || [];
+
+    const datos = {
+      id_proceso: tender.title || release.ocid,
+      nomenclatura: tender.title,
+      numero_convocatoria: tender.title,
+      descripcion_objeto: tender.description || items.map(item => item.description).filter(Boolean).join('; ') || undefined,
+      objeto_contratacion: CATEGORIAS[tender.mainProcurementCategory],
+      tipo_proceso: tender.procurementMethodDetails,
+      estado_proceso: this.mapEstado(release),
+      nombre_entidad: release.buyer?.name || buyerParty?.name,
+      entidad_nombre: release.buyer?.name || buyerParty?.name,
+      entidad_ruc: this.findRuc(buyerParty),
+      departamento: direccion.department || direccion.region,
+      provincia: direccion.province,
+      distrito: direccion.district || direccion.locality,
+      monto_referencial: tender.value?.amount,
+      moneda: this.mapMoneda(tender.value?.currency),
+      rubro: items[0]?.classification?.description,
+      fecha_publicacion: tender.datePublished || release.date,
+      fecha_limite_presentacion: tender.tenderPeriod?.endDate,
+      datos_ocds: release
+    };
+
+    Object.keys(datos).forEach(campo => {
+      if (datos[campo] === undefined || datos[campo] === null || datos[campo] === '') delete datos[campo];
+    });
+
+    datos.adjudicaciones = this.mapAwards(release, parties);
+    return datos;
+  }
+
+  /**
+   * Un proceso con buena pro vigente se marca como adjudicado aunque la convocatoria siga activa
+   */
+  mapEstado(release) {
+    const adjudicado = (release.awards || []).some(award => award.status === 'active');
+    if (adjudicado && release.tender?.status !== 'complete') return 'Adjudicado';
+    return ESTADOS[release.tender?.status];
+  }
+
+  mapMoneda(moneda) {
+    if (!moneda) return undefined;
+    return MONEDAS[moneda] || moneda;
+  }
+
+  findRuc(party) {
+    if (!party) return undefined;
+    const identificadores = [party.identifier, ...(party.additionalIdentifiers || [])].filter(Boolean);
+    const ruc = identificadores.find(id => /RUC/i.test(id.scheme || '')) || identificadores[0];
+    const digitos = ruc ? String(ruc.id || '').replace(/\D/g, '') : '';
+    return digitos.length === 11 ? digitos : undefined;
+  }
+
+  /**
+   * Traducir los awards a adjudicaciones (una por proveedor adjudicado)
+   */
+  mapAwards(release, parties) {
+    const numeroPostores = release.tender?.numberOfTenderers
+      || parties.filter(party => (party.roles || []).includes('tenderer')).length
+      || null;
+
+    const adjudicaciones = [];
+    (release.awards || [])
+      .filter(award => !award.status || award.status === 'active')
+      .forEach(award => {
+        (award.suppliers || []).forEach(supplier => {
+          const party = parties.find(p => p.id === supplier.id) || supplier;
+          adjudicaciones.push({
+            numero_item: null,
+            descripcion_item: award.title || award.items?.[0]?.description || null,
+            ganador_ruc: this.findRuc(party) || null,
+            ganador_nombre: supplier.name || party.name || null,
+            monto_adjudicado: award.value?.amount ?? null,
+            moneda: this.mapMoneda(award.value?.currency) || null,
+            numero_postores: numeroPostores,
+            fecha_buena_pro: award.date || null
+          });
+        });
+      });
+
+    return adjudicaciones;
+  }
+}
+
+module.exports = new OcdsService();
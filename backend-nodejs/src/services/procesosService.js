@@ -1,8 +1,11 @@
 /**
  * Servicio de procesos
  */
-const { Proceso, Anexo, ProcesoEmbedding, Recomendacion } = require('../models');
+const { Proceso, Anexo, ProcesoEtapa, Adjudicacion, Proveedor, Entidad, ProcesoEmbedding, Recomendacion } = require('../models');
 const { Op } = require('sequelize');
+const ubigeoService = require('./ubigeoService');
+const tiposCambioService = require('./tiposCambioService');
+const linajeService = require('./linajeService');
 const { sequelize } = require('../config/database');
 
 class ProcesosService {
@@ -19,12 +22,15 @@ class ProcesosService {
         objeto_contratacion,
         rubro,
         departamento,
+        ubigeo,
         entidad_nombre,
+        entidad_id,
         monto_min,
         monto_max,
         fecha_desde,
         fecha_hasta,
         search_text,
+        colapsar_linaje = false,
         sort_by = 'fecha_publicacion',
         sort_order = 'DESC'
       } = filters;
@@ -53,10 +59,26 @@ class ProcesosService {
         };
       }
 
+      // Filtros de ubicación por código INEI (el departamento se acepta por nombre o código)
       if (departamento) {
-        whereClause.departamento = {
-          [Op.iLike]: `%${departamento}%`
-        };
+        const codigoDepartamento = ubigeoService.findDepartamento(departamento);
+        if (codigoDepartamento) {
+          whereClause.ubigeo_departamento = codigoDepartamento;
+        } else {
+          whereClause.departamento = {
+            [Op.iLike]: `%${departamento}%`
+          };
+        }
+      }
+
+      if (ubigeo) {
+        const campoUbigeo = { 2: 'ubigeo_departamento', 4: 'ubigeo_provincia', 6: 'ubigeo_distrito' }[String(ubigeo).length];
+        if (!campoUbigeo || !ubigeoService.isValidCodigo(ubigeo)) {
+          const error = new Error(`ubigeo no reconocido: ${ubigeo}`);
+          error.statusCode = 400;
+          throw error;
+        }
+        whereClause[campoUbigeo] = String(ubigeo);
       }
 
       // Filtro de Entidad
@@ -67,17 +89,22 @@ class ProcesosService {
         ];
       }
 
-      // Filtros de Monto
+      // Filtro por entidad del catálogo (agrupa todas las variantes del nombre)
+      if (entidad_id) {
+        whereClause.entidad_id = entidad_id;
+      }
+
+      // Filtros de Monto (en soles, sobre monto_pen)
       if (monto_min) {
-        whereClause.monto_referencial = {
-          ...whereClause.monto_referencial,
+        whereClause.monto_pen = {
+          ...whereClause.monto_pen,
           [Op.gte]: parseFloat(monto_min)
         };
       }
 
       if (monto_max) {
-        whereClause.monto_referencial = {
-          ...whereClause.monto_referencial,
+        whereClause.monto_pen = {
+          ...whereClause.monto_pen,
           [Op.lte]: parseFloat(monto_max)
         };
       }
@@ -104,10 +131,16 @@ class ProcesosService {
           { nombre_entidad: { [Op.iLike]: `%${search_text}%` } },
           { entidad_nombre: { [Op.iLike]: `%${search_text}%` } },
           { nomenclatura: { [Op.iLike]: `%${search_text}%` } },
-          { rubro: { [Op.iLike]: `%${search_text}%` } }
+          { rubro: { [Op.iLike]: `%${search_text}%` } },
+          this.anexosTextCondition(search_text)
         ];
       }
 
+      // Un solo proceso por cadena de reinicios: el más reciente
+      if (colapsar_linaje) {
+        whereClause[Op.and] = [...(whereClause[Op.and] || []), linajeService.vigenteCondition()];
+      }
+
       // Calcular offset
       const offset = (page - 1) * size;
 
@@ -121,7 +154,8 @@ class ProcesosService {
           {
             model: Anexo,
             as: 'anexos',
-            required: false
+            required: false,
+            attributes: { exclude: ['contenido_extraido', 'ruta_local'] }
           }
         ]
       });
@@ -134,7 +168,8 @@ class ProcesosService {
         total: count,
         page: parseInt(page),
         size: parseInt(size),
-        pages: pages
+        pages: pages,
+        moneda_filtro_monto: tiposCambioService.monedaBase
       };
     } catch (error) {
       console.error('Error en getProcesos:', error);
@@ -142,6 +177,15 @@ class ProcesosService {
     }
   }
 
+  /**
+   * Condición para buscar texto dentro de los anexos extraídos del proceso
+   */
+  anexosTextCondition(texto) {
+    return sequelize.literal(
+      `EXISTS (SELECT 1 FROM anexos WHERE anexos.proceso_id = "Proceso"."id" AND anexos.contenido_extraido ILIKE ${sequelize.escape(`%${texto}%`)})`
+    );
+  }
+
   /**
    * Obtener proceso por ID
    */
@@ -152,10 +196,33 @@ class ProcesosService {
           {
             model: Anexo,
             as: 'anexos',
-            required: false
+            required: false,
+            attributes: { exclude: ['contenido_extraido', 'ruta_local'] }
+          },
+          {
+            model: ProcesoEtapa,
+            as: 'etapas',
+            required: false,
+            attributes: ['id', 'etapa', 'tipo_etapa', 'orden', 'fecha_inicio', 'fecha_fin']
+          },
+          {
+            model: Adjudicacion,
+            as: 'adjudicaciones',
+            required: false,
+            include: [{ model: Proveedor, as: 'proveedor', required: false, attributes: ['id', 'ruc', 'razon_social'] }]
+          },
+          {
+            model: Entidad,
+            as: 'entidad',
+            required: false,
+            attributes: ['id', 'nombre_canonico', 'ruc', 'nivel_gobierno', 'ubigeo']
           }
           // ProcesoEmbedding removido para evitar error en LEFT JOIN
           // Las embeddings se pueden cargar por separado si es necesario
+        ],
+        order: [
+          [{ model: ProcesoEtapa, as: 'etapas' }, 'orden', 'ASC'],
+          [{ model: Adjudicacion, as: 'adjudicaciones' }, 'numero_item', 'ASC']
         ]
       });
 
@@ -180,7 +247,8 @@ class ProcesosService {
           { tipo_proceso: { [Op.iLike]: `%${query}%` } },
           { nomenclatura: { [Op.iLike]: `%${query}%` } },
           { rubro: { [Op.iLike]: `%${query}%` } },
-          { departamento: { [Op.iLike]: `%${query}%` } }
+          { departamento: { [Op.iLike]: `%${query}%` } },
+          this.anexosTextCondition(query)
         ]
       };
 
@@ -222,9 +290,9 @@ class ProcesosService {
         where: { estado_proceso: 'Adjudicado' }
       });
 
-      const totalValorResult = await Proceso.sum('monto_referencial', {
+      const totalValorResult = await Proceso.sum('monto_pen', {
         where: {
-          monto_referencial: { [Op.ne]: null }
+          monto_pen: { [Op.ne]: null }
         }
       });
 
@@ -234,7 +302,8 @@ class ProcesosService {
         total_procesos: totalProcesos,
         procesos_activos: procesosActivos,
         procesos_adjudicados: procesosAdjudicados,
-        valor_total: parseFloat(totalValor)
+        valor_total: parseFloat(totalValor),
+        moneda: tiposCambioService.monedaBase
       };
     } catch (error) {
       console.error('Error en getGeneralStats:', error);
@@ -276,19 +345,22 @@ class ProcesosService {
 
       // Procesos por departamento
       const procesosPorDepartamento = await sequelize.query(
-        `SELECT departamento, COUNT(*) as cantidad 
+        `SELECT ubigeo_departamento, COUNT(*) as cantidad 
          FROM procesos 
-         WHERE departamento IS NOT NULL 
-         GROUP BY departamento 
+         WHERE ubigeo_departamento IS NOT NULL 
+         GROUP BY ubigeo_departamento 
          ORDER BY cantidad DESC 
          LIMIT 10`,
         { type: sequelize.QueryTypes.SELECT }
       );
+      procesosPorDepartamento.forEach(r => {
+        r.departamento = ubigeoService.fromCodigo(r.ubigeo_departamento).departamento;
+      });
 
       // Monto total
-      const montoTotal = await Proceso.sum('monto_referencial', {
+      const montoTotal = await Proceso.sum('monto_pen', {
         where: {
-          monto_referencial: { [Op.ne]: null }
+          monto_pen: { [Op.ne]: null }
         }
       });
 
@@ -296,6 +368,7 @@ class ProcesosService {
         total_procesos: totalProcesos,
         total_ti: totalTI,
         monto_total: parseFloat(montoTotal || 0),
+        moneda: tiposCambioService.monedaBase,
         por_estado: procesosPorEstado,
         por_tipo: procesosPorTipo,
         por_departamento: procesosPorDepartamento
@@ -312,6 +385,8 @@ class ProcesosService {
   async createProceso(procesoData) {
     try {
       const proceso = await Proceso.create(procesoData);
+      await tiposCambioService.updateMontoPen(proceso);
+      await linajeService.linkProceso(proceso);
       return proceso;
     } catch (error) {
       console.error('Error en createProceso:', error);
@@ -331,6 +406,8 @@ class ProcesosService {
       }
 
       await proceso.update(procesoData);
+      await tiposCambioService.updateMontoPen(proceso);
+      await linajeService.linkProceso(proceso);
       await proceso.reload();
 
       return proceso;
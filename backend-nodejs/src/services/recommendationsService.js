@@ -6,6 +6,8 @@
 const { UserRecommendation, Preferencia, Proceso, User } = require('../models');
 const { Op } = require('sequelize');
 const logger = require('../config/logger');
+const ubigeoService = require('./ubigeoService');
+const linajeService = require('./linajeService');
 
 class RecommendationsService {
   /**
@@ -78,15 +80,16 @@ class RecommendationsService {
         logger.info(`Usuario ${userId}: Generación forzada manual (ignorando frecuencia)`);
       }
 
-      // Obtener procesos activos (publicados, no adjudicados)
-      const procesos = await Proceso.findAll({
+      // Obtener procesos activos (publicados, no adjudicados).
+      // Cada cadena de reinicios cuenta como una sola oportunidad: se evalúa su proceso más reciente
+      const procesos = linajeService.collapse(await Proceso.findAll({
         where: {
           estado_proceso: {
             [Op.in]: ['Publicado', 'En Evaluación', 'Convocado']
           }
         },
         limit: 500 // Limitar cantidad de procesos a evaluar
-      });
+      }));
 
       if (procesos.length === 0) {
         return {
@@ -115,6 +118,7 @@ class RecommendationsService {
         if (score.total >= 30) {
           scoredProcesses.push({
             proceso_id: proceso.id,
+            linaje_key: linajeService.linajeKey(proceso),
             score: score.total,
             match_region: score.region,
             match_tipo_proyecto: score.tipo_proyecto,
@@ -158,8 +162,18 @@ class RecommendationsService {
         existingRecommendations.filter(r => r.seen).map(r => r.proceso_id)
       );
 
+      // Cadenas de reinicios ya recomendadas (un reinicio no se recomienda de nuevo)
+      const existingLinajes = new Set(
+        (await Proceso.findAll({
+          where: { id: { [Op.in]: [...existingProcesoIds] } },
+          attributes: ['id', 'linaje_id']
+        })).map(p => linajeService.linajeKey(p))
+      );
+
       // Filtrar procesos que ya están en recomendaciones
-      const newProcesses = topProcesses.filter(item => !existingProcesoIds.has(item.proceso_id));
+      const newProcesses = topProcesses.filter(item =>
+        !existingProcesoIds.has(item.proceso_id) && !existingLinajes.has(item.linaje_key)
+      );
 
       logger.info(`Procesos evaluados: ${topProcesses.length}, Ya existentes: ${existingProcesoIds.size}, Nuevos a agregar: ${newProcesses.length}`);
 
@@ -287,8 +301,8 @@ class RecommendationsService {
    * - Sin monto: Región 35%, Tipo Proyecto 35%, Carrera 30%
    */
   async calculateScore(preferencia, proceso) {
-    // Verificar si hay monto disponible
-    const hasAmount = proceso.monto_referencial && parseFloat(proceso.monto_referencial) > 0;
+    // Verificar si hay monto disponible (en soles, comparable con las preferencias)
+    const hasAmount = proceso.monto_pen && parseFloat(proceso.monto_pen) > 0;
 
     // Pesos dinámicos según disponibilidad de monto
     const weights = hasAmount 
@@ -308,8 +322,7 @@ class RecommendationsService {
     // Score de región
     const scoreRegion = this.calculateRegionMatch(
       preferencia.regiones_interes || [],
-      proceso.departamento,
-      proceso.provincia
+      proceso
     );
 
     // Score de tipo de proyecto
@@ -324,7 +337,7 @@ class RecommendationsService {
       ? this.calculateAmountMatch(
           preferencia.monto_min,
           preferencia.monto_max,
-          proceso.monto_referencial
+          proceso.monto_pen
         )
       : 0;
 
@@ -375,25 +388,27 @@ class RecommendationsService {
   }
 
   /**
-   * Calcular coincidencia de región
+   * Calcular coincidencia de región comparando códigos de ubigeo
+   * (las regiones de interés son nombres de departamento o de provincia)
    */
-  calculateRegionMatch(userRegions, procesoDepartamento, procesoProvincia) {
+  calculateRegionMatch(userRegions, proceso) {
     if (!userRegions || userRegions.length === 0) return 0.5; // Neutral si no especifica
-    if (!procesoDepartamento) return 0;
 
-    // Coincidencia exacta de departamento
-    const departamentoMatch = userRegions.some(region => 
-      procesoDepartamento.toLowerCase().includes(region.toLowerCase()) ||
-      region.toLowerCase().includes(procesoDepartamento.toLowerCase())
+    // Procesos aún sin códigos: se resuelven desde el texto de la ubicación
+    const ubicacion = proceso.ubigeo_departamento ? proceso : ubigeoService.resolve(proceso);
+    if (!ubicacion.ubigeo_departamento) return 0;
+
+    // Coincidencia de departamento
+    const departamentoMatch = userRegions.some(region =>
+      ubigeoService.findDepartamento(region) === ubicacion.ubigeo_departamento
     );
 
     if (departamentoMatch) return 1.0;
 
-    // Coincidencia parcial de provincia
-    if (procesoProvincia) {
+    // Coincidencia de provincia
+    if (ubicacion.ubigeo_provincia) {
       const provinciaMatch = userRegions.some(region =>
-        procesoProvincia.toLowerCase().includes(region.toLowerCase()) ||
-        region.toLowerCase().includes(procesoProvincia.toLowerCase())
+        ubigeoService.findProvincia(region, ubicacion.ubigeo_departamento) === ubicacion.ubigeo_provincia
       );
       if (provinciaMatch) return 0.7;
     }
@@ -604,7 +619,7 @@ class RecommendationsService {
             as: 'proceso',
             attributes: [
               'id', 'nomenclatura', 'entidad_nombre', 'objeto_contratacion',
-              'descripcion_objeto', 'monto_referencial', 'moneda', 'departamento',
+              'descripcion_objeto', 'monto_referencial', 'moneda', 'monto_pen', 'departamento',
               'estado_proceso', 'fecha_publicacion', 'url_proceso'
             ]
           }
@@ -0,0 +1,274 @@
+/**
+ * Servicio de revisiones
+ * Registra los cambios de cada proceso entre extracciones (estado, monto, fechas, etc.)
+ */
+const { Op } = require('sequelize');
+const { Proceso, ProcesoRevision, ETLOperacionProceso, ETLLog, sequelize } = require('../models');
+const logger = require('../config/logger');
+
+// Campos de negocio cuyo cambio se registra.
+// Los metadatos de la extracción (fecha_scraping, source_url, pagina_scraping, datos_ocds) no se versionan.
+const CAMPOS_VERSIONADOS = [
+  'nombre_entidad',
+  'entidad_nombre',
+  'entidad_ruc',
+  'fecha_publicacion',
+  'nomenclatura',
+  'reiniciado_desde',
+  'objeto_contratacion',
+  'descripcion_objeto',
+  'estado_proceso',
+  'tipo_proceso',
+  'url_proceso',
+  'numero_convocatoria',
+  'codigo_snip',
+  'codigo_cui',
+  'departamento',
+  'provincia',
+  'distrito',
+  'monto_referencial',
+  'moneda',
+  'rubro',
+  'fecha_limite_presentacion',
+  'version_seace',
+  'requiere_visita_previa'
+];
+
+const CAMPOS_FECHA = ['fecha_publicacion', 'fecha_limite_presentacion'];
+const CAMPOS_NUMERICOS = ['monto_referencial'];
+
+// Resultado de una operación ETL para un proceso
+const RESULTADOS = ['created', 'updated', 'unchanged'];
+
+class RevisionesService {
+  /**
+   * Normalizar un valor para compararlo y guardarlo como texto
+   */
+  normalizeValue(campo, valor) {
+    if (valor === null || valor === undefined || valor === '') return null;
+
+    if (CAMPOS_FECHA.includes(campo)) {
+      const fecha = valor instanceof Date ? valor : new Date(valor);
+      return isNaN(fecha.getTime()) ? String(valor) : fecha.toISOString();
+    }
+    if (CAMPOS_NUMERICOS.includes(campo)) {
+      const numero = parseFloat(valor);
+      return isNaN(numero) ? String(valor) : numero.toFixed(2);
+    }
+
+    return String(valor).trim();
+  }
+
+  /**
+   * Comparar un proceso guardado con los nuevos datos
+   * @param {Object} proceso - Instancia de Proceso antes de actualizar
+   * @param {Object} nuevosDatos - Campos que se van a actualizar
+   * @returns {Array} [{ campo, valor_anterior, valor_nuevo }]
+   */
+  diffProceso(proceso, nuevosDatos) {
+    const cambios = [];
+
+    CAMPOS_VERSIONADOS.forEach(campo => {
+      if (!(campo in nuevosDatos)) return;
+
+      const anterior = this.normalizeValue(campo, proceso[campo]);
+      const nuevo = this.normalizeValue(campo, nuevosDatos[campo]);
+
+      if (anterior !== nuevo) {
+        cambios.push({ campo, valor_anterior: anterior, valor_nuevo: nuevo });
+      }
+    });
+
+    return cambios;
+  }
+
+  /**
+   * Guardar los cambios detectados por una operación ETL
+   */
+  async recordChanges(procesoId, operationId, cambios) {
+    if (!cambios || cambios.length === 0) return 0;
+
+    try {
+      await ProcesoRevision.bulkCreate(cambios.map(cambio => ({
+        proceso_id: procesoId,
+        operation_id: operationId,
+        ...cambio
+      })));
+
+      logger.debug(`${cambios.length} cambios registrados para proceso ${procesoId}: ${cambios.map(c => c.campo).join(', ')}`);
+      return cambios.length;
+    } catch (error) {
+      logger.error(`Error en recordChanges: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Registrar qué hizo una operación ETL con un proceso.
+   * Si la operación vuelve a tocar el proceso (al reanudarla) se conserva "created"
+   * y se acumulan los campos modificados.
+   * @param {String} resultado - created, updated o unchanged
+   */
+  async recordOperationResult(operationId, proceso, resultado, cambios = []) {
+    if (!operationId) return;
+
+    try {
+      const campos = cambios.map(cambio => cambio.campo);
+      const existente = await ETLOperacionProceso.findOne({
+        where: { operation_id: operationId, proceso_id: proceso.id }
+      });
+
+      if (!existente) {
+        await ETLOperacionProceso.create({
+          operation_id: operationId,
+          proceso_id: proceso.id,
+          id_proceso: proceso.id_proceso,
+          resultado,
+          campos_modificados: campos
+        });
+        return;
+      }
+
+      const camposAcumulados = [...new Set([...(existente.campos_modificados || []), ...campos])];
+      let resultadoFinal = existente.resultado === 'created' ? 'created' : resultado;
+      if (resultadoFinal === 'unchanged' && camposAcumulados.length > 0) resultadoFinal = 'updated';
+
+      await existente.update({ resultado: resultadoFinal, campos_modificados: camposAcumulados });
+    } catch (error) {
+      logger.error(`Error en recordOperationResult: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Cantidad de procesos creados, actualizados y sin cambios de una operación
+   */
+  async getOperationSummary(operationId) {
+    const filas = await ETLOperacionProceso.findAll({
+      where: { operation_id: operationId },
+      attributes: ['resultado', [sequelize.fn('COUNT', sequelize.col('id')), 'cantidad']],
+      group: ['resultado'],
+      raw: true
+    });
+
+    const resumen = { created: 0, updated: 0, unchanged: 0 };
+    filas.forEach(fila => {
+      resumen[fila.resultado] = parseInt(fila.cantidad);
+    });
+    return resumen;
+  }
+
+  /**
+   * Diff por campo de una operación ETL: cada proceso tocado con su resultado y los
+   * valores anterior y nuevo de los campos que cambió
+   * @param {Object} filters - { resultado, campo, search, page, size }
+   * @returns {Object|null} null si la operación no existe
+   */
+  async getOperationChanges(operationId, { resultado = null, campo = null, search = null, page = 1, size = 50 } = {}) {
+    try {
+      const etlLog = await ETLLog.findOne({ where: { operation_id: operationId }, attributes: ['id'] });
+      if (!etlLog) return null;
+
+      const where = { operation_id: operationId };
+      if (resultado) {
+        if (!RESULTADOS.includes(resultado)) {
+          const error = new Error(`resultado debe ser uno de: ${RESULTADOS.join(', ')}`);
+          error.statusCode = 400;
+          throw error;
+        }
+        where.resultado = resultado;
+      }
+      if (campo) where.campos_modificados = { [Op.contains]: [campo] };
+      if (search) where.id_proceso = { [Op.iLike]: `%${search}%` };
+
+      const offset = (page - 1) * size;
+      const { count, rows } = await ETLOperacionProceso.findAndCountAll({
+        where,
+        include: [{
+          model: Proceso,
+          as: 'proceso',
+          attributes: ['nombre_entidad', 'objeto_contratacion', 'descripcion_objeto', 'estado_proceso']
+        }],
+        offset,
+        limit: size,
+        order: [['created_at', 'ASC'], ['id_proceso', 'ASC']]
+      });
+
+      const revisiones = rows.length > 0
+        ? await ProcesoRevision.findAll({
+          where: { operation_id: operationId, proceso_id: rows.map(fila => fila.proceso_id) },
+          attributes: ['proceso_id', 'campo', 'valor_anterior', 'valor_nuevo', 'created_at'],
+          order: [['created_at', 'ASC'], ['campo', 'ASC']]
+        })
+        : [];
+
+      // Campos modificados por la operación, para filtrar la tabla
+      const [campos] = await sequelize.query(`
+        SELECT campo, CAST(COUNT(*) AS int) AS cantidad
+        FROM etl_operacion_procesos, unnest(campos_modificados) AS campo
+        WHERE operation_id = :operationId
+        GROUP BY campo
+        ORDER BY cantidad DESC, campo ASC
+      `, { replacements: { operationId } });
+
+      return {
+        operation_id: operationId,
+        resumen: await this.getOperationSummary(operationId),
+        campos,
+        items: rows.map(fila => ({
+          proceso_id: fila.proceso_id,
+          id_proceso: fila.id_proceso,
+          resultado: fila.resultado,
+          nombre_entidad: fila.proceso?.nombre_entidad || null,
+          objeto_contratacion: fila.proceso?.objeto_contratacion || null,
+          descripcion_objeto: fila.proceso?.descripcion_objeto || null,
+          estado_proceso: fila.proceso?.estado_proceso || null,
+          cambios: revisiones
+            .filter(revision => revision.proceso_id === fila.proceso_id)
+            .map(({ campo: nombre, valor_anterior, valor_nuevo }) => ({ campo: nombre, valor_anterior, valor_nuevo }))
+        })),
+        total: count,
+        page: parseInt(page),
+        size: parseInt(size),
+        pages: Math.ceil(count / size)
+      };
+    } catch (error) {
+      logger.error(`Error en getOperationChanges: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Historial de cambios de un proceso, del más reciente al más antiguo
+   * @returns {Object|null} null si el proceso no existe
+   */
+  async getHistory(procesoId, { page = 1, size = 50 } = {}) {
+    try {
+      const proceso = await Proceso.findByPk(procesoId, { attributes: ['id', 'id_proceso'] });
+      if (!proceso) return null;
+
+      const offset = (page - 1) * size;
+      const { count, rows } = await ProcesoRevision.findAndCountAll({
+        where: { proceso_id: procesoId },
+        offset,
+        limit: size,
+        order: [['created_at', 'DESC'], ['campo', 'ASC']]
+      });
+
+      return {
+        proceso_id: proceso.id,
+        id_proceso: proceso.id_proceso,
+        items: rows,
+        total: count,
+        page: parseInt(page),
+        size: parseInt(size),
+        pages: Math.ceil(count / size)
+      };
+    } catch (error) {
+      logger.error(`Error en getHistory: ${error.message}`);
+      throw error;
+    }
+  }
+}
+
+module.exports = new RevisionesService();
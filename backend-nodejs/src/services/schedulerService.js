@@ -0,0 +1,373 @@
+/**
+ * Servicio de programación de scraping
+ * Un scheduler en el mismo proceso de la API revisa cada SCHEDULER_INTERVAL_MS las
+ * programaciones cron vencidas y las convierte en operaciones de scraping. También
+ * ejecuta las tareas pendientes creadas con POST /etl/scraping/tasks.
+ */
+const { Op } = require('sequelize');
+const { ScrapingSchedule, ScrapingTask, ETLLog } = require('../models');
+const { parseCron, nextCronDate } = require('../utils/cron');
+const etlService = require('./etlService');
+const jobQueueService = require('./jobQueueService');
+const config = require('../config/index');
+const logger = require('../config/logger');
+
+class SchedulerService {
+  constructor() {
+    this.timer = null;
+    this.ticking = false;
+  }
+
+  /**
+   * Iniciar el scheduler (se llama al arrancar el servidor)
+   */
+  start() {
+    if (!config.scheduler.enabled) {
+      logger.info('Scheduler de scraping deshabilitado (SCHEDULER_ENABLED=false)');
+      return;
+    }
+    if (this.timer) return;
+
+    this.timer = setInterval(() => this.tick(), config.scheduler.intervalMs);
+    logger.info(`Scheduler de scraping iniciado (revisión cada ${config.scheduler.intervalMs}ms)`);
+    this.tick();
+  }
+
+  stop() {
+    if (this.timer) clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  /**
+   * Una revisión del scheduler: actualiza ejecuciones terminadas y lanza las vencidas
+   */
+  async tick() {
+    // Una revisión lenta no se solapa con la siguiente
+    if (this.ticking) return;
+    this.ticking = true;
+
+    try {
+      await this.refreshSchedules();
+      await this.runDueSchedules();
+      await this.refreshTasks();
+      await this.runPendingTask();
+    } catch (error) {
+      logger.error(`Error en tick del scheduler: ${error.message}`);
+    } finally {
+      this.ticking = false;
+    }
+  }
+
+  /**
+   * Indica si una operación de scraping sigue en la cola o ejecutándose
+   */
+  async isRunning(operationId) {
+    return Boolean(operationId) && jobQueueService.isActive(operationId);
+  }
+
+  /**
+   * Estado final de una operación que ya no se está ejecutando
+   * @returns {Object} { status, message }
+   */
+  async getFinalStatus(operationId) {
+    const etlLog = await ETLLog.findOne({
+      where: { operation_id: operationId },
+      attributes: ['status', 'message']
+    });
+
+    if (!etlLog) return { status: 'failed', message: 'Operación no encontrada' };
+    if (['queued', 'running'].includes(etlLog.status)) {
+      return { status: 'failed', message: 'Operación interrumpida (el servidor se reinició durante la ejecución)' };
+    }
+    return {
+      status: ['completed', 'cancelled'].includes(etlLog.status) ? etlLog.status : 'failed',
+      message: etlLog.message
+    };
+  }
+
+  /**
+   * Registrar el resultado de las ejecuciones programadas que ya terminaron
+   */
+  async refreshSchedules() {
+    const enCurso = await ScrapingSchedule.findAll({ where: { last_status: 'running' } });
+
+    for (const schedule of enCurso) {
+      if (await this.isRunning(schedule.last_operation_id)) continue;
+
+      const { status, message } = await this.getFinalStatus(schedule.last_operation_id);
+      await schedule.update({ last_status: status, last_message: message, updated_at: new Date() });
+    }
+  }
+
+  /**
+   * Lanzar las programaciones cuya próxima ejecución ya venció.
+   * Si el servidor estuvo detenido, cada programación se ejecuta una sola vez al volver.
+   */
+  async runDueSchedules() {
+    const vencidas = await ScrapingSchedule.findAll({
+      where: { enabled: true, next_run_at: { [Op.lte]: new Date() } },
+      order: [['next_run_at', 'ASC']]
+    });
+
+    for (const schedule of vencidas) {
+      const reclamada = await this.claimSchedule(schedule);
+      if (reclamada) await this.runSchedule(reclamada);
+    }
+  }
+
+  /**
+   * Mover next_run_at a la siguiente ejecución solo si nadie lo movió antes.
+   * Si otro proceso ya reclamó la ejecución vencida, el UPDATE no encuentra la fila.
+   * @returns {Object|null} Programación reclamada, o null si ya la reclamó otro proceso
+   */
+  async claimSchedule(schedule) {
+    const [, [reclamada]] = await ScrapingSchedule.update({
+      next_run_at: nextCronDate(schedule.cron, new Date()),
+      updated_at: new Date()
+    }, {
+      where: { id: schedule.id, enabled: true, next_run_at: schedule.next_run_at },
+      returning: true
+    });
+
+    return reclamada || null;
+  }
+
+  /**
+   * Ejecutar una programación: omite la ejecución si la anterior sigue en curso.
+   * Las ejecuciones programadas llegan ya reclamadas por claimSchedule, que movió next_run_at.
+   * @param {Object} options.manual - Ejecución pedida desde la API
+   * @returns {Object} Programación actualizada
+   */
+  async runSchedule(schedule, { manual = false } = {}) {
+    const ahora = new Date();
+    const cambios = { updated_at: ahora };
+
+    if (await this.isRunning(schedule.last_operation_id)) {
+      cambios.skipped_count = (schedule.skipped_count || 0) + 1;
+      cambios.last_message = `Ejecución del ${ahora.toLocaleString('es-PE')} omitida: la anterior sigue en curso`;
+      logger.warn(`Programación "${schedule.name}": ${cambios.last_message}`);
+      return schedule.update(cambios);
+    }
+
+    try {
+      const result = await etlService.startScraping({ ...(schedule.params || {}), schedule_id: schedule.id });
+
+      Object.assign(cambios, {
+        last_run_at: ahora,
+        last_operation_id: result.operation_id,
+        last_status: 'running',
+        last_message: manual ? 'Ejecución manual' : null
+      });
+      logger.info(`Programación "${schedule.name}" lanzó la operación ${result.operation_id}`);
+    } catch (error) {
+      Object.assign(cambios, {
+        last_run_at: ahora,
+        last_status: 'failed',
+        last_message: `No se pudo iniciar el scraping: ${error.message}`
+      });
+      logger.error(`Error al ejecutar la programación "${schedule.name}": ${error.message}`);
+    }
+
+    return schedule.update(cambios);
+  }
+
+  /**
+   * Cerrar las tareas de scraping cuya operación ya terminó
+   */
+  async refreshTasks() {
+    const enCurso = await ScrapingTask.findAll({ where: { status: 'running' } });
+
+    for (const task of enCurso) {
+      const operationId = task.result?.operation_id;
+      if (await this.isRunning(operationId)) continue;
+
+      const { status, message } = operationId
+        ? await this.getFinalStatus(operationId)
+        : { status: 'failed', message: 'La tarea no tiene operación asociada' };
+
+      await task.update({
+        status,
+        error: status === 'failed' ? message : null,
+        completed_at: new Date(),
+        updated_at: new Date()
+      });
+    }
+  }
+
+  /**
+   * Ejecutar la tarea pendiente más antigua, de una en una
+   */
+  async runPendingTask() {
+    const enCurso = await ScrapingTask.count({ where: { status: 'running' } });
+    if (enCurso > 0) return;
+
+    const task = await ScrapingTask.findOne({
+      where: { status: 'pending' },
+      order: [['created_at', 'ASC']]
+    });
+    if (!task) return;
+
+    try {
+      const result = await etlService.startScraping(task.params || {});
+      await task.update({
+        status: 'running',
+        result: { operation_id: result.operation_id },
+        started_at: new Date(),
+        updated_at: new Date()
+      });
+      logger.info(`Tarea de scraping ${task.id} lanzó la operación ${result.operation_id}`);
+    } catch (error) {
+      await task.update({ status: 'failed', error: error.message, completed_at: new Date(), updated_at: new Date() });
+      logger.error(`Error al ejecutar la tarea de scraping ${task.id}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Validar y normalizar los datos de una programación
+   */
+  buildScheduleData(data, existente = null) {
+    const datos = {};
+
+    if (data.name !== undefined || !existente) {
+      const name = String(data.name || '').trim();
+      if (!name) throw this.invalidDataError('name es requerido');
+      datos.name = name;
+    }
+    if (data.cron !== undefined || !existente) {
+      const cron = String(data.cron || '').trim().replace(/\s+/g, ' ');
+      try {
+        parseCron(cron);
+      } catch (error) {
+        throw this.invalidDataError(`Expresión cron inválida: ${error.message}`);
+      }
+      if (!nextCronDate(cron)) throw this.invalidDataError(`La expresión cron "${cron}" nunca se cumple`);
+      datos.cron = cron;
+    }
+    if (data.params !== undefined) {
+      if (data.params !== null && (typeof data.params !== 'object' || Array.isArray(data.params))) {
+        throw this.invalidDataError('params debe ser un objeto con los parámetros de scraping');
+      }
+      datos.params = data.params;
+    }
+    if (data.enabled !== undefined) datos.enabled = Boolean(data.enabled);
+
+    // Recalcular la próxima ejecución si cambió la expresión o se habilitó la programación
+    const cron = datos.cron || existente?.cron;
+    const enabled = datos.enabled ?? existente?.enabled ?? true;
+    if (!existente || datos.cron !== undefined || datos.enabled !== undefined) {
+      datos.next_run_at = enabled ? nextCronDate(cron) : null;
+    }
+
+    return datos;
+  }
+
+  /**
+   * Listar programaciones
+   */
+  async getSchedules({ page = 1, size = 50 } = {}) {
+    try {
+      const { count, rows } = await ScrapingSchedule.findAndCountAll({
+        order: [['created_at', 'ASC']],
+        limit: size,
+        offset: (page - 1) * size
+      });
+
+      return {
+        items: await Promise.all(rows.map(schedule => this.toResponse(schedule))),
+        total: count,
+        page,
+        size,
+        pages: Math.ceil(count / size),
+        scheduler_enabled: config.scheduler.enabled
+      };
+    } catch (error) {
+      logger.error(`Error en getSchedules: ${error.message}`);
+      throw error;
+    }
+  }
+
+  async createSchedule(data, userId = null) {
+    try {
+      const schedule = await ScrapingSchedule.create({
+        ...this.buildScheduleData(data),
+        params: data.params || {},
+        created_by: userId
+      });
+
+      logger.info(`Programación de scraping creada: "${schedule.name}" (${schedule.cron})`);
+      return await this.toResponse(schedule);
+    } catch (error) {
+      logger.error(`Error en createSchedule: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * @returns {Object|null} null si la programación no existe
+   */
+  async updateSchedule(scheduleId, data) {
+    try {
+      const schedule = await ScrapingSchedule.findByPk(scheduleId);
+      if (!schedule) return null;
+
+      await schedule.update({ ...this.buildScheduleData(data, schedule), updated_at: new Date() });
+      return await this.toResponse(schedule);
+    } catch (error) {
+      logger.error(`Error en updateSchedule: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * @returns {Boolean} false si la programación no existe
+   */
+  async deleteSchedule(scheduleId) {
+    try {
+      const eliminados = await ScrapingSchedule.destroy({ where: { id: scheduleId } });
+      return eliminados > 0;
+    } catch (error) {
+      logger.error(`Error en deleteSchedule: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Ejecutar una programación ahora, sin esperar a su próxima ejecución
+   * @returns {Object|null} null si la programación no existe
+   */
+  async runScheduleNow(scheduleId) {
+    try {
+      const schedule = await ScrapingSchedule.findByPk(scheduleId);
+      if (!schedule) return null;
+
+      if (await this.isRunning(schedule.last_operation_id)) {
+        const error = new Error('La ejecución anterior de la programación sigue en curso');
+        error.statusCode = 409;
+        throw error;
+      }
+
+      return await this.toResponse(await this.runSchedule(schedule, { manual: true }));
+    } catch (error) {
+      logger.error(`Error en runScheduleNow: ${error.message}`);
+      throw error;
+    }
+  }
+
+  async toResponse(schedule) {
+    return {
+      ...schedule.toJSON(),
+      running: await this.isRunning(schedule.last_operation_id)
+    };
+  }
+
+  /**
+   * Error de datos inválidos (HTTP 400)
+   */
+  invalidDataError(message) {
+    const error = new Error(message);
+    error.statusCode = 400;
+    return error;
+  }
+}
+
+module.exports = new SchedulerService();
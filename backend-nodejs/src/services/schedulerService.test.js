@@ -0,0 +1,40 @@
+const { ScrapingSchedule } = require('../models');
+const schedulerService = require('./schedulerService');
+
+describe('schedulerService.runDueSchedules', () => {
+  const vencida = { id: 's-1', cron: '0 6 * * *', enabled: true, next_run_at: new Date('2025-01-06T11:00:00Z') };
+  let findAll;
+  let update;
+  let runSchedule;
+
+  beforeEach(() => {
+    findAll = jest.spyOn(ScrapingSchedule, 'findAll').mockResolvedValue([vencida]);
+    update = jest.spyOn(ScrapingSchedule, 'update');
+    runSchedule = jest.spyOn(schedulerService, 'runSchedule').mockResolvedValue();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('reclama la ejecución vencida con la condición sobre el next_run_at leído', async () => {
+    const reclamada = { ...vencida, next_run_at: new Date('2025-01-07T11:00:00Z') };
+    update.mockResolvedValue([1, [reclamada]]);
+
+    await schedulerService.runDueSchedules();
+
+    const [cambios, { where }] = update.mock.calls[0];
+    expect(where).toEqual({ id: 's-1', enabled: true, next_run_at: vencida.next_run_at });
+    expect(cambios.next_run_at.getTime()).toBeGreaterThan(Date.now());
+    expect(runSchedule).toHaveBeenCalledWith(reclamada);
+  });
+
+  it('no lanza la programación si otro proceso ya la reclamó', async () => {
+    update.mockResolvedValue([0, []]);
+
+    await schedulerService.runDueSchedules();
+
+    expect(findAll).toHaveBeenCalled();
+    expect(runSchedule).not.toHaveBeenCalled();
+  });
+});
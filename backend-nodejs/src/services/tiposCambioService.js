@@ -0,0 +1,341 @@
+/**
+ * Servicio de tipos de cambio
+ * Mantiene la tabla tipos_cambio y convierte los montos de los procesos a soles (monto_pen)
+ * para que totales, filtros y puntajes no mezclen monedas
+ */
+const { Op } = require('sequelize');
+const { TipoCambio, Proceso } = require('../models');
+const logger = require('../config/logger');
+
+const MONEDA_BASE = 'PEN';
+const MAX_FILAS = 10000;
+
+// Texto de la columna moneda (SEACE, OCDS, importaciones) -> código ISO 4217
+const VARIANTES_MONEDA = {
+  PEN: ['PEN', 'SOLES', 'SOL', 'NUEVOS SOLES', 'NUEVO SOL', 'S/', 'S/.'],
+  USD: ['USD', 'DOLARES', 'DOLAR', 'DOLARES AMERICANOS', 'DOLAR AMERICANO', 'US$', '$'],
+  EUR: ['EUR', 'EUROS', 'EURO', '€']
+};
+
+// Cabeceras aceptadas en el CSV de tipos de cambio
+const CABECERAS_CSV = {
+  fecha: 'fecha',
+  moneda: 'moneda',
+  valor: 'valor',
+  venta: 'valor',
+  'tipo de cambio': 'valor',
+  tipo_cambio: 'valor',
+  fuente: 'fuente'
+};
+
+class TiposCambioService {
+  constructor() {
+    this.monedaBase = MONEDA_BASE;
+    // moneda -> [{ fecha, valor }] ordenado por fecha; se invalida al modificar la tabla
+    this.cache = null;
+  }
+
+  /**
+   * Código ISO de la moneda de un proceso. Sin moneda se asume soles, como en el scraping.
+   * @returns {String|null} null si la moneda no se reconoce
+   */
+  normalizeMoneda(moneda) {
+    if (!moneda) return MONEDA_BASE;
+
+    const texto = String(moneda)
+      .normalize('NFD')
+      .replace(/[\u0300-\u036f]/g, '')
+      .toUpperCase()
+      .trim();
+
+    const codigo = Object.keys(VARIANTES_MONEDA).find(iso => VARIANTES_MONEDA[iso].includes(texto));
+    if (codigo) return codigo;
+    return /^[A-Z]{3}$/.test(texto) ? texto : null;
+  }
+
+  async loadCache() {
+    if (this.cache) return this.cache;
+
+    const tipos = await TipoCambio.findAll({
+      attributes: ['moneda', 'fecha', 'valor'],
+      order: [['moneda', 'ASC'], ['fecha', 'ASC']],
+      raw: true
+    });
+
+    const cache = new Map();
+    tipos.forEach(tipo => {
+      if (!cache.has(tipo.moneda)) cache.set(tipo.moneda, []);
+      cache.get(tipo.moneda).push({ fecha: tipo.fecha, valor: parseFloat(tipo.valor) });
+    });
+
+    this.cache = cache;
+    return cache;
+  }
+
+  /**
+   * Tipo de cambio vigente en una fecha: el último publicado hasta esa fecha
+   * o, si la fecha es anterior a toda la tabla, el primero disponible
+   * @returns {Number|null} Soles por unidad de la moneda
+   */
+  async getTasa(moneda, fecha = null) {
+    const codigo = this.normalizeMoneda(moneda);
+    if (codigo === MONEDA_BASE) return 1;
+
+    const tasas = (await this.loadCache()).get(codigo);
+    if (!tasas || tasas.length === 0) return null;
+
+    const dia = this.toDateOnly(fecha || new Date());
+    const vigentes = tasas.filter(tasa => tasa.fecha <= dia);
+    return (vigentes.length > 0 ? vigentes[vigentes.length - 1] : tasas[0]).valor;
+  }
+
+  /**
+   * Convertir un monto a soles con el tipo de cambio de la fecha indicada
+   * @returns {Number|null} null si no hay monto o no hay tipo de cambio para la moneda
+   */
+  async convertirAPen(monto, moneda, fecha = null) {
+    if (monto === null || monto === undefined || monto === '' || isNaN(Number(monto))) return null;
+
+    const tasa = await this.getTasa(moneda, fecha);
+    if (tasa === null) return null;
+
+    return Math.round(Number(monto) * tasa * 100) / 100;
+  }
+
+  /**
+   * Listar tipos de cambio, más recientes primero
+   */
+  async getTiposCambio({ moneda, page = 1, size = 50 } = {}) {
+    try {
+      const where = {};
+      if (moneda) where.moneda = this.normalizeMoneda(moneda) || moneda;
+
+      const { count, rows } = await TipoCambio.findAndCountAll({
+        where,
+        order: [['fecha', 'DESC'], ['moneda', 'ASC']],
+        limit: size,
+        offset: (page - 1) * size
+      });
+
+      return {
+        items: rows,
+        total: count,
+        page,
+        size,
+        pages: Math.ceil(count / size),
+        moneda_base: MONEDA_BASE
+      };
+    } catch (error) {
+      logger.error(`Error en getTiposCambio: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Registrar o corregir el tipo de cambio de una moneda en una fecha
+   * y recalcular monto_pen de los procesos en esa moneda
+   * @returns {Object} { tipo_cambio, created, procesos_actualizados }
+   */
+  async saveTipoCambio(datos) {
+    try {
+      const [tipoCambio, created] = await this.upsert(datos);
+      const procesosActualizados = await this.recalcularMontosPen([tipoCambio.moneda]);
+
+      return { tipo_cambio: tipoCambio, created, procesos_actualizados: procesosActualizados };
+    } catch (error) {
+      logger.error(`Error en saveTipoCambio: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Eliminar un tipo de cambio y recalcular monto_pen de su moneda
+   * @returns {Object|null} null si no existe
+   */
+  async deleteTipoCambio(id) {
+    try {
+      const tipoCambio = await TipoCambio.findByPk(id);
+      if (!tipoCambio) return null;
+
+      await tipoCambio.destroy();
+      this.cache = null;
+      const procesosActualizados = await this.recalcularMontosPen([tipoCambio.moneda]);
+
+      return { id, procesos_actualizados: procesosActualizados };
+    } catch (error) {
+      logger.error(`Error en deleteTipoCambio: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Importar tipos de cambio desde un CSV (columnas fecha, moneda y valor o venta)
+   * @returns {Object} Reporte por fila: created, updated o rejected
+   */
+  async importCsv(content) {
+    try {
+      const importService = require('./importService');
+      const [cabeceras, ...registros] = importService.parseCsv(content)
+        .filter(valores => valores.some(valor => valor.trim() !== ''));
+
+      if (!cabeceras || registros.length === 0) {
+        throw this.invalidDataError('El archivo no contiene tipos de cambio');
+      }
+      if (registros.length > MAX_FILAS) {
+        throw this.invalidDataError(`El archivo tiene ${registros.length} filas; el máximo por importación es ${MAX_FILAS}`);
+      }
+
+      const campos = cabeceras.map(cabecera => CABECERAS_CSV[cabecera.trim().toLowerCase()] || null);
+      if (!campos.includes('fecha') || !campos.includes('moneda') || !campos.includes('valor')) {
+        throw this.invalidDataError('El CSV debe tener las columnas fecha, moneda y valor (o venta)');
+      }
+
+      const reporte = [];
+      const monedas = new Set();
+
+      for (let idx = 0; idx < registros.length; idx++) {
+        const fila = { fuente: 'csv' };
+        campos.forEach((campo, col) => {
+          if (campo && registros[idx][col] !== undefined && registros[idx][col].trim() !== '') {
+            fila[campo] = registros[idx][col].trim();
+          }
+        });
+
+        try {
+          const [tipoCambio, created] = await this.upsert(fila);
+          monedas.add(tipoCambio.moneda);
+          reporte.push({ row: idx + 1, moneda: tipoCambio.moneda, fecha: tipoCambio.fecha, status: created ? 'created' : 'updated' });
+        } catch (err) {
+          reporte.push({ row: idx + 1, moneda: fila.moneda || null, fecha: fila.fecha || null, status: 'rejected', errors: [err.message] });
+        }
+      }
+
+      const procesosActualizados = monedas.size > 0 ? await this.recalcularMontosPen([...monedas]) : 0;
+      const resumen = {
+        total: reporte.length,
+        created: reporte.filter(fila => fila.status === 'created').length,
+        updated: reporte.filter(fila => fila.status === 'updated').length,
+        rejected: reporte.filter(fila => fila.status === 'rejected').length,
+        procesos_actualizados: procesosActualizados
+      };
+
+      logger.info(`Tipos de cambio importados: ${resumen.created} nuevos, ${resumen.updated} actualizados, ${resumen.rejected} rechazados`);
+      return { ...resumen, rows: reporte };
+    } catch (error) {
+      logger.error(`Error en importCsv: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Validar y guardar un tipo de cambio (una fila por moneda y fecha)
+   * @returns {Array} [tipoCambio, created]
+   */
+  async upsert({ moneda, fecha, valor, fuente = 'manual' }) {
+    const codigo = this.normalizeMoneda(moneda);
+    if (!moneda || !codigo) throw this.invalidDataError(`Moneda no reconocida: ${moneda || '(vacía)'}`);
+    if (codigo === MONEDA_BASE) throw this.invalidDataError(`${MONEDA_BASE} es la moneda base y no requiere tipo de cambio`);
+
+    const dia = fecha ? this.toDateOnly(fecha) : null;
+    if (!dia) throw this.invalidDataError(`Fecha inválida: ${fecha || '(vacía)'}`);
+
+    const tasa = Number(String(valor ?? '').replace(',', '.'));
+    if (!valor || isNaN(tasa) || tasa <= 0) throw this.invalidDataError(`Valor inválido: ${valor ?? '(vacío)'}`);
+
+    const existente = await TipoCambio.findOne({ where: { moneda: codigo, fecha: dia } });
+    this.cache = null;
+
+    if (existente) {
+      await existente.update({ valor: tasa, fuente, updated_at: new Date() });
+      return [existente, false];
+    }
+    return [await TipoCambio.create({ moneda: codigo, fecha: dia, valor: tasa, fuente }), true];
+  }
+
+  /**
+   * Recalcular monto_pen de los procesos. Sin monedas se recalculan todos.
+   * @param {Array} monedas - Códigos ISO afectados
+   * @returns {Number} Procesos cuyo monto_pen cambió
+   */
+  async recalcularMontosPen(monedas = null, { batchSize = 500 } = {}) {
+    try {
+      const where = { monto_referencial: { [Op.ne]: null } };
+
+      if (monedas) {
+        // La columna moneda guarda texto libre: se buscan sus variantes ya registradas
+        const registradas = await Proceso.findAll({
+          attributes: ['moneda'],
+          group: ['moneda'],
+          raw: true
+        });
+        const variantes = registradas
+          .map(fila => fila.moneda)
+          .filter(texto => texto && monedas.includes(this.normalizeMoneda(texto)));
+        if (variantes.length === 0) return 0;
+        where.moneda = { [Op.in]: variantes };
+      }
+
+      let actualizados = 0;
+      let ultimoId = null;
+
+      let lote;
+      do {
+        lote = await Proceso.findAll({
+          where: ultimoId ? { ...where, id: { [Op.gt]: ultimoId } } : where,
+          attributes: ['id', 'monto_referencial', 'moneda', 'fecha_publicacion', 'monto_pen'],
+          order: [['id', 'ASC']],
+          limit: batchSize
+        });
+
+        for (const proceso of lote) {
+          if (await this.updateMontoPen(proceso)) actualizados++;
+        }
+        ultimoId = lote[lote.length - 1]?.id;
+      } while (lote.length === batchSize);
+
+      logger.info(`monto_pen recalculado${monedas ? ` (${monedas.join(', ')})` : ''}: ${actualizados} procesos actualizados`);
+      return actualizados;
+    } catch (error) {
+      logger.error(`Error en recalcularMontosPen: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Calcular y guardar el monto_pen de un proceso
+   * @returns {Boolean} true si el valor cambió
+   */
+  async updateMontoPen(proceso) {
+    const montoPen = await this.convertirAPen(proceso.monto_referencial, proceso.moneda, proceso.fecha_publicacion);
+    const actual = proceso.monto_pen === null || proceso.monto_pen === undefined ? null : Number(proceso.monto_pen);
+
+    if (actual === montoPen) return false;
+
+    await proceso.update({ monto_pen: montoPen });
+    return true;
+  }
+
+  /**
+   * Fecha en formato YYYY-MM-DD, o null si no es válida
+   */
+  toDateOnly(fecha) {
+    if (typeof fecha === 'string' && /^\d{2}\/\d{2}\/\d{4}$/.test(fecha.trim())) {
+      const [dia, mes, anio] = fecha.trim().split('/');
+      fecha = `${anio}-${mes}-${dia}`;
+    }
+
+    const date = new Date(fecha);
+    return isNaN(date.getTime()) ? null : date.toISOString().slice(0, 10);
+  }
+
+  /**
+   * Error de datos inválidos (HTTP 400)
+   */
+  invalidDataError(message) {
+    const error = new Error(message);
+    error.statusCode = 400;
+    return error;
+  }
+}
+
+module.exports = new TiposCambioService();
@@ -0,0 +1,218 @@
+/**
+ * Servicio de ubigeo
+ * Traduce el texto libre de departamento, provincia y distrito a los códigos de
+ * ubicación geográfica del INEI y a sus nombres canónicos
+ * (dataset en src/data/ubigeo-inei.json)
+ */
+const dataset = require('../data/ubigeo-inei.json');
+
+// Prefijos que acompañan al nombre en algunas fuentes ("DEPARTAMENTO DE LIMA", "PROV. DE HUAURA")
+const PREFIJOS = /^(DEPARTAMENTO|DEPTO|DPTO|REGION|PROVINCIA|PROV|DISTRITO|DIST)( DE| DEL)? /;
+
+// Variantes habituales que no coinciden con el nombre del INEI
+const VARIANTES_DEPARTAMENTO = {
+  'LIMA METROPOLITANA': '15',
+  'LIMA PROVINCIAS': '15',
+  'LIMA REGION': '15',
+  'PROVINCIA CONSTITUCIONAL CALLAO': '07',
+  'PROV CONST CALLAO': '07'
+};
+
+// Forma de las entidades cuyo nombre indica su jurisdicción
+const JURISDICCIONES = [
+  { patron: /^MUNICIPALIDAD DISTRITAL (?:DE )?(.+)$/, nivel: 'distrito' },
+  { patron: /^MUNICIPALIDAD PROVINCIAL (?:DE )?(.+)$/, nivel: 'provincia' },
+  { patron: /^MUNICIPALIDAD METROPOLITANA (?:DE )?(.+)$/, nivel: 'provincia' },
+  { patron: /^GOBIERNO REGIONAL (?:DEL? )?(.+)$/, nivel: 'departamento' }
+];
+
+class UbigeoService {
+  constructor() {
+    this.indices = null;
+  }
+
+  /**
+   * Índices por nombre normalizado. Un mismo nombre de provincia o distrito
+   * puede repetirse en varios departamentos, por eso se guardan listas de códigos.
+   */
+  getIndices() {
+    if (this.indices) return this.indices;
+
+    const indexar = (tabla) => {
+      const indice = new Map();
+      Object.entries(tabla).forEach(([codigo, nombre]) => {
+        const clave = this.normalizeText(nombre);
+        if (!indice.has(clave)) indice.set(clave, []);
+        indice.get(clave).push(codigo);
+      });
+      return indice;
+    };
+
+    this.indices = {
+      departamentos: indexar(dataset.departamentos),
+      provincias: indexar(dataset.provincias),
+      distritos: indexar(dataset.distritos)
+    };
+    Object.entries(VARIANTES_DEPARTAMENTO).forEach(([variante, codigo]) => {
+      this.indices.departamentos.set(variante, [codigo]);
+    });
+
+    return this.indices;
+  }
+
+  /**
+   * Texto en mayúsculas, sin tildes, signos ni prefijos administrativos
+   */
+  normalizeText(texto) {
+    if (!texto) return '';
+
+    return String(texto)
+      .normalize('NFD')
+      .replace(/[\u0300-\u036f]/g, '')
+      .toUpperCase()
+      .replace(/[^A-Z0-9 ]+/g, ' ')
+      .replace(/\s+/g, ' ')
+      .trim()
+      .replace(PREFIJOS, '');
+  }
+
+  /**
+   * Código de departamento a partir de su nombre o de un código de 2, 4 o 6 dígitos
+   * @returns {String|null} p. ej. "15"
+   */
+  findDepartamento(texto) {
+    if (!texto) return null;
+    if (/^\d{2}(\d{2}){0,2}$/.test(String(texto).trim())) {
+      const codigo = String(texto).trim().slice(0, 2);
+      return dataset.departamentos[codigo] ? codigo : null;
+    }
+
+    const codigos = this.getIndices().departamentos.get(this.normalizeText(texto));
+    return codigos ? codigos[0] : null;
+  }
+
+  /**
+   * Código de provincia, opcionalmente dentro de un departamento.
+   * Sin departamento solo se acepta si el nombre es único en el país.
+   */
+  findProvincia(texto, codigoDepartamento = null) {
+    const codigos = this.getIndices().provincias.get(this.normalizeText(texto)) || [];
+    return this.pickCodigo(codigos, codigoDepartamento);
+  }
+
+  /**
+   * Código de distrito, opcionalmente dentro de una provincia o un departamento.
+   * Sin ámbito solo se acepta si el nombre es único en el país.
+   */
+  findDistrito(texto, codigoAmbito = null) {
+    const codigos = this.getIndices().distritos.get(this.normalizeText(texto)) || [];
+    return this.pickCodigo(codigos, codigoAmbito);
+  }
+
+  pickCodigo(codigos, prefijo) {
+    const candidatos = prefijo ? codigos.filter(codigo => codigo.startsWith(prefijo)) : codigos;
+    return candidatos.length === 1 ? candidatos[0] : null;
+  }
+
+  /**
+   * Resolver una ubicación en texto libre
+   * @param {Object} ubicacion - { departamento, provincia, distrito }
+   * @returns {Object} Códigos (ubigeo_departamento, ubigeo_provincia, ubigeo_distrito) y
+   *   nombres canónicos de los niveles reconocidos; vacío si no se reconoce ninguno
+   */
+  resolve({ departamento, provincia, distrito } = {}) {
+    let codDepartamento = this.findDepartamento(departamento);
+    let codProvincia = provincia ? this.findProvincia(provincia, codDepartamento) : null;
+    let codDistrito = distrito ? this.findDistrito(distrito, codProvincia || codDepartamento) : null;
+
+    // Un distrito reconocido completa los niveles superiores
+    if (codDistrito) {
+      codProvincia = codDistrito.slice(0, 4);
+      codDepartamento = codDistrito.slice(0, 2);
+    } else if (codProvincia) {
+      codDepartamento = codProvincia.slice(0, 2);
+    }
+
+    return this.fromCodigo(codDistrito || codProvincia || codDepartamento);
+  }
+
+  /**
+   * Códigos y nombres canónicos de un ubigeo de 2, 4 o 6 dígitos
+   */
+  fromCodigo(codigo) {
+    if (!codigo || !dataset.departamentos[String(codigo).slice(0, 2)]) return {};
+
+    const ubigeo = String(codigo);
+    const resultado = {
+      ubigeo_departamento: ubigeo.slice(0, 2),
+      departamento: dataset.departamentos[ubigeo.slice(0, 2)]
+    };
+
+    if (ubigeo.length >= 4 && dataset.provincias[ubigeo.slice(0, 4)]) {
+      resultado.ubigeo_provincia = ubigeo.slice(0, 4);
+      resultado.provincia = dataset.provincias[ubigeo.slice(0, 4)];
+    }
+    if (ubigeo.length === 6 && dataset.distritos[ubigeo]) {
+      resultado.ubigeo_distrito = ubigeo;
+      resultado.distrito = dataset.distritos[ubigeo];
+    }
+
+    return resultado;
+  }
+
+  /**
+   * Indica si el código (2, 4 o 6 dígitos) existe en el dataset
+   */
+  isValidCodigo(codigo) {
+    const ubigeo = String(codigo || '');
+    if (ubigeo.length === 2) return Boolean(dataset.departamentos[ubigeo]);
+    if (ubigeo.length === 4) return Boolean(dataset.provincias[ubigeo]);
+    if (ubigeo.length === 6) return Boolean(dataset.distritos[ubigeo]);
+    return false;
+  }
+
+  /**
+   * Ubigeo de la jurisdicción de una entidad deducido de su nombre:
+   * distrito para municipalidades distritales, provincia para provinciales,
+   * departamento para gobiernos regionales
+   * @param {String} nombre - Nombre con las abreviaturas ya expandidas
+   * @returns {String|null} Código de 6, 4 o 2 dígitos
+   */
+  fromNombreEntidad(nombre) {
+    const texto = this.normalizeText(nombre);
+
+    for (const { patron, nivel } of JURISDICCIONES) {
+      const coincidencia = texto.match(patron);
+      if (!coincidencia) continue;
+
+      // "MUNICIPALIDAD DISTRITAL DE MIRAFLORES AREQUIPA": las últimas palabras pueden indicar
+      // la provincia o el departamento; se prueba desde el nombre más largo
+      const palabras = coincidencia[1].split(' ');
+      for (let corte = palabras.length; corte > 0; corte--) {
+        const lugar = palabras.slice(0, corte).join(' ');
+        const resto = palabras.slice(corte).join(' ');
+        const ambito = resto ? (this.findProvincia(resto) || this.findDepartamento(resto)) : null;
+        if (resto && !ambito) continue;
+
+        const codigo = nivel === 'distrito'
+          ? this.findDistrito(lugar, ambito)
+          : nivel === 'provincia'
+            ? this.findProvincia(lugar, ambito)
+            : this.findDepartamento(lugar);
+        if (codigo) return codigo;
+      }
+      return null;
+    }
+
+    return null;
+  }
+
+  /**
+   * Departamentos del dataset ordenados por código
+   */
+  getDepartamentos() {
+    return Object.entries(dataset.departamentos).map(([codigo, nombre]) => ({ codigo, nombre }));
+  }
+}
+
+module.exports = new UbigeoService();
@@ -0,0 +1,120 @@
+/**
+ * Expresiones cron de 5 campos (minuto hora día-del-mes mes día-de-la-semana)
+ * Soporta *, listas (1,15), rangos (1-5) y pasos (*\/15, 8-18/2).
+ * Se evalúan en la hora local del servidor (variable TZ).
+ */
+
+const CAMPOS = [
+  { nombre: 'minuto', min: 0, max: 59 },
+  { nombre: 'hora', min: 0, max: 23 },
+  { nombre: 'día del mes', min: 1, max: 31 },
+  { nombre: 'mes', min: 1, max: 12 },
+  { nombre: 'día de la semana', min: 0, max: 7 }
+];
+
+// Límite de búsqueda de la próxima ejecución (p. ej. "30 de febrero" nunca ocurre)
+const MAX_ANIOS_BUSQUEDA = 5;
+
+/**
+ * Valores permitidos de un campo
+ */
+function parseCampo(texto, { nombre, min, max }) {
+  const valores = new Set();
+
+  texto.split(',').forEach(parte => {
+    const [rango, pasoTexto] = parte.split('/');
+    const paso = pasoTexto === undefined ? 1 : Number(pasoTexto);
+    if (!Number.isInteger(paso) || paso < 1) {
+      throw new Error(`Paso inválido en ${nombre}: "${parte}"`);
+    }
+
+    let desde = min;
+    let hasta = max;
+    if (rango !== '*') {
+      const [inicio, fin] = rango.split('-').map(Number);
+      desde = inicio;
+      hasta = fin === undefined ? (pasoTexto === undefined ? inicio : max) : fin;
+    }
+
+    if (!Number.isInteger(desde) || !Number.isInteger(hasta) || desde < min || hasta > max || desde > hasta) {
+      throw new Error(`Valor fuera de rango en ${nombre} (${min}-${max}): "${parte}"`);
+    }
+    for (let valor = desde; valor <= hasta; valor += paso) valores.add(valor);
+  });
+
+  return valores;
+}
+
+/**
+ * Interpretar una expresión cron
+ * @throws Error si la expresión no es válida
+ */
+function parseCron(expresion) {
+  const partes = String(expresion || '').trim().split(/\s+/);
+  if (partes.length !== 5) {
+    throw new Error('La expresión cron debe tener 5 campos: minuto hora día-del-mes mes día-de-la-semana');
+  }
+
+  const [minutos, horas, diasMes, meses, diasSemana] = partes.map((parte, i) => parseCampo(parte, CAMPOS[i]));
+
+  // 7 también es domingo
+  if (diasSemana.has(7)) diasSemana.add(0);
+
+  return {
+    minutos,
+    horas,
+    diasMes,
+    meses,
+    diasSemana,
+    // Como en cron: si ambos campos de día están restringidos basta con que se cumpla uno
+    diaLibre: partes[2] === '*',
+    semanaLibre: partes[4] === '*'
+  };
+}
+
+function coincideDia(cron, fecha) {
+  const porMes = cron.diasMes.has(fecha.getDate());
+  const porSemana = cron.diasSemana.has(fecha.getDay());
+
+  if (cron.diaLibre && cron.semanaLibre) return true;
+  if (cron.diaLibre) return porSemana;
+  if (cron.semanaLibre) return porMes;
+  return porMes || porSemana;
+}
+
+/**
+ * Próxima fecha (estrictamente posterior a desde) que cumple la expresión
+ * @returns {Date|null} null si no hay ninguna en los próximos años
+ */
+function nextCronDate(expresion, desde = new Date()) {
+  const cron = typeof expresion === 'string' ? parseCron(expresion) : expresion;
+  const fecha = new Date(desde.getTime());
+  fecha.setSeconds(0, 0);
+  fecha.setMinutes(fecha.getMinutes() + 1);
+
+  const limite = new Date(fecha.getTime());
+  limite.setFullYear(limite.getFullYear() + MAX_ANIOS_BUSQUEDA);
+
+  while (fecha < limite) {
+    if (!cron.meses.has(fecha.getMonth() + 1)) {
+      fecha.setMonth(fecha.getMonth() + 1, 1);
+      fecha.setHours(0, 0, 0, 0);
+    } else if (!coincideDia(cron, fecha)) {
+      fecha.setDate(fecha.getDate() + 1);
+      fecha.setHours(0, 0, 0, 0);
+    } else if (!cron.horas.has(fecha.getHours())) {
+      fecha.setHours(fecha.getHours() + 1, 0, 0, 0);
+    } else if (!cron.minutos.has(fecha.getMinutes())) {
+      fecha.setMinutes(fecha.getMinutes() + 1, 0, 0);
+    } else {
+      return fecha;
+    }
+  }
+
+  return null;
+}
+
+module.exports = {
+  parseCron,
+  nextCronDate
+};
@@ -0,0 +1,112 @@
+const { parseCron, nextCronDate } = require('./cron');
+
+// Fechas en hora local, como las evalúa el scheduler. El 1 de enero de 2025 es miércoles.
+const fecha = (anio, mes, dia, hora = 0, minuto = 0, segundo = 0) => new Date(anio, mes - 1, dia, hora, minuto, segundo);
+const valores = set => [...set].sort((a, b) => a - b);
+
+describe('parseCron', () => {
+  it('interpreta asteriscos como todo el rango del campo', () => {
+    const cron = parseCron('* * * * *');
+
+    expect(cron.minutos.size).toBe(60);
+    expect(cron.horas.size).toBe(24);
+    expect(valores(cron.diasMes)).toEqual(Array.from({ length: 31 }, (_, i) => i + 1));
+    expect(valores(cron.meses)).toEqual(Array.from({ length: 12 }, (_, i) => i + 1));
+    expect(cron.diaLibre).toBe(true);
+    expect(cron.semanaLibre).toBe(true);
+  });
+
+  it('interpreta rangos, listas y valores sueltos', () => {
+    const cron = parseCron('0 9-12 1,15,31 6 1-5');
+
+    expect(valores(cron.minutos)).toEqual([0]);
+    expect(valores(cron.horas)).toEqual([9, 10, 11, 12]);
+    expect(valores(cron.diasMes)).toEqual([1, 15, 31]);
+    expect(valores(cron.meses)).toEqual([6]);
+    expect(valores(cron.diasSemana)).toEqual([1, 2, 3, 4, 5]);
+  });
+
+  it('interpreta pasos sobre *, rangos y valores de inicio', () => {
+    expect(valores(parseCron('*/15 * * * *').minutos)).toEqual([0, 15, 30, 45]);
+    expect(valores(parseCron('0 8-18/2 * * *').horas)).toEqual([8, 10, 12, 14, 16, 18]);
+    // Un valor con paso llega hasta el máximo del campo
+    expect(valores(parseCron('5/20 * * * *').minutos)).toEqual([5, 25, 45]);
+  });
+
+  it('combina listas de rangos con paso', () => {
+    expect(valores(parseCron('0-10/5,50-59/3 * * * *').minutos)).toEqual([0, 5, 10, 50, 53, 56, 59]);
+  });
+
+  it('acepta 7 como domingo', () => {
+    expect(valores(parseCron('0 0 * * 7').diasSemana)).toEqual([0, 7]);
+  });
+
+  it('marca como restringidos los campos de día que no son *', () => {
+    const cron = parseCron('0 0 1 * 1');
+
+    expect(cron.diaLibre).toBe(false);
+    expect(cron.semanaLibre).toBe(false);
+  });
+
+  it.each([
+    ['* * * *', '5 campos'],
+    ['* * * * * *', '5 campos'],
+    ['', '5 campos'],
+    ['60 * * * *', 'fuera de rango en minuto'],
+    ['* 24 * * *', 'fuera de rango en hora'],
+    ['* * 0 * *', 'fuera de rango en día del mes'],
+    ['* * * 13 *', 'fuera de rango en mes'],
+    ['* * * * 8', 'fuera de rango en día de la semana'],
+    ['10-5 * * * *', 'fuera de rango en minuto'],
+    ['a * * * *', 'fuera de rango en minuto'],
+    ['*/0 * * * *', 'Paso inválido en minuto'],
+    ['*/x * * * *', 'Paso inválido en minuto']
+  ])('rechaza "%s"', (expresion, mensaje) => {
+    expect(() => parseCron(expresion)).toThrow(mensaje);
+  });
+});
+
+describe('nextCronDate', () => {
+  it('devuelve la siguiente fecha estrictamente posterior', () => {
+    expect(nextCronDate('*/15 * * * *', fecha(2025, 1, 1, 10, 7))).toEqual(fecha(2025, 1, 1, 10, 15));
+    expect(nextCronDate('*/15 * * * *', fecha(2025, 1, 1, 10, 15))).toEqual(fecha(2025, 1, 1, 10, 30));
+  });
+
+  it('descarta los segundos de la fecha de partida', () => {
+    expect(nextCronDate('* * * * *', fecha(2025, 1, 1, 10, 7, 45))).toEqual(fecha(2025, 1, 1, 10, 8));
+  });
+
+  it('pasa al día siguiente cuando ya no quedan horas en el día', () => {
+    expect(nextCronDate('30 8-18/2 * * *', fecha(2025, 1, 1, 18, 31))).toEqual(fecha(2025, 1, 2, 8, 30));
+  });
+
+  it('pasa al siguiente mes y año permitidos', () => {
+    expect(nextCronDate('0 0 1 3 *', fecha(2025, 1, 1))).toEqual(fecha(2025, 3, 1));
+    expect(nextCronDate('0 0 1 1 *', fecha(2025, 1, 1))).toEqual(fecha(2026, 1, 1));
+  });
+
+  it('con solo el día del mes restringido ignora el día de la semana', () => {
+    expect(nextCronDate('0 0 15 * *', fecha(2025, 1, 1))).toEqual(fecha(2025, 1, 15));
+  });
+
+  it('con solo el día de la semana restringido ignora el día del mes', () => {
+    // Lunes 6 y domingo 5 de enero de 2025
+    expect(nextCronDate('0 9 * * 1', fecha(2025, 1, 1, 10))).toEqual(fecha(2025, 1, 6, 9));
+    expect(nextCronDate('0 0 * * 7', fecha(2025, 1, 1))).toEqual(fecha(2025, 1, 5));
+  });
+
+  it('con ambos días restringidos basta con que se cumpla uno', () => {
+    // El lunes 6 llega antes que el día 15
+    expect(nextCronDate('0 0 15 * 1', fecha(2025, 1, 1))).toEqual(fecha(2025, 1, 6));
+    // Después del lunes 13, el miércoles 15 llega antes que el lunes 20
+    expect(nextCronDate('0 0 15 * 1', fecha(2025, 1, 13, 1))).toEqual(fecha(2025, 1, 15));
+  });
+
+  it('acepta una expresión ya interpretada', () => {
+    expect(nextCronDate(parseCron('0 12 * * *'), fecha(2025, 1, 1, 13))).toEqual(fecha(2025, 1, 2, 12));
+  });
+
+  it('devuelve null si la fecha nunca ocurre', () => {
+    expect(nextCronDate('0 0 30 2 *', fecha(2025, 1, 1))).toBeNull();
+  });
+});
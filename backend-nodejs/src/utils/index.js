@@ -2,7 +2,9 @@
  * Índice de utilidades
  */
 const helpers = require('./helpers');
+const cron = require('./cron');
 
 module.exports = {
-  ...helpers
+  ...helpers,
+  ...cron
 };
\ No newline at end of file
@@ -6,8 +6,8 @@ until nc -z db 5432; do
 done
 echo "Base de datos disponible"
 
-echo "Migrando modelos a la base de datos..."
-node src/scripts/migrate.js || echo "✓ Migración de modelos omitida - Las tablas ya están creadas por scripts SQL."
+echo "Aplicando init.sql a la base de datos..."
+node src/scripts/migrate.js || echo "⚠ No se pudo aplicar init.sql, revise el error anterior"
 
 echo "Creando usuarios iniciales..."
 node src/scripts/init-users.js
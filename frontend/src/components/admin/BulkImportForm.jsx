@@ -0,0 +1,180 @@
+import React, { useState } from 'react';
+import { Card, CardHeader, CardBody } from '../ui/Card';
+import { Button } from '../ui/Button';
+import { Alert, ErrorAlert } from '../ui/Alert';
+import { LoadingSpinner } from '../ui/Loading';
+import { ArrowUpTrayIcon } from '@heroicons/react/24/outline';
+import ProgressBar from './ProgressBar';
+import { procesosService, etlService } from '../../services/seaceService';
+
+const statusStyles = {
+  created: 'bg-green-100 text-green-800',
+  updated: 'bg-blue-100 text-blue-800',
+  rejected: 'bg-red-100 text-red-800'
+};
+
+const statusLabels = {
+  created: 'Creado',
+  updated: 'Actualizado',
+  rejected: 'Rechazado'
+};
+
+const BulkImportForm = ({ onImported }) => {
+  const [file, setFile] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+  // Importación encolada: { operation_id, status, total }
+  const [operation, setOperation] = useState(null);
+  const [report, setReport] = useState(null);
+  const [showOnlyRejected, setShowOnlyRejected] = useState(false);
+
+  const handleFileChange = (e) => {
+    setFile(e.target.files[0] || null);
+    setOperation(null);
+    setReport(null);
+    setError(null);
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (!file) return;
+
+    try {
+      setLoading(true);
+      setError(null);
+      setReport(null);
+      const content = await file.text();
+      const result = await procesosService.importBulk({ content, filename: file.name });
+      setOperation(result);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  // Al terminar la operación se carga el reporte por fila de sus detalles
+  const handleComplete = async () => {
+    try {
+      const details = await etlService.getOperationDetails(operation.operation_id);
+      const rows = details.import_rows || [];
+      setReport({
+        status: details.status,
+        total: rows.length,
+        created: rows.filter(row => row.status === 'created').length,
+        updated: rows.filter(row => row.status === 'updated').length,
+        rejected: rows.filter(row => row.status === 'rejected').length,
+        rows
+      });
+    } catch (err) {
+      setError(err.message);
+    }
+    if (onImported) onImported(operation);
+  };
+
+  const rows = report?.rows?.filter(row => !showOnlyRejected || row.status === 'rejected') || [];
+
+  return (
+    <Card>
+      <CardHeader>
+        <div className="flex items-center">
+          <ArrowUpTrayIcon className="w-5 h-5 text-seace-blue mr-2" />
+          <h3 className="text-lg font-semibold">Importar Procesos</h3>
+        </div>
+      </CardHeader>
+      <CardBody>
+        <p className="text-sm text-gray-600 mb-4">
+          Cargue un archivo CSV o JSON con el mismo formato de las exportaciones del scraping.
+          Los procesos se crean o actualizan según su ID de proceso.
+        </p>
+
+        <form onSubmit={handleSubmit} className="flex items-center space-x-4 mb-4">
+          <input
+            type="file"
+            accept=".csv,.json"
+            onChange={handleFileChange}
+            className="block w-full text-sm text-gray-700 file:mr-4 file:py-2 file:px-4 file:rounded-md file:border-0 file:text-sm file:font-medium file:bg-blue-50 file:text-seace-blue hover:file:bg-blue-100"
+          />
+          <Button type="submit" disabled={!file || loading} className="flex items-center whitespace-nowrap">
+            {loading ? <LoadingSpinner size="sm" className="mr-2" /> : <ArrowUpTrayIcon className="w-4 h-4 mr-2" />}
+            {loading ? 'Encolando...' : 'Importar'}
+          </Button>
+        </form>
+
+        {error && (
+          <ErrorAlert error={error} onDismiss={() => setError(null)} />
+        )}
+
+        {operation?.operation_id && (
+          <div className="mb-4">
+            <ProgressBar
+              key={operation.operation_id}
+              operationId={operation.operation_id}
+              status={operation.status}
+              onComplete={handleComplete}
+              showLogs={false}
+            />
+          </div>
+        )}
+
+        {report && (
+          <div className="space-y-4">
+            <Alert
+              type={report.status !== 'completed' || report.rejected > 0 ? 'warning' : 'success'}
+              title={report.status === 'completed' ? 'Importación completada' : 'Importación interrumpida'}
+              message={`${report.total} filas procesadas: ${report.created} creadas, ${report.updated} actualizadas, ${report.rejected} rechazadas`}
+            />
+
+            {report.rejected > 0 && (
+              <label className="flex items-center text-sm text-gray-700">
+                <input
+                  type="checkbox"
+                  checked={showOnlyRejected}
+                  onChange={(e) => setShowOnlyRejected(e.target.checked)}
+                  className="mr-2"
+                />
+                Mostrar solo filas rechazadas
+              </label>
+            )}
+
+            <div className="overflow-x-auto max-h-96 border border-gray-200 rounded-lg">
+              <table className="min-w-full divide-y divide-gray-200 text-sm">
+                <thead className="bg-gray-50 sticky top-0">
+                  <tr>
+                    <th className="px-4 py-2 text-left font-medium text-gray-500">Fila</th>
+                    <th className="px-4 py-2 text-left font-medium text-gray-500">ID Proceso</th>
+                    <th className="px-4 py-2 text-left font-medium text-gray-500">Resultado</th>
+                    <th className="px-4 py-2 text-left font-medium text-gray-500">Detalle</th>
+                  </tr>
+                </thead>
+                <tbody className="divide-y divide-gray-100 bg-white">
+                  {rows.map((row) => (
+                    <tr key={row.row}>
+                      <td className="px-4 py-2 text-gray-500">{row.row}</td>
+                      <td className="px-4 py-2 font-mono text-xs">{row.id_proceso || '—'}</td>
+                      <td className="px-4 py-2">
+                        <span className={`inline-flex px-2 py-0.5 rounded-full text-xs font-medium ${statusStyles[row.status]}`}>
+                          {statusLabels[row.status]}
+                        </span>
+                      </td>
+                      <td className="px-4 py-2 text-gray-600">
+                        {row.status === 'rejected' && row.errors.join('; ')}
+                        {row.status === 'updated' && (
+                          row.campos_modificados.length > 0
+                            ? `Cambios: ${row.campos_modificados.join(', ')}`
+                            : 'Sin cambios'
+                        )}
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          </div>
+        )}
+      </CardBody>
+    </Card>
+  );
+};
+
+export default BulkImportForm;
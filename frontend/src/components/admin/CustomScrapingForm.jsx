@@ -15,7 +15,9 @@ const CustomScrapingForm = ({ onSubmit, loading, error, result }) => {
     entidad: '',
     tipoProceso: '',
     maxProcesos: null,
-    useSelenium: true
+    useSelenium: true,
+    includeDetails: false,
+    dateWindow: ''
   });
 
   // Estado para mostrar/ocultar el ProgressBar
@@ -49,6 +51,14 @@ const CustomScrapingForm = ({ onSubmit, loading, error, result }) => {
     { value: 'SUBASTA INVERSA ELECTRONICA', label: 'Subasta Inversa Electrónica' },
   ];
 
+  // Opciones para dividir el rango de fechas en varias búsquedas
+  const dateWindowOptions = [
+    { value: '', label: 'Sin dividir (una sola búsqueda)' },
+    { value: 'auto', label: 'Automática' },
+    { value: 'week', label: 'Semanal' },
+    { value: 'day', label: 'Diaria' },
+  ];
+
   // Manejar cambios en el formulario
   const handleChange = (e) => {
     const { name, value } = e.target;
@@ -194,6 +204,29 @@ const CustomScrapingForm = ({ onSubmit, loading, error, result }) => {
               </select>
             </div>
 
+            {/* División por fechas */}
+            <div>
+              <label htmlFor="dateWindow" className="block text-sm font-medium text-gray-700">
+                División por Fechas
+              </label>
+              <select
+                id="dateWindow"
+                name="dateWindow"
+                value={formValues.dateWindow}
+                onChange={handleChange}
+                className="mt-1 block w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm focus:outline-none focus:ring-seace-blue focus:border-seace-blue"
+              >
+                {dateWindowOptions.map(option => (
+                  <option key={option.value} value={option.value}>
+                    {option.label}
+                  </option>
+                ))}
+              </select>
+              <p className="mt-1 text-sm text-gray-500">
+                Consulta el año por semanas o días para búsquedas grandes
+              </p>
+            </div>
+
             {/* Máximo de Procesos */}
             <div>
               <label htmlFor="maxProcesos" className="block text-sm font-medium text-gray-700">
@@ -239,6 +272,22 @@ const CustomScrapingForm = ({ onSubmit, loading, error, result }) => {
               </div>
             </div>
 
+            {/* Extraer ficha de cada proceso */}
+            <div className="flex items-center">
+              <input
+                type="checkbox"
+                id="includeDetails"
+                name="includeDetails"
+                checked={formValues.includeDetails}
+                onChange={(e) => setFormValues(prev => ({ ...prev, includeDetails: e.target.checked }))}
+                className="h-4 w-4 text-seace-blue focus:ring-seace-blue border-gray-300 rounded"
+              />
+              <label htmlFor="includeDetails" className="ml-2 block text-sm text-gray-700">
+                Extraer ficha de cada proceso (RUC, ubicación, monto y cronograma)
+              </label>
+              <span className="ml-2 text-xs text-gray-500">Más lento: abre una página por proceso</span>
+            </div>
+
             {/* Botón de envío */}
             <div className="flex justify-end">
               <Button
@@ -0,0 +1,358 @@
+import React, { useEffect, useState } from 'react';
+import { Card, CardHeader, CardBody } from '../ui/Card';
+import { Button } from '../ui/Button';
+import { Alert, ErrorAlert } from '../ui/Alert';
+import { LoadingSpinner } from '../ui/Loading';
+import {
+  ExclamationTriangleIcon,
+  ArrowPathIcon,
+  PencilSquareIcon,
+  TrashIcon,
+  XMarkIcon
+} from '@heroicons/react/24/outline';
+import { etlService } from '../../services/seaceService';
+
+const PAGE_SIZE = 25;
+
+const inputClasses = 'rounded-md border border-gray-300 px-3 py-2 text-sm focus:border-seace-blue focus:outline-none';
+
+const statusOptions = [
+  { value: 'pending', label: 'Pendientes' },
+  { value: 'resolved', label: 'Importadas' },
+  { value: 'discarded', label: 'Descartadas' },
+  { value: '', label: 'Todas' }
+];
+
+const statusStyles = {
+  pending: 'bg-red-100 text-red-800',
+  resolved: 'bg-green-100 text-green-800',
+  discarded: 'bg-gray-100 text-gray-700'
+};
+
+const statusLabels = {
+  pending: 'Pendiente',
+  resolved: 'Importada',
+  discarded: 'Descartada'
+};
+
+const operationTypeLabels = {
+  scraping: 'Scraping',
+  sync: 'Sincronización',
+  ocds_import: 'Importación OCDS',
+  bulk_import: 'Importación masiva'
+};
+
+const formatDate = (value) => (value ? new Date(value).toLocaleString('es-PE') : '—');
+
+const DeadLettersPanel = ({ operationId = '' }) => {
+  const [filters, setFilters] = useState({ status: 'pending', operation_id: operationId, search: '' });
+  const [operationInput, setOperationInput] = useState(operationId);
+  const [searchInput, setSearchInput] = useState('');
+  const [page, setPage] = useState(1);
+  const [data, setData] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState(null);
+  const [message, setMessage] = useState(null);
+  // Fila en edición: { id, text } con el payload como JSON
+  const [editing, setEditing] = useState(null);
+
+  // El enlace desde el progreso de una operación cambia el filtro sin desmontar el panel
+  useEffect(() => {
+    setOperationInput(operationId);
+    setPage(1);
+    setFilters(prev => ({ ...prev, operation_id: operationId }));
+  }, [operationId]);
+
+  const fetchDeadLetters = async () => {
+    try {
+      setLoading(true);
+      const params = { page, size: PAGE_SIZE };
+      Object.entries(filters).forEach(([key, value]) => {
+        if (value) params[key] = value;
+      });
+      setData(await etlService.getDeadLetters(params));
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    fetchDeadLetters();
+  }, [filters, page]);
+
+  const runAction = async (action) => {
+    try {
+      setSaving(true);
+      setError(null);
+      setMessage(await action());
+      await fetchDeadLetters();
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleFilter = (e) => {
+    e.preventDefault();
+    setPage(1);
+    setFilters(prev => ({ ...prev, operation_id: operationInput.trim(), search: searchInput.trim() }));
+  };
+
+  const handleRetry = (deadLetter) => {
+    runAction(async () => {
+      const result = await etlService.retryDeadLetter(deadLetter.id);
+      return result.message;
+    });
+  };
+
+  const handleSaveEdit = () => {
+    let payload;
+    try {
+      payload = JSON.parse(editing.text);
+    } catch (err) {
+      setError(`JSON inválido: ${err.message}`);
+      return;
+    }
+
+    runAction(async () => {
+      await etlService.updateDeadLetter(editing.id, { payload });
+      setEditing(null);
+      return 'Datos corregidos. Reintente la fila para importarla.';
+    });
+  };
+
+  const handleDiscard = (deadLetter) => {
+    if (!window.confirm(`¿Descartar la fila ${deadLetter.id_proceso || deadLetter.id}? No se volverá a importar.`)) return;
+    runAction(async () => {
+      await etlService.updateDeadLetter(deadLetter.id, { status: 'discarded' });
+      return `Fila ${deadLetter.id_proceso || deadLetter.id} descartada`;
+    });
+  };
+
+  const handleRestore = (deadLetter) => {
+    runAction(async () => {
+      await etlService.updateDeadLetter(deadLetter.id, { status: 'pending' });
+      return `Fila ${deadLetter.id_proceso || deadLetter.id} devuelta a pendientes`;
+    });
+  };
+
+  // Sin filtro de operación se reintentan las pendientes de la página visible
+  const handleRetryAll = () => {
+    runAction(async () => {
+      const params = filters.operation_id
+        ? { operation_id: filters.operation_id }
+        : { ids: (data?.items || []).filter(item => item.status === 'pending').map(item => item.id) };
+      const result = await etlService.retryDeadLetters(params);
+      return result.message;
+    });
+  };
+
+  const items = data?.items || [];
+  const hayPendientes = items.some(item => item.status === 'pending');
+
+  return (
+    <Card>
+      <CardHeader>
+        <div className="flex items-center">
+          <ExclamationTriangleIcon className="w-5 h-5 text-red-600 mr-2" />
+          <h3 className="text-lg font-semibold">Filas Fallidas</h3>
+        </div>
+      </CardHeader>
+      <CardBody>
+        <p className="text-sm text-gray-600 mb-4">
+          Procesos y releases que una operación no pudo guardar, con los datos tal como llegaron. Corrija los datos
+          si hace falta y reintente: el guardado es el mismo de la operación original y sus cambios quedan en su diff.
+        </p>
+
+        <div className="flex flex-wrap items-center gap-3 mb-4">
+          <select
+            className={inputClasses}
+            value={filters.status}
+            onChange={(e) => { setPage(1); setFilters({ ...filters, status: e.target.value }); }}
+          >
+            {statusOptions.map(option => (
+              <option key={option.value} value={option.value}>{option.label}</option>
+            ))}
+          </select>
+          <form onSubmit={handleFilter} className="flex items-center gap-2 flex-1 min-w-[16rem]">
+            <input
+              className={`${inputClasses} flex-1 font-mono`}
+              value={operationInput}
+              onChange={(e) => setOperationInput(e.target.value)}
+              placeholder="ID de operación"
+            />
+            <input
+              className={`${inputClasses} flex-1`}
+              value={searchInput}
+              onChange={(e) => setSearchInput(e.target.value)}
+              placeholder="Buscar por id de proceso o error"
+            />
+            <Button type="submit" variant="outline" size="sm">Filtrar</Button>
+          </form>
+          <Button
+            type="button"
+            size="sm"
+            onClick={handleRetryAll}
+            disabled={saving || !hayPendientes}
+            loading={saving}
+          >
+            <ArrowPathIcon className="w-4 h-4 mr-1" />
+            {filters.operation_id ? 'Reintentar pendientes de la operación' : 'Reintentar pendientes visibles'}
+          </Button>
+        </div>
+
+        {error && <ErrorAlert error={error} onDismiss={() => setError(null)} />}
+        {message && <Alert type="success" message={message} onClose={() => setMessage(null)} />}
+
+        {loading && !data ? (
+          <LoadingSpinner />
+        ) : (
+          <div className={`overflow-x-auto border border-gray-200 rounded-lg mt-4 ${loading ? 'opacity-60' : ''}`}>
+            <table className="min-w-full divide-y divide-gray-200 text-sm">
+              <thead className="bg-gray-50">
+                <tr>
+                  <th className="px-4 py-2 text-left font-medium text-gray-500">Proceso</th>
+                  <th className="px-4 py-2 text-left font-medium text-gray-500">Operación</th>
+                  <th className="px-4 py-2 text-left font-medium text-gray-500">Error</th>
+                  <th className="px-4 py-2 text-left font-medium text-gray-500">Estado</th>
+                  <th className="px-4 py-2" />
+                </tr>
+              </thead>
+              <tbody className="divide-y divide-gray-100 bg-white">
+                {items.length === 0 && (
+                  <tr>
+                    <td colSpan={5} className="px-4 py-4 text-center text-gray-500">No hay filas fallidas con estos filtros</td>
+                  </tr>
+                )}
+                {items.map(deadLetter => (
+                  <React.Fragment key={deadLetter.id}>
+                    <tr className="align-top">
+                      <td className="px-4 py-2">
+                        <p className="font-mono text-xs text-gray-900 break-all">{deadLetter.id_proceso || 'sin id'}</p>
+                        <p className="text-xs text-gray-500">{formatDate(deadLetter.created_at)}</p>
+                      </td>
+                      <td className="px-4 py-2">
+                        <p className="text-xs text-gray-700">{operationTypeLabels[deadLetter.operation_type] || deadLetter.operation_type}</p>
+                        <p className="font-mono text-xs text-gray-500 break-all">{deadLetter.operation_id}</p>
+                      </td>
+                      <td className="px-4 py-2 text-red-700 break-words max-w-md">{deadLetter.error}</td>
+                      <td className="px-4 py-2">
+                        <span className={`inline-flex px-2 py-0.5 rounded-full text-xs font-medium ${statusStyles[deadLetter.status]}`}>
+                          {statusLabels[deadLetter.status] || deadLetter.status}
+                        </span>
+                        {deadLetter.attempts > 0 && (
+                          <p className="text-xs text-gray-500 mt-1">{deadLetter.attempts} reintentos</p>
+                        )}
+                        {deadLetter.edited && <p className="text-xs text-gray-500">Datos corregidos</p>}
+                      </td>
+                      <td className="px-4 py-2">
+                        <div className="flex items-center justify-end space-x-3">
+                          {deadLetter.status === 'pending' && (
+                            <>
+                              <button
+                                type="button"
+                                onClick={() => handleRetry(deadLetter)}
+                                disabled={saving}
+                                className="text-seace-blue hover:text-blue-800 disabled:opacity-40"
+                                title="Reintentar"
+                              >
+                                <ArrowPathIcon className="w-4 h-4" />
+                              </button>
+                              <button
+                                type="button"
+                                onClick={() => setEditing({ id: deadLetter.id, text: JSON.stringify(deadLetter.payload, null, 2) })}
+                                disabled={saving}
+                                className="text-gray-600 hover:text-gray-900"
+                                title="Corregir datos"
+                              >
+                                <PencilSquareIcon className="w-4 h-4" />
+                              </button>
+                              <button
+                                type="button"
+                                onClick={() => handleDiscard(deadLetter)}
+                                disabled={saving}
+                                className="text-red-600 hover:text-red-800"
+                                title="Descartar"
+                              >
+                                <TrashIcon className="w-4 h-4" />
+                              </button>
+                            </>
+                          )}
+                          {deadLetter.status === 'discarded' && (
+                            <button
+                              type="button"
+                              onClick={() => handleRestore(deadLetter)}
+                              disabled={saving}
+                              className="text-xs text-seace-blue hover:underline"
+                            >
+                              Restaurar
+                            </button>
+                          )}
+                        </div>
+                      </td>
+                    </tr>
+                    {editing?.id === deadLetter.id && (
+                      <tr>
+                        <td colSpan={5} className="px-4 py-3 bg-gray-50">
+                          <div className="flex items-center justify-between mb-2">
+                            <p className="text-xs text-gray-600">
+                              Datos originales de la fila ({deadLetter.operation_type === 'ocds_import' ? 'release OCDS, requiere ocid' : 'requiere id_proceso'})
+                            </p>
+                            <button type="button" onClick={() => setEditing(null)} className="text-gray-500 hover:text-gray-700" title="Cancelar">
+                              <XMarkIcon className="w-4 h-4" />
+                            </button>
+                          </div>
+                          <textarea
+                            className={`${inputClasses} w-full font-mono text-xs`}
+                            rows={14}
+                            value={editing.text}
+                            onChange={(e) => setEditing({ ...editing, text: e.target.value })}
+                          />
+                          <div className="flex justify-end mt-2">
+                            <Button type="button" size="sm" onClick={handleSaveEdit} disabled={saving}>
+                              Guardar corrección
+                            </Button>
+                          </div>
+                        </td>
+                      </tr>
+                    )}
+                  </React.Fragment>
+                ))}
+              </tbody>
+            </table>
+
+            {data?.pages > 1 && (
+              <div className="flex items-center justify-between px-4 py-2 bg-gray-50 border-t border-gray-200 text-sm">
+                <span className="text-gray-600">Página {data.page} de {data.pages} ({data.total} filas)</span>
+                <div className="space-x-2">
+                  <button
+                    type="button"
+                    className="px-3 py-1 rounded border border-gray-300 disabled:opacity-40"
+                    onClick={() => setPage(page - 1)}
+                    disabled={page <= 1 || loading}
+                  >
+                    Anterior
+                  </button>
+                  <button
+                    type="button"
+                    className="px-3 py-1 rounded border border-gray-300 disabled:opacity-40"
+                    onClick={() => setPage(page + 1)}
+                    disabled={page >= data.pages || loading}
+                  >
+                    Siguiente
+                  </button>
+                </div>
+              </div>
+            )}
+          </div>
+        )}
+      </CardBody>
+    </Card>
+  );
+};
+
+export default DeadLettersPanel;
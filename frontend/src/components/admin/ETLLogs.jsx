@@ -1,4 +1,5 @@
 import React, { useState } from 'react';
+import { Link } from 'react-router-dom';
 import { Card, CardHeader, CardBody } from '../ui/Card';
 import { LoadingSpinner } from '../ui/Loading';
 import { ErrorAlert } from '../ui/Alert';
@@ -8,12 +9,16 @@ import {
   ExclamationCircleIcon, 
   PlayIcon,
   InformationCircleIcon,
-  EyeIcon
+  EyeIcon,
+  StopCircleIcon
 } from '@heroicons/react/24/outline';
 import { format, parseISO } from 'date-fns';
 import { es } from 'date-fns/locale';
 import ETLOperationDetail from './ETLOperationDetail';
 
+// Operaciones cuyas filas con error quedan en "Filas Fallidas" para corregirlas y reintentarlas
+const TIPOS_CON_FILAS_FALLIDAS = ['scraping', 'sync', 'ocds_import', 'bulk_import'];
+
 const ETLLogs = ({ logs, loading, error, onRefresh }) => {
   const [selectedOperationId, setSelectedOperationId] = useState(null);
   const [isDetailOpen, setIsDetailOpen] = useState(false);
@@ -55,8 +60,12 @@ const ETLLogs = ({ logs, loading, error, onRefresh }) => {
     switch (status) {
       case 'completed':
         return <CheckCircleIcon className="w-5 h-5 text-green-500" />;
+      case 'queued':
+        return <ClockIcon className="w-5 h-5 text-indigo-500" />;
       case 'running':
         return <PlayIcon className="w-5 h-5 text-blue-500" />;
+      case 'cancelled':
+        return <StopCircleIcon className="w-5 h-5 text-gray-500" />;
       case 'failed':
         return <ExclamationCircleIcon className="w-5 h-5 text-red-500" />;
       default:
@@ -69,8 +78,12 @@ const ETLLogs = ({ logs, loading, error, onRefresh }) => {
     switch (status) {
       case 'completed':
         return 'text-green-700 bg-green-50';
+      case 'queued':
+        return 'text-indigo-700 bg-indigo-50';
       case 'running':
         return 'text-blue-700 bg-blue-50';
+      case 'cancelled':
+        return 'text-gray-700 bg-gray-100';
       case 'failed':
         return 'text-red-700 bg-red-50';
       default:
@@ -158,9 +171,19 @@ const ETLLogs = ({ logs, loading, error, onRefresh }) => {
                       </span>
                     </td>
                     <td className="px-6 py-4 whitespace-nowrap text-sm text-center">
-                      <span className="inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium bg-red-100 text-red-800">
-                        ❌ {log.error_count || 0}
-                      </span>
+                      {log.error_count > 0 && TIPOS_CON_FILAS_FALLIDAS.includes(log.operation_type) ? (
+                        <Link
+                          to={`/admin/etl?tab=fallidos&operation_id=${encodeURIComponent(log.operation_id)}`}
+                          className="inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium bg-red-100 text-red-800 underline hover:bg-red-200"
+                          title="Ver filas fallidas"
+                        >
+                          ❌ {log.error_count}
+                        </Link>
+                      ) : (
+                        <span className="inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium bg-red-100 text-red-800">
+                          ❌ {log.error_count || 0}
+                        </span>
+                      )}
                     </td>
                     <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-500">
                       {log.duration_ms ? `${(log.duration_ms / 1000).toFixed(2)}s` : 'N/A'}
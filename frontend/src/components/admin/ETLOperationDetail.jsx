@@ -1,14 +1,18 @@
 import React, { useState, useEffect } from 'react';
 import { Dialog, Transition } from '@headlessui/react';
 import { Fragment } from 'react';
+import { Link } from 'react-router-dom';
 import { 
   XMarkIcon,
   CheckCircleIcon,
   ExclamationCircleIcon,
   ArrowPathIcon,
-  InformationCircleIcon
+  InformationCircleIcon,
+  StopCircleIcon
 } from '@heroicons/react/24/outline';
 import { LoadingSpinner } from '../ui/Loading';
+import QualityReport from './QualityReport';
+import OperationChanges from './OperationChanges';
 import axios from 'axios';
 
 const API_URL = import.meta.env.VITE_API_URL || 'http://localhost:8000/api/v1';
@@ -18,9 +22,13 @@ const ETLOperationDetail = ({ isOpen, onClose, operationId }) => {
   const [details, setDetails] = useState(null);
   const [error, setError] = useState(null);
   const [activeTab, setActiveTab] = useState('nuevos'); // 'nuevos', 'actualizados', 'errores'
+  const [resuming, setResuming] = useState(false);
+  const [cancelling, setCancelling] = useState(false);
+  const [actionMessage, setActionMessage] = useState(null);
 
   useEffect(() => {
     if (isOpen && operationId) {
+      setActionMessage(null);
       fetchOperationDetails();
     }
   }, [isOpen, operationId]);
@@ -43,6 +51,47 @@ const ETLOperationDetail = ({ isOpen, onClose, operationId }) => {
     }
   };
 
+  const handleResume = async () => {
+    setResuming(true);
+    setActionMessage(null);
+    try {
+      const token = localStorage.getItem('token');
+      const response = await axios.post(
+        `${API_URL}/etl/operations/${operationId}/resume`,
+        {},
+        { headers: { Authorization: `Bearer ${token}` } }
+      );
+      setActionMessage({ type: 'success', text: response.data.data?.message || 'Operación reanudada' });
+      await fetchOperationDetails();
+    } catch (err) {
+      setActionMessage({ type: 'error', text: err.response?.data?.message || 'Error al reanudar la operación' });
+      console.error('Error resuming operation:', err);
+    } finally {
+      setResuming(false);
+    }
+  };
+
+  const handleCancel = async () => {
+    if (!window.confirm('¿Cancelar esta operación?')) return;
+    setCancelling(true);
+    setActionMessage(null);
+    try {
+      const token = localStorage.getItem('token');
+      const response = await axios.post(
+        `${API_URL}/etl/operations/${operationId}/cancel`,
+        {},
+        { headers: { Authorization: `Bearer ${token}` } }
+      );
+      setActionMessage({ type: 'success', text: response.data.data?.message || 'Operación cancelada' });
+      await fetchOperationDetails();
+    } catch (err) {
+      setActionMessage({ type: 'error', text: err.response?.data?.message || 'Error al cancelar la operación' });
+      console.error('Error cancelling operation:', err);
+    } finally {
+      setCancelling(false);
+    }
+  };
+
   const renderProcessList = (processes, type) => {
     if (!processes || processes.length === 0) {
       return (
@@ -58,6 +107,7 @@ const ETLOperationDetail = ({ isOpen, onClose, operationId }) => {
         case 'nuevos': return '✨';
         case 'actualizados': return '🔄';
         case 'errores': return '❌';
+        case 'cerrados': return '🚫';
         default: return '📄';
       }
     };
@@ -67,6 +117,7 @@ const ETLOperationDetail = ({ isOpen, onClose, operationId }) => {
         case 'nuevos': return 'bg-green-50 border-green-200';
         case 'actualizados': return 'bg-blue-50 border-blue-200';
         case 'errores': return 'bg-red-50 border-red-200';
+        case 'cerrados': return 'bg-gray-50 border-gray-300';
         default: return 'bg-gray-50 border-gray-200';
       }
     };
@@ -119,6 +170,11 @@ const ETLOperationDetail = ({ isOpen, onClose, operationId }) => {
                     </span>
                   )}
                 </div>
+                {type === 'cerrados' && (
+                  <p className="mt-2 text-xs text-gray-600">
+                    Ya no aparece en el buscador de SEACE · estado anterior: {proceso.estado_anterior || 'sin estado'}
+                  </p>
+                )}
                 {type === 'errores' && proceso.error_message && (
                   <div className="mt-2 p-2 bg-red-100 rounded text-xs text-red-800">
                     <strong>Error:</strong> {proceso.error_message}
@@ -280,6 +336,85 @@ const ETLOperationDetail = ({ isOpen, onClose, operationId }) => {
                       </div>
                     </div>
 
+                    {/* Checkpoint */}
+                    {details.checkpoint && details.status !== 'completed' && (
+                      <div className="bg-yellow-50 border border-yellow-200 rounded-lg p-4 mb-6">
+                        <div className="flex items-center">
+                          <ArrowPathIcon className="w-5 h-5 mr-2 text-yellow-600" />
+                          <p className="text-sm text-yellow-800">
+                            {details.checkpoint.completed_partitions > 0 ? (
+                              <>Particiones de búsqueda completadas: <strong>{details.checkpoint.completed_partitions}</strong></>
+                            ) : (
+                              <>
+                                Última página completada: <strong>{details.checkpoint.last_page}</strong>
+                                {details.checkpoint.total_pages ? ` de ${details.checkpoint.total_pages}` : ''}
+                              </>
+                            )}
+                            {' · '}{details.checkpoint.processed_count} procesos guardados
+                          </p>
+                        </div>
+                      </div>
+                    )}
+
+                    {/* Sincronización: procesos cuya búsqueda no devolvió resultados */}
+                    {details.unverified_processes?.length > 0 && (
+                      <div className="bg-gray-50 border border-gray-200 rounded-lg p-4 mb-6">
+                        <p className="text-sm text-gray-700">
+                          <strong>{details.unverified_processes.length}</strong> procesos sin verificar: su búsqueda en SEACE
+                          no devolvió resultados, así que no se cerraron. Se revisarán en la próxima sincronización.
+                        </p>
+                      </div>
+                    )}
+
+                    {/* Cambio de estructura del portal detectado por el canario */}
+                    {details.dom_drift && (
+                      <div className="bg-red-50 border border-red-200 rounded-lg p-4 mb-6">
+                        <div className="flex items-center mb-2">
+                          <ExclamationCircleIcon className="w-5 h-5 mr-2 text-red-600" />
+                          <p className="text-sm font-semibold text-red-800">
+                            El HTML de SEACE cambió ({details.dom_drift.stage === 'form' ? 'formulario de búsqueda' : 'grilla de resultados'})
+                          </p>
+                        </div>
+                        <ul className="list-disc list-inside text-sm text-red-700 space-y-1">
+                          {details.dom_drift.problemas.map((problema, idx) => (
+                            <li key={idx}>{problema}</li>
+                          ))}
+                        </ul>
+                        <p className="mt-2 text-xs text-red-600">
+                          Selectores v{details.dom_drift.selectors_version}
+                          {details.dom_drift.snapshot && ` · Captura: ${details.dom_drift.snapshot.html} · ${details.dom_drift.snapshot.screenshot}`}
+                        </p>
+                      </div>
+                    )}
+
+                    {/* Reintentos y pausas del circuit breaker */}
+                    {details.reintentos && (details.reintentos.total_reintentos > 0 || details.reintentos.pausas.length > 0) && (
+                      <div className="bg-orange-50 border border-orange-200 rounded-lg p-4 mb-6">
+                        <div className="flex items-center mb-2">
+                          <ArrowPathIcon className="w-5 h-5 mr-2 text-orange-600" />
+                          <p className="text-sm font-semibold text-orange-800">
+                            {details.reintentos.total_reintentos} reintentos
+                            {details.reintentos.fallos_definitivos > 0 && ` · ${details.reintentos.fallos_definitivos} pasos fallidos tras reintentar`}
+                            {details.reintentos.pausas.length > 0 && ` · ${details.reintentos.pausas.length} pausas del circuit breaker`}
+                          </p>
+                        </div>
+                        <p className="text-sm text-orange-700">
+                          {Object.entries(details.reintentos.reintentos_por_paso)
+                            .map(([paso, cantidad]) => `${paso}: ${cantidad}`)
+                            .join(' · ')}
+                        </p>
+                        {details.reintentos.pausas.length > 0 && (
+                          <ul className="mt-2 list-disc list-inside text-xs text-orange-700 space-y-1">
+                            {details.reintentos.pausas.map((pausa, idx) => (
+                              <li key={idx}>
+                                {new Date(pausa.inicio).toLocaleString('es-PE')}: {Math.round(pausa.duracion_ms / 1000)}s tras {pausa.fallos_consecutivos} fallos en {pausa.paso} ({pausa.error_message})
+                              </li>
+                            ))}
+                          </ul>
+                        )}
+                      </div>
+                    )}
+
                     {/* Summary Cards */}
                     <div className="grid grid-cols-3 gap-4 mb-6">
                       <div className="bg-green-50 border border-green-200 rounded-lg p-4">
@@ -313,6 +448,14 @@ const ETLOperationDetail = ({ isOpen, onClose, operationId }) => {
                             <p className="text-2xl font-bold text-red-700">
                               {details.error_count || 0}
                             </p>
+                            {details.dead_letters_pending > 0 && (
+                              <Link
+                                to={`/admin/etl?tab=fallidos&operation_id=${encodeURIComponent(details.operation_id)}`}
+                                className="text-xs text-red-700 underline"
+                              >
+                                {details.dead_letters_pending} pendientes de reintento
+                              </Link>
+                            )}
                           </div>
                           <ExclamationCircleIcon className="w-8 h-8 text-red-500" />
                         </div>
@@ -321,7 +464,7 @@ const ETLOperationDetail = ({ isOpen, onClose, operationId }) => {
 
                     {/* Tabs */}
                     <div className="border-b border-gray-200 mb-4">
-                      <nav className="-mb-px flex space-x-8">
+                      <nav className="-mb-px flex space-x-8 overflow-x-auto">
                         <button
                           onClick={() => setActiveTab('nuevos')}
                           className={`${
@@ -352,6 +495,40 @@ const ETLOperationDetail = ({ isOpen, onClose, operationId }) => {
                         >
                           ❌ Errores ({details.error_count || 0})
                         </button>
+                        {details.closed_processes?.length > 0 && (
+                          <button
+                            onClick={() => setActiveTab('cerrados')}
+                            className={`${
+                              activeTab === 'cerrados'
+                                ? 'border-gray-500 text-gray-700'
+                                : 'border-transparent text-gray-500 hover:text-gray-700 hover:border-gray-300'
+                            } whitespace-nowrap py-4 px-1 border-b-2 font-medium text-sm`}
+                          >
+                            🚫 Cerrados ({details.closed_processes.length})
+                          </button>
+                        )}
+                        <button
+                          onClick={() => setActiveTab('cambios')}
+                          className={`${
+                            activeTab === 'cambios'
+                              ? 'border-purple-500 text-purple-600'
+                              : 'border-transparent text-gray-500 hover:text-gray-700 hover:border-gray-300'
+                          } whitespace-nowrap py-4 px-1 border-b-2 font-medium text-sm`}
+                        >
+                          🔍 Cambios ({details.resultados?.updated || 0})
+                        </button>
+                        {details.quality_report && (
+                          <button
+                            onClick={() => setActiveTab('calidad')}
+                            className={`${
+                              activeTab === 'calidad'
+                                ? 'border-indigo-500 text-indigo-600'
+                                : 'border-transparent text-gray-500 hover:text-gray-700 hover:border-gray-300'
+                            } whitespace-nowrap py-4 px-1 border-b-2 font-medium text-sm`}
+                          >
+                            📋 Calidad ({details.quality_report.puntaje ?? '—'}%)
+                          </button>
+                        )}
                       </nav>
                     </div>
 
@@ -359,13 +536,65 @@ const ETLOperationDetail = ({ isOpen, onClose, operationId }) => {
                     <div className="mt-4">
                       {activeTab === 'nuevos' && renderProcessList(details.inserted_processes, 'nuevos')}
                       {activeTab === 'actualizados' && renderProcessList(details.updated_processes, 'actualizados')}
-                      {activeTab === 'errores' && renderProcessList(details.error_processes, 'errores')}
+                      {activeTab === 'errores' && (
+                        <>
+                          {details.dead_letters_pending > 0 && (
+                            <p className="text-sm text-gray-600 mb-3">
+                              Las filas que no se guardaron quedan en{' '}
+                              <Link
+                                to={`/admin/etl?tab=fallidos&operation_id=${encodeURIComponent(details.operation_id)}`}
+                                className="text-seace-blue underline"
+                              >
+                                Filas Fallidas
+                              </Link>
+                              {' '}para corregirlas y reintentarlas.
+                            </p>
+                          )}
+                          {renderProcessList(details.error_processes, 'errores')}
+                        </>
+                      )}
+                      {activeTab === 'cerrados' && renderProcessList(details.closed_processes, 'cerrados')}
+                      {activeTab === 'cambios' && <OperationChanges operationId={details.operation_id} />}
+                      {activeTab === 'calidad' && (
+                        <QualityReport
+                          report={details.quality_report}
+                          operationId={details.operation_id}
+                          operationType={details.operation_type}
+                        />
+                      )}
                     </div>
                   </div>
                 )}
 
                 {/* Footer */}
-                <div className="mt-6 flex justify-end">
+                {actionMessage && (
+                  <p className={`mt-4 text-sm ${actionMessage.type === 'error' ? 'text-red-600' : 'text-green-600'}`}>
+                    {actionMessage.text}
+                  </p>
+                )}
+                <div className="mt-6 flex justify-end gap-3">
+                  {details?.can_cancel && (
+                    <button
+                      type="button"
+                      className="inline-flex items-center justify-center rounded-md border border-red-300 bg-red-50 px-4 py-2 text-sm font-medium text-red-700 hover:bg-red-100 disabled:opacity-50"
+                      onClick={handleCancel}
+                      disabled={cancelling}
+                    >
+                      <StopCircleIcon className="w-4 h-4 mr-2" />
+                      {cancelling ? 'Cancelando...' : 'Cancelar operación'}
+                    </button>
+                  )}
+                  {details?.can_resume && (
+                    <button
+                      type="button"
+                      className="inline-flex items-center justify-center rounded-md border border-yellow-300 bg-yellow-50 px-4 py-2 text-sm font-medium text-yellow-800 hover:bg-yellow-100 disabled:opacity-50"
+                      onClick={handleResume}
+                      disabled={resuming}
+                    >
+                      <ArrowPathIcon className={`w-4 h-4 mr-2 ${resuming ? 'animate-spin' : ''}`} />
+                      {resuming ? 'Reanudando...' : 'Reanudar'}
+                    </button>
+                  )}
                   <button
                     type="button"
                     className="inline-flex justify-center rounded-md border border-transparent bg-seace-blue px-4 py-2 text-sm font-medium text-white hover:bg-seace-blue-dark focus:outline-none focus-visible:ring-2 focus-visible:ring-blue-500 focus-visible:ring-offset-2"
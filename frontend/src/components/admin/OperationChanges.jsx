@@ -0,0 +1,255 @@
+import React, { useState, useEffect } from 'react';
+import { Link } from 'react-router-dom';
+import { MagnifyingGlassIcon } from '@heroicons/react/24/outline';
+import { LoadingSpinner } from '../ui/Loading';
+import { utils } from '../../services/seaceService';
+import axios from 'axios';
+
+const API_URL = import.meta.env.VITE_API_URL || 'http://localhost:8000/api/v1';
+
+const PAGE_SIZE = 25;
+
+const resultadoOptions = [
+  { value: '', label: 'Todos' },
+  { value: 'created', label: 'Creados' },
+  { value: 'updated', label: 'Actualizados' },
+  { value: 'unchanged', label: 'Sin cambios' }
+];
+
+const resultadoStyles = {
+  created: 'bg-green-100 text-green-800',
+  updated: 'bg-blue-100 text-blue-800',
+  unchanged: 'bg-gray-100 text-gray-700'
+};
+
+const resultadoLabels = {
+  created: 'Creado',
+  updated: 'Actualizado',
+  unchanged: 'Sin cambios'
+};
+
+const fieldLabels = {
+  nombre_entidad: 'Entidad',
+  entidad_nombre: 'Entidad',
+  entidad_ruc: 'RUC de la entidad',
+  fecha_publicacion: 'Fecha de publicación',
+  nomenclatura: 'Nomenclatura',
+  reiniciado_desde: 'Reiniciado desde',
+  objeto_contratacion: 'Objeto de contratación',
+  descripcion_objeto: 'Descripción',
+  estado_proceso: 'Estado',
+  tipo_proceso: 'Tipo de proceso',
+  url_proceso: 'URL del proceso',
+  numero_convocatoria: 'Número de convocatoria',
+  codigo_snip: 'Código SNIP',
+  codigo_cui: 'Código CUI',
+  departamento: 'Departamento',
+  provincia: 'Provincia',
+  distrito: 'Distrito',
+  monto_referencial: 'Monto referencial',
+  moneda: 'Moneda',
+  rubro: 'Rubro',
+  fecha_limite_presentacion: 'Fecha límite de presentación',
+  version_seace: 'Versión SEACE',
+  requiere_visita_previa: 'Requiere visita previa'
+};
+
+const formatValue = (campo, valor) => {
+  if (valor === null || valor === undefined) return '—';
+  if (campo.startsWith('fecha_')) return utils.formatDateTime(valor);
+  if (campo === 'monto_referencial') return utils.formatCurrency(parseFloat(valor));
+  return valor;
+};
+
+const selectClasses = 'rounded-md border border-gray-300 px-3 py-2 text-sm focus:border-seace-blue focus:outline-none';
+
+const OperationChanges = ({ operationId }) => {
+  const [filters, setFilters] = useState({ resultado: '', campo: '', search: '' });
+  const [search, setSearch] = useState('');
+  const [page, setPage] = useState(1);
+  const [data, setData] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    const fetchChanges = async () => {
+      setLoading(true);
+      setError(null);
+      try {
+        const token = localStorage.getItem('token');
+        const params = { page, size: PAGE_SIZE };
+        if (filters.resultado) params.resultado = filters.resultado;
+        if (filters.campo) params.campo = filters.campo;
+        if (filters.search) params.search = filters.search;
+
+        const response = await axios.get(
+          `${API_URL}/etl/operations/${operationId}/changes`,
+          { params, headers: { Authorization: `Bearer ${token}` } }
+        );
+        setData(response.data.data);
+      } catch (err) {
+        setError(err.response?.data?.message || 'Error al cargar los cambios de la operación');
+        console.error('Error fetching operation changes:', err);
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    fetchChanges();
+  }, [operationId, filters, page]);
+
+  const updateFilter = (campo, valor) => {
+    setPage(1);
+    setFilters(prev => ({ ...prev, [campo]: valor }));
+  };
+
+  const handleSearch = (e) => {
+    e.preventDefault();
+    updateFilter('search', search.trim());
+  };
+
+  const resumen = data?.resumen || { created: 0, updated: 0, unchanged: 0 };
+  const totalTocados = resumen.created + resumen.updated + resumen.unchanged;
+
+  return (
+    <div>
+      <p className="text-sm text-gray-600 mb-3">
+        {resumen.created} creados · {resumen.updated} actualizados · {resumen.unchanged} sin cambios
+      </p>
+
+      {/* Filtros */}
+      <div className="flex flex-wrap items-center gap-3 mb-4">
+        <select
+          className={selectClasses}
+          value={filters.resultado}
+          onChange={(e) => updateFilter('resultado', e.target.value)}
+        >
+          {resultadoOptions.map(option => (
+            <option key={option.value} value={option.value}>{option.label}</option>
+          ))}
+        </select>
+        <select
+          className={selectClasses}
+          value={filters.campo}
+          onChange={(e) => updateFilter('campo', e.target.value)}
+        >
+          <option value="">Cualquier campo</option>
+          {(data?.campos || []).map(({ campo, cantidad }) => (
+            <option key={campo} value={campo}>{fieldLabels[campo] || campo} ({cantidad})</option>
+          ))}
+        </select>
+        <form onSubmit={handleSearch} className="flex items-center flex-1 min-w-[12rem]">
+          <input
+            className={`${selectClasses} flex-1`}
+            value={search}
+            onChange={(e) => setSearch(e.target.value)}
+            placeholder="Buscar por id de proceso"
+          />
+          <button type="submit" className="ml-2 text-gray-500 hover:text-gray-700" title="Buscar">
+            <MagnifyingGlassIcon className="w-5 h-5" />
+          </button>
+        </form>
+      </div>
+
+      {error && <p className="text-sm text-red-600 mb-3">{error}</p>}
+
+      {loading && !data ? (
+        <div className="flex justify-center py-8">
+          <LoadingSpinner />
+        </div>
+      ) : totalTocados === 0 ? (
+        <p className="text-center py-8 text-sm text-gray-500">
+          La operación no registró procesos (las operaciones anteriores a este registro no tienen diff).
+        </p>
+      ) : (
+        <div className={`border border-gray-200 rounded-lg overflow-hidden ${loading ? 'opacity-60' : ''}`}>
+          <div className="max-h-96 overflow-y-auto">
+            <table className="min-w-full divide-y divide-gray-200 text-sm">
+              <thead className="bg-gray-50 sticky top-0">
+                <tr>
+                  <th className="px-3 py-2 text-left font-medium text-gray-500">Proceso</th>
+                  <th className="px-3 py-2 text-left font-medium text-gray-500">Resultado</th>
+                  <th className="px-3 py-2 text-left font-medium text-gray-500">Campo</th>
+                  <th className="px-3 py-2 text-left font-medium text-gray-500">Antes</th>
+                  <th className="px-3 py-2 text-left font-medium text-gray-500">Después</th>
+                </tr>
+              </thead>
+              <tbody className="divide-y divide-gray-100 bg-white">
+                {data.items.length === 0 && (
+                  <tr>
+                    <td colSpan={5} className="px-3 py-4 text-center text-gray-500">Ningún proceso coincide con los filtros</td>
+                  </tr>
+                )}
+                {data.items.map(item => {
+                  // Con filtro de campo solo se muestra ese cambio
+                  const cambios = filters.campo ? item.cambios.filter(c => c.campo === filters.campo) : item.cambios;
+                  const filas = Math.max(cambios.length, 1);
+
+                  return Array.from({ length: filas }).map((_, idx) => {
+                    const cambio = cambios[idx];
+                    return (
+                      <tr key={`${item.proceso_id}-${idx}`} className="align-top">
+                        {idx === 0 && (
+                          <>
+                            <td rowSpan={filas} className="px-3 py-2">
+                              <Link to={`/process/${item.proceso_id}`} className="font-mono text-xs text-seace-blue hover:underline break-all">
+                                {item.id_proceso}
+                              </Link>
+                              {item.nombre_entidad && <p className="text-xs text-gray-500">{item.nombre_entidad}</p>}
+                            </td>
+                            <td rowSpan={filas} className="px-3 py-2">
+                              <span className={`inline-flex px-2 py-0.5 rounded-full text-xs font-medium ${resultadoStyles[item.resultado]}`}>
+                                {resultadoLabels[item.resultado] || item.resultado}
+                              </span>
+                            </td>
+                          </>
+                        )}
+                        {cambio ? (
+                          <>
+                            <td className="px-3 py-2 text-gray-900">{fieldLabels[cambio.campo] || cambio.campo}</td>
+                            <td className="px-3 py-2 text-red-600 break-words">{formatValue(cambio.campo, cambio.valor_anterior)}</td>
+                            <td className="px-3 py-2 text-green-700 break-words">{formatValue(cambio.campo, cambio.valor_nuevo)}</td>
+                          </>
+                        ) : (
+                          <td colSpan={3} className="px-3 py-2 text-gray-400">
+                            {item.resultado === 'created' ? 'Proceso nuevo' : 'Sin cambios en los campos versionados'}
+                          </td>
+                        )}
+                      </tr>
+                    );
+                  });
+                })}
+              </tbody>
+            </table>
+          </div>
+
+          {data.pages > 1 && (
+            <div className="flex items-center justify-between px-3 py-2 bg-gray-50 border-t border-gray-200 text-sm">
+              <span className="text-gray-600">Página {data.page} de {data.pages} ({data.total} procesos)</span>
+              <div className="space-x-2">
+                <button
+                  type="button"
+                  className="px-3 py-1 rounded border border-gray-300 disabled:opacity-40"
+                  onClick={() => setPage(page - 1)}
+                  disabled={page <= 1 || loading}
+                >
+                  Anterior
+                </button>
+                <button
+                  type="button"
+                  className="px-3 py-1 rounded border border-gray-300 disabled:opacity-40"
+                  onClick={() => setPage(page + 1)}
+                  disabled={page >= data.pages || loading}
+                >
+                  Siguiente
+                </button>
+              </div>
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default OperationChanges;
@@ -1,11 +1,12 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useRef } from 'react';
+import { Link } from 'react-router-dom';
 import { CheckCircleIcon, ExclamationIcon } from '@heroicons/react/24/outline';
 import { XCircleIcon } from '@heroicons/react/24/solid';
 
 /**
  * Componente ProgressBar para mostrar el progreso en tiempo real de operaciones ETL
  * @param {string} operationId - ID de la operación a monitorear
- * @param {string} status - Estado actual de la operación (running, completed, failed)
+ * @param {string} status - Estado actual de la operación (queued, running, completed, failed, cancelled)
  * @param {function} onComplete - Callback cuando la operación finaliza
  * @param {boolean} showLogs - Mostrar logs detallados (default: true)
  */
@@ -28,6 +29,11 @@ export const ProgressBar = ({
 
   const [isPolling, setIsPolling] = useState(true);
   const [pollCount, setPollCount] = useState(0);
+  // true mientras se reciben los eventos en vivo de /etl/stream; si el canal no está disponible se consulta /progress
+  const [isLive, setIsLive] = useState(false);
+  // El callback del padre cambia en cada render: no debe reabrir el canal de eventos
+  const onCompleteRef = useRef(onComplete);
+  onCompleteRef.current = onComplete;
 
   // Debug: Log cuando se monta el componente
   useEffect(() => {
@@ -40,55 +46,126 @@ export const ProgressBar = ({
   useEffect(() => {
     if (!operationId || !isPolling) return;
 
-    console.log(`[ProgressBar] Iniciando polling para operación: ${operationId}`);
+    const token = localStorage.getItem('token');
+    let pollInterval = null;
+    let source = null;
+    let finished = false;
 
-    const pollInterval = setInterval(async () => {
-      try {
-        const token = localStorage.getItem('token');
-        const url = `/api/v1/etl/operations/${operationId}/progress`;
-        
-        console.log(`[ProgressBar] Polling: ${url}`);
-        
-        const response = await fetch(url, {
-          headers: {
-            'Authorization': `Bearer ${token}`,
-            'Cache-Control': 'no-cache'
-          }
-        });
+    const applyProgress = (progressData) => {
+      if (finished) return;
+      setProgress(prev => ({ ...prev, ...progressData }));
 
-        if (response.ok) {
-          const data = await response.json();
-          const progressData = data.data;
+      // Detener el seguimiento si la operación completó, falló o fue cancelada
+      if (['completed', 'failed', 'cancelled'].includes(progressData.status)) {
+        finished = true;
+        if (source) source.close();
+        clearInterval(pollInterval);
+        console.log(`[ProgressBar] Operación ${progressData.status}, deteniendo seguimiento`);
+        setIsPolling(false);
+        // Limpiar sessionStorage cuando operación termina
+        sessionStorage.removeItem('current_operation_id');
+        console.log('[ProgressBar] sessionStorage limpiado');
+        if (onCompleteRef.current) {
+          onCompleteRef.current(progressData.status);
+        }
+      }
+    };
+
+    const startPolling = () => {
+      if (pollInterval) return;
+      console.log(`[ProgressBar] Iniciando polling para operación: ${operationId}`);
+
+      pollInterval = setInterval(async () => {
+        try {
+          const url = `/api/v1/etl/operations/${operationId}/progress`;
           
-          console.log(`[ProgressBar] Respuesta recibida:`, progressData);
+          console.log(`[ProgressBar] Polling: ${url}`);
           
-          setProgress(progressData);
-          setPollCount(prev => prev + 1);
-
-          // Detener polling si la operación completó o falló
-          if (progressData.status === 'completed' || progressData.status === 'failed') {
-            console.log(`[ProgressBar] Operación ${progressData.status}, deteniendo polling`);
-            setIsPolling(false);
-            // Limpiar sessionStorage cuando operación termina
-            sessionStorage.removeItem('current_operation_id');
-            console.log('[ProgressBar] sessionStorage limpiado');
-            if (onComplete) {
-              onComplete(progressData.status);
+          const response = await fetch(url, {
+            headers: {
+              'Authorization': `Bearer ${token}`,
+              'Cache-Control': 'no-cache'
             }
+          });
+
+          if (response.ok) {
+            const data = await response.json();
+            console.log(`[ProgressBar] Respuesta recibida:`, data.data);
+            setPollCount(prev => prev + 1);
+            applyProgress(data.data);
+          } else {
+            console.warn(`[ProgressBar] Error en respuesta: ${response.status}`);
           }
-        } else {
-          console.warn(`[ProgressBar] Error en respuesta: ${response.status}`);
+        } catch (error) {
+          console.error('[ProgressBar] Error polling progress:', error);
         }
+      }, 1500); // Poll cada 1.5 segundos
+    };
+
+    // EventSource no envía encabezados: se pide un ticket de un solo uso y el token no va en la URL
+    const openStream = async () => {
+      let ticket;
+      try {
+        const response = await fetch('/api/v1/etl/stream/ticket', {
+          method: 'POST',
+          headers: { 'Authorization': `Bearer ${token}` }
+        });
+        if (!response.ok) throw new Error(`HTTP ${response.status}`);
+        ticket = (await response.json()).data.ticket;
       } catch (error) {
-        console.error('[ProgressBar] Error polling progress:', error);
+        console.warn('[ProgressBar] No se pudo obtener el ticket del canal de eventos:', error);
+        if (!finished) startPolling();
+        return;
       }
-    }, 1500); // Poll cada 1.5 segundos
+      // El componente se desmontó o la operación terminó mientras se pedía el ticket
+      if (finished) return;
+
+      console.log(`[ProgressBar] Suscribiendo a eventos en vivo de la operación: ${operationId}`);
+      source = new EventSource(
+        `/api/v1/etl/stream?operation_id=${encodeURIComponent(operationId)}&ticket=${encodeURIComponent(ticket)}`
+      );
+
+      source.onopen = () => setIsLive(true);
+      source.addEventListener('progress', (event) => applyProgress(JSON.parse(event.data)));
+      source.addEventListener('proceso', (event) => {
+        const { inserted_count, updated_count, error_count } = JSON.parse(event.data);
+        setProgress(prev => ({ ...prev, inserted_count, updated_count, error_count }));
+      });
+      source.addEventListener('operation_complete', (event) => {
+        const data = JSON.parse(event.data);
+        applyProgress({
+          status: data.status,
+          inserted_count: data.inserted_count,
+          updated_count: data.updated_count,
+          error_count: data.error_count,
+          mensaje_actual: data.message,
+          ...(data.status === 'completed' ? { porcentaje: 100 } : {})
+        });
+      });
+      source.onerror = () => {
+        // EventSource reintenta solo; si el servidor rechazó el canal (401/403/404) queda cerrado.
+        // Al reconectar reutiliza la URL y el ticket ya usado: en ese caso también se pasa a consultar /progress.
+        if (source.readyState === EventSource.CLOSED) {
+          console.warn('[ProgressBar] Canal de eventos no disponible, se consulta el progreso periódicamente');
+          setIsLive(false);
+          startPolling();
+        }
+      };
+    };
+
+    if (typeof EventSource === 'undefined') {
+      startPolling();
+    } else {
+      openStream();
+    }
 
     return () => {
-      console.log(`[ProgressBar] Limpiando intervalo`);
+      console.log(`[ProgressBar] Limpiando seguimiento`);
+      finished = true;
+      if (source) source.close();
       clearInterval(pollInterval);
     };
-  }, [operationId, isPolling, onComplete]);
+  }, [operationId, isPolling]);
 
   const getStatusColor = () => {
     switch (progress.status) {
@@ -96,6 +173,8 @@ export const ProgressBar = ({
         return 'bg-green-500';
       case 'failed':
         return 'bg-red-500';
+      case 'cancelled':
+        return 'bg-gray-500';
       case 'running':
         return 'bg-blue-500';
       default:
@@ -109,6 +188,9 @@ export const ProgressBar = ({
         return <CheckCircleIcon className="w-6 h-6 text-green-600" />;
       case 'failed':
         return <XCircleIcon className="w-6 h-6 text-red-600" />;
+      case 'cancelled':
+        return <XCircleIcon className="w-6 h-6 text-gray-500" />;
+      case 'queued':
       case 'running':
         return (
           <div className="w-6 h-6 border-3 border-blue-200 border-t-blue-600 rounded-full animate-spin" />
@@ -124,6 +206,10 @@ export const ProgressBar = ({
         return 'Completado';
       case 'failed':
         return 'Error';
+      case 'cancelled':
+        return 'Cancelado';
+      case 'queued':
+        return 'En cola...';
       case 'running':
         return 'En progreso...';
       default:
@@ -200,6 +286,14 @@ export const ProgressBar = ({
           }`}>
             Errores
           </p>
+          {progress.error_count > 0 && (
+            <Link
+              to={`/admin/etl?tab=fallidos&operation_id=${encodeURIComponent(operationId)}`}
+              className="text-xs text-red-600 underline hover:text-red-800"
+            >
+              Ver filas fallidas
+            </Link>
+          )}
         </div>
       </div>
 
@@ -218,6 +312,7 @@ export const ProgressBar = ({
               <span className={`inline-block px-2 py-1 rounded text-xs font-medium ${
                 progress.status === 'completed' ? 'bg-green-100 text-green-800' :
                 progress.status === 'failed' ? 'bg-red-100 text-red-800' :
+                progress.status === 'cancelled' ? 'bg-gray-100 text-gray-800' :
                 'bg-blue-100 text-blue-800'
               }`}>
                 {getStatusText()}
@@ -228,7 +323,7 @@ export const ProgressBar = ({
       </div>
 
       {/* Detalles técnicos (opcional) */}
-      {showLogs && progress.status !== 'running' && (
+      {showLogs && !['queued', 'running'].includes(progress.status) && (
         <div className="mt-4 p-3 bg-gray-50 rounded-lg border border-gray-200">
           <p className="text-xs text-gray-600">
             <strong>Resumen:</strong> Se procesaron{' '}
@@ -253,10 +348,10 @@ export const ProgressBar = ({
       )}
 
       {/* Spinner Info (solo mientras está en progreso) */}
-      {progress.status === 'running' && (
+      {['queued', 'running'].includes(progress.status) && (
         <div className="mt-4 text-center">
           <p className="text-xs text-gray-500">
-            Actualizando cada 1.5 segundos...
+            {isLive ? 'Recibiendo actualizaciones en vivo...' : 'Actualizando cada 1.5 segundos...'}
           </p>
         </div>
       )}
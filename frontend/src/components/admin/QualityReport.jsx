@@ -0,0 +1,219 @@
+import React, { useState, useEffect } from 'react';
+import {
+  LineChart, Line, BarChart, Bar,
+  XAxis, YAxis, CartesianGrid, Tooltip, Legend, ResponsiveContainer, ReferenceLine
+} from 'recharts';
+import { LoadingSpinner } from '../ui/Loading';
+import axios from 'axios';
+
+const API_URL = import.meta.env.VITE_API_URL || 'http://localhost:8000/api/v1';
+
+const fieldLabels = {
+  nomenclatura: 'Nomenclatura',
+  nombre_entidad: 'Entidad',
+  entidad_ruc: 'RUC de la entidad',
+  fecha_publicacion: 'Fecha de publicación',
+  objeto_contratacion: 'Objeto',
+  descripcion_objeto: 'Descripción',
+  tipo_proceso: 'Tipo de proceso',
+  estado_proceso: 'Estado',
+  monto_referencial: 'Monto referencial',
+  moneda: 'Moneda',
+  departamento: 'Departamento',
+  provincia: 'Provincia',
+  distrito: 'Distrito',
+  fecha_limite_presentacion: 'Fecha límite',
+  url_proceso: 'URL de la ficha'
+};
+
+const issueLabels = {
+  fecha_publicacion: 'Fecha de publicación no interpretable',
+  fecha_limite_presentacion: 'Fecha límite no interpretable',
+  monto_referencial: 'Monto no interpretable',
+  ficha: 'Fila sin enlace a la ficha',
+  monto_no_positivo: 'Monto cero o negativo',
+  monto_excesivo: 'Monto mayor a 10 mil millones',
+  publicacion_futura: 'Publicación con fecha futura',
+  publicacion_antigua: 'Publicación anterior a 2004',
+  limite_antes_de_publicacion: 'Fecha límite anterior a la publicación',
+  ruc_invalido: 'RUC con formato inválido',
+  id_generado: 'Id generado (PROC-<timestamp>)',
+  entidad_desconocida: '"Entidad Desconocida"'
+};
+
+// Campos de completitud que se grafican en la tendencia
+const trendFields = [
+  { key: 'monto_referencial', color: '#2563eb' },
+  { key: 'fecha_publicacion', color: '#16a34a' },
+  { key: 'entidad_ruc', color: '#9333ea' },
+  { key: 'departamento', color: '#ea580c' }
+];
+
+const scoreColor = (score) => {
+  if (score === null || score === undefined) return 'text-gray-500';
+  if (score >= 90) return 'text-green-700';
+  if (score >= 70) return 'text-yellow-700';
+  return 'text-red-700';
+};
+
+const completenessBar = (pct) => {
+  if (pct >= 90) return 'bg-green-500';
+  if (pct >= 50) return 'bg-yellow-500';
+  return 'bg-red-500';
+};
+
+const IssueTable = ({ title, issues, color }) => {
+  const entries = Object.entries(issues || {}).filter(([, issue]) => issue.cantidad > 0);
+  if (entries.length === 0) return null;
+
+  return (
+    <div className="mb-4">
+      <h5 className={`text-sm font-semibold mb-2 ${color}`}>{title}</h5>
+      <div className="space-y-2">
+        {entries.map(([key, issue]) => (
+          <div key={key} className="border border-gray-200 rounded-lg p-3">
+            <div className="flex items-center justify-between">
+              <span className="text-sm text-gray-800">{issueLabels[key] || key}</span>
+              <span className="text-sm font-bold text-gray-900">{issue.cantidad}</span>
+            </div>
+            {issue.ejemplos?.length > 0 && (
+              <p className="mt-1 text-xs text-gray-500 break-all">
+                {issue.ejemplos.map(ejemplo => `${ejemplo.id_proceso || 'sin id'}: ${ejemplo.valor ?? '—'}`).join(' · ')}
+              </p>
+            )}
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+};
+
+const QualityReport = ({ report, operationId, operationType }) => {
+  const [trend, setTrend] = useState([]);
+  const [loadingTrend, setLoadingTrend] = useState(false);
+
+  useEffect(() => {
+    const fetchTrend = async () => {
+      setLoadingTrend(true);
+      try {
+        const token = localStorage.getItem('token');
+        const response = await axios.get(`${API_URL}/etl/quality/trend`, {
+          params: { operation_type: operationType, limit: 30 },
+          headers: { Authorization: `Bearer ${token}` }
+        });
+        const items = response.data.data?.items || [];
+        setTrend(items.map(item => ({
+          ...item,
+          // Varias operaciones del mismo día se distinguen por la hora
+          fecha: new Date(item.created_at).toLocaleString('es-PE', { day: '2-digit', month: '2-digit', hour: '2-digit', minute: '2-digit' }),
+          ...Object.fromEntries(trendFields.map(({ key }) => [key, item.completitud?.[key] ?? null]))
+        })));
+      } catch (err) {
+        console.error('Error fetching quality trend:', err);
+      } finally {
+        setLoadingTrend(false);
+      }
+    };
+
+    fetchTrend();
+  }, [operationId, operationType]);
+
+  if (!report || !report.total) {
+    return (
+      <div className="text-center py-8 text-gray-500">
+        <p>La operación no recibió registros</p>
+      </div>
+    );
+  }
+
+  const currentRun = trend.find(item => item.operation_id === operationId);
+
+  return (
+    <div className="space-y-6 max-h-[32rem] overflow-y-auto pr-1">
+      {/* Resumen */}
+      <div className="grid grid-cols-3 gap-4">
+        <div className="border border-gray-200 rounded-lg p-4">
+          <p className="text-sm text-gray-500">Registros sin problemas</p>
+          <p className={`text-2xl font-bold ${scoreColor(report.puntaje)}`}>{report.puntaje ?? '—'}%</p>
+        </div>
+        <div className="border border-gray-200 rounded-lg p-4">
+          <p className="text-sm text-gray-500">Registros recibidos</p>
+          <p className="text-2xl font-bold text-gray-900">{report.total}</p>
+        </div>
+        <div className="border border-gray-200 rounded-lg p-4">
+          <p className="text-sm text-gray-500">Con problemas</p>
+          <p className="text-2xl font-bold text-gray-900">{report.registros_con_problemas}</p>
+        </div>
+      </div>
+
+      {/* Completitud por campo */}
+      <div>
+        <h5 className="text-sm font-semibold text-gray-900 mb-2">Completitud por campo</h5>
+        <div className="grid grid-cols-1 md:grid-cols-2 gap-x-6 gap-y-2">
+          {Object.entries(report.completitud || {}).map(([campo, { presentes, porcentaje }]) => (
+            <div key={campo}>
+              <div className="flex justify-between text-xs text-gray-600 mb-1">
+                <span>{fieldLabels[campo] || campo}</span>
+                <span>{presentes}/{report.total} ({porcentaje}%)</span>
+              </div>
+              <div className="w-full bg-gray-200 rounded-full h-2">
+                <div className={`h-2 rounded-full ${completenessBar(porcentaje)}`} style={{ width: `${porcentaje}%` }} />
+              </div>
+            </div>
+          ))}
+        </div>
+      </div>
+
+      {/* Problemas detectados */}
+      <div>
+        <IssueTable title="Fallos de parseo" issues={report.fallos_parseo} color="text-red-700" />
+        <IssueTable title="Valores sospechosos" issues={report.valores_sospechosos} color="text-orange-700" />
+        <IssueTable title="Placeholders" issues={report.placeholders} color="text-gray-700" />
+      </div>
+
+      {/* Tendencia entre operaciones */}
+      <div>
+        <h5 className="text-sm font-semibold text-gray-900 mb-2">Tendencia en las últimas operaciones</h5>
+        {loadingTrend ? (
+          <div className="flex justify-center py-6">
+            <LoadingSpinner />
+          </div>
+        ) : trend.length < 2 ? (
+          <p className="text-sm text-gray-500">Se necesitan al menos dos operaciones con reporte para mostrar la tendencia.</p>
+        ) : (
+          <div className="space-y-6">
+            <ResponsiveContainer width="100%" height={240}>
+              <LineChart data={trend}>
+                <CartesianGrid strokeDasharray="3 3" />
+                <XAxis dataKey="fecha" />
+                <YAxis domain={[0, 100]} unit="%" />
+                <Tooltip />
+                <Legend />
+                {currentRun && <ReferenceLine x={currentRun.fecha} stroke="#9ca3af" strokeDasharray="4 4" />}
+                <Line type="monotone" dataKey="puntaje" name="Sin problemas" stroke="#111827" strokeWidth={2} />
+                {trendFields.map(({ key, color }) => (
+                  <Line key={key} type="monotone" dataKey={key} name={fieldLabels[key]} stroke={color} dot={false} />
+                ))}
+              </LineChart>
+            </ResponsiveContainer>
+
+            <ResponsiveContainer width="100%" height={200}>
+              <BarChart data={trend}>
+                <CartesianGrid strokeDasharray="3 3" />
+                <XAxis dataKey="fecha" />
+                <YAxis allowDecimals={false} />
+                <Tooltip />
+                <Legend />
+                <Bar dataKey="fallos_parseo" name="Fallos de parseo" stackId="problemas" fill="#dc2626" />
+                <Bar dataKey="valores_sospechosos" name="Sospechosos" stackId="problemas" fill="#f97316" />
+                <Bar dataKey="placeholders" name="Placeholders" stackId="problemas" fill="#6b7280" />
+              </BarChart>
+            </ResponsiveContainer>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default QualityReport;
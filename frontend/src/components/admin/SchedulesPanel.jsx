@@ -0,0 +1,321 @@
+import React, { useEffect, useState } from 'react';
+import { Card, CardHeader, CardBody } from '../ui/Card';
+import { Button } from '../ui/Button';
+import { Alert, ErrorAlert } from '../ui/Alert';
+import { LoadingSpinner } from '../ui/Loading';
+import { CalendarDaysIcon, PlayIcon, PauseIcon, TrashIcon } from '@heroicons/react/24/outline';
+import { etlService } from '../../services/seaceService';
+
+const inputClasses = 'block w-full rounded-md border border-gray-300 px-3 py-2 text-sm focus:border-seace-blue focus:outline-none';
+
+// Expresiones cron frecuentes (minuto hora día-del-mes mes día-de-la-semana)
+const cronPresets = [
+  { value: '0 6 * * *', label: 'Todos los días a las 06:00' },
+  { value: '0 6,18 * * *', label: 'Dos veces al día (06:00 y 18:00)' },
+  { value: '0 7 * * 1-5', label: 'Lunes a viernes a las 07:00' },
+  { value: '0 6 * * 1', label: 'Cada lunes a las 06:00' },
+  { value: '0 */4 * * *', label: 'Cada 4 horas' },
+];
+
+const objetoContratacionOptions = [
+  { value: '', label: 'Todos' },
+  { value: 'Bien', label: 'Bien' },
+  { value: 'Servicio', label: 'Servicio' },
+  { value: 'Obra', label: 'Obra' },
+  { value: 'Consultoría de Obra', label: 'Consultoría de Obra' },
+];
+
+const statusStyles = {
+  running: 'bg-blue-100 text-blue-800',
+  completed: 'bg-green-100 text-green-800',
+  failed: 'bg-red-100 text-red-800',
+  cancelled: 'bg-gray-100 text-gray-800'
+};
+
+const statusLabels = {
+  running: 'En curso',
+  completed: 'Completada',
+  failed: 'Fallida',
+  cancelled: 'Cancelada'
+};
+
+const emptyForm = {
+  name: '',
+  cron: '0 6 * * *',
+  objetoContratacion: '',
+  anio: '',
+  keywords: '',
+  maxProcesses: 100,
+  includeDetails: false
+};
+
+const formatDate = (value) => (value ? new Date(value).toLocaleString('es-PE') : '—');
+
+// Resumen legible de los parámetros de scraping de una programación
+const describeParams = (params = {}) => {
+  const partes = [
+    params.objetoContratacion || 'Todos los objetos',
+    params.anio ? `año ${params.anio}` : 'año en curso'
+  ];
+  if (params.keywords?.length) partes.push(`"${params.keywords.join(', ')}"`);
+  if (params.maxProcesses) partes.push(`máx. ${params.maxProcesses}`);
+  if (params.includeDetails) partes.push('con ficha');
+  return partes.join(' · ');
+};
+
+const SchedulesPanel = ({ onRun }) => {
+  const [schedules, setSchedules] = useState([]);
+  const [schedulerEnabled, setSchedulerEnabled] = useState(true);
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState(null);
+  const [message, setMessage] = useState(null);
+  const [form, setForm] = useState(emptyForm);
+
+  const fetchSchedules = async () => {
+    try {
+      setLoading(true);
+      const result = await etlService.getSchedules({ size: 100 });
+      setSchedules(result.items || []);
+      setSchedulerEnabled(result.scheduler_enabled !== false);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    fetchSchedules();
+  }, []);
+
+  const runAction = async (action) => {
+    try {
+      setSaving(true);
+      setError(null);
+      setMessage(await action());
+      await fetchSchedules();
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleCreate = (e) => {
+    e.preventDefault();
+    runAction(async () => {
+      // Sin año la programación busca el año en curso en cada ejecución
+      const params = {
+        maxProcesses: parseInt(form.maxProcesses) || 100,
+        includeDetails: form.includeDetails
+      };
+      if (form.objetoContratacion) params.objetoContratacion = form.objetoContratacion;
+      if (form.anio) params.anio = form.anio;
+      const keywords = form.keywords.split(/[,\s]+/).filter(k => k.trim().length > 0);
+      if (keywords.length > 0) params.keywords = keywords;
+
+      const schedule = await etlService.createSchedule({ name: form.name, cron: form.cron, params });
+      setForm(emptyForm);
+      return `Programación "${schedule.name}" creada. Próxima ejecución: ${formatDate(schedule.next_run_at)}`;
+    });
+  };
+
+  const handleToggle = (schedule) => {
+    runAction(async () => {
+      await etlService.updateSchedule(schedule.id, { enabled: !schedule.enabled });
+      return `Programación "${schedule.name}" ${schedule.enabled ? 'pausada' : 'reactivada'}`;
+    });
+  };
+
+  const handleRun = (schedule) => {
+    runAction(async () => {
+      const result = await etlService.runSchedule(schedule.id);
+      if (onRun) onRun();
+      return result.message;
+    });
+  };
+
+  const handleDelete = (schedule) => {
+    if (!window.confirm(`¿Eliminar la programación "${schedule.name}"?`)) return;
+    runAction(async () => {
+      await etlService.deleteSchedule(schedule.id);
+      return `Programación "${schedule.name}" eliminada`;
+    });
+  };
+
+  return (
+    <Card>
+      <CardHeader>
+        <div className="flex items-center">
+          <CalendarDaysIcon className="w-5 h-5 text-seace-blue mr-2" />
+          <h3 className="text-lg font-semibold">Programaciones de Scraping</h3>
+        </div>
+      </CardHeader>
+      <CardBody>
+        <p className="text-sm text-gray-600 mb-4">
+          El servidor lanza cada programación según su expresión cron (hora de Lima). Si la ejecución anterior
+          sigue en curso, la nueva se omite y se vuelve a intentar en el siguiente horario.
+        </p>
+
+        {!schedulerEnabled && (
+          <Alert
+            type="warning"
+            message="El scheduler está deshabilitado en el servidor (SCHEDULER_ENABLED=false): las programaciones no se ejecutarán automáticamente."
+          />
+        )}
+
+        <form onSubmit={handleCreate} className="grid grid-cols-1 md:grid-cols-3 gap-3 mb-4">
+          <input
+            className={inputClasses}
+            value={form.name}
+            onChange={(e) => setForm({ ...form, name: e.target.value })}
+            placeholder="Nombre (p. ej. Servicios diarios)"
+          />
+          <div>
+            <input
+              className={`${inputClasses} font-mono`}
+              value={form.cron}
+              onChange={(e) => setForm({ ...form, cron: e.target.value })}
+              placeholder="minuto hora día mes día-semana"
+              list="cron-presets"
+            />
+            <datalist id="cron-presets">
+              {cronPresets.map(preset => (
+                <option key={preset.value} value={preset.value}>{preset.label}</option>
+              ))}
+            </datalist>
+          </div>
+          <select
+            className={inputClasses}
+            value={form.objetoContratacion}
+            onChange={(e) => setForm({ ...form, objetoContratacion: e.target.value })}
+          >
+            {objetoContratacionOptions.map(option => (
+              <option key={option.value} value={option.value}>{option.label}</option>
+            ))}
+          </select>
+          <input
+            className={inputClasses}
+            value={form.anio}
+            onChange={(e) => setForm({ ...form, anio: e.target.value.replace(/\D/g, '').slice(0, 4) })}
+            placeholder="Año (vacío = año en curso)"
+          />
+          <input
+            className={inputClasses}
+            value={form.keywords}
+            onChange={(e) => setForm({ ...form, keywords: e.target.value })}
+            placeholder="Palabras clave (opcional)"
+          />
+          <input
+            type="number"
+            min="1"
+            className={inputClasses}
+            value={form.maxProcesses}
+            onChange={(e) => setForm({ ...form, maxProcesses: e.target.value })}
+            placeholder="Máximo de procesos nuevos"
+          />
+          <label className="flex items-center text-sm text-gray-700">
+            <input
+              type="checkbox"
+              className="mr-2"
+              checked={form.includeDetails}
+              onChange={(e) => setForm({ ...form, includeDetails: e.target.checked })}
+            />
+            Abrir la ficha de cada proceso
+          </label>
+          <div className="md:col-span-2 flex justify-end">
+            <Button type="submit" disabled={saving || !form.name.trim() || !form.cron.trim()}>
+              Crear programación
+            </Button>
+          </div>
+        </form>
+
+        {error && <ErrorAlert error={error} onDismiss={() => setError(null)} />}
+        {message && <Alert type="success" message={message} onClose={() => setMessage(null)} />}
+
+        {loading ? (
+          <LoadingSpinner />
+        ) : (
+          <div className="overflow-x-auto border border-gray-200 rounded-lg mt-4">
+            <table className="min-w-full divide-y divide-gray-200 text-sm">
+              <thead className="bg-gray-50">
+                <tr>
+                  <th className="px-4 py-2 text-left font-medium text-gray-500">Programación</th>
+                  <th className="px-4 py-2 text-left font-medium text-gray-500">Cron</th>
+                  <th className="px-4 py-2 text-left font-medium text-gray-500">Última ejecución</th>
+                  <th className="px-4 py-2 text-left font-medium text-gray-500">Próxima ejecución</th>
+                  <th className="px-4 py-2" />
+                </tr>
+              </thead>
+              <tbody className="divide-y divide-gray-100 bg-white">
+                {schedules.length === 0 && (
+                  <tr>
+                    <td colSpan={5} className="px-4 py-4 text-center text-gray-500">Sin programaciones registradas</td>
+                  </tr>
+                )}
+                {schedules.map((schedule) => (
+                  <tr key={schedule.id} className={schedule.enabled ? '' : 'opacity-60'}>
+                    <td className="px-4 py-2">
+                      <p className="font-medium text-gray-900">{schedule.name}</p>
+                      <p className="text-xs text-gray-500">{describeParams(schedule.params)}</p>
+                    </td>
+                    <td className="px-4 py-2 font-mono text-xs">{schedule.cron}</td>
+                    <td className="px-4 py-2">
+                      <p>{formatDate(schedule.last_run_at)}</p>
+                      {schedule.last_status && (
+                        <span className={`inline-flex px-2 py-0.5 rounded-full text-xs font-medium ${statusStyles[schedule.last_status] || 'bg-gray-100 text-gray-800'}`}>
+                          {statusLabels[schedule.last_status] || schedule.last_status}
+                        </span>
+                      )}
+                      {schedule.last_message && (
+                        <p className="text-xs text-gray-500 mt-1">{schedule.last_message}</p>
+                      )}
+                      {schedule.skipped_count > 0 && (
+                        <p className="text-xs text-yellow-700 mt-1">{schedule.skipped_count} ejecuciones omitidas</p>
+                      )}
+                    </td>
+                    <td className="px-4 py-2">{schedule.enabled ? formatDate(schedule.next_run_at) : 'Pausada'}</td>
+                    <td className="px-4 py-2">
+                      <div className="flex items-center justify-end space-x-3">
+                        <button
+                          type="button"
+                          onClick={() => handleRun(schedule)}
+                          disabled={saving || schedule.running}
+                          className="text-seace-blue hover:text-blue-800 disabled:opacity-40"
+                          title={schedule.running ? 'Ejecución en curso' : 'Ejecutar ahora'}
+                        >
+                          <PlayIcon className="w-4 h-4" />
+                        </button>
+                        <button
+                          type="button"
+                          onClick={() => handleToggle(schedule)}
+                          disabled={saving}
+                          className="text-gray-600 hover:text-gray-900"
+                          title={schedule.enabled ? 'Pausar' : 'Reactivar'}
+                        >
+                          {schedule.enabled ? <PauseIcon className="w-4 h-4" /> : <CalendarDaysIcon className="w-4 h-4" />}
+                        </button>
+                        <button
+                          type="button"
+                          onClick={() => handleDelete(schedule)}
+                          disabled={saving}
+                          className="text-red-600 hover:text-red-800"
+                          title="Eliminar"
+                        >
+                          <TrashIcon className="w-4 h-4" />
+                        </button>
+                      </div>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+      </CardBody>
+    </Card>
+  );
+};
+
+export default SchedulesPanel;
@@ -0,0 +1,102 @@
+import React, { useState } from 'react';
+import { Card, CardHeader, CardBody } from '../ui/Card';
+import { Button } from '../ui/Button';
+import { ErrorAlert } from '../ui/Alert';
+import { ArrowPathIcon } from '@heroicons/react/24/outline';
+import { etlService } from '../../services/seaceService';
+import ProgressBar from './ProgressBar';
+
+const inputClasses = 'block w-full rounded-md border border-gray-300 px-3 py-2 text-sm focus:border-seace-blue focus:outline-none';
+
+const SyncPanel = ({ onFinished }) => {
+  const [form, setForm] = useState({ staleHours: 24, limit: 200, includeDetails: true });
+  const [starting, setStarting] = useState(false);
+  const [error, setError] = useState(null);
+  const [operation, setOperation] = useState(null);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    try {
+      setStarting(true);
+      setError(null);
+      const result = await etlService.syncProcesses({
+        staleHours: parseInt(form.staleHours) || undefined,
+        limit: parseInt(form.limit) || undefined,
+        includeDetails: form.includeDetails
+      });
+      setOperation(result);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setStarting(false);
+    }
+  };
+
+  return (
+    <Card>
+      <CardHeader>
+        <div className="flex items-center">
+          <ArrowPathIcon className="w-5 h-5 text-seace-blue mr-2" />
+          <h3 className="text-lg font-semibold">Sincronizar Procesos Guardados</h3>
+        </div>
+      </CardHeader>
+      <CardBody>
+        <p className="text-sm text-gray-600 mb-4">
+          Vuelve a consultar en SEACE los procesos abiertos o no actualizados en las últimas horas indicadas,
+          registra sus cambios en el historial y marca como <strong>Retirado</strong> los que ya no aparecen en el buscador.
+        </p>
+
+        <form onSubmit={handleSubmit} className="grid grid-cols-1 md:grid-cols-4 gap-3 mb-4">
+          <label className="text-sm text-gray-700">
+            Antigüedad (horas)
+            <input
+              type="number"
+              min="1"
+              className={`${inputClasses} mt-1`}
+              value={form.staleHours}
+              onChange={(e) => setForm({ ...form, staleHours: e.target.value })}
+            />
+          </label>
+          <label className="text-sm text-gray-700">
+            Máximo de procesos
+            <input
+              type="number"
+              min="1"
+              className={`${inputClasses} mt-1`}
+              value={form.limit}
+              onChange={(e) => setForm({ ...form, limit: e.target.value })}
+            />
+          </label>
+          <label className="flex items-center text-sm text-gray-700 md:mt-6">
+            <input
+              type="checkbox"
+              className="mr-2"
+              checked={form.includeDetails}
+              onChange={(e) => setForm({ ...form, includeDetails: e.target.checked })}
+            />
+            Abrir la ficha (actualiza el estado)
+          </label>
+          <div className="flex items-end justify-end">
+            <Button type="submit" disabled={starting}>
+              {starting ? 'Encolando...' : 'Sincronizar'}
+            </Button>
+          </div>
+        </form>
+
+        {error && <ErrorAlert error={error} onDismiss={() => setError(null)} />}
+
+        {operation?.operation_id && (
+          <ProgressBar
+            key={operation.operation_id}
+            operationId={operation.operation_id}
+            status={operation.status}
+            onComplete={onFinished}
+            showLogs={true}
+          />
+        )}
+      </CardBody>
+    </Card>
+  );
+};
+
+export default SyncPanel;
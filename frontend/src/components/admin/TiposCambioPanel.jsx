@@ -0,0 +1,181 @@
+import React, { useEffect, useState } from 'react';
+import { Card, CardHeader, CardBody } from '../ui/Card';
+import { Button } from '../ui/Button';
+import { Alert, ErrorAlert } from '../ui/Alert';
+import { LoadingSpinner } from '../ui/Loading';
+import { CurrencyDollarIcon, ArrowUpTrayIcon, TrashIcon } from '@heroicons/react/24/outline';
+import { adminService } from '../../services/seaceService';
+
+const inputClasses = 'block w-full rounded-md border border-gray-300 px-3 py-2 text-sm focus:border-seace-blue focus:outline-none';
+
+const TiposCambioPanel = () => {
+  const [tiposCambio, setTiposCambio] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState(null);
+  const [message, setMessage] = useState(null);
+  const [form, setForm] = useState({ moneda: 'USD', fecha: '', valor: '' });
+  const [file, setFile] = useState(null);
+
+  const fetchTiposCambio = async () => {
+    try {
+      setLoading(true);
+      const result = await adminService.getTiposCambio({ size: 100 });
+      setTiposCambio(result.items || []);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    fetchTiposCambio();
+  }, []);
+
+  const runAction = async (action) => {
+    try {
+      setSaving(true);
+      setError(null);
+      setMessage(await action());
+      await fetchTiposCambio();
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleSave = (e) => {
+    e.preventDefault();
+    runAction(async () => {
+      const result = await adminService.saveTipoCambio(form);
+      setForm({ ...form, valor: '' });
+      return `Tipo de cambio guardado: ${result.procesos_actualizados} procesos recalculados`;
+    });
+  };
+
+  const handleImport = (e) => {
+    e.preventDefault();
+    if (!file) return;
+    runAction(async () => {
+      const report = await adminService.importTiposCambio(await file.text());
+      setFile(null);
+      return `${report.total} filas: ${report.created} nuevas, ${report.updated} actualizadas, ${report.rejected} rechazadas. ${report.procesos_actualizados} procesos recalculados`;
+    });
+  };
+
+  const handleDelete = (id) => {
+    runAction(async () => {
+      const result = await adminService.deleteTipoCambio(id);
+      return `Tipo de cambio eliminado: ${result.procesos_actualizados} procesos recalculados`;
+    });
+  };
+
+  return (
+    <Card>
+      <CardHeader>
+        <div className="flex items-center">
+          <CurrencyDollarIcon className="w-5 h-5 text-seace-blue mr-2" />
+          <h3 className="text-lg font-semibold">Tipos de Cambio</h3>
+        </div>
+      </CardHeader>
+      <CardBody>
+        <p className="text-sm text-gray-600 mb-4">
+          Soles por unidad de cada moneda. Los montos de los procesos se convierten con el tipo de cambio
+          vigente a su fecha de publicación y los filtros, recomendaciones y estadísticas usan el monto en soles.
+        </p>
+
+        <form onSubmit={handleSave} className="grid grid-cols-1 md:grid-cols-4 gap-3 mb-4">
+          <input
+            className={inputClasses}
+            value={form.moneda}
+            onChange={(e) => setForm({ ...form, moneda: e.target.value.toUpperCase() })}
+            placeholder="Moneda (USD)"
+            maxLength={3}
+          />
+          <input
+            type="date"
+            className={inputClasses}
+            value={form.fecha}
+            onChange={(e) => setForm({ ...form, fecha: e.target.value })}
+          />
+          <input
+            type="number"
+            step="0.000001"
+            min="0"
+            className={inputClasses}
+            value={form.valor}
+            onChange={(e) => setForm({ ...form, valor: e.target.value })}
+            placeholder="Valor en soles"
+          />
+          <Button type="submit" disabled={saving || !form.moneda || !form.fecha || !form.valor}>
+            Guardar
+          </Button>
+        </form>
+
+        <form onSubmit={handleImport} className="flex items-center space-x-4 mb-4">
+          <input
+            type="file"
+            accept=".csv"
+            onChange={(e) => setFile(e.target.files[0] || null)}
+            className="block w-full text-sm text-gray-700 file:mr-4 file:py-2 file:px-4 file:rounded-md file:border-0 file:text-sm file:font-medium file:bg-blue-50 file:text-seace-blue hover:file:bg-blue-100"
+          />
+          <Button type="submit" variant="outline" disabled={!file || saving} className="flex items-center whitespace-nowrap">
+            <ArrowUpTrayIcon className="w-4 h-4 mr-2" />
+            Importar CSV
+          </Button>
+        </form>
+
+        {error && <ErrorAlert error={error} onDismiss={() => setError(null)} />}
+        {message && <Alert type="success" message={message} onClose={() => setMessage(null)} />}
+
+        {loading ? (
+          <LoadingSpinner />
+        ) : (
+          <div className="overflow-x-auto max-h-96 border border-gray-200 rounded-lg mt-4">
+            <table className="min-w-full divide-y divide-gray-200 text-sm">
+              <thead className="bg-gray-50 sticky top-0">
+                <tr>
+                  <th className="px-4 py-2 text-left font-medium text-gray-500">Fecha</th>
+                  <th className="px-4 py-2 text-left font-medium text-gray-500">Moneda</th>
+                  <th className="px-4 py-2 text-left font-medium text-gray-500">Valor (PEN)</th>
+                  <th className="px-4 py-2 text-left font-medium text-gray-500">Fuente</th>
+                  <th className="px-4 py-2" />
+                </tr>
+              </thead>
+              <tbody className="divide-y divide-gray-100 bg-white">
+                {tiposCambio.length === 0 && (
+                  <tr>
+                    <td colSpan={5} className="px-4 py-4 text-center text-gray-500">Sin tipos de cambio registrados</td>
+                  </tr>
+                )}
+                {tiposCambio.map((tipo) => (
+                  <tr key={tipo.id}>
+                    <td className="px-4 py-2">{tipo.fecha}</td>
+                    <td className="px-4 py-2 font-mono text-xs">{tipo.moneda}</td>
+                    <td className="px-4 py-2">{Number(tipo.valor).toFixed(4)}</td>
+                    <td className="px-4 py-2 text-gray-500">{tipo.fuente}</td>
+                    <td className="px-4 py-2 text-right">
+                      <button
+                        type="button"
+                        onClick={() => handleDelete(tipo.id)}
+                        disabled={saving}
+                        className="text-red-600 hover:text-red-800"
+                        title="Eliminar"
+                      >
+                        <TrashIcon className="w-4 h-4" />
+                      </button>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+      </CardBody>
+    </Card>
+  );
+};
+
+export default TiposCambioPanel;
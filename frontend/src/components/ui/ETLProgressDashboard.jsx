@@ -3,6 +3,7 @@
  * Componente para mostrar barras de progreso, contadores y feed de proyectos
  */
 import React from 'react';
+import { Link } from 'react-router-dom';
 import { 
   ChartBarIcon,
   DocumentDuplicateIcon,
@@ -152,16 +153,33 @@ const ETLProgressDashboard = ({
           </div>
         </div>
 
-        {/* Errores */}
-        <div className="bg-white rounded-lg shadow p-4">
-          <div className="flex items-center">
-            <ExclamationTriangleIcon className="w-8 h-8 text-red-500 mr-3" />
-            <div>
-              <p className="text-sm font-medium text-gray-600">Errores</p>
-              <p className="text-2xl font-bold text-red-600">{errors}</p>
+        {/* Errores: enlazan a las filas fallidas de la operación para corregirlas y reintentarlas */}
+        {errors > 0 ? (
+          <Link
+            to={`/admin/etl?tab=fallidos&operation_id=${encodeURIComponent(currentSession.session_id)}`}
+            className="block bg-white rounded-lg shadow p-4 hover:ring-2 hover:ring-red-200"
+            title="Ver filas fallidas"
+          >
+            <div className="flex items-center">
+              <ExclamationTriangleIcon className="w-8 h-8 text-red-500 mr-3" />
+              <div>
+                <p className="text-sm font-medium text-gray-600">Errores</p>
+                <p className="text-2xl font-bold text-red-600">{errors}</p>
+                <p className="text-xs text-red-600 underline">Ver filas fallidas</p>
+              </div>
+            </div>
+          </Link>
+        ) : (
+          <div className="bg-white rounded-lg shadow p-4">
+            <div className="flex items-center">
+              <ExclamationTriangleIcon className="w-8 h-8 text-red-500 mr-3" />
+              <div>
+                <p className="text-sm font-medium text-gray-600">Errores</p>
+                <p className="text-2xl font-bold text-red-600">{errors}</p>
+              </div>
             </div>
           </div>
-        </div>
+        )}
 
         {/* Total procesado */}
         <div className="bg-white rounded-lg shadow p-4">
@@ -33,7 +33,8 @@ export const useCustomScraping = () => {
       const scrapingParams = {
         anio: params.anio || new Date().getFullYear().toString(),
         maxProcesses: params.maxProcesos || 100,
-        useSelenium: params.useSelenium !== false
+        useSelenium: params.useSelenium !== false,
+        includeDetails: params.includeDetails === true
       };
       
       // Solo agregar parámetros si fueron especificados (no vacíos)
@@ -45,6 +46,10 @@ export const useCustomScraping = () => {
         scrapingParams.objetoContratacion = params.objetoContratacion;
       }
       
+      if (params.dateWindow) {
+        scrapingParams.dateWindow = params.dateWindow;
+      }
+      
       if (params.entidad && params.entidad.trim().length > 0) {
         scrapingParams.entidad = params.entidad;
       }
@@ -101,7 +106,7 @@ export const useCustomScraping = () => {
         // logs ya es un array de items
         if (logs && logs.length > 0) {
           const latestLog = logs[0];
-          if (latestLog.status === 'completed' || latestLog.status === 'failed') {
+          if (['completed', 'failed', 'cancelled'].includes(latestLog.status)) {
             completed = true;
             // Limpiar sessionStorage cuando operación termina
             sessionStorage.removeItem('current_operation_id');
@@ -218,8 +223,8 @@ export const useCustomScraping = () => {
           if (logs && logs.length > 0) {
             const latestLog = logs[0];
             
-            // Si la operación está corriendo, restaurar el estado
-            if (latestLog.status === 'running' || latestLog.status === 'started') {
+            // Si la operación está en cola o corriendo, restaurar el estado
+            if (['queued', 'running', 'started'].includes(latestLog.status)) {
               console.log('[useCustomScraping] Operación activa encontrada, restaurando estado');
               setOperationId(savedOperationId);
               setResult({
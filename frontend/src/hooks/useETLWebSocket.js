@@ -1,401 +1,312 @@
 /**
- * Hook para manejar WebSocket ETL en tiempo real
- * Conecta con backend para recibir actualizaciones de progreso
+ * Hook para manejar el progreso ETL en tiempo real
+ * Se suscribe al canal SSE /etl/stream del backend (progreso, resultado de cada proceso y cierre),
+ * que reemplazó al WebSocket /admin/etl/ws. Cada conexión usa un ticket de un solo uso.
  */
 import { useState, useEffect, useRef, useCallback } from 'react';
 
-const useETLWebSocket = () => {
-  // Estados del WebSocket
+const API_URL = import.meta.env.VITE_API_URL || 'http://localhost:8000/api/v1';
+
+const emptyProgress = {
+  processed: 0,
+  saved: 0,
+  duplicates: 0,
+  errors: 0,
+  percentage: 0,
+  phase: 'idle'
+};
+
+/**
+ * @param {string|null} operationId - Seguir solo esta operación (sin ella, todas las que se ejecuten)
+ */
+const useETLWebSocket = (operationId = null) => {
+  // Estados de la conexión
   const [isConnected, setIsConnected] = useState(false);
   const [connectionError, setConnectionError] = useState(null);
   const [reconnectAttempts, setReconnectAttempts] = useState(0);
-  
-  // Estados de la sesión ETL
+
+  // Estados de la sesión ETL (una sesión = una operación)
   const [currentSession, setCurrentSession] = useState(null);
   const [sessionHistory, setSessionHistory] = useState([]);
   const [latestProject, setLatestProject] = useState(null);
-  
-  // Estados de progreso
-  const [progress, setProgress] = useState({
-    processed: 0,
-    saved: 0,
-    duplicates: 0,
-    errors: 0,
-    percentage: 0,
-    phase: 'idle'
-  });
-  
-  // Estados para errores específicos y estado del scraper
-  const [scraperStatus, setScraperStatus] = useState({
-    status: 'idle',
-    message: '',
-    details: {}
-  });
-  const [detailedError, setDetailedError] = useState(null);
+  const [progress, setProgress] = useState(emptyProgress);
   const [systemMessages, setSystemMessages] = useState([]);
-  
+
   // Referencias
-  const wsRef = useRef(null);
+  const sourceRef = useRef(null);
   const reconnectTimeoutRef = useRef(null);
+  const clearSessionTimeoutRef = useRef(null);
+  const sessionRef = useRef(null);
+  const attemptsRef = useRef(0);
+  // Cambia al desconectar: una conexión que esperaba su ticket ya no abre el canal
+  const generationRef = useRef(0);
   const maxReconnectAttempts = 5;
   const baseReconnectDelay = 1000;
-  
-  // Configuración WebSocket
-  const WS_URL = `ws://localhost:8001/api/v1/admin/etl/ws`;
-  
+
   /**
-   * Conectar WebSocket
+   * Actualizar la sesión en curso con los datos de un evento
    */
-  const connect = useCallback(() => {
-    try {
-      if (wsRef.current?.readyState === WebSocket.OPEN) {
-        return; // Ya conectado
-      }
-      
-      console.log('🔌 Conectando WebSocket ETL...');
-      wsRef.current = new WebSocket(WS_URL);
-      
-      wsRef.current.onopen = () => {
-        console.log('✅ WebSocket ETL conectado');
-        setIsConnected(true);
-        setConnectionError(null);
-        setReconnectAttempts(0);
-        
-        // Ping inicial para verificar conexión
-        wsRef.current?.send('ping');
-      };
-      
-      wsRef.current.onmessage = (event) => {
-        try {
-          const data = JSON.parse(event.data);
-          handleWebSocketMessage(data);
-        } catch (err) {
-          // Manejar mensajes simples como "pong"
-          if (event.data === 'pong') {
-            console.log('🏓 WebSocket ETL activo (pong recibido)');
-          } else if (event.data.startsWith('status:')) {
-            const status = event.data.split(':')[1];
-            console.log(`📊 Estado ETL: ${status}`);
-          }
-        }
-      };
-      
-      wsRef.current.onclose = (event) => {
-        console.log('🔌 WebSocket ETL desconectado:', event.code, event.reason);
-        setIsConnected(false);
-        
-        // Reconexión automática si no fue cerrado intencionalmente
-        if (event.code !== 1000 && reconnectAttempts < maxReconnectAttempts) {
-          const delay = baseReconnectDelay * Math.pow(2, reconnectAttempts);
-          console.log(`🔄 Reconectando WebSocket ETL en ${delay}ms (intento ${reconnectAttempts + 1}/${maxReconnectAttempts})...`);
-          
-          reconnectTimeoutRef.current = setTimeout(() => {
-            setReconnectAttempts(prev => prev + 1);
-            connect();
-          }, delay);
-        } else if (reconnectAttempts >= maxReconnectAttempts) {
-          setConnectionError('Máximo de intentos de reconexión alcanzado');
-        }
-      };
-      
-      wsRef.current.onerror = (error) => {
-        console.error('❌ Error WebSocket ETL:', error);
-        setConnectionError('Error de conexión WebSocket');
-      };
-      
-    } catch (error) {
-      console.error('❌ Error creando WebSocket ETL:', error);
-      setConnectionError('Error creando conexión WebSocket');
+  const updateSession = useCallback((data, cambios) => {
+    const previa = sessionRef.current?.session_id === data.operation_id ? sessionRef.current : {
+      session_id: data.operation_id,
+      operation_type: data.operation_type || null,
+      start_time: data.timestamp,
+      status: 'running',
+      phase: 'initializing',
+      processed: 0,
+      saved: 0,
+      duplicates: 0,
+      errors: 0,
+      progress_percentage: 0,
+      total_expected: 0
+    };
+
+    const session = { ...previa, ...cambios };
+    sessionRef.current = session;
+    setCurrentSession(session);
+    setProgress({
+      processed: session.processed,
+      saved: session.saved,
+      duplicates: session.duplicates,
+      errors: session.errors,
+      percentage: session.progress_percentage,
+      phase: session.phase
+    });
+    return session;
+  }, []);
+
+  const addSystemMessage = useCallback((message) => {
+    setSystemMessages(prev => [{ id: Date.now(), ...message }, ...prev].slice(0, 20));
+  }, []);
+
+  /**
+   * Procesar eventos del canal
+   */
+  const handleProgress = useCallback((data) => {
+    if (clearSessionTimeoutRef.current) clearTimeout(clearSessionTimeoutRef.current);
+
+    // El primer evento al seguir una operación es su progreso guardado, que trae los contadores
+    const contadores = data.inserted_count !== undefined ? {
+      saved: data.inserted_count,
+      duplicates: data.updated_count,
+      errors: data.error_count,
+      processed: data.inserted_count + data.updated_count + data.error_count
+    } : {};
+
+    updateSession(data, {
+      ...contadores,
+      status: 'running',
+      phase: data.paso_total ? 'processing' : 'initializing',
+      progress_percentage: data.porcentaje ?? sessionRef.current?.progress_percentage ?? 0,
+      total_expected: data.paso_total ?? sessionRef.current?.total_expected ?? 0,
+      message: data.mensaje_actual
+    });
+  }, [updateSession]);
+
+  const handleProceso = useCallback((data) => {
+    updateSession(data, {
+      status: 'running',
+      phase: 'processing',
+      saved: data.inserted_count,
+      duplicates: data.updated_count,
+      errors: data.error_count,
+      processed: data.inserted_count + data.updated_count + data.error_count
+    });
+
+    if (data.resultado !== 'error') {
+      setLatestProject({ ...data.proceso, resultado: data.resultado, timestamp: data.timestamp });
+    } else {
+      addSystemMessage({
+        type: 'proceso_error',
+        message: `${data.proceso?.id_proceso || 'Proceso'}: ${data.error}`,
+        timestamp: data.timestamp
+      });
     }
-  }, [reconnectAttempts]);
-  
+  }, [updateSession, addSystemMessage]);
+
+  const handleComplete = useCallback((data) => {
+    const session = updateSession(data, {
+      status: data.status,
+      phase: data.status === 'completed' ? 'completed' : 'error',
+      saved: data.inserted_count,
+      duplicates: data.updated_count,
+      errors: data.error_count,
+      processed: data.inserted_count + data.updated_count + data.error_count,
+      progress_percentage: data.status === 'completed' ? 100 : sessionRef.current?.progress_percentage ?? 0,
+      message: data.message,
+      end_time: data.timestamp
+    });
+
+    // Mantener últimas 10 sesiones
+    setSessionHistory(prev => [session, ...prev].slice(0, 10));
+    addSystemMessage({ type: 'operation_complete', status: data.status, message: data.message, timestamp: data.timestamp });
+
+    // Limpiar la sesión actual al rato (salvo si se sigue una sola operación)
+    if (!operationId) {
+      clearSessionTimeoutRef.current = setTimeout(() => {
+        sessionRef.current = null;
+        setCurrentSession(null);
+        setLatestProject(null);
+        setProgress(emptyProgress);
+      }, data.status === 'completed' ? 3000 : 5000);
+    }
+  }, [operationId, updateSession, addSystemMessage]);
+
   /**
-   * Procesar mensajes WebSocket
+   * Reintentar la conexión con espera exponencial
    */
-  const handleWebSocketMessage = useCallback((data) => {
-    console.log('📨 Mensaje WebSocket ETL recibido:', data);
-    
-    switch (data.type || data.action) {
-      case 'session_start':
-        setCurrentSession(data.session);
-        setProgress({
-          processed: 0,
-          saved: 0,
-          duplicates: 0,
-          errors: 0,
-          percentage: 0,
-          phase: data.session.phase || 'initializing'
-        });
-        console.log('🚀 Sesión ETL iniciada:', data.session.session_id);
-        break;
-        
-      case 'progress_update':
-        if (data.session) {
-          setCurrentSession(data.session);
-          setProgress({
-            processed: data.session.processed || 0,
-            saved: data.session.saved || 0,
-            duplicates: data.session.duplicates || 0,
-            errors: data.session.errors || 0,
-            percentage: data.session.progress_percentage || 0,
-            phase: data.session.phase || 'processing'
-          });
-        }
-        
-        if (data.latest_project) {
-          setLatestProject(data.latest_project);
-        }
-        break;
-        
-      case 'session_complete':
-        if (data.session) {
-          setCurrentSession(data.session);
-          setProgress({
-            processed: data.session.processed || 0,
-            saved: data.session.saved || 0,
-            duplicates: data.session.duplicates || 0,
-            errors: data.session.errors || 0,
-            percentage: 100,
-            phase: 'completed'
-          });
-        }
-        
-        // Agregar a historial
-        setSessionHistory(prev => {
-          const newHistory = [data.session, ...prev];
-          return newHistory.slice(0, 10); // Mantener últimas 10 sesiones
-        });
-        
-        console.log('✅ Sesión ETL completada:', data.session.session_id);
-        
-        // Limpiar sesión actual después de 3 segundos
-        setTimeout(() => {
-          setCurrentSession(null);
-          setLatestProject(null);
-        }, 3000);
-        break;
-        
-      case 'session_error':
-        if (data.session) {
-          setCurrentSession(data.session);
-          setProgress(prev => ({
-            ...prev,
-            phase: 'error'
-          }));
-        }
-        
-        console.error('❌ Error en sesión ETL:', data.error);
-        
-        // Si hay información detallada del error, guardarla
-        if (data.error_info) {
-          setDetailedError(data.error_info);
-        }
-        
-        // Agregar sesión con error al historial
-        setSessionHistory(prev => {
-          const newHistory = [data.session, ...prev];
-          return newHistory.slice(0, 10);
-        });
-        
-        // Limpiar sesión después de 5 segundos
-        setTimeout(() => {
-          setCurrentSession(null);
-          setLatestProject(null);
-        }, 5000);
-        break;
-        
-      case 'scraper_status':
-      case 'scraper_update':
-        console.log('🤖 Estado del scraper:', data.status, '-', data.message);
-        setScraperStatus({
-          status: data.status,
-          message: data.message,
-          details: data.details || {}
-        });
-        
-        // Agregar a mensajes del sistema
-        setSystemMessages(prev => {
-          const newMessage = {
-            id: Date.now(),
-            type: 'scraper_status',
-            status: data.status,
-            message: data.message,
-            timestamp: data.timestamp,
-            details: data.details || {}
-          };
-          return [newMessage, ...prev].slice(0, 20); // Mantener últimos 20 mensajes
-        });
-        break;
-        
-      case 'detailed_error':
-        console.error('💥 Error detallado recibido:', data);
-        setDetailedError({
-          type: data.error_type,
-          message: data.message,
-          suggestion: data.suggestion,
-          technical_details: data.technical_details || {},
-          timestamp: data.timestamp
-        });
-        
-        // Agregar a mensajes del sistema
-        setSystemMessages(prev => {
-          const newMessage = {
-            id: Date.now(),
-            type: 'detailed_error',
-            error_type: data.error_type,
-            message: data.message,
-            suggestion: data.suggestion,
-            timestamp: data.timestamp,
-            technical_details: data.technical_details || {}
-          };
-          return [newMessage, ...prev].slice(0, 20);
-        });
-        break;
-        
-      case 'connection_established':
-        console.log('✅ Conexión WebSocket confirmada:', data.message);
-        setSystemMessages(prev => {
-          const newMessage = {
-            id: Date.now(),
-            type: 'connection',
-            message: data.message,
-            timestamp: data.timestamp
-          };
-          return [newMessage, ...prev].slice(0, 20);
-        });
-        break;
-        
-      case 'session_status':
-        if (data.session) {
-          setCurrentSession(data.session);
-          // Reconstruir progreso desde sesión existente
-          setProgress({
-            processed: data.session.processed || 0,
-            saved: data.session.saved || 0,
-            duplicates: data.session.duplicates || 0,
-            errors: data.session.errors || 0,
-            percentage: data.session.progress_percentage || 0,
-            phase: data.session.phase || 'unknown'
-          });
-        }
-        break;
-        
-      default:
-        console.log('📨 Mensaje WebSocket ETL no reconocido:', data);
+  const scheduleReconnect = useCallback((connectFn) => {
+    if (attemptsRef.current >= maxReconnectAttempts) {
+      setConnectionError('Máximo de intentos de reconexión alcanzado');
+      return;
     }
+
+    const delay = baseReconnectDelay * Math.pow(2, attemptsRef.current);
+    attemptsRef.current += 1;
+    console.log(`🔄 Reconectando canal de eventos ETL en ${delay}ms (intento ${attemptsRef.current}/${maxReconnectAttempts})...`);
+    setConnectionError('Error de conexión con el canal de eventos');
+    setReconnectAttempts(attemptsRef.current);
+    reconnectTimeoutRef.current = setTimeout(() => connectFn(), delay);
   }, []);
-  
+
   /**
-   * Desconectar WebSocket
+   * Conectar al canal. EventSource no envía encabezados: antes de cada conexión se pide
+   * un ticket de un solo uso (POST /etl/stream/ticket) y el token no va en la URL.
+   */
+  const connect = useCallback(async () => {
+    if (sourceRef.current) return; // Ya conectado
+    const generation = generationRef.current;
+
+    let ticket;
+    try {
+      const response = await fetch(`${API_URL}/etl/stream/ticket`, {
+        method: 'POST',
+        headers: { 'Authorization': `Bearer ${localStorage.getItem('token') || ''}` }
+      });
+      if (!response.ok) throw new Error(`HTTP ${response.status}`);
+      ticket = (await response.json()).data.ticket;
+    } catch (error) {
+      console.warn('⚠️ No se pudo obtener el ticket del canal de eventos ETL:', error);
+      if (generation !== generationRef.current) return;
+      setIsConnected(false);
+      scheduleReconnect(connect);
+      return;
+    }
+    // Se desconectó, o ya se conectó otra llamada, mientras se pedía el ticket
+    if (generation !== generationRef.current || sourceRef.current) return;
+
+    const params = new URLSearchParams({ ticket });
+    if (operationId) params.set('operation_id', operationId);
+
+    console.log('🔌 Conectando canal de eventos ETL...');
+    const source = new EventSource(`${API_URL}/etl/stream?${params.toString()}`);
+    sourceRef.current = source;
+
+    source.onopen = () => {
+      console.log('✅ Canal de eventos ETL conectado');
+      attemptsRef.current = 0;
+      setIsConnected(true);
+      setConnectionError(null);
+      setReconnectAttempts(0);
+    };
+
+    const parse = (handler) => (event) => {
+      try {
+        handler(JSON.parse(event.data));
+      } catch (err) {
+        console.error('❌ Evento ETL inválido:', err);
+      }
+    };
+    source.addEventListener('progress', parse((data) => (
+      ['completed', 'failed', 'cancelled'].includes(data.status)
+        ? handleComplete({ ...data, message: data.mensaje_actual })
+        : handleProgress(data)
+    )));
+    source.addEventListener('proceso', parse(handleProceso));
+    source.addEventListener('operation_complete', parse(handleComplete));
+
+    source.onerror = () => {
+      setIsConnected(false);
+      // EventSource reconecta solo con la misma URL, pero el ticket ya se usó y el servidor lo
+      // rechaza: el canal queda cerrado y se vuelve a conectar con un ticket nuevo
+      if (source.readyState !== EventSource.CLOSED) return;
+
+      source.close();
+      sourceRef.current = null;
+      scheduleReconnect(connect);
+    };
+  }, [operationId, handleProgress, handleProceso, handleComplete, scheduleReconnect]);
+
+  /**
+   * Desconectar del canal
    */
   const disconnect = useCallback(() => {
     if (reconnectTimeoutRef.current) {
       clearTimeout(reconnectTimeoutRef.current);
     }
-    
-    if (wsRef.current) {
-      wsRef.current.close(1000, 'Desconexión intencional');
-      wsRef.current = null;
+    if (clearSessionTimeoutRef.current) {
+      clearTimeout(clearSessionTimeoutRef.current);
     }
-    
+
+    generationRef.current += 1;
+    if (sourceRef.current) {
+      sourceRef.current.close();
+      sourceRef.current = null;
+    }
+
+    attemptsRef.current = 0;
     setIsConnected(false);
     setConnectionError(null);
     setReconnectAttempts(0);
-    console.log('🔌 WebSocket ETL desconectado intencionalmente');
   }, []);
-  
-  /**
-   * Enviar mensaje al WebSocket
-   */
-  const sendMessage = useCallback((message) => {
-    if (wsRef.current?.readyState === WebSocket.OPEN) {
-      wsRef.current.send(typeof message === 'string' ? message : JSON.stringify(message));
-      return true;
-    }
-    console.warn('⚠️ WebSocket ETL no conectado para enviar mensaje');
-    return false;
-  }, []);
-  
-  /**
-   * Solicitar estado actual
-   */
-  const requestStatus = useCallback(() => {
-    return sendMessage('get_status');
-  }, [sendMessage]);
-  
-  /**
-   * Efectos
-   */
-  
-  // Conectar al montar
+
+  // Conectar al montar y al cambiar de operación
   useEffect(() => {
     connect();
-    
-    // Cleanup al desmontar
     return () => {
       disconnect();
     };
-  }, []);
-  
-  // Ping periódico para mantener conexión activa
-  useEffect(() => {
-    if (!isConnected) return;
-    
-    const pingInterval = setInterval(() => {
-      sendMessage('ping');
-    }, 30000); // Ping cada 30 segundos
-    
-    return () => clearInterval(pingInterval);
-  }, [isConnected, sendMessage]);
-  
+  }, [connect, disconnect]);
+
   /**
    * Estados calculados
    */
   const isSessionActive = currentSession && ['running', 'initializing', 'processing'].includes(currentSession.status);
   const canStartNewSession = !isSessionActive;
-  
+
   const sessionStats = currentSession ? {
-    duration: currentSession.start_time ? 
+    duration: currentSession.start_time ?
       Math.floor((new Date() - new Date(currentSession.start_time)) / 1000) : 0,
     totalExpected: currentSession.total_expected || 0,
     remainingProjects: Math.max(0, (currentSession.total_expected || 0) - progress.processed),
-    estimatedTimeRemaining: progress.processed > 0 && currentSession.total_expected ? 
-      ((new Date() - new Date(currentSession.start_time)) / progress.processed * 
+    estimatedTimeRemaining: progress.processed > 0 && currentSession.total_expected ?
+      ((new Date() - new Date(currentSession.start_time)) / progress.processed *
        (currentSession.total_expected - progress.processed)) / 1000 : 0
   } : null;
-  
+
   return {
     // Estados de conexión
     isConnected,
     connectionError,
     reconnectAttempts,
-    
+
     // Estados de sesión
     currentSession,
     sessionHistory,
     isSessionActive,
     canStartNewSession,
-    
+
     // Estados de progreso
     progress,
     latestProject,
     sessionStats,
-    
-    // Estados específicos de errores y scraper
-    scraperStatus,
-    detailedError,
     systemMessages,
-    
-    // Funciones para limpiar errores
-    clearDetailedError: () => setDetailedError(null),
     clearSystemMessages: () => setSystemMessages([]),
-    
+
     // Acciones
     connect,
-    disconnect,
-    sendMessage,
-    requestStatus
+    disconnect
   };
 };
 
-export default useETLWebSocket;
\ No newline at end of file
+export default useETLWebSocket;
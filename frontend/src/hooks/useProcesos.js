@@ -70,7 +70,8 @@ export const useProceso = (procesoId) => {
       
       const [procesoData, anexosData] = await Promise.all([
         procesosService.getById(procesoId),
-        procesosService.getAnexos(procesoId)
+        // Los anexos son opcionales: si fallan, igual se muestra el proceso
+        procesosService.getAnexos(procesoId).catch(() => [])
       ]);
       
       setProceso(procesoData);
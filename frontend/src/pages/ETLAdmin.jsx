@@ -1,13 +1,22 @@
-import React, { useState } from 'react';
+import React from 'react';
+import { useSearchParams } from 'react-router-dom';
 import CustomScrapingForm from '../components/admin/CustomScrapingForm';
 import ETLLogs from '../components/admin/ETLLogs';
 import ProcessesTable from '../components/admin/ProcessesTable';
+import BulkImportForm from '../components/admin/BulkImportForm';
+import TiposCambioPanel from '../components/admin/TiposCambioPanel';
+import SchedulesPanel from '../components/admin/SchedulesPanel';
+import SyncPanel from '../components/admin/SyncPanel';
+import DeadLettersPanel from '../components/admin/DeadLettersPanel';
 import { useCustomScraping } from '../hooks/useCustomScraping';
 import { Card, CardHeader, CardBody } from '../components/ui/Card';
 import { Tab } from '@headlessui/react';
 import { 
   MagnifyingGlassIcon, 
-  ClockIcon
+  ClockIcon,
+  ArrowUpTrayIcon,
+  CalendarDaysIcon,
+  ExclamationTriangleIcon
 } from '@heroicons/react/24/outline';
 
 function classNames(...classes) {
@@ -32,15 +41,27 @@ export const ETLAdmin = () => {
     changePage
   } = useCustomScraping();
 
+  // ?tab=fallidos&operation_id=... abre directamente las filas fallidas de una operación
+  const [searchParams, setSearchParams] = useSearchParams();
+
   const handleScrapingSubmit = (formValues) => {
     runCustomScraping(formValues);
   };
 
   const categories = [
     { id: 'scraping', name: 'Extracción de Procesos', icon: MagnifyingGlassIcon },
-    { id: 'logs', name: 'Historial de Operaciones', icon: ClockIcon }
+    { id: 'schedules', name: 'Programaciones', icon: CalendarDaysIcon },
+    { id: 'import', name: 'Importar Procesos', icon: ArrowUpTrayIcon },
+    { id: 'logs', name: 'Historial de Operaciones', icon: ClockIcon },
+    { id: 'fallidos', name: 'Filas Fallidas', icon: ExclamationTriangleIcon }
   ];
 
+  const selectedIndex = Math.max(categories.findIndex(category => category.id === searchParams.get('tab')), 0);
+
+  const handleTabChange = (index) => {
+    setSearchParams({ tab: categories[index].id }, { replace: true });
+  };
+
   return (
     <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
       {/* Header */}
@@ -58,7 +79,7 @@ export const ETLAdmin = () => {
 
       {/* Tab Navigation */}
       <div className="w-full">
-        <Tab.Group>
+        <Tab.Group selectedIndex={selectedIndex} onChange={handleTabChange}>
           <Tab.List className="flex space-x-1 rounded-xl bg-blue-50 p-1">
             {categories.map((category) => {
               const Icon = category.icon;
@@ -129,6 +150,22 @@ export const ETLAdmin = () => {
               </div>
             </Tab.Panel>
 
+            {/* Programaciones recurrentes y sincronización */}
+            <Tab.Panel className="rounded-xl bg-white p-3">
+              <div className="space-y-6">
+                <SchedulesPanel onRun={fetchEtlLogs} />
+                <SyncPanel onFinished={fetchEtlLogs} />
+              </div>
+            </Tab.Panel>
+
+            {/* Importación masiva */}
+            <Tab.Panel className="rounded-xl bg-white p-3">
+              <div className="space-y-6">
+                <BulkImportForm onImported={fetchEtlLogs} />
+                <TiposCambioPanel />
+              </div>
+            </Tab.Panel>
+
             {/* Historial de Operaciones */}
             <Tab.Panel className="rounded-xl bg-white p-3">
               <ETLLogs 
@@ -138,6 +175,11 @@ export const ETLAdmin = () => {
                 onRefresh={fetchEtlLogs}
               />
             </Tab.Panel>
+
+            {/* Filas que no se pudieron importar */}
+            <Tab.Panel className="rounded-xl bg-white p-3">
+              <DeadLettersPanel operationId={searchParams.get('operation_id') || ''} />
+            </Tab.Panel>
           </Tab.Panels>
         </Tab.Group>
       </div>
@@ -9,7 +9,8 @@ import {
   ClockIcon,
   PaperClipIcon,
   SparklesIcon,
-  ExclamationTriangleIcon
+  ExclamationTriangleIcon,
+  ArrowPathIcon
 } from '@heroicons/react/24/outline';
 import { useProceso } from '../hooks/useProcesos';
 import { useRecomendaciones } from '../hooks/useRecomendaciones';
@@ -17,7 +18,7 @@ import { Card, CardHeader, CardBody } from '../components/ui/Card';
 import { Button } from '../components/ui/Button';
 import { LoadingSpinner } from '../components/ui/Loading';
 import { ErrorAlert, Alert } from '../components/ui/Alert';
-import { utils } from '../services/seaceService';
+import { utils, procesosService } from '../services/seaceService';
 
 export const ProcessDetail = () => {
   const { id } = useParams();
@@ -70,6 +71,7 @@ export const ProcessDetail = () => {
   const tabs = [
     { id: 'details', name: 'Detalles', icon: DocumentTextIcon },
     { id: 'anexos', name: 'Anexos', icon: PaperClipIcon },
+    { id: 'historial', name: 'Historial', icon: ArrowPathIcon },
     { id: 'recomendaciones', name: 'Recomendaciones IA', icon: SparklesIcon }
   ];
 
@@ -183,7 +185,11 @@ export const ProcessDetail = () => {
       )}
       
       {activeTab === 'anexos' && (
-        <ProcessAnexos anexos={anexos} />
+        <ProcessAnexos procesoId={proceso.id} anexos={anexos} />
+      )}
+
+      {activeTab === 'historial' && (
+        <ProcessHistory procesoId={proceso.id} />
       )}
       
       {activeTab === 'recomendaciones' && (
@@ -254,6 +260,14 @@ const ProcessDetails = ({ proceso }) => {
         </CardBody>
       </Card>
 
+      {proceso.etapas && proceso.etapas.length > 0 && (
+        <ProcessTimeline etapas={proceso.etapas} />
+      )}
+
+      {proceso.linaje_id && (
+        <ProcessLineage procesoId={proceso.id} />
+      )}
+
       {proceso.descripcion_objeto && (
         <Card className="lg:col-span-2 shadow-xl bg-white/95 backdrop-blur-sm border-l-4 border-seace-orange animate-slide-up">
           <CardHeader className="bg-gradient-to-r from-seace-orange to-seace-orange-dark text-white">
@@ -268,7 +282,64 @@ const ProcessDetails = ({ proceso }) => {
   );
 };
 
-const ProcessAnexos = ({ anexos }) => {
+const ProcessTimeline = ({ etapas }) => {
+  const ahora = new Date();
+
+  const getEstado = (etapa) => {
+    const inicio = etapa.fecha_inicio ? new Date(etapa.fecha_inicio) : null;
+    const fin = etapa.fecha_fin ? new Date(etapa.fecha_fin) : inicio;
+
+    if (fin && fin < ahora) return { label: 'Finalizada', dot: 'bg-gray-400', badge: 'bg-gray-100 text-gray-600' };
+    if (inicio && inicio <= ahora) return { label: 'En curso', dot: 'bg-seace-green', badge: 'bg-green-100 text-green-700' };
+    return { label: 'Próxima', dot: 'bg-seace-blue', badge: 'bg-blue-100 text-blue-700' };
+  };
+
+  return (
+    <Card className="lg:col-span-2 shadow-xl bg-white/95 backdrop-blur-sm border-l-4 border-seace-blue animate-slide-up">
+      <CardHeader className="bg-gradient-to-r from-seace-blue to-seace-blue-dark text-white">
+        <h3 className="text-lg font-semibold flex items-center">
+          <CalendarIcon className="w-5 h-5 mr-2" />
+          Cronograma
+        </h3>
+      </CardHeader>
+      <CardBody>
+        <ol className="relative border-l-2 border-gray-200 ml-3">
+          {etapas.map((etapa) => {
+            const estado = getEstado(etapa);
+            return (
+              <li key={etapa.id} className="mb-6 ml-6 last:mb-0">
+                <span className={`absolute -left-[9px] mt-1.5 w-4 h-4 rounded-full border-2 border-white ${estado.dot}`} />
+                <div className="flex flex-wrap items-center gap-2">
+                  <h4 className="text-sm font-semibold text-seace-gray-dark">{etapa.etapa}</h4>
+                  <span className={`text-xs px-2 py-0.5 rounded-full ${estado.badge}`}>{estado.label}</span>
+                </div>
+                <p className="mt-1 text-xs text-gray-500 flex items-center">
+                  <ClockIcon className="w-4 h-4 mr-1" />
+                  {utils.formatDateTime(etapa.fecha_inicio)}
+                  {etapa.fecha_fin && etapa.fecha_fin !== etapa.fecha_inicio && ` — ${utils.formatDateTime(etapa.fecha_fin)}`}
+                </p>
+              </li>
+            );
+          })}
+        </ol>
+      </CardBody>
+    </Card>
+  );
+};
+
+const ProcessAnexos = ({ procesoId, anexos }) => {
+  const [expandedId, setExpandedId] = useState(null);
+  const [downloadError, setDownloadError] = useState(null);
+
+  const handleDownload = async (anexo) => {
+    try {
+      setDownloadError(null);
+      await procesosService.downloadAnexo(procesoId, anexo);
+    } catch (err) {
+      setDownloadError(err.message);
+    }
+  };
+
   if (!anexos || anexos.length === 0) {
     return (
       <Card className="text-center py-12">
@@ -289,41 +360,73 @@ const ProcessAnexos = ({ anexos }) => {
         <h3 className="text-lg font-semibold">Documentos Anexos ({anexos.length})</h3>
       </CardHeader>
       <CardBody>
+        {downloadError && (
+          <div className="mb-4">
+            <ErrorAlert error={downloadError} onDismiss={() => setDownloadError(null)} />
+          </div>
+        )}
         <div className="space-y-4">
           {anexos.map((anexo) => (
             <div key={anexo.id} className="border border-gray-200 rounded-lg p-4 hover:border-gray-300 transition-colors">
               <div className="flex items-start justify-between">
                 <div className="flex-1">
                   <h4 className="text-sm font-medium text-gray-900 mb-1">
-                    {anexo.nombre}
+                    {anexo.nombre_archivo || anexo.tipo_documento || 'Documento'}
                   </h4>
-                  {anexo.descripcion && (
-                    <p className="text-sm text-gray-600 mb-2">
-                      {anexo.descripcion}
-                    </p>
-                  )}
                   <div className="flex items-center space-x-4 text-xs text-gray-500">
-                    {anexo.tipo && (
-                      <span>Tipo: {anexo.tipo}</span>
+                    {anexo.tipo_documento && (
+                      <span>Tipo: {anexo.tipo_documento}</span>
+                    )}
+                    {anexo.fecha_subida && (
+                      <span>Publicado: {utils.formatDateShort(anexo.fecha_subida)}</span>
                     )}
-                    {anexo.fecha_actualizacion && (
-                      <span>Actualizado: {utils.formatDateShort(anexo.fecha_actualizacion)}</span>
+                    {anexo.tamaño_kb && (
+                      <span>{anexo.tamaño_kb} KB</span>
                     )}
+                    <span className={`inline-flex items-center px-2 py-0.5 rounded-full font-medium ${
+                      anexo.procesado ? 'bg-green-100 text-green-800' : 'bg-yellow-100 text-yellow-800'
+                    }`}>
+                      {anexo.procesado ? 'Procesado' : 'Pendiente'}
+                    </span>
                   </div>
+                  {anexo.extracto && (
+                    <div className="mt-3">
+                      <button
+                        onClick={() => setExpandedId(expandedId === anexo.id ? null : anexo.id)}
+                        className="text-xs font-medium text-seace-blue hover:underline"
+                      >
+                        {expandedId === anexo.id ? 'Ocultar texto extraído' : 'Ver texto extraído'}
+                      </button>
+                      {expandedId === anexo.id && (
+                        <p className="mt-2 text-sm text-gray-600 whitespace-pre-wrap bg-gray-50 rounded p-3">
+                          {anexo.extracto}
+                          {anexo.longitud_texto > anexo.extracto.length && '…'}
+                        </p>
+                      )}
+                    </div>
+                  )}
+                </div>
+                <div className="flex items-center space-x-2 ml-4">
+                  {anexo.descargado && (
+                    <Button variant="outline" size="sm" onClick={() => handleDownload(anexo)} className="flex items-center">
+                      <PaperClipIcon className="w-4 h-4 mr-2" />
+                      Descargar
+                    </Button>
+                  )}
+                  {anexo.url_descarga && (
+                    <Button variant="outline" size="sm" asChild>
+                      <a 
+                        href={anexo.url_descarga} 
+                        target="_blank" 
+                        rel="noopener noreferrer"
+                        className="flex items-center"
+                      >
+                        <DocumentTextIcon className="w-4 h-4 mr-2" />
+                        Ver en SEACE
+                      </a>
+                    </Button>
+                  )}
                 </div>
-                {anexo.url && (
-                  <Button variant="outline" size="sm" asChild>
-                    <a 
-                      href={anexo.url} 
-                      target="_blank" 
-                      rel="noopener noreferrer"
-                      className="flex items-center"
-                    >
-                      <DocumentTextIcon className="w-4 h-4 mr-2" />
-                      Ver
-                    </a>
-                  </Button>
-                )}
               </div>
             </div>
           ))}
@@ -333,6 +436,189 @@ const ProcessAnexos = ({ anexos }) => {
   );
 };
 
+const ProcessLineage = ({ procesoId }) => {
+  const [linaje, setLinaje] = useState(null);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    const fetchLinaje = async () => {
+      try {
+        setError(null);
+        setLinaje(await procesosService.getLinaje(procesoId));
+      } catch (err) {
+        setError(err.message);
+      }
+    };
+
+    fetchLinaje();
+  }, [procesoId]);
+
+  return (
+    <Card className="lg:col-span-2 shadow-xl bg-white/95 backdrop-blur-sm border-l-4 border-seace-orange animate-slide-up">
+      <CardHeader className="bg-gradient-to-r from-seace-orange to-seace-orange-dark text-white">
+        <h3 className="text-lg font-semibold flex items-center">
+          <ArrowPathIcon className="w-5 h-5 mr-2" />
+          Reinicios del Proceso
+        </h3>
+      </CardHeader>
+      <CardBody>
+        {error && <ErrorAlert error={error} onDismiss={() => setError(null)} />}
+        {!linaje && !error && <LoadingSpinner />}
+        {linaje && (
+          <ol className="space-y-3">
+            {linaje.procesos.map((item) => (
+              <li
+                key={item.id}
+                className="flex items-start justify-between"
+                style={{ paddingLeft: `${item.nivel * 1.5}rem` }}
+              >
+                <div>
+                  {item.es_actual ? (
+                    <span className="font-semibold text-gray-900">{item.nomenclatura || item.id_proceso}</span>
+                  ) : (
+                    <Link to={`/process/${item.id}`} className="font-medium text-seace-blue hover:underline">
+                      {item.nomenclatura || item.id_proceso}
+                    </Link>
+                  )}
+                  <p className="text-xs text-gray-500">
+                    {item.nivel === 0 ? 'Proceso original' : `Reinicio ${item.nivel}`}
+                    {' · '}{utils.formatDateShort(item.fecha_publicacion)}
+                    {item.estado_proceso && ` · ${item.estado_proceso}`}
+                  </p>
+                </div>
+                {item.es_vigente && (
+                  <span className="inline-flex px-2 py-0.5 rounded-full text-xs font-medium bg-green-100 text-green-800">
+                    Vigente
+                  </span>
+                )}
+              </li>
+            ))}
+          </ol>
+        )}
+      </CardBody>
+    </Card>
+  );
+};
+
+const CAMPOS_HISTORIAL = {
+  nombre_entidad: 'Entidad',
+  entidad_nombre: 'Entidad',
+  entidad_ruc: 'RUC de la entidad',
+  fecha_publicacion: 'Fecha de publicación',
+  nomenclatura: 'Nomenclatura',
+  reiniciado_desde: 'Reiniciado desde',
+  objeto_contratacion: 'Objeto de contratación',
+  descripcion_objeto: 'Descripción',
+  estado_proceso: 'Estado',
+  tipo_proceso: 'Tipo de proceso',
+  url_proceso: 'URL del proceso',
+  numero_convocatoria: 'Número de convocatoria',
+  codigo_snip: 'Código SNIP',
+  codigo_cui: 'Código CUI',
+  departamento: 'Departamento',
+  provincia: 'Provincia',
+  distrito: 'Distrito',
+  monto_referencial: 'Monto referencial',
+  moneda: 'Moneda',
+  rubro: 'Rubro',
+  fecha_limite_presentacion: 'Fecha límite de presentación',
+  version_seace: 'Versión SEACE',
+  requiere_visita_previa: 'Requiere visita previa'
+};
+
+const formatValorHistorial = (campo, valor) => {
+  if (valor === null || valor === undefined) return '—';
+  if (campo.startsWith('fecha_')) return utils.formatDateTime(valor);
+  if (campo === 'monto_referencial') return utils.formatCurrency(parseFloat(valor));
+  return valor;
+};
+
+const ProcessHistory = ({ procesoId }) => {
+  const [cambios, setCambios] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    const fetchHistory = async () => {
+      try {
+        setLoading(true);
+        setError(null);
+        const history = await procesosService.getHistory(procesoId);
+        setCambios(history?.items || []);
+      } catch (err) {
+        setError(err.message);
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    fetchHistory();
+  }, [procesoId]);
+
+  if (loading) {
+    return (
+      <div className="flex justify-center items-center h-32">
+        <LoadingSpinner size="lg" />
+      </div>
+    );
+  }
+
+  if (error) {
+    return <ErrorAlert error={error} onDismiss={() => setError(null)} />;
+  }
+
+  if (cambios.length === 0) {
+    return (
+      <Card className="text-center py-12">
+        <ArrowPathIcon className="mx-auto h-12 w-12 text-gray-400 mb-4" />
+        <h3 className="text-lg font-medium text-gray-900 mb-2">
+          Sin cambios registrados
+        </h3>
+        <p className="text-gray-600">
+          Los datos del proceso no han cambiado desde su primera extracción.
+        </p>
+      </Card>
+    );
+  }
+
+  return (
+    <Card>
+      <CardHeader>
+        <h3 className="text-lg font-semibold">Historial de Cambios ({cambios.length})</h3>
+      </CardHeader>
+      <CardBody>
+        <ul className="divide-y divide-gray-200">
+          {cambios.map((cambio) => (
+            <li key={cambio.id} className="py-3">
+              <div className="flex items-center justify-between">
+                <span className="text-sm font-medium text-gray-900">
+                  {CAMPOS_HISTORIAL[cambio.campo] || cambio.campo}
+                </span>
+                <span className="flex items-center text-xs text-gray-500">
+                  <ClockIcon className="w-4 h-4 mr-1" />
+                  {utils.formatDateTime(cambio.created_at)}
+                </span>
+              </div>
+              <div className="mt-1 text-sm">
+                <span className="text-red-600 line-through break-words">
+                  {formatValorHistorial(cambio.campo, cambio.valor_anterior)}
+                </span>
+                <span className="mx-2 text-gray-400">→</span>
+                <span className="text-green-700 break-words">
+                  {formatValorHistorial(cambio.campo, cambio.valor_nuevo)}
+                </span>
+              </div>
+              {cambio.operation_id && (
+                <p className="mt-1 text-xs text-gray-400">Operación {cambio.operation_id}</p>
+              )}
+            </li>
+          ))}
+        </ul>
+      </CardBody>
+    </Card>
+  );
+};
+
 const ProcessRecomendaciones = ({ 
   proceso, 
   recomendaciones, 
@@ -42,15 +42,66 @@ export const procesosService = {
     }
   },
 
-  // Obtener anexos de un proceso (no implementado aún)
+  // Obtener anexos de un proceso (bases, anexos y texto extraído)
   getAnexos: async (procesoId) => {
     try {
-      return [];
+      const response = await api.get(`/procesos/${procesoId}/anexos`);
+      return response.data?.data || [];
     } catch (error) {
       throw new Error(error.response?.data?.message || 'Error obteniendo anexos');
     }
   },
 
+  // Encolar la importación de procesos desde un archivo CSV o JSON (solo admin)
+  importBulk: async ({ content, filename }) => {
+    try {
+      const response = await api.post('/procesos/import', { content, filename }, { timeout: 60000 });
+      return response.data?.data || response.data;
+    } catch (error) {
+      throw new Error(error.response?.data?.message || 'Error importando procesos');
+    }
+  },
+
+  // Obtener historial de cambios detectados por el ETL
+  getHistory: async (procesoId, params = {}) => {
+    try {
+      const response = await api.get(`/procesos/${procesoId}/history`, { params });
+      return response.data?.data || response.data;
+    } catch (error) {
+      throw new Error(error.response?.data?.message || 'Error obteniendo historial');
+    }
+  },
+
+  // Obtener la cadena de reinicios del proceso (original y reinicios)
+  getLinaje: async (procesoId) => {
+    try {
+      const response = await api.get(`/procesos/${procesoId}/linaje`);
+      return response.data?.data || response.data;
+    } catch (error) {
+      throw new Error(error.response?.data?.message || 'Error obteniendo linaje');
+    }
+  },
+
+  // Descargar la copia local de un anexo (requiere token, por eso se usa blob)
+  downloadAnexo: async (procesoId, anexo) => {
+    try {
+      const response = await api.get(`/procesos/${procesoId}/anexos/${anexo.id}/download`, {
+        responseType: 'blob',
+        timeout: 120000
+      });
+      const url = window.URL.createObjectURL(response.data);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = anexo.nombre_archivo || 'anexo';
+      document.body.appendChild(link);
+      link.click();
+      link.remove();
+      window.URL.revokeObjectURL(url);
+    } catch (error) {
+      throw new Error(error.response?.data?.message || 'Error descargando anexo');
+    }
+  },
+
   // Búsqueda de texto en procesos
   search: async (query, params = {}) => {
     try {
@@ -356,6 +407,43 @@ export const adminService = {
     } catch (error) {
       throw new Error(error.response?.data?.message || 'Error en limpieza del sistema');
     }
+  },
+
+  // Tipos de cambio a soles
+  getTiposCambio: async (params = {}) => {
+    try {
+      const response = await api.get('/tipos-cambio', { params });
+      return response.data?.data || response.data;
+    } catch (error) {
+      throw new Error(error.response?.data?.message || 'Error obteniendo tipos de cambio');
+    }
+  },
+
+  saveTipoCambio: async ({ moneda, fecha, valor }) => {
+    try {
+      const response = await api.post('/tipos-cambio', { moneda, fecha, valor });
+      return response.data?.data || response.data;
+    } catch (error) {
+      throw new Error(error.response?.data?.message || 'Error guardando tipo de cambio');
+    }
+  },
+
+  deleteTipoCambio: async (tipoCambioId) => {
+    try {
+      const response = await api.delete(`/tipos-cambio/${tipoCambioId}`);
+      return response.data?.data || response.data;
+    } catch (error) {
+      throw new Error(error.response?.data?.message || 'Error eliminando tipo de cambio');
+    }
+  },
+
+  importTiposCambio: async (content) => {
+    try {
+      const response = await api.post('/tipos-cambio/import', { content }, { timeout: 300000 });
+      return response.data?.data || response.data;
+    } catch (error) {
+      throw new Error(error.response?.data?.message || 'Error importando tipos de cambio');
+    }
   }
 };
 
@@ -408,6 +496,89 @@ export const etlService = {
     }
   },
 
+  // Programaciones recurrentes de scraping
+  getSchedules: async (params = {}) => {
+    try {
+      const response = await api.get('/etl/schedules', { params });
+      return response.data?.data || response.data;
+    } catch (error) {
+      throw new Error(error.response?.data?.message || 'Error obteniendo programaciones');
+    }
+  },
+
+  createSchedule: async (scheduleData) => {
+    try {
+      const response = await api.post('/etl/schedules', scheduleData);
+      return response.data?.data || response.data;
+    } catch (error) {
+      throw new Error(error.response?.data?.message || 'Error creando programación');
+    }
+  },
+
+  updateSchedule: async (scheduleId, scheduleData) => {
+    try {
+      const response = await api.put(`/etl/schedules/${scheduleId}`, scheduleData);
+      return response.data?.data || response.data;
+    } catch (error) {
+      throw new Error(error.response?.data?.message || 'Error actualizando programación');
+    }
+  },
+
+  deleteSchedule: async (scheduleId) => {
+    try {
+      const response = await api.delete(`/etl/schedules/${scheduleId}`);
+      return response.data;
+    } catch (error) {
+      throw new Error(error.response?.data?.message || 'Error eliminando programación');
+    }
+  },
+
+  runSchedule: async (scheduleId) => {
+    try {
+      const response = await api.post(`/etl/schedules/${scheduleId}/run`);
+      return response.data;
+    } catch (error) {
+      throw new Error(error.response?.data?.message || 'Error ejecutando programación');
+    }
+  },
+
+  // Filas que no se pudieron importar
+  getDeadLetters: async (params = {}) => {
+    try {
+      const response = await api.get('/etl/dead-letters', { params });
+      return response.data?.data || response.data;
+    } catch (error) {
+      throw new Error(error.response?.data?.message || 'Error obteniendo filas fallidas');
+    }
+  },
+
+  updateDeadLetter: async (deadLetterId, data) => {
+    try {
+      const response = await api.put(`/etl/dead-letters/${deadLetterId}`, data);
+      return response.data?.data || response.data;
+    } catch (error) {
+      throw new Error(error.response?.data?.message || 'Error actualizando fila fallida');
+    }
+  },
+
+  retryDeadLetter: async (deadLetterId) => {
+    try {
+      const response = await api.post(`/etl/dead-letters/${deadLetterId}/retry`);
+      return response.data;
+    } catch (error) {
+      throw new Error(error.response?.data?.message || 'Error reintentando fila fallida');
+    }
+  },
+
+  retryDeadLetters: async (params) => {
+    try {
+      const response = await api.post('/etl/dead-letters/retry', params);
+      return response.data;
+    } catch (error) {
+      throw new Error(error.response?.data?.message || 'Error reintentando filas fallidas');
+    }
+  },
+
   // Logs de ETL
   getETLLogs: async (params = {}) => {
     try {
@@ -418,6 +589,16 @@ export const etlService = {
     }
   },
 
+  // Detalles de una operación ETL
+  getOperationDetails: async (operationId) => {
+    try {
+      const response = await api.get(`/etl/operations/${operationId}/details`);
+      return response.data?.data || response.data;
+    } catch (error) {
+      throw new Error(error.response?.data?.message || 'Error obteniendo detalles de la operación');
+    }
+  },
+
   // Estadísticas de ETL
   getETLStats: async () => {
     try {
@@ -572,6 +753,20 @@ export const utils = {
     }).format(date);
   },
 
+  // Formatear fecha con hora
+  formatDateTime: (dateString) => {
+    if (!dateString) return 'No especificado';
+    
+    const date = new Date(dateString);
+    return new Intl.DateTimeFormat('es-PE', {
+      year: 'numeric',
+      month: 'short',
+      day: 'numeric',
+      hour: '2-digit',
+      minute: '2-digit'
+    }).format(date);
+  },
+
   // Formatear fecha corta
   formatDateShort: (dateString) => {
     if (!dateString) return 'No especificado';
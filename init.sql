@@ -3,6 +3,8 @@
 -- ÚNICA FUENTE DE VERDAD para el esquema de la base de datos
 -- Este script crea TODAS las tablas con todas las columnas necesarias desde el inicio
 -- NO usar archivos migrate-*.sql; modificar este archivo directamente si hay cambios
+-- Debe poder ejecutarse varias veces: src/scripts/migrate.js lo aplica en cada arranque del backend.
+-- Las columnas nuevas de tablas existentes se agregan también con ALTER TABLE ... ADD COLUMN IF NOT EXISTS
 
 -- Correcciones y validaciones aplicadas para PostgreSQL
 -- Fecha: 23 de octubre de 2025
@@ -33,6 +35,26 @@ INSERT INTO users (username, email, hashed_password, full_name, role) VALUES
 ('guest', 'user@seaceprojectfinder.com', '$2a$10$IAmBGWJ3mVMKXkIUbvTmQeR9b37zMersIFWtGNgofB1qYxnoE.VLa', 'Usuario Invitado', 'guest')
 ON CONFLICT (username) DO NOTHING;
 
+-- Catálogo de entidades convocantes
+CREATE TABLE IF NOT EXISTS entidades (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    nombre_canonico VARCHAR(500) NOT NULL,
+    ruc VARCHAR(11) UNIQUE,
+    nivel_gobierno VARCHAR(20) CHECK (nivel_gobierno IN ('nacional', 'regional', 'local')),
+    ubigeo VARCHAR(6) CHECK (ubigeo ~ '^([0-9]{2}){1,3}$'),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Variantes de escritura del nombre de cada entidad
+CREATE TABLE IF NOT EXISTS entidad_aliases (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    entidad_id UUID NOT NULL REFERENCES entidades(id) ON DELETE CASCADE,
+    alias VARCHAR(500) NOT NULL,
+    alias_normalizado VARCHAR(500) UNIQUE NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
 -- Tabla de procesos
 CREATE TABLE IF NOT EXISTS procesos (
     id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
@@ -41,11 +63,14 @@ CREATE TABLE IF NOT EXISTS procesos (
     numero_convocatoria VARCHAR(255),
     entidad_nombre VARCHAR(500),
     entidad_ruc VARCHAR(11),
+    entidad_id UUID REFERENCES entidades(id) ON DELETE SET NULL,
     objeto_contratacion TEXT,
     descripcion_objeto TEXT,
     nomenclatura VARCHAR(255),
     nombre_entidad VARCHAR(500),
     reiniciado_desde VARCHAR(255),
+    proceso_origen_id UUID REFERENCES procesos(id) ON DELETE SET NULL,
+    linaje_id UUID,
     codigo_snip VARCHAR(50),
     codigo_cui VARCHAR(50),
     version_seace VARCHAR(50) DEFAULT '3',
@@ -58,10 +83,14 @@ CREATE TABLE IF NOT EXISTS procesos (
     fecha_limite_presentacion TIMESTAMP,
     monto_referencial NUMERIC(15,2),
     moneda VARCHAR(50),
+    monto_pen NUMERIC(15,2),
     rubro VARCHAR(200),
     departamento VARCHAR(100),
     provincia VARCHAR(100),
     distrito VARCHAR(100),
+    ubigeo_departamento VARCHAR(2),
+    ubigeo_provincia VARCHAR(4),
+    ubigeo_distrito VARCHAR(6),
     requiere_visita_previa BOOLEAN DEFAULT FALSE,
     datos_ocds JSONB,
     fecha_extraccion TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
@@ -74,10 +103,12 @@ CREATE TABLE IF NOT EXISTS procesos (
 -- Tabla para almacenar embeddings vectoriales para RAG
 CREATE TABLE IF NOT EXISTS proceso_embeddings (
     id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
-    proceso_id UUID REFERENCES procesos(id) ON DELETE CASCADE,
+    proceso_id UUID UNIQUE REFERENCES procesos(id) ON DELETE CASCADE,
     embedding_titulo vector(768),
     embedding_descripcion vector(768),
     embedding_combined vector(768),
+    modelo VARCHAR(100),
+    texto_hash VARCHAR(32),
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
     updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
 );
@@ -93,9 +124,74 @@ CREATE TABLE IF NOT EXISTS anexos (
     fecha_subida TIMESTAMP,
     procesado BOOLEAN DEFAULT FALSE,
     contenido_extraido TEXT,
+    ruta_local TEXT,
+    intentos INTEGER NOT NULL DEFAULT 0,
+    ultimo_error TEXT,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Tabla para almacenar el cronograma (etapas) de cada proceso
+CREATE TABLE IF NOT EXISTS proceso_etapas (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    proceso_id UUID NOT NULL REFERENCES procesos(id) ON DELETE CASCADE,
+    etapa VARCHAR(255) NOT NULL,
+    tipo_etapa VARCHAR(50) NOT NULL DEFAULT 'otra',
+    orden INTEGER NOT NULL DEFAULT 0,
+    fecha_inicio TIMESTAMP,
+    fecha_fin TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Tabla para el historial de cambios de cada proceso detectados por el ETL
+CREATE TABLE IF NOT EXISTS proceso_revisiones (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    proceso_id UUID NOT NULL REFERENCES procesos(id) ON DELETE CASCADE,
+    operation_id VARCHAR(255),
+    campo VARCHAR(100) NOT NULL,
+    valor_anterior TEXT,
+    valor_nuevo TEXT,
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
 );
 
+-- Tabla de proveedores (postores y ganadores de buena pro)
+CREATE TABLE IF NOT EXISTS proveedores (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    ruc VARCHAR(11) UNIQUE,
+    razon_social VARCHAR(500) NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Tabla para los resultados de la buena pro de cada proceso (uno por ítem adjudicado)
+CREATE TABLE IF NOT EXISTS adjudicaciones (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    proceso_id UUID NOT NULL REFERENCES procesos(id) ON DELETE CASCADE,
+    proveedor_id UUID REFERENCES proveedores(id) ON DELETE SET NULL,
+    numero_item INTEGER,
+    descripcion_item TEXT,
+    ganador_ruc VARCHAR(11),
+    ganador_nombre VARCHAR(500),
+    monto_adjudicado DECIMAL(15,2),
+    moneda VARCHAR(10),
+    numero_postores INTEGER,
+    fecha_buena_pro TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Tabla de tipos de cambio (soles por unidad de moneda extranjera)
+CREATE TABLE IF NOT EXISTS tipos_cambio (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    moneda VARCHAR(3) NOT NULL,
+    fecha DATE NOT NULL,
+    valor DECIMAL(12,6) NOT NULL CHECK (valor > 0),
+    fuente VARCHAR(50) NOT NULL DEFAULT 'manual',
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE(moneda, fecha)
+);
+
 -- Tabla para almacenar recomendaciones generadas por IA
 CREATE TABLE IF NOT EXISTS recomendaciones (
     id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
@@ -168,6 +264,24 @@ CREATE TABLE IF NOT EXISTS scraping_tasks (
     updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
 );
 
+-- Tabla para programaciones recurrentes de scraping
+CREATE TABLE IF NOT EXISTS scraping_schedules (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    name VARCHAR(255) NOT NULL,
+    cron VARCHAR(100) NOT NULL,
+    params JSONB,
+    enabled BOOLEAN NOT NULL DEFAULT true,
+    last_run_at TIMESTAMP,
+    next_run_at TIMESTAMP,
+    last_operation_id VARCHAR(255),
+    last_status VARCHAR(20),
+    last_message TEXT,
+    skipped_count INTEGER NOT NULL DEFAULT 0,
+    created_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
 -- Tabla para logs de consultas al chatbot
 CREATE TABLE IF NOT EXISTS chatbot_logs (
     id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
@@ -231,6 +345,57 @@ CREATE TABLE IF NOT EXISTS etl_logs (
     paso_total INTEGER DEFAULT 0,
     porcentaje INTEGER DEFAULT 0,
     mensaje_actual TEXT,
+    -- Checkpoint para reanudar scraping interrumpido
+    checkpoint JSONB,
+    -- Reporte de calidad de los registros recibidos por la operación
+    quality_report JSONB,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Cola persistente de operaciones ETL (scraping, importación OCDS o masiva, sync, embeddings)
+CREATE TABLE IF NOT EXISTS etl_jobs (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    operation_id VARCHAR(255) NOT NULL UNIQUE,
+    job_type VARCHAR(50) NOT NULL,
+    status VARCHAR(20) NOT NULL DEFAULT 'queued',
+    priority INTEGER NOT NULL DEFAULT 0,
+    payload JSONB,
+    attempts INTEGER NOT NULL DEFAULT 0,
+    max_attempts INTEGER NOT NULL DEFAULT 1,
+    cancel_requested BOOLEAN NOT NULL DEFAULT false,
+    worker_id VARCHAR(255),
+    heartbeat_at TIMESTAMP,
+    error TEXT,
+    started_at TIMESTAMP,
+    finished_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Resultado de cada operación ETL por proceso (los valores de los cambios están en proceso_revisiones)
+CREATE TABLE IF NOT EXISTS etl_operacion_procesos (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    operation_id VARCHAR(255) NOT NULL,
+    proceso_id UUID NOT NULL REFERENCES procesos(id) ON DELETE CASCADE,
+    id_proceso VARCHAR(255) NOT NULL,
+    resultado VARCHAR(20) NOT NULL,
+    campos_modificados TEXT[] NOT NULL DEFAULT '{}',
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Filas que una operación ETL no pudo guardar (dead letters), para corregirlas y reintentarlas
+CREATE TABLE IF NOT EXISTS etl_dead_letters (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    operation_id VARCHAR(255) NOT NULL,
+    operation_type VARCHAR(50) NOT NULL,
+    id_proceso VARCHAR(255),
+    payload JSONB NOT NULL,
+    error TEXT,
+    status VARCHAR(20) NOT NULL DEFAULT 'pending',
+    attempts INTEGER NOT NULL DEFAULT 0,
+    edited BOOLEAN NOT NULL DEFAULT false,
+    resolved_at TIMESTAMP,
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
     updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
 );
@@ -247,6 +412,60 @@ INSERT INTO configuracion (clave, valor, descripcion) VALUES
 ('default_search_object', 'bien', 'Objeto de contratación por defecto')
 ON CONFLICT (clave) DO NOTHING;
 
+-- Columnas agregadas a tablas que ya existían. CREATE TABLE IF NOT EXISTS no las crea en una
+-- base existente: se agregan aquí, antes de los índices que las usan.
+
+-- Checkpoint para reanudar scraping interrumpido
+ALTER TABLE etl_logs ADD COLUMN IF NOT EXISTS checkpoint JSONB;
+
+-- Ruta de la copia local de cada anexo descargado
+ALTER TABLE anexos ADD COLUMN IF NOT EXISTS ruta_local TEXT;
+
+-- Intentos fallidos de descarga o extracción de cada anexo
+ALTER TABLE anexos ADD COLUMN IF NOT EXISTS intentos INTEGER NOT NULL DEFAULT 0;
+ALTER TABLE anexos ADD COLUMN IF NOT EXISTS ultimo_error TEXT;
+
+-- Entidad del catálogo de cada proceso
+ALTER TABLE procesos ADD COLUMN IF NOT EXISTS entidad_id UUID REFERENCES entidades(id) ON DELETE SET NULL;
+
+-- Códigos de ubigeo INEI de la ubicación de cada proceso
+ALTER TABLE procesos ADD COLUMN IF NOT EXISTS ubigeo_departamento VARCHAR(2);
+ALTER TABLE procesos ADD COLUMN IF NOT EXISTS ubigeo_provincia VARCHAR(4);
+ALTER TABLE procesos ADD COLUMN IF NOT EXISTS ubigeo_distrito VARCHAR(6);
+
+-- Monto referencial convertido a soles
+ALTER TABLE procesos ADD COLUMN IF NOT EXISTS monto_pen NUMERIC(15,2);
+
+-- Linaje de reinicios de cada proceso
+ALTER TABLE procesos ADD COLUMN IF NOT EXISTS proceso_origen_id UUID REFERENCES procesos(id) ON DELETE SET NULL;
+ALTER TABLE procesos ADD COLUMN IF NOT EXISTS linaje_id UUID;
+
+-- Embeddings: un registro por proceso con el modelo y el hash del texto que lo generó
+ALTER TABLE proceso_embeddings ADD COLUMN IF NOT EXISTS modelo VARCHAR(100);
+ALTER TABLE proceso_embeddings ADD COLUMN IF NOT EXISTS texto_hash VARCHAR(32);
+DO $$
+BEGIN
+    IF NOT EXISTS (SELECT 1 FROM pg_constraint WHERE conname = 'proceso_embeddings_proceso_id_key') THEN
+        -- Conservar solo el embedding más reciente de cada proceso
+        DELETE FROM proceso_embeddings pe
+        USING proceso_embeddings reciente
+        WHERE pe.proceso_id = reciente.proceso_id
+          AND (pe.updated_at, pe.id) < (reciente.updated_at, reciente.id);
+        ALTER TABLE proceso_embeddings ADD CONSTRAINT proceso_embeddings_proceso_id_key UNIQUE (proceso_id);
+    END IF;
+END $$;
+
+-- El índice vectorial pasó de ivfflat a HNSW: se elimina el anterior y se vuelve a crear más abajo
+DO $$
+BEGIN
+    IF EXISTS (SELECT 1 FROM pg_indexes WHERE indexname = 'idx_embeddings_vector' AND indexdef ILIKE '%USING ivfflat%') THEN
+        DROP INDEX idx_embeddings_vector;
+    END IF;
+END $$;
+
+-- Reporte de calidad de los registros recibidos por la operación
+ALTER TABLE etl_logs ADD COLUMN IF NOT EXISTS quality_report JSONB;
+
 -- Índices para tabla users
 CREATE INDEX IF NOT EXISTS idx_users_username ON users(username);
 CREATE INDEX IF NOT EXISTS idx_users_email ON users(email);
@@ -259,6 +478,7 @@ CREATE INDEX IF NOT EXISTS idx_procesos_estado ON procesos(estado_proceso);
 CREATE INDEX IF NOT EXISTS idx_procesos_fecha_pub ON procesos(fecha_publicacion);
 CREATE INDEX IF NOT EXISTS idx_procesos_rubro ON procesos(rubro);
 CREATE INDEX IF NOT EXISTS idx_procesos_monto ON procesos(monto_referencial);
+CREATE INDEX IF NOT EXISTS idx_procesos_monto_pen ON procesos(monto_pen);
 CREATE INDEX IF NOT EXISTS idx_procesos_id_proceso ON procesos(id_proceso);
 CREATE INDEX IF NOT EXISTS idx_proceso_nomenclatura ON procesos(nomenclatura);
 CREATE INDEX IF NOT EXISTS idx_proceso_nombre_entidad ON procesos(nombre_entidad);
@@ -269,11 +489,28 @@ CREATE INDEX IF NOT EXISTS idx_proceso_tipo ON procesos(tipo_proceso);
 CREATE INDEX IF NOT EXISTS idx_proceso_departamento ON procesos(departamento);
 CREATE INDEX IF NOT EXISTS idx_proceso_provincia ON procesos(provincia);
 CREATE INDEX IF NOT EXISTS idx_proceso_distrito ON procesos(distrito);
+CREATE INDEX IF NOT EXISTS idx_proceso_entidad_id ON procesos(entidad_id);
+CREATE INDEX IF NOT EXISTS idx_proceso_origen_id ON procesos(proceso_origen_id);
+CREATE INDEX IF NOT EXISTS idx_proceso_linaje_id ON procesos(linaje_id);
+CREATE INDEX IF NOT EXISTS idx_proceso_ubigeo_departamento ON procesos(ubigeo_departamento);
+CREATE INDEX IF NOT EXISTS idx_proceso_ubigeo_provincia ON procesos(ubigeo_provincia);
+CREATE INDEX IF NOT EXISTS idx_proceso_ubigeo_distrito ON procesos(ubigeo_distrito);
 
 -- Índices para tablas relacionadas
 CREATE INDEX IF NOT EXISTS idx_embeddings_proceso_id ON proceso_embeddings(proceso_id);
 CREATE INDEX IF NOT EXISTS idx_anexos_proceso_id ON anexos(proceso_id);
 CREATE INDEX IF NOT EXISTS idx_anexos_tipo ON anexos(tipo_documento);
+CREATE INDEX IF NOT EXISTS idx_proceso_etapas_proceso ON proceso_etapas(proceso_id);
+CREATE INDEX IF NOT EXISTS idx_proceso_etapas_tipo_fin ON proceso_etapas(tipo_etapa, fecha_fin);
+CREATE INDEX IF NOT EXISTS idx_proceso_revisiones_proceso ON proceso_revisiones(proceso_id, created_at);
+CREATE INDEX IF NOT EXISTS idx_proceso_revisiones_operation ON proceso_revisiones(operation_id);
+CREATE INDEX IF NOT EXISTS idx_proveedores_razon_social ON proveedores(razon_social);
+CREATE INDEX IF NOT EXISTS idx_adjudicaciones_proceso ON adjudicaciones(proceso_id);
+CREATE INDEX IF NOT EXISTS idx_adjudicaciones_proveedor ON adjudicaciones(proveedor_id);
+CREATE INDEX IF NOT EXISTS idx_adjudicaciones_ganador_ruc ON adjudicaciones(ganador_ruc);
+CREATE INDEX IF NOT EXISTS idx_entidades_nombre_canonico ON entidades(nombre_canonico);
+CREATE INDEX IF NOT EXISTS idx_entidades_nivel_gobierno ON entidades(nivel_gobierno);
+CREATE INDEX IF NOT EXISTS idx_entidad_aliases_entidad ON entidad_aliases(entidad_id);
 CREATE INDEX IF NOT EXISTS idx_recomendaciones_user ON recomendaciones(user_id);
 CREATE INDEX IF NOT EXISTS idx_recomendaciones_proceso ON recomendaciones(proceso_id);
 CREATE INDEX IF NOT EXISTS idx_recomendaciones_unique ON recomendaciones(user_id, proceso_id);
@@ -289,6 +526,7 @@ CREATE INDEX IF NOT EXISTS idx_user_recommendations_seen ON user_recommendations
 CREATE INDEX IF NOT EXISTS idx_user_recommendations_notified ON user_recommendations(notified);
 CREATE INDEX IF NOT EXISTS idx_scraping_tasks_status ON scraping_tasks(status);
 CREATE INDEX IF NOT EXISTS idx_scraping_tasks_type ON scraping_tasks(task_type);
+CREATE INDEX IF NOT EXISTS idx_scraping_schedules_next_run ON scraping_schedules(enabled, next_run_at);
 CREATE INDEX IF NOT EXISTS idx_chatbot_logs_session ON chatbot_logs(session_id);
 CREATE INDEX IF NOT EXISTS idx_chat_sessions_user_id ON chat_sessions(user_id);
 CREATE INDEX IF NOT EXISTS idx_chat_sessions_active ON chat_sessions(is_active);
@@ -296,9 +534,15 @@ CREATE INDEX IF NOT EXISTS idx_chat_messages_session_id ON chat_messages(session
 CREATE INDEX IF NOT EXISTS idx_chat_messages_created_at ON chat_messages(created_at DESC);
 CREATE INDEX IF NOT EXISTS idx_etl_logs_operation ON etl_logs(operation_type);
 CREATE INDEX IF NOT EXISTS idx_etl_logs_status ON etl_logs(status);
+CREATE INDEX IF NOT EXISTS idx_etl_jobs_cola ON etl_jobs(status, priority, created_at);
+CREATE INDEX IF NOT EXISTS idx_etl_jobs_tipo ON etl_jobs(job_type);
+CREATE UNIQUE INDEX IF NOT EXISTS idx_etl_operacion_procesos_unique ON etl_operacion_procesos(operation_id, proceso_id);
+CREATE INDEX IF NOT EXISTS idx_etl_operacion_procesos_resultado ON etl_operacion_procesos(operation_id, resultado);
+CREATE INDEX IF NOT EXISTS idx_etl_dead_letters_operation ON etl_dead_letters(operation_id, status);
+CREATE INDEX IF NOT EXISTS idx_etl_dead_letters_status ON etl_dead_letters(status, created_at);
 
--- Índice vectorial para búsquedas de similitud
-CREATE INDEX IF NOT EXISTS idx_embeddings_vector ON proceso_embeddings USING ivfflat (embedding_combined vector_cosine_ops) WITH (lists = 100);
+-- Índice vectorial (ANN) para búsquedas de similitud. HNSW no necesita datos previos para entrenarse.
+CREATE INDEX IF NOT EXISTS idx_embeddings_vector ON proceso_embeddings USING hnsw (embedding_combined vector_cosine_ops);
 
 
 -- Función para actualizar fecha_actualizacion automáticamente
@@ -317,6 +561,7 @@ $$ LANGUAGE plpgsql;
 --     EXECUTE FUNCTION update_fecha_actualizacion();
 
 -- Trigger para actualizar updated_at en configuracion
+DROP TRIGGER IF EXISTS trigger_update_configuracion_fecha ON configuracion;
 CREATE TRIGGER trigger_update_configuracion_fecha
     BEFORE UPDATE ON configuracion
     FOR EACH ROW
@@ -359,6 +604,7 @@ END;
 $$ LANGUAGE plpgsql;
 
 -- Trigger para enforcer límite de 5 chats activos
+DROP TRIGGER IF EXISTS enforce_max_active_chats ON chat_sessions;
 CREATE TRIGGER enforce_max_active_chats
     BEFORE INSERT ON chat_sessions
     FOR EACH ROW
@@ -436,17 +682,28 @@ CREATE INDEX IF NOT EXISTS idx_recommendation_clicks_proceso_id ON recommendatio
 
 -- Comentarios en las tablas para documentación
 COMMENT ON TABLE users IS 'Usuarios del sistema con roles de autenticación';
+COMMENT ON TABLE entidades IS 'Catálogo de entidades convocantes: nombre canónico, RUC, nivel de gobierno y ubigeo';
+COMMENT ON TABLE entidad_aliases IS 'Variantes de escritura del nombre de cada entidad, usadas por el ETL para resolverla';
 COMMENT ON TABLE procesos IS 'Tabla principal que almacena todos los procesos de contratación pública del SEACE';
 COMMENT ON TABLE proceso_embeddings IS 'Embeddings vectoriales para búsquedas semánticas y RAG';
 COMMENT ON TABLE anexos IS 'Documentos y anexos asociados a los procesos de contratación';
+COMMENT ON TABLE proceso_etapas IS 'Cronograma de cada proceso: etapas con fecha de inicio y fin';
+COMMENT ON TABLE proceso_revisiones IS 'Historial de cambios por campo de cada proceso (valor anterior, nuevo y operación ETL)';
+COMMENT ON TABLE proveedores IS 'Proveedores identificados como postores o ganadores de buena pro';
+COMMENT ON TABLE adjudicaciones IS 'Resultado de la buena pro por proceso o ítem: ganador, monto adjudicado y número de postores';
+COMMENT ON TABLE tipos_cambio IS 'Tipos de cambio a soles por moneda y fecha, usados para calcular procesos.monto_pen';
 COMMENT ON TABLE recomendaciones IS 'Recomendaciones de procesos por usuario basadas en preferencias';
 COMMENT ON TABLE preferencias IS 'Preferencias de búsqueda y perfil de cada usuario';
 COMMENT ON TABLE user_interactions IS 'Registro de todas las interacciones usuario-proceso';
 COMMENT ON TABLE user_recommendations IS 'Recomendaciones personalizadas con scoring explícito';
 COMMENT ON TABLE recommendation_clicks IS 'Tracking de clicks en recomendaciones para analytics';
 COMMENT ON TABLE scraping_tasks IS 'Gestión de tareas de extracción de datos del SEACE';
+COMMENT ON TABLE scraping_schedules IS 'Programaciones cron que el scheduler convierte en operaciones de scraping';
 COMMENT ON TABLE chatbot_logs IS 'Historial de interacciones con el chatbot de IA';
 COMMENT ON TABLE chat_sessions IS 'Sesiones de chat del usuario con límite de 5 activas';
 COMMENT ON TABLE chat_messages IS 'Mensajes individuales dentro de cada sesión de chat';
 COMMENT ON TABLE configuracion IS 'Configuraciones del sistema';
 COMMENT ON TABLE etl_logs IS 'Logs de operaciones de extracción, transformación y carga de datos';
+COMMENT ON TABLE etl_jobs IS 'Cola persistente de operaciones ETL con prioridad, cancelación y recuperación al arrancar';
+COMMENT ON TABLE etl_operacion_procesos IS 'Procesos tocados por cada operación ETL: creados, actualizados o sin cambios';
+COMMENT ON TABLE etl_dead_letters IS 'Filas que no se pudieron guardar en una operación ETL, con sus datos originales y el error';